@@ -24,10 +24,18 @@ const { EmailService } = require('./services/email/emailService');
 const { ChatService } = require('./services/chat/chatService');
 const { IntegrationService } = require('./services/integration/integrationService');
 const { WorkflowService } = require('./services/workflow/workflowService');
+const propertyService = require('./services/property/propertyService');
+const scrapingService = require('./services/scraping/scrapingService');
+const listingSyncService = require('./services/scraping/listingSyncService');
+const contentJobService = require('./services/ai/contentJobService');
+const browserPoolService = require('./services/browser/browserPoolService');
 
 // Import routes (to be created)
 const authRoutes = require('./routes/auth');
 const propertyRoutes = require('./routes/properties');
+const feedRoutes = require('./routes/feeds');
+const viewingRoutes = require('./routes/viewings');
+const manualEntryRoutes = require('./routes/manualEntry');
 const profileRoutes = require('./routes/profile');
 const brandRoutes = require('./routes/brands');
 const socialRoutes = require('./routes/social');
@@ -178,6 +186,9 @@ class NesterApp {
         // API routes
         this.app.use('/api/auth', authRoutes);
         this.app.use('/api/properties', propertyRoutes);
+        this.app.use('/api/feeds', feedRoutes);
+        this.app.use('/api/viewings', viewingRoutes);
+        this.app.use('/api/manual-entry', manualEntryRoutes);
         this.app.use('/api/profile', profileRoutes);
         this.app.use('/api/brands', brandRoutes);
         this.app.use('/api/social', socialRoutes);
@@ -195,6 +206,9 @@ class NesterApp {
                 endpoints: {
                     auth: '/api/auth',
                     properties: '/api/properties',
+                    feeds: '/api/feeds',
+                    viewings: '/api/viewings',
+                    manualEntry: '/api/manual-entry',
                     profile: '/api/profile',
                     brands: '/api/brands',
                     social: '/api/social',
@@ -362,6 +376,18 @@ class NesterApp {
                 });
             });
 
+            // Purge deleted listings once their retention window has passed
+            propertyService.startPurgeSchedule();
+
+            // Work through queued scrape jobs
+            scrapingService.startQueue();
+
+            // Re-scrape listings on the market to pick up price and status changes
+            listingSyncService.startSchedule();
+
+            // Close content jobs left running when the server last stopped
+            contentJobService.failStaleJobs();
+
             // Graceful shutdown handling
             process.on('SIGTERM', () => this.shutdown('SIGTERM'));
             process.on('SIGINT', () => this.shutdown('SIGINT'));
@@ -379,8 +405,9 @@ class NesterApp {
         this.logger.info(`Received ${signal}, starting graceful shutdown...`);
 
         if (this.server) {
-            this.server.close(() => {
+            this.server.close(async () => {
                 this.logger.info('HTTP server closed');
+                await browserPoolService.shutdown();
                 process.exit(0);
             });
 
@@ -30,6 +30,8 @@ class Config {
             port: parseInt(process.env.PORT) || 3000,
             host: process.env.HOST || 'localhost',
             corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+            // Externally reachable API base URL (used for feed links shared with portals)
+            publicUrl: process.env.PUBLIC_API_URL || `http://${process.env.HOST || 'localhost'}:${parseInt(process.env.PORT) || 3000}`,
             trustProxy: process.env.TRUST_PROXY === 'true'
         };
 
@@ -126,10 +128,12 @@ class Config {
         // AI Services Configuration
         this.ai = {
             anthropic: {
-                apiKey: process.env.ANTHROPIC_API_KEY,
+                // CLAUDE_API_KEY is the name older deployments used
+                apiKey: process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY,
                 model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
                 maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4000,
-                temperature: parseFloat(process.env.ANTHROPIC_TEMPERATURE) || 0.7
+                temperature: parseFloat(process.env.ANTHROPIC_TEMPERATURE) || 0.7,
+                baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1'
             },
             replicate: {
                 apiKey: process.env.REPLICATE_API_KEY,
@@ -138,7 +142,45 @@ class Config {
             },
             gemini: {
                 apiKey: process.env.GEMINI_API_KEY,
-                model: process.env.GEMINI_MODEL || 'gemini-pro'
+                model: process.env.GEMINI_MODEL || 'gemini-pro',
+                baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta'
+            },
+            // Any API speaking the OpenAI chat completions protocol (OpenAI, Azure, vLLM, Ollama, ...)
+            openai: {
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+                baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+            },
+            // LLMClient: provider choice, timeouts and retries for text generation
+            llm: {
+                // anthropic, gemini, openai or stub (canned local output, no network)
+                defaultProvider: process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'stub' : 'anthropic'),
+                // Task -> provider[:model], e.g. "chat=openai:gpt-4o-mini,social_post=gemini"
+                routes: Object.fromEntries((process.env.LLM_ROUTES || '')
+                    .split(',').map(route => route.trim()).filter(Boolean)
+                    .map(route => route.split('=').map(part => part.trim()))),
+                timeoutMs: parseInt(process.env.LLM_TIMEOUT) || 60000,
+                maxRetries: parseInt(process.env.LLM_MAX_RETRIES ?? 2),
+                retryDelayMs: parseInt(process.env.LLM_RETRY_DELAY) || 1000
+            },
+            // Content generation jobs (see ContentJobService)
+            contentJobs: {
+                // A running job with no progress for this long lost its worker and is marked failed
+                staleAfterSeconds: parseInt(process.env.CONTENT_JOB_STALE_AFTER_SECONDS) || 900
+            },
+            // Prompt registry: how long active prompt versions are cached
+            prompts: {
+                cacheTtlMs: parseInt(process.env.PROMPT_CACHE_TTL) || 60000
+            },
+            // Brand voice checks on generated social posts (see BrandComplianceService)
+            compliance: {
+                enabled: process.env.BRAND_COMPLIANCE_ENABLED !== 'false',
+                // Posts scoring below this (0-100) are regenerated, then held for review
+                minScore: parseInt(process.env.BRAND_COMPLIANCE_MIN_SCORE) || 70,
+                maxRegenerations: parseInt(process.env.BRAND_COMPLIANCE_MAX_REGENERATIONS ?? 2),
+                // Ask the LLM to rate tone; below minToneScore (0-1) a post is off-tone
+                toneCheck: process.env.BRAND_COMPLIANCE_TONE_CHECK !== 'false',
+                minToneScore: parseFloat(process.env.BRAND_COMPLIANCE_MIN_TONE_SCORE) || 0.6
             }
         };
 
@@ -147,7 +189,24 @@ class Config {
             puppeteer: {
                 headless: process.env.PUPPETEER_HEADLESS !== 'false',
                 timeout: parseInt(process.env.PUPPETEER_TIMEOUT) || 30000,
-                userAgent: process.env.PUPPETEER_USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+                // Identifies the crawler honestly; sites can match NesterBot in robots.txt
+                userAgent: process.env.PUPPETEER_USER_AGENT || 'Mozilla/5.0 (compatible; NesterBot/1.0)'
+            },
+            // Crawl policy applied to every page, robots.txt and photo fetch
+            politeness: {
+                respectRobots: process.env.SCRAPING_RESPECT_ROBOTS !== 'false',
+                // Product token looked up in robots.txt User-agent lines
+                robotsUserAgent: process.env.SCRAPING_ROBOTS_USER_AGENT || 'NesterBot',
+                robotsCacheMinutes: parseInt(process.env.SCRAPING_ROBOTS_CACHE_MINUTES) || 60,
+                robotsTimeout: parseInt(process.env.SCRAPING_ROBOTS_TIMEOUT) || 5000,
+                // Minimum gap between requests to one host (robots.txt Crawl-delay can raise it)
+                hostIntervalMs: parseInt(process.env.SCRAPING_HOST_INTERVAL) || 1000,
+                // Comma-separated domains; subdomains match. An allow list limits scraping to those sites
+                allowedDomains: (process.env.SCRAPING_ALLOWED_DOMAINS || '')
+                    .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+                deniedDomains: (process.env.SCRAPING_DENIED_DOMAINS || '')
+                    .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+                auditLog: process.env.SCRAPING_AUDIT_LOG !== 'false'
             },
             brightData: {
                 username: process.env.BRIGHTDATA_USERNAME,
@@ -158,9 +217,64 @@ class Config {
             retries: {
                 maxRetries: parseInt(process.env.SCRAPING_MAX_RETRIES) || 3,
                 retryDelay: parseInt(process.env.SCRAPING_RETRY_DELAY) || 5000
+            },
+            queue: {
+                // Jobs run at once by this server instance
+                concurrency: parseInt(process.env.SCRAPING_CONCURRENCY) || 2,
+                pollIntervalMs: parseInt(process.env.SCRAPING_POLL_INTERVAL) || 5000,
+                // Minimum gap between jobs started against the same site
+                domainIntervalMs: parseInt(process.env.SCRAPING_DOMAIN_INTERVAL) || 10000,
+                // A running job not finished after this long is claimed again
+                staleAfterSeconds: parseInt(process.env.SCRAPING_STALE_AFTER_SECONDS) || 600
+            },
+            images: {
+                maxImages: parseInt(process.env.SCRAPING_MAX_IMAGES) || 20,
+                downloadTimeout: parseInt(process.env.SCRAPING_IMAGE_TIMEOUT) || 15000,
+                // Smaller images are usually icons, logos or map tiles
+                minWidth: parseInt(process.env.SCRAPING_IMAGE_MIN_WIDTH) || 400,
+                minHeight: parseInt(process.env.SCRAPING_IMAGE_MIN_HEIGHT) || 300
+            },
+            // Signed link emailed to the agent when scraping falls back to the manual form
+            manualForm: {
+                // Its own secret, so form links cannot be minted from or mistaken for auth tokens
+                secret: process.env.MANUAL_FORM_SECRET,
+                linkTtlHours: parseInt(process.env.MANUAL_FORM_LINK_TTL_HOURS) || 72,
+                formUrl: process.env.MANUAL_FORM_URL ||
+                    `${process.env.FRONTEND_URL || 'http://localhost:3002'}/properties/manual-entry`
+            },
+            // Re-scraping listings on the market to pick up changes at the source
+            sync: {
+                enabled: process.env.LISTING_SYNC_ENABLED !== 'false',
+                intervalMinutes: parseInt(process.env.LISTING_SYNC_INTERVAL_MINUTES) || 60,
+                // A listing is re-scraped at most this often
+                resyncAfterHours: parseInt(process.env.LISTING_SYNC_AFTER_HOURS) || 24,
+                batchSize: parseInt(process.env.LISTING_SYNC_BATCH_SIZE) || 25,
+                // Change events that regenerate the listing's AI content (empty to disable)
+                regenerateOn: (process.env.LISTING_SYNC_REGENERATE_ON ?? 'price_drop,status_change')
+                    .split(',').map(type => type.trim()).filter(Boolean),
+                regenerateContentTypes: ['description', 'social_posts']
+            },
+            // Scraped fields the agent confirms before the listing goes active
+            review: {
+                enabled: process.env.SCRAPE_REVIEW_ENABLED !== 'false',
+                // Fields scored below this (0-1) are held for review
+                minConfidence: parseFloat(process.env.SCRAPE_REVIEW_MIN_CONFIDENCE) || 0.5
             }
         };
 
+        // Shared headless Chromium used for scraping and rendering social images
+        this.browserPool = {
+            headless: process.env.PUPPETEER_HEADLESS !== 'false',
+            // Pages open at once across the pool; further callers queue
+            maxConcurrency: parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY) || 4,
+            // Chromium is restarted after this many tasks to release leaked memory
+            maxBrowserUses: parseInt(process.env.BROWSER_POOL_MAX_BROWSER_USES) || 200,
+            acquireTimeoutMs: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT) || 120000,
+            taskTimeoutMs: parseInt(process.env.BROWSER_POOL_TASK_TIMEOUT) || 120000,
+            // Chromium is closed after this long with no work
+            idleTimeoutMs: parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT) || 300000
+        };
+
         // External APIs Configuration
         this.apis = {
             googlePlaces: {
@@ -223,6 +337,22 @@ class Config {
             }
         };
 
+        // Property lifecycle configuration
+        this.properties = {
+            // Days a deleted listing stays restorable before the purge removes it
+            retentionDays: parseInt(process.env.PROPERTY_RETENTION_DAYS) || 30,
+            purgeIntervalMinutes: parseInt(process.env.PROPERTY_PURGE_INTERVAL_MINUTES) || 60,
+            purgeBatchSize: parseInt(process.env.PROPERTY_PURGE_BATCH_SIZE) || 25
+        };
+
+        // Viewing scheduler configuration
+        this.viewings = {
+            // Timezone used to present slot times in chat replies and emails
+            timezone: process.env.VIEWING_TIMEZONE || 'UTC',
+            // How far ahead open slots are offered when no range is given
+            lookaheadDays: parseInt(process.env.VIEWING_LOOKAHEAD_DAYS) || 14
+        };
+
         // Doppler Configuration
         this.doppler = {
             token: process.env.DOPPLER_TOKEN,
@@ -302,6 +432,17 @@ class Config {
             throw new Error('SUPABASE_URL must be a valid HTTPS URL');
         }
 
+        // Checked again when a link is signed or opened; the rest of the server runs without it
+        if (!this.scraping.manualForm.secret) {
+            logger.warn('MANUAL_FORM_SECRET is not set', {
+                impact: 'Manual completion form links cannot be sent or opened'
+            });
+        } else if (this.scraping.manualForm.secret === this.supabase.jwtSecret) {
+            logger.warn('MANUAL_FORM_SECRET is the same as SUPABASE_JWT_SECRET', {
+                impact: 'Manual completion form links cannot be sent or opened'
+            });
+        }
+
         // Warn about missing optional but recommended variables
         const recommendedVars = [
             'SUPABASE_SERVICE_ROLE_KEY',
@@ -575,6 +716,9 @@ class Config {
         const errors = [];
 
         // AI service validations
+        if (process.env.CLAUDE_API_KEY && !process.env.ANTHROPIC_API_KEY) {
+            warnings.push('CLAUDE_API_KEY is deprecated; rename it to ANTHROPIC_API_KEY');
+        }
         if (this.features.aiImageRestyling) {
             if (!this.ai.anthropic.apiKey) {
                 warnings.push('AI image restyling enabled but ANTHROPIC_API_KEY missing');
@@ -1,183 +1,1138 @@
-// Simplified property controller for testing
+const propertyService = require('../services/property/propertyService');
+const propertyImportService = require('../services/property/propertyImportService');
+const propertyExportService = require('../services/property/propertyExportService');
+const viewingService = require('../services/property/viewingService');
+const propertyDuplicateService = require('../services/property/propertyDuplicateService');
+const scrapingService = require('../services/scraping/scrapingService');
+const manualCompletionService = require('../services/scraping/manualCompletionService');
+const listingSyncService = require('../services/scraping/listingSyncService');
+const scrapeReviewService = require('../services/scraping/scrapeReviewService');
+const brandComplianceService = require('../services/brand/brandComplianceService');
+const storageService = require('../services/storage/storageService');
+const aiService = require('../services/ai/aiService');
+const contentJobService = require('../services/ai/contentJobService');
+const validationService = require('../services/validation/validationService');
+const errorService = require('../services/error/errorService');
+
+const LIST_OPTION_KEYS = ['page', 'limit', 'sortBy', 'sortOrder'];
+const SEARCH_OPTION_KEYS = ['q', 'cursor', 'limit', 'includeFacets'];
+
+// Public feed file extension -> export format
+const FEED_FORMATS = { xml: 'xml', json: 'reso', csv: 'csv' };
+
+/**
+ * Send a failure through the ErrorService envelope. Errors created with
+ * errorService.createError keep their code and status; anything else is
+ * reported as INTERNAL_ERROR. Duplicate conflicts carry the matching
+ * listings so the client can offer a merge.
+ */
+const handleError = (req, res, error, action) => {
+  const appError = error.code && error.httpStatus
+    ? error
+    : errorService.createError('INTERNAL_ERROR', { details: error.message });
+
+  errorService.logError(appError, {
+    action,
+    agentId: req.user?.id,
+    propertyId: req.params.id
+  });
+
+  const additionalData = appError.code === 'PROPERTY_DUPLICATE'
+    ? { duplicates: appError.details.matches }
+    : undefined;
+  errorService.sendErrorResponse(res, appError, { additionalData });
+};
+
+const sendValidationError = (res, errors) => {
+  errorService.sendErrorResponse(
+    res,
+    errorService.createError('VALIDATION_FAILED'),
+    { additionalData: { errors } }
+  );
+};
+
+const sendNotFound = (res, errorCode = 'PROPERTY_NOT_FOUND') => {
+  errorService.sendErrorResponse(res, errorService.createError(errorCode));
+};
+
+/**
+ * Split query params into options (validated against optionSchema) and
+ * service filters. Filter names follow the query.propertyFilters schema and
+ * are mapped onto the keys understood by propertyService.applyPropertyFilters.
+ */
+const parseQuery = (query, optionKeys, optionSchema) => {
+  const optionInput = {};
+  const filterInput = {};
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (optionKeys.includes(key)) {
+      optionInput[key] = value;
+    } else {
+      filterInput[key] = value;
+    }
+  });
+
+  if (typeof filterInput.features === 'string') {
+    filterInput.features = filterInput.features.split(',').map(feature => feature.trim());
+  }
+
+  const options = validationService.validate(optionInput, optionSchema);
+  const filters = validationService.validate(filterInput, 'query.propertyFilters');
+  const errors = [...(options.errors || []), ...(filters.errors || [])];
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const {
+    minPrice, maxPrice, minBedrooms, maxBedrooms, minBathrooms, maxBathrooms,
+    minSquareFootage, maxSquareFootage, propertyType, listingStatus,
+    city, state, zipCode, features, search, lifecycle, lat, lng, radiusKm, bbox, polygon
+  } = filters.data;
+
+  return {
+    options: options.data,
+    search,
+    filters: {
+      priceMin: minPrice,
+      priceMax: maxPrice,
+      bedroomsMin: minBedrooms,
+      bedroomsMax: maxBedrooms,
+      bathroomsMin: minBathrooms,
+      bathroomsMax: maxBathrooms,
+      squareFeetMin: minSquareFootage,
+      squareFeetMax: maxSquareFootage,
+      propertyTypes: propertyType ? [propertyType] : undefined,
+      listingStatuses: listingStatus ? [listingStatus] : undefined,
+      city,
+      state,
+      zipCode,
+      features,
+      lifecycle,
+      ...parseGeoFilters({ lat, lng, radiusKm, bbox, polygon })
+    }
+  };
+};
+
+/**
+ * Turn validated geo query params into near/bounds/polygon service filters
+ */
+const parseGeoFilters = ({ lat, lng, radiusKm, bbox, polygon }) => {
+  const geoFilters = {};
+
+  if (radiusKm !== undefined) {
+    geoFilters.near = { lat, lng, radiusKm };
+  } else if (lat !== undefined) {
+    // A point without a radius is only used as the distance-sort origin
+    geoFilters.origin = { lat, lng };
+  }
+
+  if (bbox) {
+    const [south, west, north, east] = bbox.split(',').map(Number);
+    geoFilters.bounds = { north, south, east, west };
+  }
+
+  if (polygon) {
+    geoFilters.polygon = polygon.split(';').map(point => point.split(',').map(Number));
+  }
+
+  return geoFilters;
+};
+
+/**
+ * Create a new property
+ */
+const createProperty = async (req, res) => {
+  try {
+    const { enrichWithExternalData, triggerWorkflows, allowDuplicate } = req.query;
+    const propertyData = propertyService.mapPropertyInput(req.body);
+
+    const property = await propertyService.createProperty(propertyData, req.user.id, {
+      enrichWithExternalData: enrichWithExternalData !== 'false',
+      triggerWorkflows: triggerWorkflows !== 'false',
+      allowDuplicate: allowDuplicate === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: property,
+      message: 'Property created successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'createProperty');
+  }
+};
+
+/**
+ * Get all properties for the authenticated agent
+ */
+const getProperties = async (req, res) => {
+  try {
+    const { options, filters, search, errors } = parseQuery(req.query, LIST_OPTION_KEYS, 'query.pagination');
+
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const result = search
+      ? await propertyService.searchProperties(search, filters, options, req.user.id)
+      : await propertyService.getProperties(filters, options, req.user.id);
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getProperties');
+  }
+};
+
+/**
+ * Ranked full-text search with facet counts and cursor pagination
+ */
+const searchProperties = async (req, res) => {
+  try {
+    const { options, filters, errors } = parseQuery(req.query, SEARCH_OPTION_KEYS, 'query.propertySearch');
+
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const { q, ...searchOptions } = options;
+    const result = await propertyService.fullTextSearch(q, filters, searchOptions, req.user.id);
+
+    res.json({
+      success: true,
+      data: result.data,
+      facets: result.facets,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleError(req, res, error, 'searchProperties');
+  }
+};
+
+/**
+ * Get a specific property by ID
+ */
+const getPropertyById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const property = await propertyService.getPropertyById(id, req.user.id, {
+      includeAnalytics: req.query.includeAnalytics === 'true'
+    });
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getPropertyById');
+  }
+};
+
+/**
+ * Update a property
+ */
+const updateProperty = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = propertyService.mapPropertyInput(req.body);
+
+    const property = await propertyService.updateProperty(id, updateData, req.user.id);
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: property,
+      message: 'Property updated successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'updateProperty');
+  }
+};
+
+/**
+ * Delete a property. Moves it to the trash unless ?permanent=true.
+ */
+const deleteProperty = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const permanent = req.query.permanent === 'true';
+    const result = await propertyService.deleteProperty(id, req.user.id, { permanent });
+
+    if (!result) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: permanent ? null : { purgeAfter: result.purgeAfter },
+      message: permanent
+        ? `Property ${id} permanently deleted`
+        : `Property ${id} moved to trash and can be restored until ${result.purgeAfter}`
+    });
+  } catch (error) {
+    handleError(req, res, error, 'deleteProperty');
+  }
+};
+
+/**
+ * Archive a property
+ */
+const archiveProperty = async (req, res) => {
+  try {
+    const property = await propertyService.archiveProperty(req.params.id, req.user.id);
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: property,
+      message: 'Property archived successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'archiveProperty');
+  }
+};
+
+/**
+ * Restore a deleted or archived property
+ */
+const restoreProperty = async (req, res) => {
+  try {
+    const property = await propertyService.restoreProperty(req.params.id, req.user.id);
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: property,
+      message: 'Property restored successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'restoreProperty');
+  }
+};
+
+/**
+ * Current listing status, allowed next statuses and transition history
+ */
+const getListingStatus = async (req, res) => {
+  try {
+    const status = await propertyService.getListingStatus(req.params.id, req.user.id);
+
+    if (!status) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getListingStatus');
+  }
+};
+
+/**
+ * Move a property to another listing status
+ */
+const changeListingStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const property = await propertyService.transitionListingStatus(req.params.id, req.user.id, status, { reason });
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: property,
+      message: `Listing status changed to ${property.listing_status}`
+    });
+  } catch (error) {
+    handleError(req, res, error, 'changeListingStatus');
+  }
+};
+
+/**
+ * List existing listings that look like duplicates of this one
+ */
+const getPropertyDuplicates = async (req, res) => {
+  try {
+    const matches = await propertyDuplicateService.findDuplicatesForProperty(req.params.id, req.user.id);
+
+    if (!matches) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: matches
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getPropertyDuplicates');
+  }
+};
+
+/**
+ * Merge a duplicate listing into this one
+ */
+const mergeProperty = async (req, res) => {
+  try {
+    const { sourceId, fields } = req.body;
+    const result = await propertyDuplicateService.mergeProperties(req.params.id, sourceId, req.user.id, { fields });
+
+    if (!result) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Properties merged successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'mergeProperty');
+  }
+};
+
+/**
+ * List revisions for a property, newest first
+ */
+const getPropertyRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { field, ...paginationInput } = req.query;
+    const pagination = validationService.validate(paginationInput, 'query.pagination');
+
+    if (!pagination.isValid) {
+      return sendValidationError(res, pagination.errors);
+    }
+
+    const property = await propertyService.getPropertyById(id, req.user.id, {
+      includeImages: false,
+      includeSocialPosts: false
+    });
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    const result = await propertyService.getPropertyRevisions(id, req.user.id, {
+      ...pagination.data,
+      field
+    });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getPropertyRevisions');
+  }
+};
+
+/**
+ * Restore a property to a previous revision
+ */
+const restorePropertyRevision = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    const property = await propertyService.restorePropertyRevision(id, revisionId, req.user.id);
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: property,
+      message: `Property restored to revision ${revisionId}`
+    });
+  } catch (error) {
+    handleError(req, res, error, 'restorePropertyRevision');
+  }
+};
+
+/**
+ * Get the price change history for a property
+ */
+const getPriceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const property = await propertyService.getPropertyById(id, req.user.id, {
+      includeImages: false,
+      includeSocialPosts: false
+    });
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    const history = await propertyService.getPriceHistory(id, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        currentPrice: property.price,
+        latestChange: history[0] || null,
+        history
+      }
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getPriceHistory');
+  }
+};
+
+/**
+ * Bulk import properties from a CSV file or RESO Data Dictionary JSON export.
+ * Accepts a multipart "file" upload, or a JSON body (RESO array / OData payload).
+ */
+const importProperties = async (req, res) => {
+  try {
+    const options = { ...req.query, ...(req.file ? req.body : {}) };
+    let content;
+    let format = options.format;
+
+    if (req.file) {
+      content = req.file.buffer;
+      if (!format) {
+        const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname);
+        format = isJson ? 'reso' : 'csv';
+      }
+    } else if (req.body && (Array.isArray(req.body) || Array.isArray(req.body.value))) {
+      content = JSON.stringify(req.body);
+      format = format || 'reso';
+    } else {
+      return sendValidationError(res, [{ field: 'file', message: 'No import file provided' }]);
+    }
+
+    const report = await propertyImportService.importProperties(content, req.user.id, {
+      format,
+      dryRun: options.dryRun === 'true' || options.dryRun === true,
+      enrichWithExternalData: options.enrichWithExternalData === 'true',
+      triggerWorkflows: options.triggerWorkflows === 'true'
+    });
+
+    res.status(report.created.length > 0 ? 201 : 200).json({
+      success: true,
+      data: report,
+      message: report.dryRun
+        ? `Dry run: ${report.validRows} of ${report.totalRows} rows are valid`
+        : `Imported ${report.created.length} of ${report.totalRows} rows`
+    });
+  } catch (error) {
+    handleError(req, res, error, 'importProperties');
+  }
+};
+
+/**
+ * Download the agent's listings as CSV, RESO JSON or syndication XML
+ */
+const exportProperties = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const listingStatuses = req.query.status
+      ? req.query.status.split(',').map(status => status.trim()).filter(Boolean)
+      : undefined;
+
+    const result = await propertyExportService.exportProperties(req.user.id, format, { listingStatuses });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="listings-${date}.${result.extension}"`);
+    res.send(result.body);
+  } catch (error) {
+    handleError(req, res, error, 'exportProperties');
+  }
+};
+
+/**
+ * Get the agent's syndication feed URLs
+ */
+const getPropertyFeed = async (req, res) => {
+  try {
+    const feed = await propertyExportService.getFeed(req.user.id);
+
+    res.json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getPropertyFeed');
+  }
+};
+
+/**
+ * Issue a new feed token; previously shared feed URLs stop working
+ */
+const rotatePropertyFeed = async (req, res) => {
+  try {
+    const feed = await propertyExportService.rotateFeedToken(req.user.id);
+
+    res.json({
+      success: true,
+      data: feed,
+      message: 'Feed token rotated successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'rotatePropertyFeed');
+  }
+};
+
+/**
+ * Public listing feed consumed by portals (authenticated by feed token)
+ */
+const getPublicPropertyFeed = async (req, res) => {
+  try {
+    const format = FEED_FORMATS[req.params.format];
+    if (!format) {
+      return sendNotFound(res, 'PROPERTY_FEED_NOT_FOUND');
+    }
+
+    const result = await propertyExportService.getFeedByToken(req.params.feedToken, format);
+
+    res.set('Content-Type', result.contentType);
+    res.set('Cache-Control', 'public, max-age=900');
+    res.send(result.body);
+  } catch (error) {
+    handleError(req, res, error, 'getPublicPropertyFeed');
+  }
+};
+
+/**
+ * List upcoming availability windows for a property
+ */
+const getViewingAvailability = async (req, res) => {
+  try {
+    const windows = await viewingService.listAvailability(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: windows
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getViewingAvailability');
+  }
+};
+
+/**
+ * Publish an availability window that visitors can book slots in
+ */
+const addViewingAvailability = async (req, res) => {
+  try {
+    const window = await viewingService.addAvailability(req.params.id, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: window,
+      message: 'Availability added successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'addViewingAvailability');
+  }
+};
+
+/**
+ * Remove an availability window
+ */
+const removeViewingAvailability = async (req, res) => {
+  try {
+    await viewingService.removeAvailability(req.params.id, req.params.windowId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Availability removed successfully'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'removeViewingAvailability');
+  }
+};
 
 /**
- * Create a new property
+ * List open houses for a property with registration counts
  */
-const createProperty = async (req, res) => {
+const getOpenHouses = async (req, res) => {
+  try {
+    const openHouses = await viewingService.listOpenHouses(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: openHouses
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getOpenHouses');
+  }
+};
+
+/**
+ * Schedule an open house
+ */
+const createOpenHouse = async (req, res) => {
   try {
+    const openHouse = await viewingService.createOpenHouse(req.params.id, req.user.id, req.body);
+
     res.status(201).json({
       success: true,
-      data: {
-        id: 'test-property-123',
-        title: 'Test Property',
-        address: '123 Test Street',
-        price: 500000,
-        agent_id: req.user?.id || 'test-agent'
-      },
-      message: 'Property created successfully (mock)'
+      data: openHouse,
+      message: 'Open house scheduled successfully'
     });
   } catch (error) {
-    console.error('Error creating property:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'createOpenHouse');
   }
 };
 
 /**
- * Get all properties for the authenticated agent
+ * Cancel an open house and its registrations
  */
-const getProperties = async (req, res) => {
+const cancelOpenHouse = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    
-    res.json({
-      success: true,
-      data: [
-        {
-          id: 'test-property-1',
-          title: 'Beautiful Family Home',
-          address: '123 Main Street',
-          price: 450000,
-          property_type: 'house'
-        },
-        {
-          id: 'test-property-2',
-          title: 'Modern Apartment',
-          address: '456 Oak Avenue',
-          price: 320000,
-          property_type: 'apartment'
-        }
-      ],
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: 2,
-        totalPages: 1
-      }
+    const openHouse = await viewingService.cancelOpenHouse(req.params.id, req.params.openHouseId, req.user.id);
+
+    res.json({
+      success: true,
+      data: openHouse,
+      message: 'Open house cancelled successfully'
     });
   } catch (error) {
-    console.error('Error fetching properties:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'cancelOpenHouse');
   }
 };
 
 /**
- * Get a specific property by ID
+ * List booked viewings for a property
  */
-const getPropertyById = async (req, res) => {
+const getPropertyViewings = async (req, res) => {
   try {
-    const { id } = req.params;
-    
+    const { status, ...range } = req.query;
+    const rangeResult = validationService.validate(range, 'query.viewingSlots');
+
+    if (!rangeResult.isValid) {
+      return sendValidationError(res, rangeResult.errors);
+    }
+
+    const viewings = await viewingService.listViewings(req.params.id, req.user.id, {
+      ...rangeResult.data,
+      status
+    });
+
     res.json({
       success: true,
-      data: {
-        id,
-        title: 'Test Property Details',
-        address: '123 Test Street',
-        price: 500000,
-        property_type: 'house',
-        bedrooms: 3,
-        bathrooms: 2,
-        square_feet: 1800
-      }
+      data: viewings
     });
   } catch (error) {
-    console.error('Error fetching property:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'getPropertyViewings');
   }
 };
 
 /**
- * Update a property
+ * Cancel a booked viewing
  */
-const updateProperty = async (req, res) => {
+const cancelPropertyViewing = async (req, res) => {
   try {
-    const { id } = req.params;
-    
+    const viewing = await viewingService.cancelViewing(
+      req.params.id,
+      req.params.viewingId,
+      req.user.id,
+      req.body.reason
+    );
+
     res.json({
       success: true,
-      data: {
-        id,
-        ...req.body,
-        updated_at: new Date().toISOString()
-      },
-      message: 'Property updated successfully (mock)'
+      data: viewing,
+      message: 'Viewing cancelled successfully'
     });
   } catch (error) {
-    console.error('Error updating property:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'cancelPropertyViewing');
   }
 };
 
 /**
- * Delete a property
+ * Public: open viewing slots and open houses for a listing
  */
-const deleteProperty = async (req, res) => {
+const getViewingSlots = async (req, res) => {
   try {
-    const { id } = req.params;
-    
+    const range = validationService.validate(req.query, 'query.viewingSlots');
+
+    if (!range.isValid) {
+      return sendValidationError(res, range.errors);
+    }
+
+    const availability = await viewingService.getAvailableSlots(req.params.id, range.data);
+
     res.json({
       success: true,
-      message: `Property ${id} deleted successfully (mock)`
+      data: availability
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getViewingSlots');
+  }
+};
+
+/**
+ * Public: book a viewing slot or register for an open house
+ */
+const bookViewing = async (req, res) => {
+  try {
+    const viewing = await viewingService.bookViewing(req.params.id, req.body, {
+      source: viewingService.sources.API
+    });
+
+    res.status(201).json({
+      success: true,
+      data: viewing,
+      message: viewing.confirmationSent
+        ? 'Viewing booked; a confirmation has been sent by email'
+        : 'Viewing booked'
     });
   } catch (error) {
-    console.error('Error deleting property:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'bookViewing');
   }
 };
 
+// Outcome of a listing read from an uploaded document
+const DOCUMENT_MESSAGES = {
+  completed: 'Property created from document',
+  manual_required: 'Not enough listing details were found; a manual completion link has been emailed',
+  failed: 'The listing details in the document could not be saved'
+};
+
 /**
- * Scrape property data from URL
+ * Create a listing from a URL (scraped in the background), or from pasted
+ * HTML or an uploaded PDF brochure or saved page (read straight away)
  */
 const scrapePropertyFromUrl = async (req, res) => {
   try {
-    const { url } = req.body;
-    
+    const { url, html } = req.body;
+    const options = { allowDuplicate: req.query.allowDuplicate === 'true' };
+
+    if (req.file || html) {
+      const document = req.file
+        ? { buffer: req.file.buffer, fileName: req.file.originalname, url }
+        : { html, url };
+      const job = await scrapingService.scrapeDocument(document, req.user.id, options);
+
+      return res.status(job.status === 'failed' ? 422 : 201).json({
+        success: job.status !== 'failed',
+        data: job,
+        message: DOCUMENT_MESSAGES[job.status]
+      });
+    }
+
     if (!url) {
       return res.status(400).json({
-        error: 'URL is required'
+        error: 'A URL, page HTML or PDF brochure is required'
       });
     }
-    
-    res.json({
+
+    const job = await scrapingService.scrapePropertyData(url, req.user.id, options);
+
+    res.status(202).json({
       success: true,
       data: {
-        jobId: 'mock-job-123',
-        status: 'processing',
-        message: 'Property scraping started (mock)'
+        jobId: job.id,
+        propertyId: job.propertyId,
+        status: job.status,
+        message: 'Property scraping queued'
       }
     });
   } catch (error) {
-    console.error('Error starting property scraping:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'scrapePropertyFromUrl');
+  }
+};
+
+/**
+ * Get the status of a scrape job
+ */
+const getScrapeJob = async (req, res) => {
+  try {
+    const job = await scrapingService.getScrapeJob(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return sendNotFound(res, 'SCRAPE_JOB_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getScrapeJob');
+  }
+};
+
+/**
+ * Changes found on the listing's source page by the periodic re-scrape
+ */
+const getPropertyChanges = async (req, res) => {
+  try {
+    const changes = await listingSyncService.getChangeEvents(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: changes
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getPropertyChanges');
+  }
+};
+
+/**
+ * Re-scrape the listing's source page now instead of waiting for the schedule
+ */
+const syncProperty = async (req, res) => {
+  try {
+    const job = await listingSyncService.requestSync(req.params.id, req.user.id);
+
+    if (!job) {
+      return sendNotFound(res);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: 'Listing sync queued'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'syncProperty');
+  }
+};
+
+/**
+ * Email the agent a new manual completion link for a job that fell back to the form
+ */
+const resendManualEntryLink = async (req, res) => {
+  try {
+    const link = await manualCompletionService.resendLink(req.params.jobId, req.user.id);
+
+    res.json({
+      success: true,
+      data: link,
+      message: 'Manual entry link sent by email'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'resendManualEntryLink');
+  }
+};
+
+/**
+ * Scraped listings with fields waiting for the agent to confirm
+ */
+const getScrapeReviews = async (req, res) => {
+  try {
+    const reviews = await scrapeReviewService.listPending(req.user.id);
+
+    res.json({
+      success: true,
+      data: reviews
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getScrapeReviews');
+  }
+};
+
+/**
+ * The scraped fields held for review on a listing, with their scores
+ */
+const getScrapeReview = async (req, res) => {
+  try {
+    const review = await scrapeReviewService.getPending(req.params.id, req.user.id);
+
+    if (!review) {
+      return sendNotFound(res, 'SCRAPE_REVIEW_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getScrapeReview');
+  }
+};
+
+/**
+ * Confirm or correct the held fields; the listing then goes active
+ */
+const confirmScrapeReview = async (req, res) => {
+  try {
+    const { review, property } = await scrapeReviewService.confirm(req.params.id, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      data: { review, property },
+      message: 'Scraped fields confirmed'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'confirmScrapeReview');
+  }
+};
+
+/**
+ * Generated posts held back by the brand voice check, waiting for the agent
+ */
+const getPostReviews = async (req, res) => {
+  try {
+    const posts = await brandComplianceService.listPending(req.user.id);
+
+    res.json({
+      success: true,
+      data: posts
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getPostReviews');
+  }
+};
+
+/**
+ * Approve a held post (it is released to its campaign) or reject it
+ */
+const decidePostReview = async (req, res) => {
+  try {
+    const post = await brandComplianceService.decide(req.params.postId, req.user.id, req.body.decision);
+
+    res.json({
+      success: true,
+      data: post,
+      message: req.body.decision === 'approve' ? 'Post approved' : 'Post rejected'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'decidePostReview');
+  }
+};
+
+/**
+ * Public (signed link): the manual completion form, pre-filled with scraped data
+ */
+const getManualEntryForm = async (req, res) => {
+  try {
+    const form = await manualCompletionService.getForm(req.params.token);
+
+    res.json({
+      success: true,
+      data: form
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getManualEntryForm');
+  }
+};
+
+/**
+ * Public (signed link): submit the manual completion form
+ */
+const submitManualEntry = async (req, res) => {
+  try {
+    const result = await manualCompletionService.submit(req.params.token, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.duplicateOf
+        ? 'Listing saved as a draft; it looks like a duplicate of an existing listing'
+        : 'Listing completed'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'submitManualEntry');
   }
 };
 
 /**
- * Generate AI content for property
+ * Start AI content generation for a property; progress is polled on the job
  */
 const generatePropertyContent = async (req, res) => {
   try {
-    const { id } = req.params;
-    
+    const property = await propertyService.getPropertyById(req.params.id, req.user.id, {
+      includeSocialPosts: false
+    });
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    const job = await aiService.generatePropertyContent(property, req.body.contentTypes, {
+      languages: req.body.languages
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: 'Content generation started'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'generatePropertyContent');
+  }
+};
+
+/**
+ * Content generation jobs for a property, newest first
+ */
+const getContentJobs = async (req, res) => {
+  try {
+    const jobs = await contentJobService.listJobs(req.params.id, req.user.id);
+
     res.json({
       success: true,
-      data: {
-        propertyId: id,
-        generatedContent: {
-          description: 'Beautiful property with modern amenities...',
-          marketingCopy: 'Don\'t miss this opportunity...',
-          socialMediaPosts: [
-            'Check out this amazing property! #RealEstate',
-            'New listing alert! Beautiful home available now.'
-          ]
-        },
-        status: 'completed'
-      },
-      message: 'Content generated successfully (mock)'
+      data: jobs.map(job => contentJobService.formatJob(job))
+    });
+  } catch (error) {
+    handleError(req, res, error, 'getContentJobs');
+  }
+};
+
+/**
+ * Progress and results of a content generation job
+ */
+const getContentJob = async (req, res) => {
+  try {
+    const job = await contentJobService.getJob(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return sendNotFound(res, 'CONTENT_JOB_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: contentJobService.formatJob(job)
     });
   } catch (error) {
-    console.error('Error generating property content:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'getContentJob');
+  }
+};
+
+/**
+ * Stop a running content generation job; what it has generated is kept
+ */
+const cancelContentJob = async (req, res) => {
+  try {
+    const job = await contentJobService.requestCancel(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return sendNotFound(res, 'CONTENT_JOB_NOT_FOUND');
+    }
+
+    res.status(202).json({
+      success: true,
+      data: contentJobService.formatJob(job),
+      message: 'Content generation will stop after the current step'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'cancelContentJob');
   }
 };
 
@@ -187,48 +1142,57 @@ const generatePropertyContent = async (req, res) => {
 const getPropertyImages = async (req, res) => {
   try {
     const { id } = req.params;
-    
+    const images = await propertyService.getPropertyImages(id, req.user.id);
+
     res.json({
       success: true,
-      data: [
-        {
-          id: 'img-1',
-          url: '/api/placeholder/property-1.jpg',
-          alt_text: 'Front view of property',
-          is_primary: true
-        },
-        {
-          id: 'img-2',
-          url: '/api/placeholder/property-2.jpg',
-          alt_text: 'Interior view',
-          is_primary: false
-        }
-      ]
+      data: images
     });
   } catch (error) {
-    console.error('Error fetching property images:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'getPropertyImages');
   }
 };
 
 /**
- * Upload property image
+ * Upload property images
  */
 const uploadPropertyImage = async (req, res) => {
   try {
     const { id } = req.params;
-    
-    res.json({
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return sendValidationError(res, [{ field: 'images', message: 'No files provided' }]);
+    }
+
+    const property = await propertyService.getPropertyById(id, req.user.id, {
+      includeImages: true,
+      includeSocialPosts: false
+    });
+
+    if (!property) {
+      return sendNotFound(res);
+    }
+
+    const existingCount = property.property_images?.length || 0;
+    const uploadedImages = [];
+
+    for (const [index, file] of files.entries()) {
+      const image = await storageService.uploadPropertyImage(id, req.user.id, file, {
+        isPrimary: existingCount === 0 && index === 0,
+        altText: req.body.altText,
+        displayOrder: existingCount + index
+      });
+      uploadedImages.push(image);
+    }
+
+    res.status(201).json({
       success: true,
-      data: {
-        propertyId: id,
-        uploadedImages: req.files?.length || 0,
-        message: 'Images uploaded successfully (mock)'
-      }
+      data: uploadedImages,
+      message: `${uploadedImages.length} image(s) uploaded successfully`
     });
   } catch (error) {
-    console.error('Error uploading property image:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'uploadPropertyImage');
   }
 };
 
@@ -238,26 +1202,69 @@ const uploadPropertyImage = async (req, res) => {
 const deletePropertyImage = async (req, res) => {
   try {
     const { id, imageId } = req.params;
-    
+    const image = await propertyService.deletePropertyImage(id, imageId, req.user.id);
+
+    if (!image) {
+      return sendNotFound(res, 'PROPERTY_IMAGE_NOT_FOUND');
+    }
+
     res.json({
       success: true,
-      message: `Image ${imageId} deleted from property ${id} (mock)`
+      message: `Image ${imageId} deleted from property ${id}`
     });
   } catch (error) {
-    console.error('Error deleting property image:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(req, res, error, 'deletePropertyImage');
   }
 };
 
 module.exports = {
   createProperty,
   getProperties,
+  searchProperties,
   getPropertyById,
   updateProperty,
   deleteProperty,
+  archiveProperty,
+  restoreProperty,
+  getListingStatus,
+  changeListingStatus,
+  getPropertyDuplicates,
+  mergeProperty,
+  getPropertyRevisions,
+  restorePropertyRevision,
+  getPriceHistory,
+  importProperties,
+  exportProperties,
+  getPropertyFeed,
+  rotatePropertyFeed,
+  getPublicPropertyFeed,
+  getViewingAvailability,
+  addViewingAvailability,
+  removeViewingAvailability,
+  getOpenHouses,
+  createOpenHouse,
+  cancelOpenHouse,
+  getPropertyViewings,
+  cancelPropertyViewing,
+  getViewingSlots,
+  bookViewing,
   scrapePropertyFromUrl,
+  getScrapeJob,
+  resendManualEntryLink,
+  getScrapeReviews,
+  getScrapeReview,
+  confirmScrapeReview,
+  getPostReviews,
+  decidePostReview,
+  getPropertyChanges,
+  syncProperty,
+  getManualEntryForm,
+  submitManualEntry,
   generatePropertyContent,
+  getContentJobs,
+  getContentJob,
+  cancelContentJob,
   getPropertyImages,
   uploadPropertyImage,
   deletePropertyImage
-};
\ No newline at end of file
+};
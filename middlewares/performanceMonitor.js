@@ -31,6 +31,15 @@ class PerformanceMonitor {
         total: 0,
         rate: 0,
         lastError: null
+      },
+      // Snapshot pushed by the headless browser pool
+      browserPool: {
+        browsers: 0,
+        activePages: 0,
+        queued: 0,
+        launches: 0,
+        crashes: 0,
+        averageWaitTime: 0
       }
     };
     
@@ -223,6 +232,7 @@ class PerformanceMonitor {
     console.log(`💾 Memory: ${(metrics.system.memoryUsage / 1024 / 1024).toFixed(2)}MB used`);
     console.log(`🖥️  CPU: ${metrics.system.cpuUsage}%`);
     console.log(`📈 Server Load: ${metrics.serverLoad}`);
+    console.log(`🌐 Browser Pool: ${metrics.browserPool.activePages} active pages, ${metrics.browserPool.queued} queued, ${metrics.browserPool.crashes} crashes`);
     console.log(`❤️  Health: ${metrics.healthStatus.status} (Score: ${metrics.healthStatus.score.toFixed(1)})`);
     
     if (metrics.healthStatus.issues.length > 0) {
@@ -255,6 +265,11 @@ class PerformanceMonitor {
     this.metrics.database.activeConnections = stats.activeConnections || 0;
   }
 
+  // Headless browser pool tracking
+  updateBrowserPoolStats(stats) {
+    this.metrics.browserPool = { ...stats };
+  }
+
   // Alert system for critical issues
   checkAlerts() {
     const alerts = [];
@@ -288,6 +303,15 @@ class PerformanceMonitor {
       });
     }
     
+    // Browser pool alert
+    if (metrics.browserPool.queued > 0 && metrics.browserPool.averageWaitTime > 30000) {
+      alerts.push({
+        type: 'warning',
+        message: `Browser pool saturated: ${metrics.browserPool.queued} tasks queued, average wait ${metrics.browserPool.averageWaitTime}ms`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     // Error rate alert
     const errorRate = metrics.requests.total > 0 
       ? (metrics.requests.failed / metrics.requests.total) * 100 
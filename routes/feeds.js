@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getPublicPropertyFeed } = require('../controller/propertyController');
+
+// Listing syndication feeds are public; the feed token identifies the agent
+router.get('/:feedToken/listings.:format', getPublicPropertyFeed);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getManualEntryForm, submitManualEntry } = require('../controller/propertyController');
+const validationService = require('../services/validation/validationService');
+
+const validateManualEntry = validationService.validateMiddleware('property.manualEntry');
+
+// Opened from the emailed link; the signed token stands in for a login
+router.get('/:token', getManualEntryForm);
+router.post('/:token', validateManualEntry, submitManualEntry);
+
+module.exports = router;
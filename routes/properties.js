@@ -1,19 +1,93 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const {
   createProperty,
   getProperties,
+  searchProperties,
   getPropertyById,
   updateProperty,
   deleteProperty,
+  archiveProperty,
+  restoreProperty,
+  getListingStatus,
+  changeListingStatus,
+  getPropertyDuplicates,
+  mergeProperty,
+  getPropertyRevisions,
+  restorePropertyRevision,
+  getPriceHistory,
+  importProperties,
+  exportProperties,
+  getPropertyFeed,
+  rotatePropertyFeed,
+  getViewingAvailability,
+  addViewingAvailability,
+  removeViewingAvailability,
+  getOpenHouses,
+  createOpenHouse,
+  cancelOpenHouse,
+  getPropertyViewings,
+  cancelPropertyViewing,
   scrapePropertyFromUrl,
+  getScrapeJob,
+  resendManualEntryLink,
+  getScrapeReviews,
+  getScrapeReview,
+  confirmScrapeReview,
+  getPostReviews,
+  decidePostReview,
+  getPropertyChanges,
+  syncProperty,
   generatePropertyContent,
+  getContentJobs,
+  getContentJob,
+  cancelContentJob,
   getPropertyImages,
   uploadPropertyImage,
   deletePropertyImage
 } = require('../controller/propertyController');
 const verifyAuth = require('../middlewares/authMiddleware');
-// Simplified for testing - removed validation and upload middleware
+const validationService = require('../services/validation/validationService');
+
+const validateProperty = validationService.validateMiddleware('property.create');
+const validatePropertyUpdate = validationService.validateMiddleware('property.update');
+const validateStatusChange = validationService.validateMiddleware('property.statusChange');
+const validateMerge = validationService.validateMiddleware('property.merge');
+const validateAvailability = validationService.validateMiddleware('viewing.availability');
+const validateOpenHouse = validationService.validateMiddleware('viewing.openHouse');
+const validateViewingCancel = validationService.validateMiddleware('viewing.cancel');
+const validateScrapeRequest = validationService.validateMiddleware('property.scrapeRequest');
+const validateScrapeReview = validationService.validateMiddleware('property.scrapeReview');
+const validateGenerateContent = validationService.validateMiddleware('property.generateContent');
+const validatePostReview = validationService.validateMiddleware('property.postReview');
+
+// Images are kept in memory and handed to StorageService for resizing/upload
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
+    files: 10
+  }
+});
+
+// Bulk import files (CSV or RESO JSON) are parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 1
+  }
+});
+
+// Brochures (PDF) and saved listing pages sent to the scraper instead of a URL
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024,
+    files: 1
+  }
+});
 
 // All property routes require authentication
 router.use(verifyAuth);
@@ -21,15 +95,63 @@ router.use(verifyAuth);
 // Property CRUD operations
 router.post('/', validateProperty, createProperty);
 router.get('/', getProperties);
+router.get('/search', searchProperties);
+router.get('/export', exportProperties);
+router.get('/feed', getPropertyFeed);
+router.post('/feed/rotate', rotatePropertyFeed);
+router.get('/scrape/:jobId', getScrapeJob);
+router.get('/reviews', getScrapeReviews);
+router.get('/post-reviews', getPostReviews);
+router.post('/post-reviews/:postId', validatePostReview, decidePostReview);
+router.get('/content-jobs/:jobId', getContentJob);
+router.post('/content-jobs/:jobId/cancel', cancelContentJob);
 router.get('/:id', getPropertyById);
 router.put('/:id', validatePropertyUpdate, updateProperty);
 router.delete('/:id', deleteProperty);
 
+// Archive and trash
+router.post('/:id/archive', archiveProperty);
+router.post('/:id/restore', restoreProperty);
+
+// Listing status lifecycle
+router.get('/:id/status', getListingStatus);
+router.post('/:id/status', validateStatusChange, changeListingStatus);
+
+// Duplicate listings
+router.get('/:id/duplicates', getPropertyDuplicates);
+router.post('/:id/merge', validateMerge, mergeProperty);
+
+// Viewing scheduler
+router.get('/:id/availability', getViewingAvailability);
+router.post('/:id/availability', validateAvailability, addViewingAvailability);
+router.delete('/:id/availability/:windowId', removeViewingAvailability);
+router.get('/:id/open-houses', getOpenHouses);
+router.post('/:id/open-houses', validateOpenHouse, createOpenHouse);
+router.post('/:id/open-houses/:openHouseId/cancel', cancelOpenHouse);
+router.get('/:id/viewings', getPropertyViewings);
+router.post('/:id/viewings/:viewingId/cancel', validateViewingCancel, cancelPropertyViewing);
+
+// Revision history
+router.get('/:id/revisions', getPropertyRevisions);
+router.post('/:id/revisions/:revisionId/restore', restorePropertyRevision);
+router.get('/:id/price-history', getPriceHistory);
+
 // Property data ingestion
-router.post('/scrape', scrapePropertyFromUrl);
+router.post('/import', importUpload.single('file'), importProperties);
+router.post('/scrape', documentUpload.single('file'), validateScrapeRequest, scrapePropertyFromUrl);
+router.post('/scrape/:jobId/manual-link', resendManualEntryLink);
+
+// Review of doubtful scraped fields before the listing goes active
+router.get('/:id/review', getScrapeReview);
+router.post('/:id/review', validateScrapeReview, confirmScrapeReview);
+
+// Source listing sync
+router.get('/:id/changes', getPropertyChanges);
+router.post('/:id/sync', syncProperty);
 
 // AI content generation
-router.post('/:id/generate-content', generatePropertyContent);
+router.post('/:id/generate-content', validateGenerateContent, generatePropertyContent);
+router.get('/:id/content-jobs', getContentJobs);
 
 // Property image management
 router.get('/:id/images', getPropertyImages);
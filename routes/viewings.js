@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getViewingSlots, bookViewing } = require('../controller/propertyController');
+const validationService = require('../services/validation/validationService');
+
+const validateBooking = validationService.validateMiddleware('viewing.booking');
+
+// Visitors browse and book viewings without an account
+router.get('/properties/:id/slots', getViewingSlots);
+router.post('/properties/:id/bookings', validateBooking, bookViewing);
+
+module.exports = router;
@@ -12,6 +12,14 @@ const authRoutes = require('./routes/auth');
 // Gradually adding back routes
 const profileRoutes = require('./routes/profile');
 const propertyRoutes = require('./routes/properties');
+const feedRoutes = require('./routes/feeds');
+const viewingRoutes = require('./routes/viewings');
+const manualEntryRoutes = require('./routes/manualEntry');
+const propertyService = require('./services/property/propertyService');
+const scrapingService = require('./services/scraping/scrapingService');
+const listingSyncService = require('./services/scraping/listingSyncService');
+const browserPoolService = require('./services/browser/browserPoolService');
+const contentJobService = require('./services/ai/contentJobService');
 // const brandRoutes = require('./routes/brands');
 // const socialRoutes = require('./routes/social');
 // const chatRoutes = require('./routes/chat');
@@ -231,6 +239,9 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       properties: '/api/properties',
+      feeds: '/api/feeds',
+      viewings: '/api/viewings',
+      manualEntry: '/api/manual-entry',
       profile: '/api/profile',
       brands: '/api/brands',
       social: '/api/social',
@@ -261,6 +272,9 @@ app.use('/api/auth', authRoutes);
 // Gradually adding back routes
 app.use('/api/profile', profileRoutes);
 app.use('/api/properties', propertyRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/viewings', viewingRoutes);
+app.use('/api/manual-entry', manualEntryRoutes);
 // app.use('/api/brands', brandRoutes);
 // app.use('/api/social', socialRoutes);
 // app.use('/api/chat', chatRoutes);
@@ -344,6 +358,8 @@ const gracefulShutdown = async (signal) => {
         cleanupPromises.push(performanceMonitor.shutdown());
       }
       
+      cleanupPromises.push(browserPoolService.shutdown());
+      
       if (cleanupPromises.length > 0) {
         await Promise.all(cleanupPromises);
       }
@@ -384,6 +400,18 @@ const server = app.listen(PORT, () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`⏰ Started at: ${new Date().toISOString()}`);
+
+  // Purge deleted listings once their retention window has passed
+  propertyService.startPurgeSchedule();
+
+  // Work through queued scrape jobs
+  scrapingService.startQueue();
+
+  // Re-scrape listings on the market to pick up price and status changes
+  listingSyncService.startSchedule();
+
+  // Close content jobs left running when the server last stopped
+  contentJobService.failStaleJobs();
 });
 
 // Handle server errors
@@ -1,17 +1,21 @@
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../../config/config');
 const propertyService = require('../property/propertyService');
 const brandService = require('../brand/brandService');
-const socialMediaService = require('../social/socialMediaService');
+const errorService = require('../error/errorService');
+const llmClient = require('./llmClient');
+const promptRegistry = require('./promptRegistry');
+const contentJobService = require('./contentJobService');
+const brandComplianceService = require('../brand/brandComplianceService');
+const { DEFAULT_LANGUAGE, LANGUAGE_CODES } = require('./languages');
 
 const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
 
 class AIService {
   constructor() {
-    this.claudeApiKey = process.env.CLAUDE_API_KEY;
-    this.replicateApiKey = process.env.REPLICATE_API_KEY;
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
+    this.replicateApiKey = config.ai.replicate.apiKey;
     
     // AI Image Restyling Megaprompts
     this.stylePrompts = {
@@ -47,36 +51,64 @@ class AIService {
       'Seasonal Market Trends',
       'Agent Insights Week'
     ];
+
+    // Content a generation job can produce (see generatePropertyContent)
+    this.contentTypes = ['description', 'images', 'social_posts'];
   }
 
   /**
-   * Main content generation orchestrator
+   * Main content generation orchestrator. Starts a content job (see
+   * ContentJobService) and generates in the background; poll the job for
+   * progress and results.
+   * @param {Object} property - Property
+   * @param {Array} contentTypes - Any of this.contentTypes
+   * @param {Object} options - languages: codes to write the description and
+   *   social posts in (see ./languages.js), English only by default
+   * @returns {Object} The job, formatted for the API
    */
-  async generatePropertyContent(property, contentTypes) {
-    const jobId = this.generateJobId();
-    
+  async generatePropertyContent(property, contentTypes = this.contentTypes, { languages = [DEFAULT_LANGUAGE] } = {}) {
+    const unsupported = contentTypes.filter(type => !this.contentTypes.includes(type));
+    if (unsupported.length > 0 || contentTypes.length === 0) {
+      throw errorService.createError('VALIDATION_FAILED', {
+        message: `Content types must be some of: ${this.contentTypes.join(', ')}`,
+        details: { unsupported }
+      });
+    }
+
+    const unsupportedLanguages = languages.filter(language => !LANGUAGE_CODES.includes(language));
+    if (unsupportedLanguages.length > 0 || languages.length === 0) {
+      throw errorService.createError('VALIDATION_FAILED', {
+        message: `Languages must be some of: ${LANGUAGE_CODES.join(', ')}`,
+        details: { unsupported: unsupportedLanguages }
+      });
+    }
+
     try {
+      // Get agent branding
+      const brandAssets = await brandService.resolveBrandAssets(property.agent_id);
+
+      const job = await contentJobService.create({
+        id: uuidv4(),
+        propertyId: property.id,
+        agentId: property.agent_id,
+        contentTypes,
+        languages
+      });
+
       // Update property status
       await propertyService.updateContentGenerationStatus(
         property.id,
         'started',
-        jobId
+        job.id
       );
 
-      // Get agent branding
-      const brandAssets = await brandService.resolveBrandAssets(property.agent_id);
-      
       // Process content generation asynchronously
-      this.processContentGeneration(property, contentTypes, brandAssets, jobId)
+      this.processContentGeneration(property, contentTypes, brandAssets, job.id, languages)
         .catch(error => {
-          console.error(`Content generation job ${jobId} failed:`, error);
+          console.error(`Content generation job ${job.id} failed:`, error);
         });
 
-      return {
-        id: jobId,
-        status: 'started',
-        contentTypes
-      };
+      return contentJobService.formatJob(job);
       
     } catch (error) {
       console.error('Failed to start content generation:', error);
@@ -85,54 +117,71 @@ class AIService {
   }
 
   /**
-   * Process content generation job
+   * Process content generation job, one content type at a time. A type that
+   * fails is recorded and the others still run; a cancelled job stops at the
+   * next check and keeps what it has.
    */
-  async processContentGeneration(property, contentTypes, brandAssets, jobId) {
+  async processContentGeneration(property, contentTypes, brandAssets, jobId, languages = [DEFAULT_LANGUAGE]) {
     try {
-      const results = {};
-      
-      // Generate enhanced description
-      if (contentTypes.includes('description')) {
-        results.description = await this.generatePropertyDescription(property, brandAssets);
-      }
-      
-      // Generate AI-restyled images
-      if (contentTypes.includes('images')) {
-        results.images = await this.generateStyledImages(property);
-      }
-      
-      // Generate social media campaign
-      if (contentTypes.includes('social_posts')) {
-        results.socialCampaign = await this.generateSocialMediaCampaign(property, brandAssets);
-      }
-      
-      // Generate PDF brochure
-      if (contentTypes.includes('pdf')) {
-        results.pdf = await this.generatePDFBrochure(property, brandAssets);
-      }
-      
-      // Generate microsite
-      if (contentTypes.includes('microsite')) {
-        results.microsite = await this.generateMicrosite(property, brandAssets);
-      }
-      
-      // Generate email templates
-      if (contentTypes.includes('email_templates')) {
-        results.emailTemplates = await this.generateEmailTemplates(property, brandAssets);
+      // Surface the latest price change so copy can mention a reduction
+      const [latestPriceChange] = await propertyService.getPriceHistory(property.id).catch(() => []);
+      property = { ...property, latest_price_change: latestPriceChange || null };
+
+      const generators = {
+        description: () => this.generatePropertyDescriptions(property, brandAssets, languages),
+        images: (tracker) => this.generateStyledImages(property, tracker),
+        social_posts: (tracker) => this.generateSocialMediaCampaign(property, brandAssets, { tracker, languages })
+      };
+
+      let cancelled = false;
+
+      for (const type of contentTypes) {
+        if (await contentJobService.isCancelRequested(jobId)) {
+          cancelled = true;
+          break;
+        }
+
+        // Lets a long step report progress and stop early when cancelled
+        const tracker = {
+          stopped: false,
+          progress: (done, total) => contentJobService.reportProgress(jobId, type, done, total),
+          isCancelled: async () => {
+            tracker.stopped = tracker.stopped || await contentJobService.isCancelRequested(jobId);
+            return tracker.stopped;
+          }
+        };
+
+        await contentJobService.startStep(jobId, type);
+
+        try {
+          const output = await generators[type](tracker);
+          const result = this.summarizeContent(type, output);
+
+          if (type === 'description') {
+            await propertyService.updateProperty(property.id, this.descriptionFields(property, output), property.agent_id);
+          }
+
+          if (tracker.stopped) {
+            await contentJobService.stopStep(jobId, type, { cancelled: true, result });
+            cancelled = true;
+            break;
+          }
+          await contentJobService.completeStep(jobId, type, result);
+        } catch (error) {
+          console.error(`Failed to generate ${type} for property ${property.id}:`, error);
+          await contentJobService.stopStep(jobId, type, { error });
+        }
       }
 
-      // Update property with generated content
-      await propertyService.updateProperty(property.id, {
-        description: results.description || property.description,
-        content_generation_status: 'completed',
-        content_generation_completed_at: new Date().toISOString()
-      }, property.agent_id);
+      const job = await contentJobService.finish(jobId, { cancelled });
+      await propertyService.updateContentGenerationStatus(property.id, job.status);
 
-      console.log(`Content generation completed for property ${property.id}`);
+      console.log(`Content generation ${job.status} for property ${property.id}`);
       
     } catch (error) {
       console.error(`Content generation failed for property ${property.id}:`, error);
-      
+
+      await contentJobService.finish(jobId, { error }).catch(() => {});
       await propertyService.updateContentGenerationStatus(
         property.id,
         'failed'
@@ -141,28 +190,57 @@ class AIService {
   }
 
   /**
-   * Generate enhanced property description using Claude
+   * What a content job keeps as the result of a content type
+   */
+  summarizeContent(type, output) {
+    switch (type) {
+      case 'description': {
+        const { [DEFAULT_LANGUAGE]: text = null, ...translations } = output;
+        return { text, translations };
+      }
+      case 'images':
+        return { count: output.length, images: output };
+      case 'social_posts':
+        return { days: output.days, totalPosts: output.posts.length };
+      default:
+        return output;
+    }
+  }
+
+  /**
+   * Generate text with the configured LLM (see LLMClient for routing,
+   * retries and accounting)
+   * @param {string} prompt - Prompt
+   * @param {Object} options - task, provider, model, maxTokens, temperature,
+   *   systemPrompt, json
+   * @returns {string} Generated text
    */
-  async generatePropertyDescription(property, brandAssets) {
+  async generateContent(prompt, options = {}) {
+    const { text } = await this.generateCompletion(prompt, options);
+    return text;
+  }
+
+  /**
+   * As generateContent, with the model and token usage
+   * @returns {Object} { text, provider, model, usage, ... } (see LLMClient.complete)
+   */
+  async generateCompletion(prompt, { systemPrompt, ...options } = {}) {
+    return llmClient.complete({ ...options, prompt, system: systemPrompt });
+  }
+
+  /**
+   * Generate enhanced property description
+   * @param {Object} options - language: code to write it in (English by default)
+   */
+  async generatePropertyDescription(property, brandAssets, { language = DEFAULT_LANGUAGE } = {}) {
     try {
-      const prompt = this.buildDescriptionPrompt(property, brandAssets);
-      
-      const response = await axios.post('https://api.anthropic.com/v1/messages', {
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 1000,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.claudeApiKey}`,
-          'Content-Type': 'application/json',
-          'x-api-key': this.claudeApiKey
-        }
-      });
+      const prompt = await this.buildDescriptionPrompt(property, brandAssets, language);
 
-      return response.data.content[0].text;
+      return await this.generateContent(prompt.text, {
+        task: 'property_description',
+        maxTokens: 1000,
+        metadata: { propertyId: property.id, prompt: prompt.label, language }
+      });
       
     } catch (error) {
       console.error('Failed to generate property description:', error);
@@ -170,10 +248,44 @@ class AIService {
     }
   }
 
+  /**
+   * Generate the description in each language, written for that language
+   * rather than translated from the English copy
+   * @returns {Object} language code -> description
+   */
+  async generatePropertyDescriptions(property, brandAssets, languages = [DEFAULT_LANGUAGE]) {
+    const descriptions = {};
+    for (const language of languages) {
+      descriptions[language] = await this.generatePropertyDescription(property, brandAssets, { language });
+    }
+    return descriptions;
+  }
+
+  /**
+   * Property columns for generated descriptions: English replaces
+   * description, other languages are merged into description_translations
+   * so a run for one language keeps the others
+   */
+  descriptionFields(property, descriptions) {
+    const { [DEFAULT_LANGUAGE]: description, ...translations } = descriptions;
+    const fields = {};
+
+    if (description !== undefined) {
+      fields.description = description;
+    }
+    if (Object.keys(translations).length > 0) {
+      fields.description_translations = { ...(property.description_translations || {}), ...translations };
+    }
+
+    return fields;
+  }
+
   /**
    * Generate AI-restyled images using Replicate Flux models
+   * @param {Object} tracker - Optional { progress(done, total), isCancelled() }
+   *   from a content job; a cancelled job stops before the next photo
    */
-  async generateStyledImages(property) {
+  async generateStyledImages(property, tracker = null) {
     if (!property.property_images || property.property_images.length === 0) {
       return [];
     }
@@ -186,8 +298,16 @@ class AIService {
         .sort((a, b) => a.display_order - b.display_order)
         .slice(0, 5);
 
+      const styles = Object.entries(this.stylePrompts);
+      const total = imagesToProcess.length * styles.length;
+      let done = 0;
+
       for (const image of imagesToProcess) {
-        for (const [styleName, stylePrompt] of Object.entries(this.stylePrompts)) {
+        if (tracker && await tracker.isCancelled()) {
+          break;
+        }
+
+        for (const [styleName, stylePrompt] of styles) {
           try {
             const styledImage = await this.generateStyledImage(image.storage_path, stylePrompt, styleName);
             if (styledImage) {
@@ -201,6 +321,11 @@ class AIService {
           } catch (error) {
             console.error(`Failed to generate ${styleName} style for image ${image.id}:`, error);
           }
+
+          done++;
+          if (tracker) {
+            await tracker.progress(done, total);
+          }
         }
       }
       
@@ -262,18 +387,28 @@ class AIService {
 
   /**
    * Generate 70-day social media campaign
+   * @param {Object} options - tracker: optional { progress(done, total),
+   *   isCancelled() } from a content job; a cancelled job stops before the
+   *   next day and the days already generated are saved. languages: each
+   *   post is written once per language (English only by default)
    */
-  async generateSocialMediaCampaign(property, brandAssets) {
+  async generateSocialMediaCampaign(property, brandAssets, { tracker = null, languages = [DEFAULT_LANGUAGE] } = {}) {
     try {
       const campaign = {
         duration: 70,
-        totalPosts: 210,
-        postsPerDay: 3,
+        totalPosts: 210 * languages.length,
+        postsPerDay: 3 * languages.length,
+        languages,
+        days: 0,
         posts: []
       };
 
       // Generate posts for 70 days
       for (let day = 1; day <= 70; day++) {
+        if (tracker && await tracker.isCancelled()) {
+          break;
+        }
+
         const weekNumber = Math.ceil(day / 7);
         const theme = this.weeklyThemes[(weekNumber - 1) % this.weeklyThemes.length];
         
@@ -287,19 +422,29 @@ class AIService {
             .map(post => post.archetype);
           
           if (!usedArchetypesToday.includes(archetype)) {
-            const post = await this.generateSocialPost(property, brandAssets, theme, archetype, day);
-            campaign.posts.push({
-              day,
-              theme,
-              archetype,
-              ...post
-            });
+            for (const language of languages) {
+              const post = await this.generateSocialPost(property, brandAssets, theme, archetype, day, language);
+              campaign.posts.push({
+                day,
+                theme,
+                archetype,
+                language,
+                ...post
+              });
+            }
           }
         }
+
+        campaign.days = day;
+        if (tracker) {
+          await tracker.progress(day, campaign.duration);
+        }
       }
 
       // Save campaign to database
-      await this.saveSocialCampaign(property.id, campaign);
+      if (campaign.posts.length > 0) {
+        await this.saveSocialCampaign(property.id, campaign);
+      }
       
       return campaign;
       
@@ -310,28 +455,23 @@ class AIService {
   }
 
   /**
-   * Generate individual social media post
+   * Generate individual social media post, checked against the brand voice
+   * (see BrandComplianceService). Campaign posts go to every platform, so no
+   * platform limits apply here.
    */
-  async generateSocialPost(property, brandAssets, theme, archetype, day) {
+  async generateSocialPost(property, brandAssets, theme, archetype, day, language = DEFAULT_LANGUAGE) {
     try {
-      const prompt = this.buildSocialPostPrompt(property, brandAssets, theme, archetype);
+      const prompt = await this.buildSocialPostPrompt(property, brandAssets, theme, archetype, language);
       
-      const response = await axios.post('https://api.anthropic.com/v1/messages', {
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 500,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.claudeApiKey}`,
-          'Content-Type': 'application/json',
-          'x-api-key': this.claudeApiKey
-        }
-      });
-
-      const content = JSON.parse(response.data.content[0].text);
+      const { draft: content, compliance } = await brandComplianceService.enforce(async (feedback) => {
+        const completion = await this.generateCompletion(prompt.text + feedback, {
+          task: 'social_post',
+          maxTokens: 500,
+          json: true,
+          metadata: { propertyId: property.id, prompt: prompt.label, language }
+        });
+        return { ...JSON.parse(completion.text), model: completion.model };
+      }, { brandAssets, language, agentId: property.agent_id });
       
       // Generate visual content for different aspect ratios
       const visuals = await this.generateSocialVisuals(property, content, day);
@@ -341,6 +481,9 @@ class AIService {
         hashtags: content.hashtags,
         hook: content.hook,
         platform_optimized: content.platform_optimized,
+        generation_model: content.model,
+        generation_prompt: prompt.label,
+        compliance,
         visuals
       };
       
@@ -364,64 +507,47 @@ class AIService {
   }
 
   /**
-   * Build prompts for different content types
+   * Build prompts for different content types (see promptRegistry)
+   * @returns {Object} { text, label, ref }
    */
-  buildDescriptionPrompt(property, brandAssets) {
-    return `
-Create a compelling property description for this listing:
-
-Property Details:
-- Address: ${property.address}
-- Price: $${property.price?.toLocaleString()}
-- Bedrooms: ${property.bedrooms}
-- Bathrooms: ${property.bathrooms}
-- Square Feet: ${property.square_feet}
-- Type: ${property.property_type}
-- Features: ${property.features?.join(', ')}
-
-Brand Persona:
-- Tone: ${brandAssets.persona_tone}
-- Style: ${brandAssets.persona_style}
-- Key Phrases: ${brandAssets.persona_key_phrases?.join(', ')}
-- Avoid: ${brandAssets.persona_phrases_to_avoid?.join(', ')}
-
-Write a 150-200 word description that highlights the property's best features while maintaining the brand voice. Focus on lifestyle benefits and emotional appeal.
-`;
+  async buildDescriptionPrompt(property, brandAssets, language = DEFAULT_LANGUAGE) {
+    return promptRegistry.render('property_description', {
+      address: property.address,
+      price: property.price?.toLocaleString(),
+      bedrooms: property.bedrooms,
+      bathrooms: property.bathrooms,
+      square_feet: property.square_feet,
+      property_type: property.property_type,
+      features: property.features?.join(', '),
+      price_change_note: this.buildPriceChangeNote(property),
+      tone: brandAssets.persona_tone,
+      style: brandAssets.persona_style,
+      key_phrases: brandAssets.persona_key_phrases?.join(', '),
+      phrases_to_avoid: brandAssets.persona_phrases_to_avoid?.join(', ')
+    }, { agentId: property.agent_id, language });
   }
 
-  buildSocialPostPrompt(property, brandAssets, theme, archetype) {
-    return `
-Generate a social media post for this property:
-
-Property: ${property.address}
-Weekly Theme: ${theme}
-Content Archetype: ${archetype}
-Brand Voice: ${brandAssets.persona_tone}
-
-Create a JSON response with:
-{
-  "text": "Main post content (150 chars max)",
-  "hook": "Attention-grabbing opening line",
-  "hashtags": ["array", "of", "relevant", "hashtags"],
-  "platform_optimized": {
-    "instagram": "Instagram-specific version",
-    "facebook": "Facebook-specific version",
-    "linkedin": "LinkedIn-specific version",
-    "tiktok": "TikTok-specific version"
+  async buildSocialPostPrompt(property, brandAssets, theme, archetype, language = DEFAULT_LANGUAGE) {
+    return promptRegistry.render('campaign_post', {
+      address: property.address,
+      price_change_note: this.buildPriceChangeNote(property),
+      theme,
+      archetype,
+      tone: brandAssets.persona_tone
+    }, { agentId: property.agent_id, language });
   }
-}
 
-Ensure content is engaging, on-brand, and platform-appropriate.
-`;
+  buildPriceChangeNote(property) {
+    const change = property.latest_price_change;
+    if (!change || change.direction !== 'reduced') {
+      return '';
+    }
+    return `- Price Reduced: from $${change.oldPrice?.toLocaleString()} to $${change.newPrice?.toLocaleString()} (mention the reduction)`;
   }
 
   /**
    * Utility methods
    */
-  generateJobId() {
-    return `ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
-
   async waitForPrediction(predictionId) {
     let attempts = 0;
     const maxAttempts = 60; // 5 minutes max
@@ -481,10 +607,11 @@ Ensure content is engaging, on-brand, and platform-appropriate.
       content: post.content,
       hashtags: post.hashtags,
       archetype: post.archetype,
-      status: 'draft',
+      language: post.language,
+      ...brandComplianceService.reviewFields(post.compliance, 'draft'),
       scheduled_for: new Date(Date.now() + (post.day * 24 * 60 * 60 * 1000)).toISOString(),
-      generation_prompt: `Theme: ${post.theme}, Archetype: ${post.archetype}`,
-      generation_model: 'claude-3-sonnet'
+      generation_prompt: post.generation_prompt,
+      generation_model: post.generation_model
     }));
 
     const { error } = await supabase
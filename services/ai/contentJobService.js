@@ -0,0 +1,427 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+const { DEFAULT_LANGUAGE } = require('./languages');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Persisted AI content generation jobs.
+ *
+ * A job (content_jobs) generates one or more content types for a property.
+ * Each type has its own step in progress - { status, done, total, error,
+ * startedAt, completedAt } - and its result is stored in results as soon as
+ * that type finishes, so the client sees partial results while the rest is
+ * still generating and keeps them if a later type fails.
+ *
+ * Cancelling sets cancel_requested_at; the generator checks it between units
+ * of work (a type, a styled image, a campaign day), stops there and keeps
+ * what it has. Jobs run in the process that started them, which keeps the
+ * working copy of progress and results and writes it through on every change.
+ * A job whose process stopped (a restart mid-job) stops writing; once it has
+ * been quiet for config.ai.contentJobs.staleAfterSeconds it is marked failed
+ * when next read, or by the sweep at startup, keeping the results it wrote.
+ */
+class ContentJobService {
+  constructor() {
+    this.supabase = supabase;
+    this.settings = config.ai.contentJobs;
+
+    this.statuses = {
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      // Some types completed, others failed
+      PARTIAL: 'partial',
+      FAILED: 'failed',
+      CANCELLED: 'cancelled'
+    };
+
+    this.stepStatuses = {
+      PENDING: 'pending',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      FAILED: 'failed',
+      CANCELLED: 'cancelled'
+    };
+
+    // jobId -> { progress, results } for jobs running in this process
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Record a new running job
+   * @param {Object} job - { id, propertyId, agentId, contentTypes, languages }
+   * @returns {Object} Job row
+   */
+  async create({ id, propertyId, agentId, contentTypes, languages = [DEFAULT_LANGUAGE] }) {
+    const progress = Object.fromEntries(contentTypes.map(type => [type, {
+      status: this.stepStatuses.PENDING,
+      done: 0,
+      total: null,
+      error: null,
+      startedAt: null,
+      completedAt: null
+    }]));
+
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .insert({
+        id,
+        property_id: propertyId,
+        agent_id: agentId,
+        status: this.statuses.RUNNING,
+        content_types: contentTypes,
+        languages,
+        progress,
+        results: {}
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create content job: ${error.message}`);
+    }
+
+    this.activeJobs.set(id, { progress, results: {} });
+    return data;
+  }
+
+  /**
+   * An agent's job
+   * @param {string} jobId - Job ID
+   * @param {string} agentId - Agent ID for access control
+   * @returns {Object|null} Job row
+   */
+  async getJob(jobId, agentId) {
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('agent_id', agentId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to fetch content job: ${error.message}`);
+    }
+
+    return this.failIfStale(data);
+  }
+
+  /**
+   * A property's jobs, newest first
+   */
+  async listJobs(propertyId, agentId, { limit = 10 } = {}) {
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .select('*')
+      .eq('property_id', propertyId)
+      .eq('agent_id', agentId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to list content jobs: ${error.message}`);
+    }
+
+    return Promise.all(data.map(job => this.failIfStale(job)));
+  }
+
+  /**
+   * Mark a running job failed if its process has gone: it is not running
+   * here and has written no progress for staleAfterSeconds. Steps that were
+   * running are failed, steps never started are cancelled, and results
+   * already written are kept.
+   * @param {Object} job - Job row
+   * @returns {Object} Job row, updated if it was stale
+   */
+  async failIfStale(job) {
+    if (job.status !== this.statuses.RUNNING || this.activeJobs.has(job.id)) {
+      return job;
+    }
+
+    const quietMs = Date.now() - new Date(job.updated_at || job.created_at).getTime();
+    if (quietMs < this.settings.staleAfterSeconds * 1000) {
+      return job;
+    }
+
+    const now = new Date().toISOString();
+    const interrupted = 'Generation stopped before finishing (the server restarted)';
+    const progress = Object.fromEntries(Object.entries(job.progress || {}).map(([type, step]) => {
+      if (step.status === this.stepStatuses.RUNNING) {
+        return [type, { ...step, status: this.stepStatuses.FAILED, error: interrupted, completedAt: now }];
+      }
+      if (step.status === this.stepStatuses.PENDING) {
+        return [type, { ...step, status: this.stepStatuses.CANCELLED, completedAt: now }];
+      }
+      return [type, step];
+    }));
+
+    // Only while still running, so a job that just finished is left alone
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .update({
+        status: this.statuses.FAILED,
+        progress,
+        error: interrupted,
+        completed_at: now,
+        updated_at: now
+      })
+      .eq('id', job.id)
+      .eq('status', this.statuses.RUNNING)
+      .select('*');
+
+    if (error) {
+      logger.warn('Failed to close stale content job', { jobId: job.id, error: error.message });
+      return job;
+    }
+    if (!data || data.length === 0) {
+      return job;
+    }
+
+    // The property still shows the job as started unless a newer job has replaced it
+    const { error: propertyError } = await this.supabase
+      .from('properties')
+      .update({ content_generation_status: this.statuses.FAILED, content_generation_completed_at: now })
+      .eq('id', job.property_id)
+      .eq('content_generation_job_id', job.id);
+
+    if (propertyError) {
+      logger.warn('Failed to update content generation status', { jobId: job.id, error: propertyError.message });
+    }
+
+    logger.warn('Stale content job marked failed', { jobId: job.id, propertyId: job.property_id });
+    return data[0];
+  }
+
+  /**
+   * Close jobs left running by a stopped process. Run at startup.
+   * @returns {number} Jobs marked failed
+   */
+  async failStaleJobs() {
+    const cutoff = new Date(Date.now() - this.settings.staleAfterSeconds * 1000).toISOString();
+
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .select('*')
+      .eq('status', this.statuses.RUNNING)
+      .lt('updated_at', cutoff);
+
+    if (error) {
+      logger.warn('Failed to look for stale content jobs', { error: error.message });
+      return 0;
+    }
+
+    const jobs = await Promise.all(data.map(job => this.failIfStale(job)));
+    return jobs.filter(job => job.status === this.statuses.FAILED).length;
+  }
+
+  /**
+   * Ask a running job to stop. It stops at its next check and keeps what it
+   * has generated.
+   * @returns {Object|null} Job row, or null if the agent has no such job
+   */
+  async requestCancel(jobId, agentId) {
+    const job = await this.getJob(jobId, agentId);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status !== this.statuses.RUNNING) {
+      throw errorService.createError('CONTENT_JOB_NOT_RUNNING', { details: { jobId, status: job.status } });
+    }
+    if (job.cancel_requested_at) {
+      return job;
+    }
+
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .update({ cancel_requested_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to cancel content job: ${error.message}`);
+    }
+
+    logger.info('Content job cancellation requested', { jobId, agentId });
+    return data;
+  }
+
+  /**
+   * Whether the job has been asked to stop. A failed check lets the job
+   * carry on rather than stopping it.
+   */
+  async isCancelRequested(jobId) {
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .select('cancel_requested_at')
+      .eq('id', jobId)
+      .single();
+
+    if (error) {
+      logger.warn('Could not check content job for cancellation', { jobId, error: error.message });
+      return false;
+    }
+
+    return Boolean(data.cancel_requested_at);
+  }
+
+  startStep(jobId, type, total = null) {
+    return this.updateStep(jobId, type, {
+      status: this.stepStatuses.RUNNING,
+      total,
+      startedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Units of a step done so far (styled images, campaign days)
+   */
+  reportProgress(jobId, type, done, total) {
+    return this.updateStep(jobId, type, { done, total });
+  }
+
+  completeStep(jobId, type, result) {
+    const step = this.getWorkingCopy(jobId).progress[type] || {};
+    return this.updateStep(jobId, type, {
+      status: this.stepStatuses.COMPLETED,
+      done: step.total ?? 1,
+      total: step.total ?? 1,
+      completedAt: new Date().toISOString()
+    }, result);
+  }
+
+  /**
+   * A step that failed or was cancelled part way; result keeps whatever it
+   * produced before stopping
+   */
+  stopStep(jobId, type, { cancelled = false, error = null, result } = {}) {
+    return this.updateStep(jobId, type, {
+      status: cancelled ? this.stepStatuses.CANCELLED : this.stepStatuses.FAILED,
+      error: error ? error.message : null,
+      completedAt: new Date().toISOString()
+    }, result);
+  }
+
+  /**
+   * Close the job: steps never started are marked cancelled, and the job
+   * status follows from its steps, unless the job itself broke (error)
+   * @returns {Object} Job row
+   */
+  async finish(jobId, { cancelled = false, error: jobError = null } = {}) {
+    const working = this.getWorkingCopy(jobId);
+    const now = new Date().toISOString();
+
+    Object.values(working.progress)
+      .filter(step => step.status === this.stepStatuses.PENDING || step.status === this.stepStatuses.RUNNING)
+      .forEach(step => Object.assign(step, { status: this.stepStatuses.CANCELLED, completedAt: now }));
+
+    const steps = Object.values(working.progress);
+    const completed = steps.filter(step => step.status === this.stepStatuses.COMPLETED).length;
+    const failed = steps.filter(step => step.status === this.stepStatuses.FAILED).length;
+
+    let status = this.statuses.COMPLETED;
+    if (jobError) {
+      status = this.statuses.FAILED;
+    } else if (cancelled) {
+      status = this.statuses.CANCELLED;
+    } else if (failed > 0) {
+      status = completed > 0 ? this.statuses.PARTIAL : this.statuses.FAILED;
+    }
+
+    const { data, error } = await this.supabase
+      .from('content_jobs')
+      .update({
+        status,
+        progress: working.progress,
+        results: working.results,
+        error: jobError ? jobError.message : null,
+        completed_at: now,
+        updated_at: now
+      })
+      .eq('id', jobId)
+      .select('*')
+      .single();
+
+    this.activeJobs.delete(jobId);
+
+    if (error) {
+      throw new Error(`Failed to finish content job: ${error.message}`);
+    }
+
+    logger.info('Content job finished', { jobId, status, completed, failed });
+    return data;
+  }
+
+  /**
+   * Merge changes into a step (and its result) and write the job through.
+   * Progress writes are best effort: a failed write is logged and the
+   * generation carries on.
+   */
+  async updateStep(jobId, type, changes, result) {
+    const working = this.getWorkingCopy(jobId);
+    working.progress[type] = { ...working.progress[type], ...changes };
+    if (result !== undefined) {
+      working.results[type] = result;
+    }
+
+    const { error } = await this.supabase
+      .from('content_jobs')
+      .update({
+        progress: working.progress,
+        results: working.results,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId);
+
+    if (error) {
+      logger.warn('Failed to record content job progress', { jobId, type, error: error.message });
+    }
+  }
+
+  getWorkingCopy(jobId) {
+    if (!this.activeJobs.has(jobId)) {
+      this.activeJobs.set(jobId, { progress: {}, results: {} });
+    }
+    return this.activeJobs.get(jobId);
+  }
+
+  /**
+   * API shape of a job
+   */
+  formatJob(job) {
+    const steps = Object.values(job.progress || {});
+    const fractions = steps.map(step => {
+      if (step.status !== this.stepStatuses.PENDING && step.status !== this.stepStatuses.RUNNING) {
+        return 1;
+      }
+      return step.total ? Math.min(step.done / step.total, 1) : 0;
+    });
+
+    return {
+      jobId: job.id,
+      propertyId: job.property_id,
+      status: job.status,
+      contentTypes: job.content_types,
+      languages: job.languages || [DEFAULT_LANGUAGE],
+      // Overall completion, 0-100; finished steps count in full whatever their outcome
+      percent: steps.length > 0
+        ? Math.round(fractions.reduce((sum, fraction) => sum + fraction, 0) / steps.length * 100)
+        : 0,
+      progress: job.progress || {},
+      results: job.results || {},
+      error: job.error,
+      cancelRequested: Boolean(job.cancel_requested_at),
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+      completedAt: job.completed_at
+    };
+  }
+}
+
+module.exports = new ContentJobService();
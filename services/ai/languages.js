@@ -0,0 +1,133 @@
+/**
+ * Languages listing content can be generated in.
+ *
+ * English is the default: its copy goes in the primary fields (e.g.
+ * properties.description) and other languages are stored beside it. Each
+ * language carries its text direction, fallback fonts for scripts the brand
+ * font may not cover, and the fixed wording of the email and social
+ * templates.
+ */
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    dir: 'ltr',
+    fonts: [],
+    labels: {
+      greeting: 'Hello {{contact_name}},',
+      tagline: 'Your Trusted Real Estate Partner',
+      address: 'Address',
+      price: 'Price',
+      agentTitle: 'Real Estate Professional',
+      website: 'Visit Our Website',
+      sentBy: 'This email was sent by {{company_name}}. If you no longer wish to receive these emails, you can',
+      unsubscribe: 'unsubscribe here',
+      contactForPrice: 'Contact for Price'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    dir: 'ltr',
+    fonts: [],
+    labels: {
+      greeting: 'Hola {{contact_name}},',
+      tagline: 'Su socio inmobiliario de confianza',
+      address: 'Dirección',
+      price: 'Precio',
+      agentTitle: 'Profesional inmobiliario',
+      website: 'Visite nuestro sitio web',
+      sentBy: 'Este correo fue enviado por {{company_name}}. Si ya no desea recibir estos correos, puede',
+      unsubscribe: 'darse de baja aquí',
+      contactForPrice: 'Consultar precio'
+    }
+  },
+  fr: {
+    name: 'French',
+    dir: 'ltr',
+    fonts: [],
+    labels: {
+      greeting: 'Bonjour {{contact_name}},',
+      tagline: 'Votre partenaire immobilier de confiance',
+      address: 'Adresse',
+      price: 'Prix',
+      agentTitle: 'Professionnel de l\'immobilier',
+      website: 'Visitez notre site web',
+      sentBy: 'Cet e-mail vous a été envoyé par {{company_name}}. Si vous ne souhaitez plus recevoir ces e-mails, vous pouvez',
+      unsubscribe: 'vous désabonner ici',
+      contactForPrice: 'Prix sur demande'
+    }
+  },
+  zh: {
+    name: 'Mandarin Chinese (Simplified characters)',
+    dir: 'ltr',
+    fonts: ['"Noto Sans SC"', '"PingFang SC"', '"Microsoft YaHei"'],
+    labels: {
+      greeting: '{{contact_name}}，您好：',
+      tagline: '您值得信赖的房地产伙伴',
+      address: '地址',
+      price: '价格',
+      agentTitle: '房地产经纪人',
+      website: '访问我们的网站',
+      sentBy: '此邮件由 {{company_name}} 发送。如果您不想再收到此类邮件，可以',
+      unsubscribe: '在此退订',
+      contactForPrice: '价格面议'
+    }
+  },
+  ar: {
+    name: 'Arabic',
+    dir: 'rtl',
+    fonts: ['"Noto Sans Arabic"', 'Tahoma'],
+    labels: {
+      greeting: 'مرحباً {{contact_name}}،',
+      tagline: 'شريكك العقاري الموثوق',
+      address: 'العنوان',
+      price: 'السعر',
+      agentTitle: 'وكيل عقاري',
+      website: 'زوروا موقعنا الإلكتروني',
+      sentBy: 'أُرسلت هذه الرسالة من {{company_name}}. إذا كنت لا ترغب في تلقي هذه الرسائل، يمكنك',
+      unsubscribe: 'إلغاء الاشتراك من هنا',
+      contactForPrice: 'السعر عند الطلب'
+    }
+  }
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+/**
+ * Language settings, the default language for an unknown code
+ */
+const getLanguage = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+const isRtl = (code) => getLanguage(code).dir === 'rtl';
+
+/**
+ * CSS font-family: the brand font first, then fonts for the language's script
+ */
+const fontStack = (code, brandFont, fallback = 'sans-serif') =>
+  [brandFont, ...getLanguage(code).fonts, fallback].filter(Boolean).join(', ');
+
+/**
+ * Added to a prompt to have the reply written in another language. Empty
+ * for English, so default prompts are unchanged.
+ */
+const languageInstruction = (code) => {
+  if (!code || code === DEFAULT_LANGUAGE || !LANGUAGES[code]) {
+    return '';
+  }
+
+  const { name } = LANGUAGES[code];
+  return `
+
+Language: write all generated text in ${name}, for native ${name} speakers, rather than translating word for word. Keep JSON keys and {{placeholders}} exactly as given, and keep numbers, prices and addresses as they appear above.`;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_CODES,
+  getLanguage,
+  isRtl,
+  fontStack,
+  languageInstruction
+};
@@ -0,0 +1,323 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+
+const DEFAULT_MAX_TOKENS = 1000;
+const DEFAULT_TEMPERATURE = 0.7;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Short model names used around the codebase -> the model requested
+const MODEL_ALIASES = {
+  'claude-3-sonnet': 'claude-3-sonnet-20240229',
+  'claude-3-haiku': 'claude-3-haiku-20240307',
+  'claude-3-opus': 'claude-3-opus-20240229'
+};
+
+// Provider serving a model, by model name
+const MODEL_PROVIDERS = [
+  [/^claude-/, 'anthropic'],
+  [/^gemini-/, 'gemini'],
+  [/^(gpt-|o1|o3|chatgpt-)/, 'openai'],
+  [/^stub/, 'stub']
+];
+
+// USD per million input / output tokens, by model name prefix (longest match wins)
+const PRICING = {
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-sonnet': [3, 15],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-opus': [15, 75],
+  'gemini-1.5-pro': [1.25, 5],
+  'gemini-1.5-flash': [0.075, 0.3],
+  'gemini-pro': [0.5, 1.5],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-3.5-turbo': [0.5, 1.5]
+};
+
+// Rate limits, overload and server errors are worth another try; bad requests are not
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One client for text generation, whichever provider serves it.
+ *
+ * A provider is { name, defaultModel(), isConfigured(), complete(request,
+ * { timeout }) } where request is { model, system, messages: [{ role,
+ * content }], maxTokens, temperature, json } and complete resolves to
+ * { text, model, usage: { inputTokens, outputTokens }, finishReason }.
+ * Anthropic, Gemini, OpenAI-compatible APIs and a local stub are built in.
+ *
+ * Each call is routed to a provider and model: the provider or model the
+ * caller names, else the route configured for its task (LLM_ROUTES), else
+ * LLM_PROVIDER. A provider without credentials falls back to LLM_PROVIDER.
+ * Attempts are bounded by LLM_TIMEOUT and retried with backoff on rate
+ * limits, server errors and timeouts. Every call's tokens, estimated cost
+ * and duration are logged through logger.logAI and added to running totals.
+ */
+class LLMClient {
+  constructor() {
+    this.settings = config.ai.llm;
+    this.providers = {};
+    // "provider:model" -> { provider, model, calls, failures, inputTokens, outputTokens, costUsd }
+    this.usage = {};
+
+    [
+      require('./providers/anthropicProvider'),
+      require('./providers/geminiProvider'),
+      require('./providers/openaiProvider'),
+      require('./providers/stubProvider')
+    ].forEach(provider => this.register(provider));
+  }
+
+  /**
+   * Add a provider, replacing one of the same name
+   */
+  register(provider) {
+    if (!provider.name || typeof provider.complete !== 'function' ||
+      typeof provider.isConfigured !== 'function' || typeof provider.defaultModel !== 'function') {
+      throw new Error('LLM provider needs a name, complete, isConfigured and defaultModel');
+    }
+    this.providers[provider.name] = provider;
+  }
+
+  getProvider(name) {
+    return this.providers[name] || null;
+  }
+
+  /**
+   * Provider and model for a call
+   * @param {Object} options - { provider, model, task }
+   * @returns {Object} { provider, model }
+   */
+  resolveRoute({ provider, model, task } = {}) {
+    let providerName = provider;
+    let modelName = model ? (MODEL_ALIASES[model] || model) : null;
+
+    if (!providerName && !modelName && task && this.settings.routes[task]) {
+      const [routeProvider, routeModel] = this.settings.routes[task].split(':');
+      providerName = routeProvider;
+      modelName = routeModel ? (MODEL_ALIASES[routeModel] || routeModel) : null;
+    }
+
+    if (!providerName && modelName) {
+      const match = MODEL_PROVIDERS.find(([pattern]) => pattern.test(modelName));
+      providerName = match ? match[1] : null;
+    }
+
+    let selected = this.getProvider(providerName || this.settings.defaultProvider);
+
+    if (!selected || !selected.isConfigured()) {
+      const fallback = this.getProvider(this.settings.defaultProvider);
+      if (!fallback || !fallback.isConfigured()) {
+        throw errorService.createError('AI_PROVIDER_NOT_CONFIGURED', {
+          details: { provider: providerName || this.settings.defaultProvider, task }
+        });
+      }
+
+      if (selected !== fallback) {
+        logger.warn('LLM provider not available, using the default', {
+          requested: providerName,
+          provider: fallback.name,
+          task
+        });
+      }
+      selected = fallback;
+      modelName = null;
+    }
+
+    return { provider: selected, model: modelName || selected.defaultModel() };
+  }
+
+  /**
+   * Generate text
+   * @param {Object} options - prompt (or messages: [{ role, content }]),
+   *   system, task (names the call for routing and accounting), provider,
+   *   model, maxTokens, temperature, json (ask for a JSON reply), timeout,
+   *   retries, metadata (added to the accounting log)
+   * @returns {Object} { text, provider, model, usage: { inputTokens, outputTokens, totalTokens, costUsd }, finishReason, attempts, duration }
+   */
+  async complete(options = {}) {
+    const {
+      prompt,
+      messages,
+      system,
+      task = 'generate',
+      maxTokens = DEFAULT_MAX_TOKENS,
+      temperature = DEFAULT_TEMPERATURE,
+      json = false,
+      timeout = this.settings.timeoutMs,
+      retries = this.settings.maxRetries,
+      metadata = {}
+    } = options;
+
+    if (!prompt && !(messages && messages.length > 0)) {
+      throw new Error('LLM request needs a prompt or messages');
+    }
+
+    const { provider, model } = this.resolveRoute(options);
+    const request = {
+      model,
+      system,
+      messages: messages || [{ role: 'user', content: prompt }],
+      maxTokens,
+      temperature,
+      json
+    };
+
+    const started = Date.now();
+    let attempts = 0;
+
+    for (;;) {
+      attempts += 1;
+
+      try {
+        const result = await this.withTimeout(provider.complete(request, { timeout }), timeout);
+        const duration = Date.now() - started;
+        const usage = this.recordUsage(provider.name, result.model || model, result.usage);
+
+        logger.logAI(task, result.model || model, {
+          input: usage.inputTokens,
+          output: usage.outputTokens,
+          total: usage.totalTokens
+        }, duration, {
+          provider: provider.name,
+          attempts,
+          costUsd: usage.costUsd,
+          finishReason: result.finishReason,
+          ...metadata
+        });
+
+        return {
+          text: result.text,
+          provider: provider.name,
+          model: result.model || model,
+          usage,
+          finishReason: result.finishReason,
+          attempts,
+          duration
+        };
+      } catch (error) {
+        if (attempts <= retries && this.isRetryable(error)) {
+          const wait = this.retryDelay(error, attempts);
+          logger.warn('LLM request failed, retrying', {
+            provider: provider.name,
+            model,
+            task,
+            attempt: attempts,
+            retryInMs: wait,
+            error: error.message
+          });
+          await delay(wait);
+          continue;
+        }
+
+        const duration = Date.now() - started;
+        this.recordFailure(provider.name, model);
+        logger.logAI(task, model, { input: 0, output: 0, total: 0 }, duration, {
+          provider: provider.name,
+          attempts,
+          failed: true,
+          error: error.message,
+          ...metadata
+        });
+
+        throw errorService.createError('AI_REQUEST_FAILED', {
+          message: `${provider.name} request failed: ${error.message}`,
+          details: {
+            provider: provider.name,
+            model,
+            task,
+            attempts,
+            status: error.response ? error.response.status : undefined
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Reject an attempt that outlives the timeout, whether or not the
+   * provider enforces one itself
+   */
+  withTimeout(promise, timeout) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM request timed out after ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, timeout);
+    });
+
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+  }
+
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUSES.has(error.response.status);
+    }
+    return RETRYABLE_CODES.has(error.code);
+  }
+
+  /**
+   * Retry-After when the provider sends one, otherwise exponential backoff
+   */
+  retryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers && parseFloat(error.response.headers['retry-after']);
+    const wait = Number.isFinite(retryAfter) ? retryAfter * 1000 : this.settings.retryDelayMs * (2 ** (attempt - 1));
+    return Math.min(wait, MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Estimated cost in USD (0 for models without a known price)
+   */
+  estimateCost(model, inputTokens, outputTokens) {
+    const prefix = Object.keys(PRICING)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) {
+      return 0;
+    }
+
+    const [inputPrice, outputPrice] = PRICING[prefix];
+    return Math.round((inputTokens * inputPrice + outputTokens * outputPrice)) / 1e6;
+  }
+
+  usageEntry(provider, model) {
+    const key = `${provider}:${model}`;
+    if (!this.usage[key]) {
+      this.usage[key] = { provider, model, calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    }
+    return this.usage[key];
+  }
+
+  recordUsage(provider, model, { inputTokens = 0, outputTokens = 0 } = {}) {
+    const costUsd = this.estimateCost(model, inputTokens, outputTokens);
+    const entry = this.usageEntry(provider, model);
+
+    entry.calls += 1;
+    entry.inputTokens += inputTokens;
+    entry.outputTokens += outputTokens;
+    entry.costUsd = Math.round((entry.costUsd + costUsd) * 1e6) / 1e6;
+
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, costUsd };
+  }
+
+  recordFailure(provider, model) {
+    this.usageEntry(provider, model).failures += 1;
+  }
+
+  /**
+   * Running totals per provider and model since the process started
+   * @returns {Array} [{ provider, model, calls, failures, inputTokens, outputTokens, costUsd }]
+   */
+  getUsage() {
+    return Object.values(this.usage).map(entry => ({ ...entry }));
+  }
+}
+
+module.exports = new LLMClient();
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+const builtinPrompts = require('./prompts');
+const { DEFAULT_LANGUAGE, languageInstruction } = require('./languages');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+const DEFAULT_VARIANT = 'default';
+// Version 1 of every key is the built-in prompt; published versions follow it
+const BUILTIN_VERSION = 1;
+
+/**
+ * Versioned prompts for AI generation.
+ *
+ * Each prompt has a key (see ./prompts.js) and a numbered history of
+ * versions in prompt_templates. A version is global or belongs to one agent,
+ * and carries a variant name and weight: when several versions are active in
+ * the same scope they are A/B variants and one is picked per render by
+ * weight. An agent's active versions override the global ones; with neither,
+ * the built-in prompt is used as version 1.
+ *
+ * render() returns the prompt text with a label such as "social_post@v4/b"
+ * that is stored with the generated content (social_posts.generation_prompt).
+ */
+class PromptRegistry {
+  constructor() {
+    this.builtins = builtinPrompts;
+    this.cacheTtlMs = config.ai.prompts.cacheTtlMs;
+    // "key:agentId" -> { versions, expiresAt }
+    this.cache = new Map();
+  }
+
+  getDefinition(key) {
+    const definition = this.builtins[key];
+    if (!definition) {
+      throw errorService.createError('PROMPT_NOT_FOUND', { details: { key } });
+    }
+    return definition;
+  }
+
+  /**
+   * Render the prompt for a key
+   * @param {string} key - Prompt key
+   * @param {Object} variables - Values for the prompt's {{variables}}
+   * @param {Object} options - agentId (use the agent's overrides), seed
+   *   (pick the same A/B variant for the same seed, e.g. a chat session id),
+   *   language (reply language, see ./languages.js; English by default)
+   * @returns {Object} { text, label, ref: { key, version, variant, id, agentId, language } }
+   */
+  async render(key, variables = {}, { agentId = null, seed, language = DEFAULT_LANGUAGE } = {}) {
+    const definition = this.getDefinition(key);
+    const version = this.pickVariant(await this.getActiveVersions(key, agentId), key, seed);
+
+    const ref = version
+      ? { key, version: version.version, variant: version.variant, id: version.id, agentId: version.agent_id }
+      : { key, version: BUILTIN_VERSION, variant: DEFAULT_VARIANT, id: null, agentId: null };
+    ref.language = language;
+
+    const text = this.interpolate(version ? version.template : definition.template, definition.variables, variables);
+
+    return {
+      // The language instruction follows every version, so published prompts need not repeat it
+      text: text + languageInstruction(language),
+      label: this.formatLabel(ref),
+      ref
+    };
+  }
+
+  /**
+   * Replace {{name}} for the prompt's declared variables; anything else in
+   * braces is left as written
+   */
+  interpolate(template, names, variables) {
+    return names.reduce((text, name) => {
+      const value = variables[name];
+      const replacement = value === undefined || value === null ? '' : String(value);
+      return text.replace(new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`, 'g'), () => replacement);
+    }, template);
+  }
+
+  formatLabel({ key, version, variant }) {
+    return variant === DEFAULT_VARIANT ? `${key}@v${version}` : `${key}@v${version}/${variant}`;
+  }
+
+  /**
+   * Active versions for a key: the agent's own when it has any, else the
+   * global ones. Cached briefly, since every generated post renders a prompt.
+   */
+  async getActiveVersions(key, agentId) {
+    const cacheKey = `${key}:${agentId || ''}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.versions;
+    }
+
+    let versions = [];
+    try {
+      let query = supabase
+        .from('prompt_templates')
+        .select('id, key, version, variant, weight, agent_id, template')
+        .eq('key', key)
+        .eq('is_active', true);
+      // Only the global versions and this agent's, never other agents' overrides
+      query = agentId ? query.or(`agent_id.is.null,agent_id.eq.${agentId}`) : query.is('agent_id', null);
+
+      const { data, error } = await query.order('version', { ascending: false });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const own = agentId ? data.filter(row => row.agent_id === agentId) : [];
+      versions = own.length > 0 ? own : data.filter(row => !row.agent_id);
+    } catch (error) {
+      // Generation carries on with the built-in prompt rather than failing
+      logger.warn('Could not load prompt versions, using the built-in prompt', { key, agentId, error: error.message });
+      return [];
+    }
+
+    this.cache.set(cacheKey, { versions, expiresAt: Date.now() + this.cacheTtlMs });
+    return versions;
+  }
+
+  /**
+   * Weighted choice between A/B variants, stable for a given seed
+   */
+  pickVariant(versions, key, seed) {
+    const candidates = versions.filter(version => version.weight > 0);
+    if (candidates.length <= 1) {
+      return candidates[0] || null;
+    }
+
+    const total = candidates.reduce((sum, version) => sum + version.weight, 0);
+    const roll = seed === undefined || seed === null
+      ? Math.random()
+      : parseInt(crypto.createHash('sha1').update(`${key}:${seed}`).digest('hex').slice(0, 8), 16) / 0x100000000;
+
+    let threshold = roll * total;
+    for (const version of candidates) {
+      threshold -= version.weight;
+      if (threshold < 0) {
+        return version;
+      }
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * Publish a new version of a prompt. It replaces the active version of the
+   * same variant in the same scope, which stays in the history; both happen
+   * in one transaction (publish_prompt_version).
+   * @param {string} key - Prompt key
+   * @param {Object} version - template, variant, weight, agentId (null for
+   *   the global prompt), notes, createdBy
+   * @returns {Object} The stored version
+   */
+  async publish(key, { template, variant = DEFAULT_VARIANT, weight = 1, agentId = null, notes = null, createdBy = null }) {
+    const definition = this.getDefinition(key);
+
+    if (typeof template !== 'string' || template.trim() === '') {
+      throw errorService.createError('PROMPT_INVALID', { message: 'Prompt template is empty', details: { key } });
+    }
+    const unknown = this.findUnknownVariables(template, [...definition.variables, ...(definition.passthrough || [])]);
+    if (unknown.length > 0) {
+      logger.warn('Prompt template uses placeholders that are not variables of this prompt', { key, unknown });
+    }
+
+    const { data, error } = await supabase.rpc('publish_prompt_version', {
+      p_key: key,
+      p_template: template,
+      p_variant: variant,
+      p_weight: weight,
+      p_agent_id: agentId,
+      p_notes: notes,
+      p_created_by: createdBy
+    });
+
+    if (error) {
+      throw new Error(`Failed to publish prompt version: ${error.message}`);
+    }
+
+    this.clearCache(key);
+    logger.info('Prompt version published', { key, version: data.version, variant, agentId });
+    return data;
+  }
+
+  /**
+   * Switch a stored version on (e.g. to roll back) or off. Turning one on
+   * turns off the other version of its variant in its scope, in the same
+   * transaction (activate_prompt_version).
+   */
+  async setActive(id, active) {
+    const { data, error } = await supabase.rpc('activate_prompt_version', { p_id: id, p_active: active });
+
+    if (error) {
+      if (error.code === 'P0002') {
+        throw errorService.createError('PROMPT_NOT_FOUND', { details: { id } });
+      }
+      throw new Error(`Failed to update prompt version: ${error.message}`);
+    }
+
+    this.clearCache(data.key);
+    return data;
+  }
+
+  /**
+   * Version history of a key, newest first, global and per-agent
+   */
+  async listVersions(key, { agentId } = {}) {
+    this.getDefinition(key);
+
+    let query = supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('key', key)
+      .order('version', { ascending: false });
+    if (agentId) {
+      query = query.eq('agent_id', agentId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to list prompt versions: ${error.message}`);
+    }
+    return data;
+  }
+
+  findUnknownVariables(template, names) {
+    const used = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+    return [...new Set(used)].filter(name => !names.includes(name));
+  }
+
+  clearCache(key) {
+    for (const cacheKey of this.cache.keys()) {
+      if (!key || cacheKey.startsWith(`${key}:`)) {
+        this.cache.delete(cacheKey);
+      }
+    }
+  }
+}
+
+module.exports = new PromptRegistry();
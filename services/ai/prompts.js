@@ -0,0 +1,292 @@
+/**
+ * Built-in prompts, served as version 1 of each key until a version is
+ * published to prompt_templates (see promptRegistry).
+ *
+ * {{name}} is replaced with the variable of that name; only the variables
+ * listed for a prompt are replaced, so placeholders meant for the generated
+ * content (passthrough, e.g. {{contact_name}} in email templates) are left
+ * untouched.
+ */
+module.exports = {
+  property_description: {
+    description: 'Listing description written in the agent\'s brand voice',
+    variables: [
+      'address', 'price', 'bedrooms', 'bathrooms', 'square_feet', 'property_type', 'features',
+      'price_change_note', 'tone', 'style', 'key_phrases', 'phrases_to_avoid'
+    ],
+    template: `
+Create a compelling property description for this listing:
+
+Property Details:
+- Address: {{address}}
+- Price: \${{price}}
+- Bedrooms: {{bedrooms}}
+- Bathrooms: {{bathrooms}}
+- Square Feet: {{square_feet}}
+- Type: {{property_type}}
+- Features: {{features}}
+{{price_change_note}}
+
+Brand Persona:
+- Tone: {{tone}}
+- Style: {{style}}
+- Key Phrases: {{key_phrases}}
+- Avoid: {{phrases_to_avoid}}
+
+Write a 150-200 word description that highlights the property's best features while maintaining the brand voice. Focus on lifestyle benefits and emotional appeal.
+`
+  },
+
+  campaign_post: {
+    description: 'One post of the AIService 70-day campaign, in every platform\'s version',
+    variables: ['address', 'price_change_note', 'theme', 'archetype', 'tone'],
+    template: `
+Generate a social media post for this property:
+
+Property: {{address}}
+{{price_change_note}}
+Weekly Theme: {{theme}}
+Content Archetype: {{archetype}}
+Brand Voice: {{tone}}
+
+Create a JSON response with:
+{
+  "text": "Main post content (150 chars max)",
+  "hook": "Attention-grabbing opening line",
+  "hashtags": ["array", "of", "relevant", "hashtags"],
+  "platform_optimized": {
+    "instagram": "Instagram-specific version",
+    "facebook": "Facebook-specific version",
+    "linkedin": "LinkedIn-specific version",
+    "tiktok": "TikTok-specific version"
+  }
+}
+
+Ensure content is engaging, on-brand, and platform-appropriate.
+`
+  },
+
+  social_strategy: {
+    description: 'Messaging and content pillars for a 70-day social campaign',
+    variables: [
+      'title', 'property_type', 'price', 'location', 'key_features', 'description',
+      'tone', 'style', 'key_phrases', 'phrases_to_avoid'
+    ],
+    template: `
+Create a comprehensive 70-day social media campaign strategy for this property:
+
+Property Details:
+- Title: {{title}}
+- Type: {{property_type}}
+- Price: {{price}}
+- Location: {{location}}
+- Key Features: {{key_features}}
+- Description: {{description}}
+
+Brand Persona:
+- Tone: {{tone}}
+- Style: {{style}}
+- Key Phrases: {{key_phrases}}
+- Avoid: {{phrases_to_avoid}}
+
+Generate a strategy that includes:
+1. Overall campaign messaging
+2. Target audience definition
+3. Key selling points to emphasize
+4. Emotional triggers to use
+5. Unique value propositions
+6. Content pillars for the 10-week journey
+
+Return as JSON with these exact keys: messaging, target_audience, key_selling_points, emotional_triggers, value_propositions, content_pillars
+`
+  },
+
+  social_post: {
+    description: 'A single platform post of a SocialService campaign',
+    variables: [
+      'platform', 'title', 'location', 'price', 'property_type',
+      'day', 'theme', 'archetype', 'post_tone', 'focus_area',
+      'tone', 'style', 'key_phrases', 'phrases_to_avoid',
+      'target_audience', 'messaging', 'selling_points',
+      'max_text_length', 'hashtag_limit', 'aspect_ratio'
+    ],
+    template: `
+Generate a {{platform}} post for this real estate property:
+
+Property: {{title}}
+Location: {{location}}
+Price: {{price}}
+Type: {{property_type}}
+
+Campaign Context:
+- Day: {{day}}/70
+- Theme: {{theme}}
+- Content Type: {{archetype}}
+- Tone: {{post_tone}}
+- Focus: {{focus_area}}
+
+Brand Voice:
+- Tone: {{tone}}
+- Style: {{style}}
+- Use phrases like: {{key_phrases}}
+- Avoid: {{phrases_to_avoid}}
+
+Strategy:
+- Target Audience: {{target_audience}}
+- Key Message: {{messaging}}
+- Selling Points: {{selling_points}}
+
+Platform Constraints:
+- Max text length: {{max_text_length}} characters
+- Max hashtags: {{hashtag_limit}}
+- Preferred format: {{aspect_ratio}}
+
+Generate:
+1. Engaging post text that fits platform constraints
+2. Relevant hashtags (max {{hashtag_limit}})
+3. Call-to-action that drives engagement
+4. Hook that grabs attention in first 5 words
+
+Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "hook": "attention grabber", "cta": "call to action"}
+`
+  },
+
+  email_template: {
+    description: 'Subject, HTML structure and plain text of a branded email template',
+    variables: [
+      'template_type', 'purpose', 'category', 'template_tone',
+      'brand_company', 'tone', 'style', 'key_phrases', 'phrases_to_avoid'
+    ],
+    // Placeholders the generated template keeps for Brevo to fill
+    passthrough: [
+      'contact_name', 'agent_name', 'agent_email', 'agent_phone', 'property_title',
+      'property_address', 'property_price', 'company_name', 'website_url'
+    ],
+    template: `
+Generate a professional email template for: {{template_type}}
+
+Template Purpose: {{purpose}}
+Category: {{category}}
+Tone: {{template_tone}}
+
+Brand Guidelines:
+- Company: {{brand_company}}
+- Tone: {{tone}}
+- Style: {{style}}
+- Key Phrases: {{key_phrases}}
+- Avoid: {{phrases_to_avoid}}
+
+Requirements:
+1. Professional and branded email content
+2. Clear subject line
+3. Personalized greeting using {{contact_name}} variable
+4. Relevant content for {{template_type}}
+5. Professional signature
+6. Clear call-to-action
+7. Mobile-friendly design considerations
+
+Include these dynamic variables where appropriate:
+- {{contact_name}} - Recipient's name
+- {{agent_name}} - Agent's name
+- {{agent_email}} - Agent's email
+- {{agent_phone}} - Agent's phone
+- {{property_title}} - Property title
+- {{property_address}} - Property address
+- {{property_price}} - Property price
+- {{company_name}} - Company name
+- {{website_url}} - Website URL
+
+Generate:
+1. Email subject line
+2. HTML-friendly content structure
+3. Plain text version
+4. List of variables used
+
+Return as JSON: {
+  "subject": "email subject",
+  "html_structure": "main content with HTML structure",
+  "text_content": "plain text version",
+  "variables": ["list of variables used"],
+  "cta_text": "call to action text",
+  "cta_url": "call to action URL placeholder"
+}
+`
+  },
+
+  brand_tone_check: {
+    description: 'Judges whether generated copy matches the agent\'s brand tone (see BrandComplianceService)',
+    variables: ['tone', 'style', 'text'],
+    template: `
+Rate how well this real estate marketing copy matches the brand voice.
+
+Brand Voice:
+- Tone: {{tone}}
+- Style: {{style}}
+
+Copy:
+"""
+{{text}}
+"""
+
+Judge the tone and style only, not the facts or the language it is written in. Score from 0 (clearly off-brand) to 1 (exactly on-brand).
+
+Return as JSON: {"score": 0.8, "reason": "one sentence on what is off-brand, empty if nothing"}
+`
+  },
+
+  chat_system: {
+    description: 'System prompt of the property chat assistant',
+    variables: [
+      'company_name', 'title', 'location', 'price', 'bedrooms', 'bathrooms', 'square_feet',
+      'property_type', 'listing_status', 'description', 'features', 'amenities',
+      'agent_name', 'agent_email', 'agent_phone', 'agent_bio', 'neighborhood', 'comparables',
+      'tone', 'style', 'key_phrases'
+    ],
+    template: `You are an AI assistant for {{company_name}}, helping potential buyers learn about this property:
+
+PROPERTY INFORMATION:
+- Title: {{title}}
+- Location: {{location}}
+- Price: {{price}}
+- Bedrooms: {{bedrooms}}
+- Bathrooms: {{bathrooms}}
+- Square Feet: {{square_feet}}
+- Property Type: {{property_type}}
+- Status: {{listing_status}}
+- Description: {{description}}
+
+KEY FEATURES:
+{{features}}
+
+AMENITIES:
+{{amenities}}
+
+AGENT INFORMATION:
+- Name: {{agent_name}}
+- Email: {{agent_email}}
+- Phone: {{agent_phone}}
+- Bio: {{agent_bio}}
+
+NEIGHBORHOOD CONTEXT:
+{{neighborhood}}
+
+SIMILAR PROPERTIES NEARBY:
+{{comparables}}
+
+BRAND PERSONA:
+- Tone: {{tone}}
+- Style: {{style}}
+- Key Phrases: {{key_phrases}}
+
+INSTRUCTIONS:
+1. Answer questions about the property using the provided information
+2. Be helpful, accurate, and professional
+3. If asked about scheduling viewings, contact information, or brochures, guide them toward providing their contact details
+4. Stay focused on this specific property and real estate topics
+5. Use the brand tone and style consistently
+6. If you don't know something, be honest and suggest contacting the agent
+7. Encourage engagement and help move the conversation toward a potential viewing or contact
+
+REMEMBER: Your goal is to provide helpful information while identifying serious buyers who might want to schedule a viewing or request more information.`
+  }
+};
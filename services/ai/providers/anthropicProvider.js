@@ -0,0 +1,51 @@
+const axios = require('axios');
+const config = require('../../../config/config');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API
+ */
+const anthropicProvider = {
+  name: 'anthropic',
+
+  get settings() {
+    return config.ai.anthropic;
+  },
+
+  defaultModel() {
+    return this.settings.model;
+  },
+
+  isConfigured() {
+    return Boolean(this.settings.apiKey);
+  },
+
+  async complete({ model, system, messages, maxTokens, temperature }, { timeout }) {
+    const response = await axios.post(`${this.settings.baseUrl}/messages`, {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system ? { system } : {}),
+      messages
+    }, {
+      headers: {
+        'x-api-key': this.settings.apiKey,
+        'anthropic-version': API_VERSION,
+        'Content-Type': 'application/json'
+      },
+      timeout
+    });
+
+    const { content = [], usage = {}, stop_reason: finishReason } = response.data;
+
+    return {
+      text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: response.data.model || model,
+      usage: { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 },
+      finishReason
+    };
+  }
+};
+
+module.exports = anthropicProvider;
@@ -0,0 +1,55 @@
+const axios = require('axios');
+const config = require('../../../config/config');
+
+/**
+ * Google Gemini generateContent API
+ */
+const geminiProvider = {
+  name: 'gemini',
+
+  get settings() {
+    return config.ai.gemini;
+  },
+
+  defaultModel() {
+    return this.settings.model;
+  },
+
+  isConfigured() {
+    return Boolean(this.settings.apiKey);
+  },
+
+  async complete({ model, system, messages, maxTokens, temperature, json }, { timeout }) {
+    const response = await axios.post(`${this.settings.baseUrl}/models/${encodeURIComponent(model)}:generateContent`, {
+      contents: messages.map(message => ({
+        // Gemini calls the assistant "model"
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      generationConfig: {
+        maxOutputTokens: maxTokens,
+        temperature,
+        ...(json ? { responseMimeType: 'application/json' } : {})
+      }
+    }, {
+      headers: {
+        'x-goog-api-key': this.settings.apiKey,
+        'Content-Type': 'application/json'
+      },
+      timeout
+    });
+
+    const [candidate = {}] = response.data.candidates || [];
+    const usage = response.data.usageMetadata || {};
+
+    return {
+      text: ((candidate.content && candidate.content.parts) || []).map(part => part.text || '').join(''),
+      model,
+      usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+      finishReason: candidate.finishReason
+    };
+  }
+};
+
+module.exports = geminiProvider;
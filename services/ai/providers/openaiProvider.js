@@ -0,0 +1,51 @@
+const axios = require('axios');
+const config = require('../../../config/config');
+
+/**
+ * OpenAI chat completions, or any server speaking the same protocol
+ * (OPENAI_BASE_URL). Local servers may not need an API key, so a custom
+ * base URL counts as configured.
+ */
+const openaiProvider = {
+  name: 'openai',
+
+  get settings() {
+    return config.ai.openai;
+  },
+
+  defaultModel() {
+    return this.settings.model;
+  },
+
+  isConfigured() {
+    return Boolean(this.settings.apiKey) || !this.settings.baseUrl.startsWith('https://api.openai.com');
+  },
+
+  async complete({ model, system, messages, maxTokens, temperature, json }, { timeout }) {
+    const response = await axios.post(`${this.settings.baseUrl}/chat/completions`, {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    }, {
+      headers: {
+        ...(this.settings.apiKey ? { Authorization: `Bearer ${this.settings.apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      },
+      timeout
+    });
+
+    const [choice = {}] = response.data.choices || [];
+    const usage = response.data.usage || {};
+
+    return {
+      text: (choice.message && choice.message.content) || '',
+      model: response.data.model || model,
+      usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 },
+      finishReason: choice.finish_reason
+    };
+  }
+};
+
+module.exports = openaiProvider;
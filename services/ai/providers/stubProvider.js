@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Rough token count for usage accounting (about four characters a token)
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Local provider for tests and offline development: no network, and the
+ * same request always gets the same response. Tests can script responses
+ * with respondWith(request => string | object).
+ */
+const stubProvider = {
+  name: 'stub',
+  responder: null,
+
+  defaultModel() {
+    return 'stub-1';
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * @param {Function|null} responder - (request) => string, or an object sent back as JSON
+   */
+  respondWith(responder) {
+    this.responder = responder;
+  },
+
+  async complete(request) {
+    const { model, system, messages, json } = request;
+    const prompt = messages.map(message => message.content).join('\n');
+    let text;
+
+    if (this.responder) {
+      const output = await this.responder(request);
+      text = typeof output === 'string' ? output : JSON.stringify(output);
+    } else {
+      const digest = crypto.createHash('sha1').update(`${system || ''}\n${prompt}`).digest('hex').slice(0, 8);
+      text = json
+        ? JSON.stringify({ stub: true, id: digest, text: `Stub response ${digest}` })
+        : `Stub response ${digest}: ${prompt.replace(/\s+/g, ' ').trim().slice(0, 80)}`;
+    }
+
+    return {
+      text,
+      model,
+      usage: { inputTokens: estimateTokens(`${system || ''}${prompt}`), outputTokens: estimateTokens(text) },
+      finishReason: 'stop'
+    };
+  }
+};
+
+module.exports = stubProvider;
@@ -0,0 +1,359 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+const llmClient = require('../ai/llmClient');
+const promptRegistry = require('../ai/promptRegistry');
+const { DEFAULT_LANGUAGE } = require('../ai/languages');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Brand voice compliance of generated social posts.
+ *
+ * Each draft is checked against the agent's persona (phrases to avoid, key
+ * phrases, tone and style) and the platform's limits, and scored 0-100. A
+ * draft that fails is regenerated with the problems spelled out, up to
+ * config.ai.compliance.maxRegenerations times; if none passes, the best
+ * draft is saved as pending_review and stays out of publishing until the
+ * agent approves it.
+ */
+class BrandComplianceService {
+  constructor() {
+    this.supabase = supabase;
+    this.settings = config.ai.compliance;
+
+    this.issueTypes = {
+      BANNED_PHRASE: 'banned_phrase',
+      MISSING_KEY_PHRASE: 'missing_key_phrase',
+      TEXT_TOO_LONG: 'text_too_long',
+      TOO_MANY_HASHTAGS: 'too_many_hashtags',
+      OFF_TONE: 'off_tone'
+    };
+
+    // Points taken off the score for each issue
+    this.penalties = {
+      banned_phrase: 25,
+      missing_key_phrase: 10,
+      text_too_long: 30,
+      too_many_hashtags: 15
+    };
+
+    // Status of a post held for the agent
+    this.reviewStatus = 'pending_review';
+    this.rejectedStatus = 'rejected';
+  }
+
+  /**
+   * Persona from resolved brand assets (nested) or a brand row (persona_*)
+   */
+  getPersona(brandAssets = {}) {
+    const persona = brandAssets.persona || {};
+    return {
+      tone: persona.tone || brandAssets.persona_tone,
+      style: persona.style || brandAssets.persona_style,
+      keyPhrases: persona.key_phrases || brandAssets.persona_key_phrases || [],
+      phrasesToAvoid: persona.phrases_to_avoid || brandAssets.persona_phrases_to_avoid || []
+    };
+  }
+
+  /**
+   * Check a draft. Tone is only judged once the rule checks pass, so a draft
+   * that will be regenerated anyway costs no extra model call.
+   * @param {Object} draft - { text, hashtags }
+   * @param {Object} options - brandAssets, platformConfig ({ maxTextLength,
+   *   hashtagLimit }, none for multi-platform posts), language, agentId
+   *   (for the agent's version of the tone prompt)
+   * @returns {Object} { score, passed, issues: [{ type, severity, message, ... }], toneScore }
+   */
+  async check(draft, { brandAssets, platformConfig = null, language = DEFAULT_LANGUAGE, agentId = null } = {}) {
+    const persona = this.getPersona(brandAssets);
+    const text = draft.text || '';
+    const issues = [];
+
+    persona.phrasesToAvoid.filter(phrase => this.containsPhrase(text, phrase)).forEach(phrase => {
+      issues.push({
+        type: this.issueTypes.BANNED_PHRASE,
+        severity: 'error',
+        message: `Uses "${phrase}", which the brand avoids`,
+        phrase
+      });
+    });
+
+    // Key phrases are written in the brand's own language, so translations are not held to them
+    if (language === DEFAULT_LANGUAGE && persona.keyPhrases.length > 0
+      && !persona.keyPhrases.some(phrase => this.containsPhrase(text, phrase))) {
+      issues.push({
+        type: this.issueTypes.MISSING_KEY_PHRASE,
+        severity: 'warning',
+        message: 'Uses none of the brand\'s key phrases',
+        phrases: persona.keyPhrases
+      });
+    }
+
+    if (platformConfig) {
+      if (text.length > platformConfig.maxTextLength) {
+        issues.push({
+          type: this.issueTypes.TEXT_TOO_LONG,
+          severity: 'error',
+          message: `Text is ${text.length} characters; the platform allows ${platformConfig.maxTextLength}`,
+          length: text.length,
+          limit: platformConfig.maxTextLength
+        });
+      }
+
+      const hashtagCount = this.countHashtags(draft);
+      if (hashtagCount > platformConfig.hashtagLimit) {
+        issues.push({
+          type: this.issueTypes.TOO_MANY_HASHTAGS,
+          severity: 'error',
+          message: `Has ${hashtagCount} hashtags; the platform allows ${platformConfig.hashtagLimit}`,
+          count: hashtagCount,
+          limit: platformConfig.hashtagLimit
+        });
+      }
+    }
+
+    let score = 100 - issues.reduce((total, issue) => total + this.penalties[issue.type], 0);
+    let toneScore = null;
+
+    if (this.settings.toneCheck && !issues.some(issue => issue.severity === 'error')) {
+      const tone = await this.judgeTone(text, persona, agentId);
+      if (tone) {
+        toneScore = tone.score;
+        score -= Math.round((1 - tone.score) * 40);
+
+        if (tone.score < this.settings.minToneScore) {
+          issues.push({
+            type: this.issueTypes.OFF_TONE,
+            severity: 'error',
+            message: tone.reason || `Does not match the brand tone (${persona.tone})`,
+            toneScore: tone.score
+          });
+        }
+      }
+    }
+
+    score = Math.max(0, score);
+
+    return {
+      score,
+      passed: score >= this.settings.minScore && !issues.some(issue => issue.severity === 'error'),
+      issues,
+      toneScore
+    };
+  }
+
+  /**
+   * Generate a draft and check it, regenerating with feedback until one
+   * passes or the regenerations run out
+   * @param {Function} generate - async (feedback) => { text, hashtags, ... };
+   *   feedback is '' on the first attempt, else text to append to the prompt
+   * @param {Object} options - As check
+   * @returns {Object} { draft, compliance } where compliance is { score,
+   *   passed, issues, toneScore, attempts, checkedAt }, or null when the
+   *   checker is disabled
+   */
+  async enforce(generate, options = {}) {
+    if (!this.settings.enabled) {
+      return { draft: await generate(''), compliance: null };
+    }
+
+    let best = null;
+    let feedback = '';
+    let attempts = 0;
+
+    while (attempts <= this.settings.maxRegenerations) {
+      attempts++;
+      const draft = await generate(feedback);
+      const result = await this.check(draft, options);
+
+      if (!best || result.passed || result.score > best.result.score) {
+        best = { draft, result };
+      }
+      if (result.passed) {
+        break;
+      }
+
+      feedback = this.buildFeedback(result.issues);
+    }
+
+    if (!best.result.passed) {
+      logger.warn('Generated post held for brand review', {
+        score: best.result.score,
+        issues: best.result.issues.map(issue => issue.type),
+        attempts
+      });
+    }
+
+    return {
+      draft: best.draft,
+      compliance: { ...best.result, attempts, checkedAt: new Date().toISOString() }
+    };
+  }
+
+  /**
+   * social_posts columns for a checked post: a post that failed is held as
+   * pending_review and released to releaseStatus when approved
+   */
+  reviewFields(compliance, releaseStatus) {
+    if (!compliance) {
+      return { status: releaseStatus };
+    }
+
+    return {
+      status: compliance.passed ? releaseStatus : this.reviewStatus,
+      compliance_score: compliance.score,
+      compliance: { ...compliance, releaseStatus }
+    };
+  }
+
+  /**
+   * Added to the prompt of a regeneration
+   */
+  buildFeedback(issues) {
+    const problems = issues
+      .filter(issue => issue.severity === 'error' || issue.type === this.issueTypes.MISSING_KEY_PHRASE)
+      .map(issue => {
+        if (issue.type === this.issueTypes.MISSING_KEY_PHRASE) {
+          return `- Work in one of these phrases: ${issue.phrases.join(', ')}`;
+        }
+        return `- ${issue.message}`;
+      });
+
+    if (problems.length === 0) {
+      problems.push('- Keep closer to the brand tone and style');
+    }
+
+    return `
+
+Brand review: the previous draft was rejected. Write a new one that fixes these problems:
+${problems.join('\n')}`;
+  }
+
+  /**
+   * Score the text's tone with the LLM; null when it cannot be judged, so an
+   * unavailable model never holds a post back
+   * @returns {Object|null} { score (0-1), reason }
+   */
+  async judgeTone(text, persona, agentId = null) {
+    if (!persona.tone && !persona.style) {
+      return null;
+    }
+
+    try {
+      const prompt = await promptRegistry.render('brand_tone_check', {
+        tone: persona.tone,
+        style: persona.style,
+        text
+      }, { agentId });
+
+      const completion = await llmClient.complete({
+        task: 'brand_compliance',
+        prompt: prompt.text,
+        maxTokens: 200,
+        temperature: 0,
+        json: true,
+        metadata: { prompt: prompt.label }
+      });
+
+      const { score, reason } = JSON.parse(completion.text);
+      if (typeof score !== 'number' || score < 0 || score > 1) {
+        return null;
+      }
+
+      return { score, reason };
+    } catch (error) {
+      logger.warn('Could not judge brand tone, skipping the tone check', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Whole-word, case-insensitive match, in any script
+   */
+  containsPhrase(text, phrase) {
+    const escaped = String(phrase).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    if (!escaped) {
+      return false;
+    }
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+  }
+
+  /**
+   * Distinct hashtags in the hashtag list and the text
+   */
+  countHashtags({ text = '', hashtags = [] }) {
+    const tags = [
+      ...(hashtags || []).map(tag => String(tag).replace(/^#/, '')),
+      ...(text.match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.slice(1))
+    ];
+    return new Set(tags.map(tag => tag.toLowerCase())).size;
+  }
+
+  /**
+   * The agent's posts held for brand review, oldest first
+   */
+  async listPending(agentId) {
+    const { data, error } = await this.supabase
+      .from('social_posts')
+      .select('*, properties!inner(id, title, address, agent_id)')
+      .eq('properties.agent_id', agentId)
+      .eq('status', this.reviewStatus)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch posts for review: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Approve a held post (it goes back to the status it was generated with)
+   * or reject it
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Agent ID for access control
+   * @param {string} decision - 'approve' or 'reject'
+   * @returns {Object} Updated post
+   */
+  async decide(postId, agentId, decision) {
+    const { data: post, error: fetchError } = await this.supabase
+      .from('social_posts')
+      .select('*, properties!inner(agent_id)')
+      .eq('id', postId)
+      .eq('properties.agent_id', agentId)
+      .eq('status', this.reviewStatus)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        throw errorService.createError('POST_REVIEW_NOT_FOUND');
+      }
+      throw new Error(`Failed to fetch post for review: ${fetchError.message}`);
+    }
+
+    const compliance = post.compliance || {};
+    const review = { decision, reviewedBy: agentId, reviewedAt: new Date().toISOString() };
+
+    const { data, error } = await this.supabase
+      .from('social_posts')
+      .update({
+        status: decision === 'approve' ? (compliance.releaseStatus || 'draft') : this.rejectedStatus,
+        compliance: { ...compliance, review },
+        updated_at: review.reviewedAt
+      })
+      .eq('id', postId)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save post review: ${error.message}`);
+    }
+
+    logger.info('Post brand review decided', { postId, agentId, decision });
+    return data;
+  }
+}
+
+module.exports = new BrandComplianceService();
@@ -0,0 +1,350 @@
+const puppeteer = require('puppeteer');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const performanceMonitor = require('../../middlewares/performanceMonitor');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu'
+];
+
+// A task that was running when Chromium crashed is retried once on a new browser
+const CRASH_RETRIES = 1;
+
+/**
+ * Shared headless Chromium for the scraper and image rendering.
+ *
+ * Callers borrow a page with withPage(); at most maxConcurrency pages are
+ * in use at once and the rest queue. Each task gets a page in its own
+ * incognito browser context, closed when the task ends, so cookies,
+ * storage, cache, viewport and headers never carry over to the next task.
+ * Chromium itself is restarted after maxBrowserUses tasks, relaunched on
+ * demand if it crashes, and closed when the pool has been idle. Pool
+ * statistics are pushed to performanceMonitor.
+ */
+class BrowserPoolService {
+  constructor() {
+    this.settings = config.browserPool;
+
+    // { browser, uses, activePages, closing, crashed }
+    this.current = null;
+    this.launching = null;
+    this.retired = new Set();
+
+    this.activeTasks = 0;
+    this.waiters = [];
+    this.idleTimer = null;
+    this.acquisitions = 0;
+    this.totalWaitMs = 0;
+
+    this.stats = {
+      launches: 0,
+      crashes: 0,
+      recycledBrowsers: 0,
+      tasksCompleted: 0,
+      tasksFailed: 0,
+      acquireTimeouts: 0,
+      taskTimeouts: 0,
+      averageWaitTime: 0
+    };
+  }
+
+  /**
+   * Run a task with a pooled page
+   * @param {Function} task - Receives the page; its result is returned
+   * @param {Object} options - { timeout } in ms, defaults to taskTimeoutMs
+   * @returns {*} Whatever task resolves to
+   */
+  async withPage(task, { timeout = this.settings.taskTimeoutMs } = {}) {
+    await this.acquireSlot();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const lease = await this.checkoutPage();
+        try {
+          const result = await this.runTask(lease, task, timeout);
+          this.stats.tasksCompleted++;
+          return result;
+        } catch (error) {
+          if (lease.entry.crashed && attempt < CRASH_RETRIES) {
+            logger.warn('Browser crashed during a task, retrying on a new browser', { error: error.message });
+            continue;
+          }
+          this.stats.tasksFailed++;
+          throw error;
+        } finally {
+          await this.releasePage(lease);
+        }
+      }
+    } finally {
+      this.releaseSlot();
+      this.report();
+    }
+  }
+
+  async runTask(lease, task, timeout) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        this.stats.taskTimeouts++;
+        // Closing the page aborts whatever the task is waiting on
+        lease.page.close().catch(() => {});
+        reject(new Error(`Browser task timed out after ${timeout}ms`));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([task(lease.page), timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait for one of the maxConcurrency task slots
+   */
+  acquireSlot() {
+    const queuedAt = Date.now();
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    if (this.activeTasks < this.settings.maxConcurrency) {
+      this.activeTasks++;
+      this.recordWait(0);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          clearTimeout(waiter.timer);
+          this.recordWait(Date.now() - queuedAt);
+          resolve();
+        },
+        reject
+      };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(queued => queued !== waiter);
+        this.stats.acquireTimeouts++;
+        this.report();
+        reject(new Error(`Timed out after ${this.settings.acquireTimeoutMs}ms waiting for a browser page`));
+      }, this.settings.acquireTimeoutMs);
+
+      this.waiters.push(waiter);
+      this.report();
+    });
+  }
+
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      // The slot passes straight to the next caller
+      next.resolve();
+      return;
+    }
+
+    this.activeTasks--;
+    if (this.activeTasks === 0) {
+      this.scheduleIdleClose();
+    }
+  }
+
+  async checkoutPage() {
+    const entry = await this.getBrowser();
+    entry.activePages++;
+
+    let context = null;
+    try {
+      context = await this.createContext(entry.browser);
+      const page = await context.newPage();
+      return { context, page, entry };
+    } catch (error) {
+      entry.activePages--;
+      if (context) {
+        await this.closeContext({ context, entry });
+      }
+      throw error;
+    }
+  }
+
+  // createBrowserContext from Puppeteer 22 on, createIncognitoBrowserContext before
+  createContext(browser) {
+    return typeof browser.createBrowserContext === 'function'
+      ? browser.createBrowserContext()
+      : browser.createIncognitoBrowserContext();
+  }
+
+  /**
+   * Close the task's browser context, and with it the page and everything
+   * the task left behind
+   */
+  async releasePage(lease) {
+    const { entry } = lease;
+    entry.uses++;
+    entry.activePages--;
+
+    if (entry === this.current && entry.uses >= this.settings.maxBrowserUses) {
+      this.retireBrowser(entry);
+    }
+
+    await this.closeContext(lease);
+
+    if (this.retired.has(entry) && entry.activePages === 0) {
+      await this.closeBrowser(entry);
+    }
+  }
+
+  async closeContext({ context, entry }) {
+    // A crashed or closing browser takes its contexts with it
+    if (entry.crashed || entry.closing) {
+      return;
+    }
+    try {
+      await context.close();
+    } catch (error) {
+      logger.warn('Failed to close browser context', { error: error.message });
+    }
+  }
+
+  async getBrowser() {
+    if (this.current) {
+      return this.current;
+    }
+    if (!this.launching) {
+      this.launching = this.launchBrowser().finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  async launchBrowser() {
+    const browser = await puppeteer.launch({
+      headless: this.settings.headless ? 'new' : false,
+      args: LAUNCH_ARGS
+    });
+    const entry = { browser, uses: 0, activePages: 0, closing: false, crashed: false };
+
+    browser.on('disconnected', () => this.handleDisconnect(entry));
+
+    this.current = entry;
+    this.stats.launches++;
+    logger.info('Browser launched', { launches: this.stats.launches });
+    this.report();
+
+    return entry;
+  }
+
+  /**
+   * Chromium exited without us closing it. Its pages are gone; the next
+   * task launches a new browser.
+   */
+  handleDisconnect(entry) {
+    if (!entry.closing) {
+      entry.crashed = true;
+      this.stats.crashes++;
+      logger.error('Browser disconnected unexpectedly', { uses: entry.uses, activePages: entry.activePages });
+    }
+
+    if (this.current === entry) {
+      this.current = null;
+    }
+    this.retired.delete(entry);
+    this.report();
+  }
+
+  /**
+   * Stop handing out pages from a browser; it closes once its running
+   * tasks finish
+   */
+  retireBrowser(entry) {
+    if (this.current === entry) {
+      this.current = null;
+    }
+    this.retired.add(entry);
+    this.stats.recycledBrowsers++;
+    logger.info('Recycling browser', { uses: entry.uses });
+  }
+
+  async closeBrowser(entry) {
+    if (entry.closing) {
+      return;
+    }
+    entry.closing = true;
+    this.retired.delete(entry);
+    if (this.current === entry) {
+      this.current = null;
+    }
+
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      logger.warn('Failed to close browser', { error: error.message });
+    }
+    this.report();
+  }
+
+  scheduleIdleClose() {
+    if (!this.settings.idleTimeoutMs || !this.current) {
+      return;
+    }
+
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (this.activeTasks === 0 && this.current) {
+        logger.info('Closing idle browser');
+        this.closeBrowser(this.current);
+      }
+    }, this.settings.idleTimeoutMs);
+    this.idleTimer.unref();
+  }
+
+  recordWait(waitMs) {
+    this.acquisitions++;
+    this.totalWaitMs += waitMs;
+    this.stats.averageWaitTime = Math.round(this.totalWaitMs / this.acquisitions);
+  }
+
+  /**
+   * Current pool state and counters
+   */
+  getStats() {
+    return {
+      browsers: (this.current ? 1 : 0) + this.retired.size,
+      activePages: this.activeTasks,
+      queued: this.waiters.length,
+      maxConcurrency: this.settings.maxConcurrency,
+      ...this.stats
+    };
+  }
+
+  report() {
+    performanceMonitor.updateBrowserPoolStats(this.getStats());
+  }
+
+  /**
+   * Close every browser. Queued callers are rejected.
+   */
+  async shutdown() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    });
+
+    const entries = [this.current, ...this.retired].filter(Boolean);
+    await Promise.all(entries.map(entry => this.closeBrowser(entry)));
+    logger.info('Browser pool shut down');
+  }
+}
+
+module.exports = new BrowserPoolService();
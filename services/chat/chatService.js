@@ -1,9 +1,12 @@
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../../config/config');
 const aiService = require('../ai/aiService');
+const promptRegistry = require('../ai/promptRegistry');
 const emailService = require('../email/emailService');
 const analyticsService = require('../analytics/analyticsService');
 const brandService = require('../brand/brandService');
+const propertyService = require('../property/propertyService');
+const viewingService = require('../property/viewingService');
 const { v4: uuidv4 } = require('uuid');
 
 const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
@@ -165,6 +168,7 @@ class ChatService {
         timestamp: new Date().toISOString(),
         metadata: {
           model: aiResponse.model,
+          prompt: aiResponse.prompt,
           tokens_used: aiResponse.tokensUsed,
           confidence: aiResponse.confidence
         }
@@ -210,6 +214,11 @@ class ChatService {
       // Generate lead capture message
       const leadCaptureMessage = this.generateLeadCaptureMessage(triggerType);
 
+      // Offer bookable slots instead of a free-text preferred time
+      if (triggerType === this.leadTriggers.VIEWING_REQUEST) {
+        await this.attachViewingSlots(sessionId, leadCaptureMessage);
+      }
+
       // Add lead capture message
       await this.addMessage(sessionId, {
         type: this.messageTypes.ASSISTANT,
@@ -293,6 +302,13 @@ class ChatService {
         await this.sendPropertyBrochure(session, validatedLead);
       }
 
+      // Book the chosen viewing slot or open house
+      const viewingRequested = session.lead_trigger === this.leadTriggers.VIEWING_REQUEST &&
+        Boolean(validatedLead.viewing_slot || validatedLead.open_house_id);
+      const viewing = viewingRequested
+        ? await this.bookViewing(session, validatedLead, lead.id)
+        : null;
+
       // Send lead notification to agent
       await this.sendLeadNotification(session, validatedLead, lead.id);
 
@@ -306,7 +322,9 @@ class ChatService {
       });
 
       // Generate thank you message
-      const thankYouMessage = this.generateThankYouMessage(session.lead_trigger, validatedLead.name);
+      const thankYouMessage = viewingRequested
+        ? this.generateViewingMessage(validatedLead.name, viewing)
+        : this.generateThankYouMessage(session.lead_trigger, validatedLead.name);
 
       // Add thank you message
       await this.addMessage(sessionId, {
@@ -315,7 +333,8 @@ class ChatService {
         timestamp: new Date().toISOString(),
         metadata: {
           lead_completed: true,
-          lead_id: lead.id
+          lead_id: lead.id,
+          viewing_id: viewing?.id
         }
       });
 
@@ -324,7 +343,8 @@ class ChatService {
         success: true,
         leadId: lead.id,
         message: thankYouMessage,
-        brochureSent: session.lead_trigger === this.leadTriggers.BROCHURE_REQUEST
+        brochureSent: session.lead_trigger === this.leadTriggers.BROCHURE_REQUEST,
+        viewing
       };
 
     } catch (error) {
@@ -355,6 +375,14 @@ class ChatService {
       // Get neighborhood data (if available)
       const neighborhoodData = await this.getNeighborhoodData(property.location);
 
+      // Similar listings nearby for "what else is around here" questions
+      let comparableProperties = [];
+      try {
+        comparableProperties = await propertyService.findNearbyProperties(property, { agentId });
+      } catch (error) {
+        console.error('Error fetching nearby properties:', error);
+      }
+
       // Build comprehensive knowledge base
       const knowledgeBase = {
         property: {
@@ -387,7 +415,16 @@ class ChatService {
         neighborhood: neighborhoodData,
         market_context: {
           last_updated: new Date().toISOString(),
-          comparable_properties: [], // Could be populated with similar properties
+          comparable_properties: comparableProperties.map(nearby => ({
+            id: nearby.id,
+            title: nearby.title,
+            address: nearby.address,
+            price: nearby.price,
+            bedrooms: nearby.bedrooms,
+            bathrooms: nearby.bathrooms,
+            property_type: nearby.property_type,
+            distance_km: nearby.distance_km
+          })),
           market_trends: {} // Could be populated with market data
         }
       };
@@ -411,13 +448,13 @@ class ChatService {
   async generateAIResponse(session, userMessage) {
     try {
       // Build dynamic system prompt
-      const systemPrompt = this.buildSystemPrompt(session.knowledge_base, session.brand_context);
+      const systemPrompt = await this.buildSystemPrompt(session.knowledge_base, session.brand_context, session);
 
       // Get conversation history
       const conversationHistory = this.formatConversationHistory(session.messages);
 
       // Build complete prompt
-      const prompt = `${systemPrompt}
+      const prompt = `${systemPrompt.text}
 
 Conversation History:
 ${conversationHistory}
@@ -427,17 +464,19 @@ User: ${userMessage}
 Assistant:`;
 
       // Generate response using AI service
-      const response = await aiService.generateContent(prompt, {
-        model: 'claude-3-sonnet',
+      const completion = await aiService.generateCompletion(prompt, {
+        task: 'chat',
         maxTokens: 1000,
         temperature: 0.7,
-        systemPrompt: 'You are a helpful real estate AI assistant. Provide accurate, helpful information about the property and assist with any questions.'
+        systemPrompt: 'You are a helpful real estate AI assistant. Provide accurate, helpful information about the property and assist with any questions.',
+        metadata: { sessionId: session.id, prompt: systemPrompt.label }
       });
 
       return {
-        content: response,
-        model: 'claude-3-sonnet',
-        tokensUsed: response.length, // Approximate
+        content: completion.text,
+        model: completion.model,
+        prompt: systemPrompt.label,
+        tokensUsed: completion.usage.totalTokens,
         confidence: 0.9 // Could be calculated based on response quality
       };
 
@@ -455,56 +494,40 @@ Assistant:`;
   }
 
   /**
-   * Build dynamic system prompt
+   * Build dynamic system prompt (see promptRegistry). A session keeps the
+   * same A/B variant for every reply.
+   * @returns {Object} { text, label, ref }
    */
-  buildSystemPrompt(knowledgeBase, brandContext) {
+  async buildSystemPrompt(knowledgeBase, brandContext, session = {}) {
     const property = knowledgeBase.property;
     const agent = knowledgeBase.agent;
     const neighborhood = knowledgeBase.neighborhood;
 
-    return `You are an AI assistant for ${brandContext.company_name}, helping potential buyers learn about this property:
-
-PROPERTY INFORMATION:
-- Title: ${property.title}
-- Location: ${property.location}
-- Price: ${property.price}
-- Bedrooms: ${property.bedrooms}
-- Bathrooms: ${property.bathrooms}
-- Square Feet: ${property.square_feet}
-- Property Type: ${property.property_type}
-- Status: ${property.listing_status}
-- Description: ${property.description}
-
-KEY FEATURES:
-${property.features?.map(f => `- ${f}`).join('\n') || 'No specific features listed'}
-
-AMENITIES:
-${property.amenities?.map(a => `- ${a}`).join('\n') || 'No specific amenities listed'}
-
-AGENT INFORMATION:
-- Name: ${agent.name}
-- Email: ${agent.email}
-- Phone: ${agent.phone}
-- Bio: ${agent.bio}
-
-NEIGHBORHOOD CONTEXT:
-${neighborhood.description || 'Great neighborhood with convenient access to local amenities.'}
-
-BRAND PERSONA:
-- Tone: ${brandContext.persona?.tone || 'Professional and friendly'}
-- Style: ${brandContext.persona?.style || 'Helpful and informative'}
-- Key Phrases: ${brandContext.persona?.key_phrases?.join(', ') || 'Quality service, trusted expertise'}
-
-INSTRUCTIONS:
-1. Answer questions about the property using the provided information
-2. Be helpful, accurate, and professional
-3. If asked about scheduling viewings, contact information, or brochures, guide them toward providing their contact details
-4. Stay focused on this specific property and real estate topics
-5. Use the brand tone and style consistently
-6. If you don't know something, be honest and suggest contacting the agent
-7. Encourage engagement and help move the conversation toward a potential viewing or contact
-
-REMEMBER: Your goal is to provide helpful information while identifying serious buyers who might want to schedule a viewing or request more information.`;
+    return promptRegistry.render('chat_system', {
+      company_name: brandContext.company_name,
+      title: property.title,
+      location: property.location,
+      price: property.price,
+      bedrooms: property.bedrooms,
+      bathrooms: property.bathrooms,
+      square_feet: property.square_feet,
+      property_type: property.property_type,
+      listing_status: property.listing_status,
+      description: property.description,
+      features: property.features?.map(f => `- ${f}`).join('\n') || 'No specific features listed',
+      amenities: property.amenities?.map(a => `- ${a}`).join('\n') || 'No specific amenities listed',
+      agent_name: agent.name,
+      agent_email: agent.email,
+      agent_phone: agent.phone,
+      agent_bio: agent.bio,
+      neighborhood: neighborhood.description || 'Great neighborhood with convenient access to local amenities.',
+      comparables: knowledgeBase.market_context?.comparable_properties?.map(p =>
+        `- ${p.title || p.address}: ${p.price}, ${p.bedrooms} bed, ${p.bathrooms} bath, ${p.distance_km} km away`
+      ).join('\n') || 'No comparable listings nearby',
+      tone: brandContext.persona?.tone || 'Professional and friendly',
+      style: brandContext.persona?.style || 'Helpful and informative',
+      key_phrases: brandContext.persona?.key_phrases?.join(', ') || 'Quality service, trusted expertise'
+    }, { agentId: session.agent_id, seed: session.id });
   }
 
   /**
@@ -759,10 +782,71 @@ Feel free to ask me anything about the property, neighborhood, or if you'd like
       phone: leadData.phone?.trim() || '',
       message: leadData.message?.trim() || '',
       preferences: leadData.preferences?.trim() || '',
-      preferred_time: leadData.preferred_time?.trim() || ''
+      preferred_time: leadData.preferred_time?.trim() || '',
+      viewing_slot: leadData.viewing_slot || null,
+      open_house_id: leadData.open_house_id || null
     };
   }
 
+  /**
+   * Add open viewing slots and open houses to the viewing request form.
+   * Without any, the form keeps asking for a preferred time.
+   */
+  async attachViewingSlots(sessionId, leadCaptureMessage) {
+    try {
+      const session = await this.getSession(sessionId);
+      const availability = await viewingService.getAvailableSlots(session.property_id);
+
+      if (availability.slots.length === 0 && availability.openHouses.length === 0) {
+        return;
+      }
+
+      leadCaptureMessage.message = "I'd be happy to help you schedule a viewing! Pick one of the available times below and I'll book it for you straight away.";
+      leadCaptureMessage.form = {
+        ...leadCaptureMessage.form,
+        fields: ['name', 'email', 'phone', 'viewing_slot'],
+        slots: availability.slots.slice(0, 12),
+        openHouses: availability.openHouses
+      };
+
+    } catch (error) {
+      console.error('Error loading viewing slots:', error);
+    }
+  }
+
+  async bookViewing(session, leadData, leadId) {
+    try {
+      return await viewingService.bookViewing(session.property_id, {
+        startsAt: leadData.viewing_slot,
+        openHouseId: leadData.open_house_id,
+        name: leadData.name,
+        email: leadData.email,
+        phone: leadData.phone
+      }, {
+        source: viewingService.sources.CHAT,
+        chatSessionId: session.id,
+        leadId
+      });
+
+    } catch (error) {
+      console.error('Error booking viewing from chat:', error);
+      return null;
+    }
+  }
+
+  generateViewingMessage(name, viewing) {
+    if (!viewing) {
+      return `Thank you, ${name}! Unfortunately that time is no longer available. Our agent will contact you soon to find another time that suits you.`;
+    }
+
+    const start = new Date(viewing.starts_at);
+    const { timezone } = config.viewings;
+    const when = `${start.toLocaleDateString('en-US', { timeZone: timezone, dateStyle: 'full' })} at ${start.toLocaleTimeString('en-US', { timeZone: timezone, timeStyle: 'short' })}`;
+    const booked = viewing.open_house_id ? "You're registered for the open house" : 'Your viewing is booked';
+
+    return `Thank you, ${name}! ${booked} on ${when}. A confirmation with a calendar invite is on its way to ${viewing.visitor_email}.`;
+  }
+
   async sendPropertyBrochure(session, leadData) {
     try {
       await emailService.sendPropertyBrochure(
@@ -1,9 +1,11 @@
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../../config/config');
 const aiService = require('../ai/aiService');
+const promptRegistry = require('../ai/promptRegistry');
 const brandService = require('../brand/brandService');
+const { DEFAULT_LANGUAGE, getLanguage, isRtl, fontStack } = require('../ai/languages');
 const axios = require('axios');
-const puppeteer = require('puppeteer');
+const ics = require('../../utils/ics');
 
 const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
 
@@ -23,7 +25,10 @@ class EmailService {
       LEAD_NOTIFICATION: 'lead_notification',
       CHAT_TRANSCRIPT: 'chat_transcript',
       MARKET_UPDATE: 'market_update',
-      THANK_YOU: 'thank_you'
+      THANK_YOU: 'thank_you',
+      JUST_SOLD: 'just_sold',
+      MANUAL_ENTRY: 'manual_entry',
+      LISTING_CHANGES: 'listing_changes'
     };
 
     // Email categories for organization
@@ -36,8 +41,10 @@ class EmailService {
 
   /**
    * Generate and upload branded email templates
+   * @param {Object} options - languages: a set of templates is generated per
+   *   language (English only by default)
    */
-  async generateBrandedTemplates(agentId) {
+  async generateBrandedTemplates(agentId, { languages = [DEFAULT_LANGUAGE] } = {}) {
     try {
       console.log(`Generating branded email templates for agent ${agentId}`);
 
@@ -46,35 +53,38 @@ class EmailService {
 
       const generatedTemplates = [];
 
-      // Generate templates for each type
+      // Generate templates for each type, in each language
       for (const [templateKey, templateType] of Object.entries(this.templateTypes)) {
-        try {
-          const template = await this.generateSingleTemplate(
-            agentId,
-            templateType,
-            brandAssets
-          );
-
-          // Upload to Brevo
-          const brevoTemplate = await this.uploadTemplateToBrevo(
-            template,
-            agentId
-          );
-
-          // Save template record
-          const savedTemplate = await this.saveTemplateRecord(
-            agentId,
-            templateType,
-            template,
-            brevoTemplate.id
-          );
-
-          generatedTemplates.push(savedTemplate);
-          
-          console.log(`Generated template: ${templateType}`);
-          
-        } catch (error) {
-          console.error(`Failed to generate template ${templateType}:`, error);
+        for (const language of languages) {
+          try {
+            const template = await this.generateSingleTemplate(
+              agentId,
+              templateType,
+              brandAssets,
+              language
+            );
+
+            // Upload to Brevo
+            const brevoTemplate = await this.uploadTemplateToBrevo(
+              template,
+              agentId
+            );
+
+            // Save template record
+            const savedTemplate = await this.saveTemplateRecord(
+              agentId,
+              templateType,
+              template,
+              brevoTemplate.id
+            );
+
+            generatedTemplates.push(savedTemplate);
+            
+            console.log(`Generated template: ${templateType} (${language})`);
+            
+          } catch (error) {
+            console.error(`Failed to generate template ${templateType} (${language}):`, error);
+          }
         }
       }
 
@@ -90,35 +100,41 @@ class EmailService {
   /**
    * Generate single email template
    */
-  async generateSingleTemplate(agentId, templateType, brandAssets) {
+  async generateSingleTemplate(agentId, templateType, brandAssets, language = DEFAULT_LANGUAGE) {
     try {
       // Get template configuration
       const templateConfig = this.getTemplateConfig(templateType);
 
       // Generate content using AI
-      const contentPrompt = this.buildTemplatePrompt(
+      const contentPrompt = await this.buildTemplatePrompt(
         templateType,
         templateConfig,
-        brandAssets
+        brandAssets,
+        agentId,
+        language
       );
 
-      const aiContent = await aiService.generateContent(contentPrompt, {
-        model: 'claude-3-sonnet',
+      const completion = await aiService.generateCompletion(contentPrompt.text, {
+        task: 'email_template',
         maxTokens: 2000,
-        temperature: 0.7
+        temperature: 0.7,
+        json: true,
+        metadata: { agentId, templateType, prompt: contentPrompt.label, language }
       });
 
-      const parsedContent = JSON.parse(aiContent);
+      const parsedContent = JSON.parse(completion.text);
 
       // Generate HTML template
       const htmlTemplate = this.generateHtmlTemplate(
         parsedContent,
         brandAssets,
-        templateConfig
+        templateConfig,
+        language
       );
 
       return {
         type: templateType,
+        language,
         subject: parsedContent.subject,
         html_content: htmlTemplate,
         text_content: parsedContent.text_content,
@@ -127,7 +143,8 @@ class EmailService {
         metadata: {
           generated_at: new Date().toISOString(),
           brand_assets_used: brandAssets.brand_tier,
-          ai_model: 'claude-3-sonnet'
+          ai_model: completion.model,
+          ai_prompt: contentPrompt.label
         }
       };
 
@@ -138,67 +155,37 @@ class EmailService {
   }
 
   /**
-   * Build AI prompt for template generation
+   * Build AI prompt for template generation (see promptRegistry)
+   * @returns {Object} { text, label, ref }
    */
-  buildTemplatePrompt(templateType, templateConfig, brandAssets) {
-    return `
-Generate a professional email template for: ${templateType}
-
-Template Purpose: ${templateConfig.description}
-Category: ${templateConfig.category}
-Tone: ${templateConfig.tone}
-
-Brand Guidelines:
-- Company: ${brandAssets.company_name}
-- Tone: ${brandAssets.persona.tone}
-- Style: ${brandAssets.persona.style}
-- Key Phrases: ${brandAssets.persona.key_phrases?.join(', ')}
-- Avoid: ${brandAssets.persona.phrases_to_avoid?.join(', ')}
-
-Requirements:
-1. Professional and branded email content
-2. Clear subject line
-3. Personalized greeting using {{contact_name}} variable
-4. Relevant content for ${templateType}
-5. Professional signature
-6. Clear call-to-action
-7. Mobile-friendly design considerations
-
-Include these dynamic variables where appropriate:
-- {{contact_name}} - Recipient's name
-- {{agent_name}} - Agent's name
-- {{agent_email}} - Agent's email
-- {{agent_phone}} - Agent's phone
-- {{property_title}} - Property title
-- {{property_address}} - Property address
-- {{property_price}} - Property price
-- {{company_name}} - Company name
-- {{website_url}} - Website URL
-
-Generate:
-1. Email subject line
-2. HTML-friendly content structure
-3. Plain text version
-4. List of variables used
-
-Return as JSON: {
-  "subject": "email subject",
-  "html_structure": "main content with HTML structure",
-  "text_content": "plain text version",
-  "variables": ["list of variables used"],
-  "cta_text": "call to action text",
-  "cta_url": "call to action URL placeholder"
-}
-`;
+  async buildTemplatePrompt(templateType, templateConfig, brandAssets, agentId, language = DEFAULT_LANGUAGE) {
+    return promptRegistry.render('email_template', {
+      template_type: templateType,
+      purpose: templateConfig.description,
+      category: templateConfig.category,
+      template_tone: templateConfig.tone,
+      brand_company: brandAssets.company_name,
+      tone: brandAssets.persona.tone,
+      style: brandAssets.persona.style,
+      key_phrases: brandAssets.persona.key_phrases?.join(', '),
+      phrases_to_avoid: brandAssets.persona.phrases_to_avoid?.join(', ')
+    }, { agentId, language });
   }
 
   /**
-   * Generate HTML email template
+   * Generate HTML email template. The fixed wording follows the language,
+   * and right-to-left languages mirror the layout (text aligns right and the
+   * property highlight bar moves to the right edge).
    */
-  generateHtmlTemplate(content, brandAssets, templateConfig) {
+  generateHtmlTemplate(content, brandAssets, templateConfig, language = DEFAULT_LANGUAGE) {
+    const { dir, labels } = getLanguage(language);
+    const rtl = isRtl(language);
+    const start = rtl ? 'right' : 'left';
+    const end = rtl ? 'left' : 'right';
+
     return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${language}" dir="${dir}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -209,7 +196,9 @@ Return as JSON: {
         
         /* Base styles */
         body {
-            font-family: ${brandAssets.typography.font_family}, Arial, sans-serif;
+            font-family: ${fontStack(language, brandAssets.typography.font_family, 'Arial, sans-serif')};
+            direction: ${dir};
+            text-align: ${start};
             line-height: 1.6;
             color: #333333;
             background-color: #f8f9fa;
@@ -293,10 +282,11 @@ Return as JSON: {
         /* Property highlight (for property-related emails) */
         .property-highlight {
             background-color: #f8f9fa;
-            border-left: 4px solid ${brandAssets.colors.primary};
+            border-${start}: 4px solid ${brandAssets.colors.primary};
             padding: 20px;
             margin: 20px 0;
-            border-radius: 0 5px 5px 0;
+            border-top-${end}-radius: 5px;
+            border-bottom-${end}-radius: 5px;
         }
         
         .property-title {
@@ -394,12 +384,12 @@ Return as JSON: {
         <div class="email-header">
             ${brandAssets.logo_path ? `<img src="{{logo_url}}" alt="${brandAssets.company_name}" class="logo">` : ''}
             <div class="company-name">{{company_name}}</div>
-            <div class="tagline">Your Trusted Real Estate Partner</div>
+            <div class="tagline">${labels.tagline}</div>
         </div>
         
         <!-- Content -->
         <div class="email-content">
-            <div class="greeting">Hello {{contact_name}},</div>
+            <div class="greeting">${labels.greeting}</div>
             
             <div class="main-content">
                 ${content.html_structure}
@@ -409,8 +399,8 @@ Return as JSON: {
             <div class="property-highlight">
                 <div class="property-title">{{property_title}}</div>
                 <div class="property-details">
-                    <strong>Address:</strong> {{property_address}}<br>
-                    <strong>Price:</strong> {{property_price}}
+                    <strong>${labels.address}:</strong> {{property_address}}<br>
+                    <strong>${labels.price}:</strong> {{property_price}}
                 </div>
             </div>
             ` : ''}
@@ -426,7 +416,7 @@ Return as JSON: {
         <div class="email-footer">
             <div class="agent-signature">
                 <div class="agent-name">{{agent_name}}</div>
-                <div class="agent-title">Real Estate Professional</div>
+                <div class="agent-title">${labels.agentTitle}</div>
                 <div class="contact-info">
                     <a href="mailto:{{agent_email}}">{{agent_email}}</a> | 
                     <a href="tel:{{agent_phone}}">{{agent_phone}}</a>
@@ -434,12 +424,12 @@ Return as JSON: {
             </div>
             
             <div class="social-links">
-                <a href="{{website_url}}">Visit Our Website</a>
+                <a href="{{website_url}}">${labels.website}</a>
             </div>
             
             <div class="disclaimer">
-                This email was sent by {{company_name}}. If you no longer wish to receive these emails, 
-                you can <a href="{{unsubscribe_url}}">unsubscribe here</a>.
+                ${labels.sentBy}
+                <a href="{{unsubscribe_url}}">${labels.unsubscribe}</a>.
                 <br><br>
                 {{company_address}}
             </div>
@@ -456,7 +446,7 @@ Return as JSON: {
   async uploadTemplateToBrevo(template, agentId) {
     try {
       const templateData = {
-        name: `${template.type}_${agentId}_${Date.now()}`,
+        name: `${template.type}_${template.language || DEFAULT_LANGUAGE}_${agentId}_${Date.now()}`,
         subject: template.subject,
         htmlContent: template.html_content,
         textContent: template.text_content,
@@ -486,11 +476,18 @@ Return as JSON: {
 
   /**
    * Send transactional email
+   * options.attachments: [{ name, content (string or Buffer) }]
+   * options.language: template language; English is used when the agent has
+   * no template in that language
    */
-  async sendTransactionalEmail(templateType, recipientEmail, templateData, agentId) {
+  async sendTransactionalEmail(templateType, recipientEmail, templateData, agentId, options = {}) {
     try {
       // Get template
-      const template = await this.getAgentTemplate(agentId, templateType);
+      const language = options.language || DEFAULT_LANGUAGE;
+      let template = await this.getAgentTemplate(agentId, templateType, language);
+      if (!template && language !== DEFAULT_LANGUAGE) {
+        template = await this.getAgentTemplate(agentId, templateType);
+      }
       
       if (!template) {
         throw new Error(`Template ${templateType} not found for agent ${agentId}`);
@@ -508,6 +505,13 @@ Return as JSON: {
         tags: [`agent_${agentId}`, templateType]
       };
 
+      if (options.attachments && options.attachments.length > 0) {
+        emailData.attachment = options.attachments.map(attachment => ({
+          name: attachment.name,
+          content: Buffer.from(attachment.content).toString('base64')
+        }));
+      }
+
       // Send via Brevo
       const response = await axios.post(
         `${this.brevoApiUrl}/smtp/email`,
@@ -657,6 +661,198 @@ Return as JSON: {
     }
   }
 
+  /**
+   * Ask the agent to finish a listing the scraper could not read, via the
+   * signed manual completion form link
+   */
+  async sendManualFormEmail(agentId, formData) {
+    try {
+      const { data: agent } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', agentId)
+        .single();
+
+      if (!agent) {
+        throw new Error('Agent not found');
+      }
+
+      const templateData = {
+        contact_name: agent.full_name,
+        agent_name: agent.full_name,
+        listing_url: formData.originalUrl,
+        manual_form_url: formData.manualFormUrl,
+        link_expires_at: new Date(formData.expiresAt).toLocaleString(),
+        company_name: 'Nester'
+      };
+
+      return await this.sendTransactionalEmail(
+        this.templateTypes.MANUAL_ENTRY,
+        agent.email,
+        templateData,
+        agentId
+      );
+
+    } catch (error) {
+      console.error('Error sending manual form email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the agent what changed on a listing's source page since the last sync
+   */
+  async sendListingChangeNotification(property, changes) {
+    try {
+      const { data: agent } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', property.agent_id)
+        .single();
+
+      if (!agent) {
+        throw new Error('Agent not found');
+      }
+
+      const templateData = {
+        contact_name: agent.full_name,
+        agent_name: agent.full_name,
+        property_title: property.title || '',
+        property_address: property.address || '',
+        listing_url: property.listing_url,
+        listing_changes: changes.join('\n'),
+        company_name: 'Nester'
+      };
+
+      return await this.sendTransactionalEmail(
+        this.templateTypes.LISTING_CHANGES,
+        agent.email,
+        templateData,
+        property.agent_id
+      );
+
+    } catch (error) {
+      console.error('Error sending listing change notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Announce a sale to everyone who enquired about the property
+   */
+  async sendJustSoldAnnouncement(propertyId, agentId) {
+    try {
+      const [{ data: property, error }, { data: agent }, { data: leads }] = await Promise.all([
+        supabase.from('properties').select('*').eq('id', propertyId).single(),
+        supabase.from('users').select('*').eq('id', agentId).single(),
+        supabase.from('leads').select('email, name').eq('property_id', propertyId)
+      ]);
+
+      if (error) {
+        throw new Error(`Failed to fetch property: ${error.message}`);
+      }
+
+      // One email per address, however many times they enquired
+      const recipients = [...new Map((leads || [])
+        .filter(lead => lead.email)
+        .map(lead => [lead.email.toLowerCase(), lead])).values()];
+
+      let sent = 0;
+      for (const lead of recipients) {
+        try {
+          await this.sendTransactionalEmail(
+            this.templateTypes.JUST_SOLD,
+            lead.email,
+            {
+              contact_name: lead.name || 'Valued Client',
+              agent_name: agent?.full_name || 'Real Estate Agent',
+              agent_email: agent?.email || '',
+              agent_phone: agent?.phone || '',
+              property_title: property.title,
+              property_address: property.location || property.address,
+              property_price: property.price,
+              company_name: 'Nester'
+            },
+            agentId
+          );
+          sent++;
+        } catch (sendError) {
+          console.error(`Failed to send Just Sold email to ${lead.email}:`, sendError.message);
+        }
+      }
+
+      console.log(`Just Sold announcement sent to ${sent}/${recipients.length} contacts for property ${propertyId}`);
+      return { sent, total: recipients.length };
+
+    } catch (error) {
+      console.error('Error sending Just Sold announcement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a booked viewing or open house registration to the visitor,
+   * with the appointment attached as an .ics calendar invite
+   */
+  async sendViewingConfirmation(viewing, property) {
+    try {
+      const { data: agent } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', viewing.agent_id)
+        .single();
+
+      const address = property.location || property.address ||
+        [property.street_address, property.city, property.state].filter(Boolean).join(', ');
+      const isOpenHouse = Boolean(viewing.open_house_id);
+      const { timezone } = config.viewings;
+      const start = new Date(viewing.starts_at);
+
+      const invite = ics.createEvent({
+        uid: `viewing-${viewing.id}@nester`,
+        start: viewing.starts_at,
+        end: viewing.ends_at,
+        summary: `${isOpenHouse ? 'Open house' : 'Viewing'}: ${property.title || address}`,
+        description: [
+          `Hosted by ${agent?.full_name || 'your agent'}`,
+          agent?.phone ? `Phone: ${agent.phone}` : null,
+          viewing.notes ? `Notes: ${viewing.notes}` : null
+        ].filter(Boolean).join('\n'),
+        location: address,
+        organizer: agent?.email ? { name: agent.full_name, email: agent.email } : null,
+        attendee: { name: viewing.visitor_name, email: viewing.visitor_email }
+      });
+
+      const templateData = {
+        contact_name: viewing.visitor_name || 'Valued Client',
+        agent_name: agent?.full_name || 'Real Estate Agent',
+        agent_email: agent?.email || '',
+        agent_phone: agent?.phone || '',
+        property_title: property.title,
+        property_address: address,
+        property_price: property.price,
+        viewing_type: isOpenHouse ? 'open_house' : 'private',
+        viewing_date: start.toLocaleDateString('en-US', { timeZone: timezone, dateStyle: 'full' }),
+        viewing_time: start.toLocaleTimeString('en-US', { timeZone: timezone, timeStyle: 'short' }),
+        viewing_starts_at: viewing.starts_at,
+        viewing_ends_at: viewing.ends_at,
+        company_name: 'Nester'
+      };
+
+      return await this.sendTransactionalEmail(
+        this.templateTypes.VIEWING_CONFIRMATION,
+        viewing.visitor_email,
+        templateData,
+        viewing.agent_id,
+        { attachments: [{ name: 'viewing.ics', content: invite }] }
+      );
+
+    } catch (error) {
+      console.error('Error sending viewing confirmation:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send chat transcript
    */
@@ -733,17 +929,41 @@ Return as JSON: {
         tone: 'professional',
         includePropertyHighlight: true
       },
+      [this.templateTypes.VIEWING_CONFIRMATION]: {
+        description: 'Confirm a booked property viewing or open house with date, time and address',
+        category: this.categories.TRANSACTIONAL,
+        tone: 'professional',
+        includePropertyHighlight: true
+      },
       [this.templateTypes.LEAD_NOTIFICATION]: {
         description: 'Notify agents of new leads',
         category: this.categories.NOTIFICATION,
         tone: 'urgent',
         includePropertyHighlight: false
       },
+      [this.templateTypes.MANUAL_ENTRY]: {
+        description: 'Ask the agent to complete a listing that could not be imported automatically, with a link to the pre-filled form',
+        category: this.categories.NOTIFICATION,
+        tone: 'helpful',
+        includePropertyHighlight: false
+      },
+      [this.templateTypes.LISTING_CHANGES]: {
+        description: 'Tell the agent about price, status and photo changes found on a listing\'s source page',
+        category: this.categories.NOTIFICATION,
+        tone: 'informative',
+        includePropertyHighlight: true
+      },
       [this.templateTypes.FOLLOW_UP]: {
         description: 'Follow up with potential clients',
         category: this.categories.MARKETING,
         tone: 'friendly',
         includePropertyHighlight: true
+      },
+      [this.templateTypes.JUST_SOLD]: {
+        description: 'Announce that a property has sold to contacts who enquired about it',
+        category: this.categories.MARKETING,
+        tone: 'celebratory',
+        includePropertyHighlight: true
       }
     };
 
@@ -762,6 +982,7 @@ Return as JSON: {
         .insert([{
           agent_id: agentId,
           template_type: templateType,
+          language: template.language || DEFAULT_LANGUAGE,
           brevo_template_id: brevoTemplateId,
           subject: template.subject,
           html_content: template.html_content,
@@ -786,13 +1007,14 @@ Return as JSON: {
     }
   }
 
-  async getAgentTemplate(agentId, templateType) {
+  async getAgentTemplate(agentId, templateType, language = DEFAULT_LANGUAGE) {
     try {
       const { data, error } = await supabase
         .from('email_templates')
         .select('*')
         .eq('agent_id', agentId)
         .eq('template_type', templateType)
+        .eq('language', language)
         .eq('is_active', true)
         .order('created_at', { ascending: false })
         .limit(1)
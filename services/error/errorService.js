@@ -73,6 +73,98 @@ class ErrorService {
                 httpStatus: 504
             },
             
+            // Resource errors
+            PROPERTY_NOT_FOUND: {
+                code: 'PROPERTY_NOT_FOUND',
+                message: 'Property not found',
+                httpStatus: 404
+            },
+            PROPERTY_IMAGE_NOT_FOUND: {
+                code: 'PROPERTY_IMAGE_NOT_FOUND',
+                message: 'Property image not found',
+                httpStatus: 404
+            },
+            PROPERTY_REVISION_NOT_FOUND: {
+                code: 'PROPERTY_REVISION_NOT_FOUND',
+                message: 'Property revision not found',
+                httpStatus: 404
+            },
+            PROPERTY_FEED_NOT_FOUND: {
+                code: 'PROPERTY_FEED_NOT_FOUND',
+                message: 'Listing feed not found',
+                httpStatus: 404
+            },
+            PROPERTY_DUPLICATE: {
+                code: 'PROPERTY_DUPLICATE',
+                message: 'A matching property already exists',
+                httpStatus: 409
+            },
+            INVALID_STATUS_TRANSITION: {
+                code: 'INVALID_STATUS_TRANSITION',
+                message: 'Listing status transition is not allowed',
+                httpStatus: 409
+            },
+            VIEWING_NOT_FOUND: {
+                code: 'VIEWING_NOT_FOUND',
+                message: 'Viewing not found',
+                httpStatus: 404
+            },
+            VIEWING_WINDOW_NOT_FOUND: {
+                code: 'VIEWING_WINDOW_NOT_FOUND',
+                message: 'Availability window not found',
+                httpStatus: 404
+            },
+            OPEN_HOUSE_NOT_FOUND: {
+                code: 'OPEN_HOUSE_NOT_FOUND',
+                message: 'Open house not found',
+                httpStatus: 404
+            },
+            VIEWING_SLOT_UNAVAILABLE: {
+                code: 'VIEWING_SLOT_UNAVAILABLE',
+                message: 'The requested viewing time is no longer available',
+                httpStatus: 409
+            },
+            SCRAPE_JOB_NOT_FOUND: {
+                code: 'SCRAPE_JOB_NOT_FOUND',
+                message: 'Scrape job not found',
+                httpStatus: 404
+            },
+            SCRAPE_NOT_ALLOWED: {
+                code: 'SCRAPE_NOT_ALLOWED',
+                message: 'Scraping this URL is not allowed by the crawl policy',
+                httpStatus: 403
+            },
+            SCRAPE_DOCUMENT_INVALID: {
+                code: 'SCRAPE_DOCUMENT_INVALID',
+                message: 'The uploaded document could not be read',
+                httpStatus: 422
+            },
+            SCRAPE_REVIEW_NOT_FOUND: {
+                code: 'SCRAPE_REVIEW_NOT_FOUND',
+                message: 'No scraped fields are waiting for review on this property',
+                httpStatus: 404
+            },
+            SCRAPE_REVIEW_INCOMPLETE: {
+                code: 'SCRAPE_REVIEW_INCOMPLETE',
+                message: 'Some fields under review need a corrected value',
+                httpStatus: 422
+            },
+            MANUAL_ENTRY_LINK_INVALID: {
+                code: 'MANUAL_ENTRY_LINK_INVALID',
+                message: 'Manual entry link is invalid',
+                httpStatus: 404
+            },
+            MANUAL_ENTRY_LINK_EXPIRED: {
+                code: 'MANUAL_ENTRY_LINK_EXPIRED',
+                message: 'Manual entry link has expired',
+                httpStatus: 410
+            },
+            MANUAL_ENTRY_LINK_USED: {
+                code: 'MANUAL_ENTRY_LINK_USED',
+                message: 'This listing has already been completed',
+                httpStatus: 410
+            },
+            
             // Rate limiting
             RATE_LIMIT_EXCEEDED: {
                 code: 'RATE_LIMIT_EXCEEDED',
@@ -80,6 +172,43 @@ class ErrorService {
                 httpStatus: 429
             },
             
+            // AI providers
+            AI_PROVIDER_NOT_CONFIGURED: {
+                code: 'AI_PROVIDER_NOT_CONFIGURED',
+                message: 'No AI provider is configured for this request',
+                httpStatus: 503
+            },
+            AI_REQUEST_FAILED: {
+                code: 'AI_REQUEST_FAILED',
+                message: 'The AI provider could not complete the request',
+                httpStatus: 502
+            },
+            CONTENT_JOB_NOT_FOUND: {
+                code: 'CONTENT_JOB_NOT_FOUND',
+                message: 'Content generation job not found',
+                httpStatus: 404
+            },
+            CONTENT_JOB_NOT_RUNNING: {
+                code: 'CONTENT_JOB_NOT_RUNNING',
+                message: 'Content generation job has already finished',
+                httpStatus: 409
+            },
+            POST_REVIEW_NOT_FOUND: {
+                code: 'POST_REVIEW_NOT_FOUND',
+                message: 'Post not found or not waiting for brand review',
+                httpStatus: 404
+            },
+            PROMPT_NOT_FOUND: {
+                code: 'PROMPT_NOT_FOUND',
+                message: 'Prompt not found',
+                httpStatus: 404
+            },
+            PROMPT_INVALID: {
+                code: 'PROMPT_INVALID',
+                message: 'Prompt template is invalid',
+                httpStatus: 422
+            },
+            
             // Generic errors
             INTERNAL_ERROR: {
                 code: 'INTERNAL_ERROR',
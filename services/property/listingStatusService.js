@@ -0,0 +1,242 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Listing status state machine.
+ *
+ * draft -> processing -> active -> under_offer -> sold | withdrawn
+ *
+ * processing can also end in manual_required (scraper fell back to the manual
+ * form) or error; both may be retried. A scraped listing with fields the
+ * agent has to confirm waits in review_required until they do. Every transition is stamped on the
+ * property (status_changed_at / status_changed_by), written to
+ * property_status_history and then handed to the hooks registered for the
+ * target status.
+ */
+class ListingStatusService {
+    constructor() {
+        this.supabase = supabase;
+
+        this.statuses = {
+            DRAFT: 'draft',
+            PROCESSING: 'processing',
+            MANUAL_REQUIRED: 'manual_required',
+            REVIEW_REQUIRED: 'review_required',
+            ERROR: 'error',
+            ACTIVE: 'active',
+            UNDER_OFFER: 'under_offer',
+            SOLD: 'sold',
+            WITHDRAWN: 'withdrawn'
+        };
+
+        // Allowed next statuses for each status; sold is final
+        this.transitions = {
+            draft: ['processing', 'active', 'withdrawn'],
+            processing: ['active', 'manual_required', 'review_required', 'error', 'draft'],
+            manual_required: ['processing', 'active', 'draft', 'withdrawn'],
+            review_required: ['active', 'processing', 'draft', 'withdrawn'],
+            error: ['processing', 'draft', 'withdrawn'],
+            active: ['under_offer', 'withdrawn'],
+            under_offer: ['sold', 'withdrawn', 'active'],
+            withdrawn: ['active', 'draft'],
+            sold: []
+        };
+
+        // Statuses a property may be created with (imports carry existing listings)
+        this.initialStatuses = ['draft', 'processing', 'active', 'under_offer', 'sold', 'withdrawn'];
+
+        // Actor for transitions made by the scraper and other background jobs
+        this.systemActor = { id: null, type: 'system' };
+
+        // Values written before the state machine existed
+        this.legacyAliases = {
+            pending: 'under_offer',
+            off_market: 'withdrawn'
+        };
+
+        // Target status -> [async handler({ property, from, to, actor, reason })]
+        this.hooks = {};
+
+        this.registerHook('under_offer', transition => this.pauseSocialCampaign(transition));
+        this.registerHook('withdrawn', transition => this.pauseSocialCampaign(transition));
+        this.registerHook('active', transition => this.resumeSocialCampaign(transition));
+        this.registerHook('sold', transition => this.pauseSocialCampaign(transition));
+        this.registerHook('sold', transition => this.announceSale(transition));
+    }
+
+    /**
+     * Map legacy values onto the current status names
+     * @param {string} status - Listing status
+     * @returns {string} Normalized status
+     */
+    normalizeStatus(status) {
+        return this.legacyAliases[status] || status;
+    }
+
+    isStatus(status) {
+        return Object.prototype.hasOwnProperty.call(this.transitions, status);
+    }
+
+    getAllowedTransitions(status) {
+        return this.transitions[this.normalizeStatus(status)] || [];
+    }
+
+    canTransition(from, to) {
+        return this.getAllowedTransitions(from).includes(this.normalizeStatus(to));
+    }
+
+    /**
+     * Validate a transition and build the property columns that record it
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @param {Object} actor - { id, type: 'agent'|'system' }
+     * @returns {Object} Property update fields
+     */
+    prepareTransition(from, to, actor) {
+        const target = this.normalizeStatus(to);
+
+        if (!this.isStatus(target)) {
+            throw errorService.createError('VALIDATION_FAILED', {
+                message: `Unknown listing status: ${to}`
+            });
+        }
+
+        // Rows created before the state machine may carry a status it does not know
+        if (this.isStatus(this.normalizeStatus(from)) && !this.canTransition(from, target)) {
+            throw errorService.createError('INVALID_STATUS_TRANSITION', {
+                message: `Cannot change listing status from ${from} to ${target}`,
+                details: { from, to: target, allowed: this.getAllowedTransitions(from) }
+            });
+        }
+
+        return {
+            listing_status: target,
+            status_changed_at: new Date().toISOString(),
+            status_changed_by: actor.type === 'agent' ? actor.id : null
+        };
+    }
+
+    /**
+     * Record a completed transition and run its hooks in the background
+     * @param {Object} transition - { property, from, to, actor, reason }
+     * @returns {Promise} Resolves once the history row is written
+     */
+    async completeTransition(transition) {
+        const { property, from, to, actor, reason } = transition;
+
+        const { error } = await this.supabase
+            .from('property_status_history')
+            .insert({
+                property_id: property.id,
+                agent_id: property.agent_id,
+                from_status: from,
+                to_status: to,
+                actor_id: actor.type === 'agent' ? actor.id : null,
+                actor_type: actor.type,
+                reason: reason || null
+            });
+
+        if (error) {
+            logger.warn('Failed to record listing status transition', {
+                propertyId: property.id,
+                from,
+                to,
+                error: error.message
+            });
+        }
+
+        logger.info('Listing status changed', {
+            propertyId: property.id,
+            from,
+            to,
+            actorType: actor.type
+        });
+
+        // Hooks generate content and send email, so they do not hold up the caller
+        this.runHooks(transition).catch(hookError => {
+            logger.error('Listing status hooks failed', {
+                propertyId: property.id,
+                to,
+                error: hookError.message
+            });
+        });
+    }
+
+    /**
+     * Register a handler for transitions into a status
+     * @param {string} status - Target status
+     * @param {Function} handler - async ({ property, from, to, actor, reason }) => void
+     */
+    registerHook(status, handler) {
+        this.hooks[status] = [...(this.hooks[status] || []), handler];
+    }
+
+    /**
+     * Run the hooks for a transition. A failing hook is logged and does not
+     * stop the others.
+     * @param {Object} transition - { property, from, to, actor, reason }
+     */
+    async runHooks(transition) {
+        for (const handler of this.hooks[transition.to] || []) {
+            try {
+                await handler(transition);
+            } catch (error) {
+                logger.warn('Listing status hook failed', {
+                    propertyId: transition.property.id,
+                    to: transition.to,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Status history for a property, newest first
+     * @param {string} propertyId - Property ID
+     * @returns {Array} History rows
+     */
+    async getStatusHistory(propertyId) {
+        const { data, error } = await this.supabase
+            .from('property_status_history')
+            .select('*')
+            .eq('property_id', propertyId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw new Error(`Failed to fetch status history: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    async pauseSocialCampaign({ property, to }) {
+        await this.socialService.pauseCampaign(property.id, to);
+    }
+
+    async resumeSocialCampaign({ property, from }) {
+        // Only a fallen-through offer or a relisting picks the campaign back up
+        if (from === 'under_offer' || from === 'withdrawn') {
+            await this.socialService.resumeCampaign(property.id);
+        }
+    }
+
+    async announceSale({ property }) {
+        await this.socialService.generateJustSoldPosts(property.id, property.agent_id);
+        await this.emailService.sendJustSoldAnnouncement(property.id, property.agent_id);
+    }
+
+    // Resolved lazily: both pull in the AI, browser and HTTP clients
+    get socialService() {
+        return require('../social/socialService');
+    }
+
+    get emailService() {
+        return require('../email/emailService');
+    }
+}
+
+module.exports = new ListingStatusService();
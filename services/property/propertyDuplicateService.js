@@ -0,0 +1,455 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const geo = require('../../utils/geo');
+const imageHash = require('../../utils/imageHash');
+const { normalizePropertyAddress } = require('../../utils/address');
+const propertyService = require('./propertyService');
+const storageService = require('../storage/storageService');
+const errorService = require('../error/errorService');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Duplicate listing detection and merging.
+ *
+ * A candidate listing is compared against the agent's existing (not deleted)
+ * listings on listing URL, MLS number, normalized address, geocode proximity
+ * and perceptual hashes of its images. Each signal carries a weight and the
+ * weights combine as independent evidence: score = 1 - prod(1 - weight).
+ * Matches at or above likelyThreshold block creation with PROPERTY_DUPLICATE
+ * unless the caller explicitly allows duplicates.
+ */
+class PropertyDuplicateService {
+    constructor() {
+        this.supabase = supabase;
+
+        this.weights = {
+            listing_url: 1,
+            mls_number: 1,
+            address: 0.9,
+            location: 0.5,
+            image: 0.6,
+            images: 0.8 // two or more matching photos
+        };
+
+        // Scores reported as possible duplicates / treated as the same listing
+        this.reportThreshold = 0.5;
+        this.likelyThreshold = 0.8;
+
+        // Geocodes closer than this are considered the same spot
+        this.locationRadiusKm = 0.025;
+
+        // Max differing bits for two photo hashes to count as the same photo
+        this.imageHashDistance = 6;
+        // Listings returned by the photo match, most matching photos first
+        this.imageMatchLimit = 25;
+
+        this.candidateColumns = [
+            'id', 'title', 'address', 'street_address', 'city', 'state', 'zip_code',
+            'mls_number', 'listing_url', 'latitude', 'longitude', 'listing_status',
+            'price', 'bedrooms', 'bathrooms', 'created_at'
+        ].join(', ');
+
+        // Fields a merge may copy from the source listing (the columns merge_properties writes)
+        this.mergeableFields = [
+            'title', 'description', 'price', 'property_type', 'bedrooms', 'bathrooms',
+            'square_feet', 'lot_size', 'year_built', 'features', 'amenities', 'mls_number',
+            'listing_url', 'virtual_tour_url', 'video_url', 'documents',
+            'address', 'street_address', 'city', 'state', 'zip_code', 'country',
+            'latitude', 'longitude'
+        ];
+
+        // List fields are combined instead of replaced
+        this.unionFields = ['features', 'amenities'];
+
+        // Merged fields that change the normalized address
+        this.addressFields = ['address', 'street_address', 'city', 'state', 'zip_code'];
+    }
+
+    /**
+     * Find existing listings that look like the candidate
+     * @param {string} agentId - Agent ID
+     * @param {Object} candidate - Property fields (new or existing row)
+     * @param {Object} options - { excludeId, imageHashes }
+     * @returns {Array} [{ property, score, likely, reasons: [{ type, ... }] }], best first
+     */
+    async findDuplicates(agentId, candidate, options = {}) {
+        const { excludeId = null, imageHashes = [] } = options;
+        const matches = new Map();
+
+        const addReason = (property, reason) => {
+            const match = matches.get(property.id) || { property, reasons: [] };
+            match.reasons.push(reason);
+            matches.set(property.id, match);
+        };
+
+        const normalizedAddress = candidate.normalized_address || normalizePropertyAddress(candidate);
+        const exactSignals = [
+            { type: 'listing_url', column: 'listing_url', value: candidate.listing_url },
+            { type: 'mls_number', column: 'mls_number', value: candidate.mls_number && String(candidate.mls_number).trim() },
+            { type: 'address', column: 'normalized_address', value: normalizedAddress }
+        ].filter(signal => signal.value);
+
+        const [exactResults, nearby, imageMatches] = await Promise.all([
+            Promise.all(exactSignals.map(signal => this.findByColumn(agentId, signal.column, signal.value, excludeId))),
+            this.findNearby(agentId, candidate, excludeId),
+            this.findByImages(agentId, imageHashes, excludeId)
+        ]);
+
+        exactSignals.forEach((signal, index) => {
+            exactResults[index].forEach(property => addReason(property, { type: signal.type, value: signal.value }));
+        });
+        nearby.forEach(({ property, distanceKm }) => {
+            addReason(property, { type: 'location', distanceMeters: Math.round(distanceKm * 1000) });
+        });
+        imageMatches.forEach(({ property, matchingImages }) => {
+            addReason(property, { type: matchingImages > 1 ? 'images' : 'image', matchingImages });
+        });
+
+        return [...matches.values()]
+            .map(match => {
+                const score = this.scoreReasons(match.reasons);
+                return { ...match, score, likely: score >= this.likelyThreshold };
+            })
+            .filter(match => match.score >= this.reportThreshold)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Duplicates of an existing listing, including matches on its stored photos
+     * @param {string} propertyId - Property ID
+     * @param {string} agentId - Agent ID
+     * @returns {Array|null} Matches, or null if the property does not exist
+     */
+    async findDuplicatesForProperty(propertyId, agentId) {
+        const property = await propertyService.getPropertyById(propertyId, agentId, {
+            includeImages: false,
+            includeSocialPosts: false
+        });
+
+        if (!property) {
+            return null;
+        }
+
+        const images = await this.getImages(propertyId);
+
+        return this.findDuplicates(agentId, property, {
+            excludeId: propertyId,
+            imageHashes: images.map(image => image.perceptual_hash).filter(Boolean)
+        });
+    }
+
+    /**
+     * Throw PROPERTY_DUPLICATE (409) when the candidate likely already exists
+     * @param {string} agentId - Agent ID
+     * @param {Object} candidate - Property fields
+     * @param {Object} options - findDuplicates options
+     */
+    async assertNoDuplicates(agentId, candidate, options = {}) {
+        const matches = await this.findDuplicates(agentId, candidate, options);
+        const likely = matches.filter(match => match.likely);
+
+        if (likely.length > 0) {
+            logger.info('Duplicate listing detected', {
+                agentId,
+                matchIds: likely.map(match => match.property.id)
+            });
+
+            throw errorService.createError('PROPERTY_DUPLICATE', {
+                message: `This listing appears to duplicate "${likely[0].property.title || likely[0].property.address || likely[0].property.id}"`,
+                details: { matches: likely }
+            });
+        }
+    }
+
+    /**
+     * Merge a duplicate (source) into the listing that is kept (target).
+     * Empty target fields are filled from the source, fields named in
+     * options.fields are taken from the source outright, feature lists are
+     * combined, photos not already on the target are moved over together
+     * with leads and viewings, and the source goes to the trash. Photo files
+     * are copied first; every row change then happens in one transaction
+     * (the merge_properties RPC), and the copies are removed if it fails.
+     * @param {string} targetId - Listing to keep
+     * @param {string} sourceId - Duplicate listing
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - { fields: [] }
+     * @returns {Object|null} { property, mergedFields, movedImages, skippedImages, sourcePurgeAfter }
+     */
+    async mergeProperties(targetId, sourceId, agentId, options = {}) {
+        try {
+            if (targetId === sourceId) {
+                throw errorService.createError('VALIDATION_FAILED', {
+                    message: 'A property cannot be merged into itself'
+                });
+            }
+
+            const fetchOptions = { includeImages: false, includeSocialPosts: false };
+            const [target, source] = await Promise.all([
+                propertyService.getPropertyById(targetId, agentId, fetchOptions),
+                propertyService.getPropertyById(sourceId, agentId, fetchOptions)
+            ]);
+
+            if (!target || !source) {
+                return null;
+            }
+
+            logger.info('Merging properties', { targetId, sourceId, agentId });
+
+            const updates = this.buildMergeUpdates(target, source, options.fields || []);
+            const mergedFields = Object.keys(updates);
+            if (this.addressFields.some(field => updates[field] !== undefined)) {
+                updates.normalized_address = normalizePropertyAddress({ ...target, ...updates });
+            }
+
+            const { images, copied, skipped } = await this.prepareImageMove(agentId, target.id, source.id);
+            const purgeAfter = new Date(Date.now() + propertyService.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+            const { error } = await this.supabase.rpc('merge_properties', {
+                p_target_id: target.id,
+                p_source_id: source.id,
+                p_agent_id: agentId,
+                p_updates: updates,
+                p_images: images,
+                p_purge_after: purgeAfter
+            });
+
+            if (error) {
+                await storageService.removeFiles(storageService.buckets.PROPERTY_IMAGES, copied);
+
+                // no_data_found: one of the listings was deleted meanwhile
+                if (error.code === 'P0002') {
+                    return null;
+                }
+                throw new Error(`Failed to merge properties: ${error.message}`);
+            }
+
+            await propertyService.setSocialCampaignPaused(source.id, true, 'deleted');
+
+            logger.logAudit('property_merged', agentId, {
+                targetId,
+                sourceId,
+                mergedFields,
+                movedImages: images.length
+            });
+
+            return {
+                property: await propertyService.getPropertyById(target.id, agentId, { includeSocialPosts: false }),
+                mergedFields,
+                movedImages: images.length,
+                skippedImages: skipped.length,
+                sourcePurgeAfter: purgeAfter
+            };
+
+        } catch (error) {
+            logger.error('Failed to merge properties', {
+                targetId,
+                sourceId,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Field updates for the target listing of a merge
+     * @param {Object} target - Listing kept
+     * @param {Object} source - Duplicate listing
+     * @param {Array<string>} preferSource - Fields to take from the source
+     * @returns {Object} Update fields
+     */
+    buildMergeUpdates(target, source, preferSource = []) {
+        const isEmpty = value => value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+        const updates = {};
+
+        this.mergeableFields.forEach(field => {
+            const sourceValue = source[field];
+            const targetValue = target[field];
+
+            if (isEmpty(sourceValue)) {
+                return;
+            }
+
+            if (this.unionFields.includes(field) && Array.isArray(sourceValue)) {
+                const combined = [...new Set([...(targetValue || []), ...sourceValue])];
+                if (combined.length !== (targetValue || []).length) {
+                    updates[field] = combined;
+                }
+                return;
+            }
+
+            if (isEmpty(targetValue) || (preferSource.includes(field) && sourceValue !== targetValue)) {
+                updates[field] = sourceValue;
+            }
+        });
+
+        return updates;
+    }
+
+    /**
+     * Copy the files of source photos the target does not already have into
+     * the target's folder, and work out their image rows on the target
+     * @returns {Object} { images: merge_properties p_images rows, copied: file paths, skipped: source images left behind }
+     */
+    async prepareImageMove(agentId, targetId, sourceId) {
+        const [targetImages, sourceImages] = await Promise.all([
+            this.getImages(targetId),
+            this.getImages(sourceId)
+        ]);
+
+        const targetHashes = targetImages.map(image => image.perceptual_hash).filter(Boolean);
+        const skipped = [];
+        const toMove = [];
+
+        sourceImages.forEach(image => {
+            const alreadyPresent = image.perceptual_hash && targetHashes.some(hash =>
+                imageHash.hammingDistance(hash, image.perceptual_hash) <= this.imageHashDistance);
+
+            (alreadyPresent ? skipped : toMove).push(image);
+        });
+
+        if (toMove.length === 0) {
+            return { images: [], copied: [], skipped };
+        }
+
+        const { images: paths, copied } = await storageService.copyPropertyImageFiles(agentId, sourceId, targetId, toMove);
+
+        // A target without photos takes the first moved one as its cover
+        const nextOrder = targetImages.reduce((max, image) => Math.max(max, image.display_order || 0), -1) + 1;
+        const needsPrimary = !targetImages.some(image => image.is_primary);
+        const images = paths.map((imagePaths, index) => ({
+            ...imagePaths,
+            display_order: nextOrder + index,
+            is_primary: needsPrimary && index === 0
+        }));
+
+        return { images, copied, skipped };
+    }
+
+    /**
+     * Combined score for a set of match reasons
+     * @param {Array} reasons - [{ type }]
+     * @returns {number} Score between 0 and 1
+     */
+    scoreReasons(reasons) {
+        const miss = reasons.reduce((product, reason) => product * (1 - (this.weights[reason.type] || 0)), 1);
+        return Math.round((1 - miss) * 100) / 100;
+    }
+
+    async findByColumn(agentId, column, value, excludeId) {
+        let query = this.supabase
+            .from('properties')
+            .select(this.candidateColumns)
+            .eq('agent_id', agentId)
+            .eq(column, value)
+            .is('deleted_at', null)
+            .limit(10);
+
+        if (excludeId) {
+            query = query.neq('id', excludeId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to check duplicates by ${column}: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    async findNearby(agentId, candidate, excludeId) {
+        const lat = Number(candidate.latitude);
+        const lng = Number(candidate.longitude);
+
+        if (candidate.latitude == null || candidate.longitude == null || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+            return [];
+        }
+
+        let query = this.supabase
+            .from('properties')
+            .select(this.candidateColumns)
+            .eq('agent_id', agentId)
+            .is('deleted_at', null)
+            .limit(25);
+
+        query = propertyService.applyBoundsFilter(query, geo.boundingBoxForRadius(lat, lng, this.locationRadiusKm));
+
+        if (excludeId) {
+            query = query.neq('id', excludeId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to check duplicates by location: ${error.message}`);
+        }
+
+        return data
+            .map(property => ({
+                property,
+                distanceKm: geo.distanceKm(lat, lng, property.latitude, property.longitude)
+            }))
+            .filter(({ distanceKm }) => distanceKm <= this.locationRadiusKm);
+    }
+
+    /**
+     * Listings with photos matching the candidate's. Hash distances are
+     * computed in the database (match_property_image_hashes), which returns
+     * only the best imageMatchLimit listings.
+     */
+    async findByImages(agentId, imageHashes, excludeId) {
+        if (imageHashes.length === 0) {
+            return [];
+        }
+
+        const { data: matches, error } = await this.supabase.rpc('match_property_image_hashes', {
+            p_agent_id: agentId,
+            p_hashes: imageHashes,
+            p_max_distance: this.imageHashDistance,
+            p_exclude_id: excludeId,
+            p_limit: this.imageMatchLimit
+        });
+
+        if (error) {
+            throw new Error(`Failed to check duplicates by image: ${error.message}`);
+        }
+
+        if (matches.length === 0) {
+            return [];
+        }
+
+        const matchCounts = Object.fromEntries(matches.map(match => [match.property_id, match.matching_images]));
+
+        const { data: properties, error: propertyError } = await this.supabase
+            .from('properties')
+            .select(this.candidateColumns)
+            .in('id', Object.keys(matchCounts))
+            .is('deleted_at', null);
+
+        if (propertyError) {
+            throw new Error(`Failed to load image matches: ${propertyError.message}`);
+        }
+
+        return properties.map(property => ({ property, matchingImages: matchCounts[property.id] }));
+    }
+
+    async getImages(propertyId) {
+        const { data, error } = await this.supabase
+            .from('property_images')
+            .select('id, perceptual_hash, display_order, is_primary, storage_path, thumbnail_path, medium_path, large_path')
+            .eq('property_id', propertyId)
+            .order('display_order', { ascending: true });
+
+        if (error) {
+            throw new Error(`Failed to fetch property images: ${error.message}`);
+        }
+
+        return data;
+    }
+}
+
+module.exports = new PropertyDuplicateService();
@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const csv = require('../../utils/csv');
+const propertyService = require('./propertyService');
+const storageService = require('../storage/storageService');
+const errorService = require('../error/errorService');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Listing export (CSV, RESO JSON, syndication XML) and per-agent portal feeds
+ */
+class PropertyExportService {
+    constructor() {
+        this.supabase = supabase;
+        this.pageSize = 100;
+        this.maxListings = 2000;
+
+        // Listing statuses published to portal feeds
+        this.feedStatuses = ['active', 'under_offer'];
+
+        this.formats = {
+            csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+            reso: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+            xml: { contentType: 'application/xml; charset=utf-8', extension: 'xml' }
+        };
+
+        this.csvColumns = [
+            { key: 'id', header: 'id' },
+            { key: 'mls_number', header: 'mls_number' },
+            { key: 'title', header: 'title' },
+            { key: 'description', header: 'description' },
+            { key: 'price', header: 'price' },
+            { key: 'street_address', header: 'street' },
+            { key: 'city', header: 'city' },
+            { key: 'state', header: 'state' },
+            { key: 'zip_code', header: 'zip_code' },
+            { key: 'country', header: 'country' },
+            { key: 'latitude', header: 'latitude' },
+            { key: 'longitude', header: 'longitude' },
+            { key: 'property_type', header: 'property_type' },
+            { key: 'listing_status', header: 'listing_status' },
+            { key: 'bedrooms', header: 'bedrooms' },
+            { key: 'bathrooms', header: 'bathrooms' },
+            { key: 'square_feet', header: 'square_feet' },
+            { key: 'lot_size', header: 'lot_size' },
+            { key: 'year_built', header: 'year_built' },
+            { key: 'features', header: 'features' },
+            { key: 'amenities', header: 'amenities' },
+            { key: 'virtual_tour_url', header: 'virtual_tour_url' },
+            { key: 'image_urls', header: 'image_urls' },
+            { key: 'walk_score', header: 'walk_score' },
+            { key: 'walk_description', header: 'walk_description' },
+            { key: 'nearby_schools', header: 'nearby_schools' },
+            { key: 'estimated_monthly_payment', header: 'estimated_monthly_payment' },
+            { key: 'updated_at', header: 'updated_at' }
+        ];
+
+        this.resoPropertyTypes = {
+            single_family: { PropertyType: 'Residential', PropertySubType: 'Single Family Residence' },
+            condo: { PropertyType: 'Residential', PropertySubType: 'Condominium' },
+            townhouse: { PropertyType: 'Residential', PropertySubType: 'Townhouse' },
+            multi_family: { PropertyType: 'Residential Income', PropertySubType: 'Multi Family' },
+            land: { PropertyType: 'Land', PropertySubType: 'Unimproved Land' },
+            commercial: { PropertyType: 'Commercial Sale', PropertySubType: null }
+        };
+
+        this.resoStatuses = {
+            active: 'Active',
+            under_offer: 'Active Under Contract',
+            sold: 'Closed',
+            withdrawn: 'Withdrawn'
+        };
+    }
+
+    /**
+     * Export an agent's listings
+     * @param {string} agentId - Agent ID
+     * @param {string} format - 'csv', 'reso' or 'xml'
+     * @param {Object} options - { listingStatuses }
+     * @returns {Object} { contentType, extension, body, count }
+     */
+    async exportProperties(agentId, format, options = {}) {
+        try {
+            const formatConfig = this.formats[format];
+            if (!formatConfig) {
+                throw errorService.createError('INVALID_REQUEST', {
+                    message: `Unsupported export format: ${format}`
+                });
+            }
+
+            const listings = await this.loadListings(agentId, options.listingStatuses);
+
+            let body;
+            switch (format) {
+                case 'csv':
+                    body = csv.stringify(listings.map(listing => this.toFlatRecord(listing)), this.csvColumns);
+                    break;
+                case 'reso':
+                    body = JSON.stringify({
+                        '@odata.context': '$metadata#Property',
+                        '@odata.count': listings.length,
+                        value: listings.map(listing => this.toResoRecord(listing))
+                    }, null, 2);
+                    break;
+                case 'xml':
+                    body = this.toSyndicationXml(listings);
+                    break;
+            }
+
+            logger.info('Properties exported', {
+                agentId,
+                format,
+                count: listings.length
+            });
+
+            return {
+                contentType: formatConfig.contentType,
+                extension: formatConfig.extension,
+                body,
+                count: listings.length
+            };
+
+        } catch (error) {
+            logger.error('Failed to export properties', {
+                agentId,
+                format,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Load every listing for an agent (with images), page by page
+     * @param {string} agentId - Agent ID
+     * @param {Array<string>} listingStatuses - Optional status filter
+     * @returns {Array} Listings
+     */
+    async loadListings(agentId, listingStatuses) {
+        const filters = listingStatuses && listingStatuses.length > 0 ? { listingStatuses } : {};
+        const listings = [];
+        let page = 1;
+        let hasNext = true;
+
+        while (hasNext && listings.length < this.maxListings) {
+            const result = await propertyService.getProperties(filters, {
+                page,
+                limit: this.pageSize,
+                sortBy: 'updated_at',
+                sortOrder: 'desc',
+                includeImages: true
+            }, agentId);
+
+            listings.push(...result.data);
+            hasNext = result.pagination.hasNext;
+            page++;
+        }
+
+        return listings.slice(0, this.maxListings);
+    }
+
+    /**
+     * Public image URLs, primary first then by display order
+     * @param {Object} listing - Property with property_images
+     * @returns {Array} [{ url, caption, isPrimary, order }]
+     */
+    getImages(listing) {
+        return [...(listing.property_images || [])]
+            .sort((a, b) => (b.is_primary - a.is_primary) || ((a.display_order || 0) - (b.display_order || 0)))
+            .map((image, index) => ({
+                url: storageService.getPublicUrl(storageService.buckets.PROPERTY_IMAGES, image.storage_path),
+                caption: image.alt_text || null,
+                isPrimary: Boolean(image.is_primary),
+                order: index + 1
+            }));
+    }
+
+    toFlatRecord(listing) {
+        return {
+            ...listing,
+            image_urls: this.getImages(listing).map(image => image.url),
+            nearby_schools: Array.isArray(listing.nearby_schools)
+                ? listing.nearby_schools.map(school => school.name || school).join('; ')
+                : listing.nearby_schools
+        };
+    }
+
+    /**
+     * Map a property onto RESO Data Dictionary field names. Nester-only data
+     * (neighborhood enrichment) uses the "Nester_" local field prefix.
+     */
+    toResoRecord(listing) {
+        const propertyType = this.resoPropertyTypes[listing.property_type] ||
+            { PropertyType: 'Residential', PropertySubType: null };
+
+        return {
+            ListingKey: listing.id,
+            ListingId: listing.mls_number || null,
+            StandardStatus: this.resoStatuses[listing.listing_status] || null,
+            ListPrice: listing.price ?? null,
+            ...propertyType,
+            UnparsedAddress: listing.address || null,
+            City: listing.city || null,
+            StateOrProvince: listing.state || null,
+            PostalCode: listing.zip_code || null,
+            Country: listing.country || null,
+            Latitude: listing.latitude ?? null,
+            Longitude: listing.longitude ?? null,
+            BedroomsTotal: listing.bedrooms ?? null,
+            BathroomsTotalDecimal: listing.bathrooms ?? null,
+            LivingArea: listing.square_feet ?? null,
+            LivingAreaUnits: listing.square_feet ? 'Square Feet' : null,
+            LotSizeSquareFeet: listing.lot_size ?? null,
+            YearBuilt: listing.year_built ?? null,
+            PublicRemarks: listing.description || null,
+            InteriorFeatures: listing.features || [],
+            AssociationAmenities: listing.amenities || [],
+            VirtualTourURLUnbranded: listing.virtual_tour_url || null,
+            ModificationTimestamp: listing.updated_at || null,
+            Media: this.getImages(listing).map(image => ({
+                MediaURL: image.url,
+                MediaCategory: 'Photo',
+                Order: image.order,
+                PreferredPhotoYN: image.isPrimary,
+                ShortDescription: image.caption
+            })),
+            Nester_WalkScore: listing.walk_score ?? null,
+            Nester_WalkDescription: listing.walk_description || null,
+            Nester_NearbySchools: listing.nearby_schools || [],
+            Nester_EstimatedMonthlyPayment: listing.estimated_monthly_payment ?? null
+        };
+    }
+
+    /**
+     * Zillow/Trulia-style listing feed
+     * @param {Array} listings - Listings
+     * @returns {string} XML document
+     */
+    toSyndicationXml(listings) {
+        const tag = (name, value) => (value === undefined || value === null || value === '')
+            ? ''
+            : `<${name}>${this.escapeXml(value)}</${name}>`;
+
+        const listingXml = listings.map(listing => {
+            const pictures = this.getImages(listing).map(image =>
+                `<Picture>${tag('PictureUrl', image.url)}${tag('Caption', image.caption)}${tag('Position', image.order)}</Picture>`
+            ).join('');
+
+            const schools = (Array.isArray(listing.nearby_schools) ? listing.nearby_schools : []).map(school =>
+                `<School>${tag('Name', school.name || school)}${tag('Rating', school.rating)}${tag('Distance', school.distance)}</School>`
+            ).join('');
+
+            return [
+                '<Listing>',
+                '<Location>',
+                tag('StreetAddress', listing.street_address || listing.address),
+                tag('City', listing.city),
+                tag('State', listing.state),
+                tag('Zip', listing.zip_code),
+                tag('Lat', listing.latitude),
+                tag('Long', listing.longitude),
+                '</Location>',
+                '<ListingDetails>',
+                tag('Status', this.resoStatuses[listing.listing_status] || listing.listing_status),
+                tag('Price', listing.price),
+                tag('MlsId', listing.mls_number),
+                tag('ProviderListingId', listing.id),
+                tag('VirtualTourUrl', listing.virtual_tour_url),
+                tag('LastModified', listing.updated_at),
+                '</ListingDetails>',
+                '<BasicDetails>',
+                tag('PropertyType', listing.property_type),
+                tag('Title', listing.title),
+                tag('Description', listing.description),
+                tag('Bedrooms', listing.bedrooms),
+                tag('Bathrooms', listing.bathrooms),
+                tag('LivingArea', listing.square_feet),
+                tag('LotSize', listing.lot_size),
+                tag('YearBuilt', listing.year_built),
+                '</BasicDetails>',
+                `<Pictures>${pictures}</Pictures>`,
+                '<RichDetails>',
+                tag('AdditionalFeatures', (listing.features || []).join(', ')),
+                tag('Amenities', (listing.amenities || []).join(', ')),
+                '</RichDetails>',
+                '<Neighborhood>',
+                tag('WalkScore', listing.walk_score),
+                tag('WalkDescription', listing.walk_description),
+                `<Schools>${schools}</Schools>`,
+                '</Neighborhood>',
+                '</Listing>'
+            ].join('');
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<Listings>\n${listingXml}\n</Listings>\n`;
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Get the agent's feed token and URLs, creating the token on first use
+     * @param {string} agentId - Agent ID
+     * @returns {Object} { token, urls }
+     */
+    async getFeed(agentId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('property_feeds')
+                .select('feed_token')
+                .eq('agent_id', agentId)
+                .single();
+
+            if (error && error.code !== 'PGRST116') {
+                throw new Error(`Failed to fetch property feed: ${error.message}`);
+            }
+
+            const token = data ? data.feed_token : await this.rotateFeedToken(agentId, false);
+            return this.buildFeedResponse(token);
+
+        } catch (error) {
+            logger.error('Failed to get property feed', {
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Issue a new feed token, invalidating the previous feed URLs
+     * @param {string} agentId - Agent ID
+     * @param {boolean} wrap - Return { token, urls } instead of the bare token
+     * @returns {Object|string} Feed details or token
+     */
+    async rotateFeedToken(agentId, wrap = true) {
+        const token = crypto.randomBytes(24).toString('hex');
+
+        const { error } = await this.supabase
+            .from('property_feeds')
+            .upsert({
+                agent_id: agentId,
+                feed_token: token,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'agent_id' });
+
+        if (error) {
+            throw new Error(`Failed to rotate feed token: ${error.message}`);
+        }
+
+        logger.logAudit('property_feed_token_rotated', agentId, {});
+
+        return wrap ? this.buildFeedResponse(token) : token;
+    }
+
+    /**
+     * Render the public feed for a token
+     * @param {string} token - Feed token
+     * @param {string} format - 'csv', 'reso' or 'xml'
+     * @returns {Object} Export result
+     */
+    async getFeedByToken(token, format) {
+        const { data, error } = await this.supabase
+            .from('property_feeds')
+            .select('agent_id')
+            .eq('feed_token', token)
+            .single();
+
+        if (error || !data) {
+            throw errorService.createError('PROPERTY_FEED_NOT_FOUND');
+        }
+
+        this.supabase
+            .from('property_feeds')
+            .update({ last_accessed_at: new Date().toISOString() })
+            .eq('feed_token', token)
+            .then(() => {}, () => {});
+
+        return this.exportProperties(data.agent_id, format, {
+            listingStatuses: this.feedStatuses
+        });
+    }
+
+    buildFeedResponse(token) {
+        const baseUrl = `${config.server.publicUrl}/api/feeds/${token}`;
+        return {
+            token,
+            urls: {
+                xml: `${baseUrl}/listings.xml`,
+                reso: `${baseUrl}/listings.json`,
+                csv: `${baseUrl}/listings.csv`
+            }
+        };
+    }
+}
+
+module.exports = new PropertyExportService();
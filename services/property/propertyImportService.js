@@ -0,0 +1,382 @@
+const logger = require('../../utils/logger');
+const csv = require('../../utils/csv');
+const propertyService = require('./propertyService');
+const validationService = require('../validation/validationService');
+const errorService = require('../error/errorService');
+
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Bulk property import from CSV files and RESO Data Dictionary JSON exports.
+ * Every row is mapped onto the property.create schema, validated, and (unless
+ * dry-running) created through PropertyService.createProperty.
+ */
+class PropertyImportService {
+    constructor() {
+        // Normalized source column (lowercase, alphanumerics only) -> schema field.
+        // Covers our CSV template, common spreadsheet headings and RESO names.
+        this.columnAliases = {
+            title: 'title',
+            headline: 'title',
+            description: 'description',
+            publicremarks: 'description',
+            remarks: 'description',
+            price: 'price',
+            listprice: 'price',
+            askingprice: 'price',
+            street: 'street',
+            address: 'street',
+            streetaddress: 'street',
+            unparsedaddress: 'street',
+            city: 'city',
+            state: 'state',
+            stateorprovince: 'state',
+            zip: 'zipCode',
+            zipcode: 'zipCode',
+            postalcode: 'zipCode',
+            country: 'country',
+            propertytype: 'propertyType',
+            type: 'propertyType',
+            propertysubtype: 'propertySubType',
+            bedrooms: 'bedrooms',
+            beds: 'bedrooms',
+            bedroomstotal: 'bedrooms',
+            bathrooms: 'bathrooms',
+            baths: 'bathrooms',
+            bathroomstotaldecimal: 'bathrooms',
+            bathroomstotalinteger: 'bathrooms',
+            squarefeet: 'squareFootage',
+            squarefootage: 'squareFootage',
+            sqft: 'squareFootage',
+            livingarea: 'squareFootage',
+            lotsize: 'lotSize',
+            lotsizesquarefeet: 'lotSize',
+            yearbuilt: 'yearBuilt',
+            features: 'features',
+            interiorfeatures: 'features',
+            exteriorfeatures: 'features',
+            amenities: 'amenities',
+            associationamenities: 'amenities',
+            communityfeatures: 'amenities',
+            listingstatus: 'listingStatus',
+            status: 'listingStatus',
+            standardstatus: 'listingStatus',
+            mlsnumber: 'mlsNumber',
+            mls: 'mlsNumber',
+            listingid: 'mlsNumber',
+            virtualtoururl: 'virtualTourUrl',
+            virtualtoururlunbranded: 'virtualTourUrl',
+            videourl: 'videoUrl'
+        };
+
+        this.numericFields = ['price', 'bedrooms', 'bathrooms', 'squareFootage', 'lotSize', 'yearBuilt'];
+        this.listFields = ['features', 'amenities'];
+
+        // Free-text and RESO PropertySubType values -> property.create enum
+        this.propertyTypeAliases = {
+            single_family: 'single_family',
+            single_family_residence: 'single_family',
+            house: 'single_family',
+            detached: 'single_family',
+            residential: 'single_family',
+            condo: 'condo',
+            condominium: 'condo',
+            apartment: 'condo',
+            townhouse: 'townhouse',
+            townhome: 'townhouse',
+            multi_family: 'multi_family',
+            duplex: 'multi_family',
+            triplex: 'multi_family',
+            quadruplex: 'multi_family',
+            residential_income: 'multi_family',
+            land: 'land',
+            lot: 'land',
+            commercial: 'commercial',
+            commercial_sale: 'commercial',
+            commercial_lease: 'commercial'
+        };
+
+        // Free-text and RESO StandardStatus values -> property.create enum
+        this.listingStatusAliases = {
+            draft: 'draft',
+            active: 'active',
+            for_sale: 'active',
+            coming_soon: 'active',
+            pending: 'under_offer',
+            active_under_contract: 'under_offer',
+            under_contract: 'under_offer',
+            under_offer: 'under_offer',
+            sold: 'sold',
+            closed: 'sold',
+            off_market: 'withdrawn',
+            withdrawn: 'withdrawn',
+            canceled: 'withdrawn',
+            cancelled: 'withdrawn',
+            expired: 'withdrawn',
+            hold: 'withdrawn'
+        };
+    }
+
+    /**
+     * Import properties for an agent
+     * @param {string|Buffer} content - File content (CSV text or RESO JSON)
+     * @param {string} agentId - Agent ID
+     * @param {Object} options - { format: 'csv'|'reso', dryRun, enrichWithExternalData, triggerWorkflows }
+     * @returns {Object} Import report
+     */
+    async importProperties(content, agentId, options = {}) {
+        const {
+            format = 'csv',
+            dryRun = false,
+            enrichWithExternalData = false,
+            triggerWorkflows = false
+        } = options;
+
+        try {
+            logger.info('Starting property import', { agentId, format, dryRun });
+
+            const rows = this.parseSource(content.toString('utf8'), format);
+
+            if (rows.length === 0) {
+                throw errorService.createError('INVALID_REQUEST', {
+                    message: 'Import file contains no rows'
+                });
+            }
+            if (rows.length > MAX_IMPORT_ROWS) {
+                throw errorService.createError('INVALID_REQUEST', {
+                    message: `Import is limited to ${MAX_IMPORT_ROWS} rows per file`
+                });
+            }
+
+            const report = {
+                format,
+                dryRun,
+                totalRows: rows.length,
+                validRows: 0,
+                invalidRows: 0,
+                created: [],
+                failed: [],
+                rows: []
+            };
+
+            for (const { rowNumber, record } of rows) {
+                const mapped = this.mapRecord(record);
+                const result = validationService.validate(mapped, 'property.create');
+
+                if (!result.isValid) {
+                    report.invalidRows++;
+                    report.rows.push({ rowNumber, valid: false, errors: result.errors });
+                    continue;
+                }
+
+                report.validRows++;
+                report.rows.push({ rowNumber, valid: true, errors: null });
+
+                if (dryRun) {
+                    continue;
+                }
+
+                try {
+                    const property = await propertyService.createProperty({
+                        ...propertyService.mapPropertyInput(result.data),
+                        input_method: 'import'
+                    }, agentId, { enrichWithExternalData, triggerWorkflows });
+
+                    report.created.push({ rowNumber, propertyId: property.id });
+                } catch (error) {
+                    report.failed.push({
+                        rowNumber,
+                        error: error.message,
+                        duplicateOf: error.code === 'PROPERTY_DUPLICATE' ? error.details.matches[0].property.id : undefined
+                    });
+                }
+            }
+
+            logger.info('Property import finished', {
+                agentId,
+                format,
+                dryRun,
+                totalRows: report.totalRows,
+                validRows: report.validRows,
+                created: report.created.length,
+                failed: report.failed.length
+            });
+
+            return report;
+
+        } catch (error) {
+            logger.error('Property import failed', {
+                agentId,
+                format,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Split source content into raw records
+     * @param {string} text - File content
+     * @param {string} format - 'csv' or 'reso'
+     * @returns {Array} [{ rowNumber, record }]
+     */
+    parseSource(text, format) {
+        if (format === 'csv') {
+            return csv.parse(text).records;
+        }
+
+        if (format === 'reso') {
+            let payload;
+            try {
+                payload = JSON.parse(text);
+            } catch (error) {
+                throw errorService.createError('INVALID_REQUEST', {
+                    message: 'RESO import must be valid JSON'
+                });
+            }
+
+            // Accept a bare array or an OData response ({ value: [...] })
+            const listings = Array.isArray(payload) ? payload : payload.value;
+            if (!Array.isArray(listings)) {
+                throw errorService.createError('INVALID_REQUEST', {
+                    message: 'RESO import must be an array of listings or an OData { value: [] } payload'
+                });
+            }
+
+            return listings.map((record, index) => ({ rowNumber: index + 1, record }));
+        }
+
+        throw errorService.createError('INVALID_REQUEST', {
+            message: `Unsupported import format: ${format}`
+        });
+    }
+
+    /**
+     * Map a raw CSV/RESO record onto the property.create schema shape
+     * @param {Object} record - Raw record
+     * @returns {Object} Candidate property payload
+     */
+    mapRecord(record) {
+        const fields = {};
+
+        Object.entries(record).forEach(([column, value]) => {
+            const field = this.columnAliases[this.normalizeKey(column)];
+            if (!field || this.isBlank(value)) {
+                return;
+            }
+
+            if (this.listFields.includes(field)) {
+                fields[field] = [...(fields[field] || []), ...this.toList(value)];
+            } else if (fields[field] === undefined) {
+                fields[field] = value;
+            }
+        });
+
+        // RESO splits the street across several fields
+        if (!fields.street && (record.StreetNumber || record.StreetName)) {
+            fields.street = [record.StreetNumber, record.StreetDirPrefix, record.StreetName, record.StreetSuffix, record.UnitNumber && `#${record.UnitNumber}`]
+                .filter(Boolean)
+                .join(' ');
+        }
+
+        this.numericFields.forEach(field => {
+            if (fields[field] !== undefined) {
+                fields[field] = this.toNumber(fields[field]);
+            }
+        });
+
+        const propertyType = this.normalizePropertyType(fields.propertySubType, fields.propertyType);
+        const listingStatus = this.normalizeListingStatus(fields.listingStatus);
+
+        const mapped = {
+            title: fields.title || this.buildTitle(fields, propertyType),
+            description: fields.description,
+            price: fields.price,
+            address: {
+                street: fields.street,
+                city: fields.city,
+                state: typeof fields.state === 'string' ? fields.state.toUpperCase() : fields.state,
+                zipCode: fields.zipCode !== undefined ? String(fields.zipCode) : undefined,
+                country: fields.country
+            },
+            propertyType,
+            bedrooms: fields.bedrooms,
+            bathrooms: fields.bathrooms,
+            squareFootage: fields.squareFootage,
+            lotSize: fields.lotSize,
+            yearBuilt: fields.yearBuilt,
+            features: fields.features,
+            amenities: fields.amenities,
+            listingStatus,
+            mlsNumber: fields.mlsNumber !== undefined ? String(fields.mlsNumber) : undefined,
+            virtualTourUrl: fields.virtualTourUrl,
+            videoUrl: fields.videoUrl
+        };
+
+        // Leave unset fields out so Joi reports required ones and applies defaults
+        Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+        Object.keys(mapped.address).forEach(key => mapped.address[key] === undefined && delete mapped.address[key]);
+
+        return mapped;
+    }
+
+    /**
+     * Listings from MLS exports have no headline; derive one from the basics
+     */
+    buildTitle(fields, propertyType) {
+        if (!fields.street) {
+            return undefined;
+        }
+        const typeLabel = propertyType ? propertyType.replace(/_/g, ' ') : 'property';
+        const bedroomLabel = fields.bedrooms ? `${fields.bedrooms} bedroom ` : '';
+        return `${bedroomLabel}${typeLabel} at ${fields.street}`.slice(0, 200);
+    }
+
+    normalizePropertyType(subType, type) {
+        for (const candidate of [subType, type]) {
+            if (this.isBlank(candidate)) continue;
+            const match = this.propertyTypeAliases[this.normalizeEnum(candidate)];
+            if (match) return match;
+        }
+        return this.isBlank(type) && this.isBlank(subType) ? undefined : 'other';
+    }
+
+    normalizeListingStatus(status) {
+        if (this.isBlank(status)) {
+            return undefined;
+        }
+        // Unknown statuses are passed through so validation reports them
+        return this.listingStatusAliases[this.normalizeEnum(status)] || status;
+    }
+
+    normalizeKey(key) {
+        return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    normalizeEnum(value) {
+        return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }
+
+    toNumber(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const cleaned = String(value).replace(/[$£€,\s]/g, '');
+        const number = Number(cleaned);
+        // Keep the raw value so validation reports it against the field
+        return cleaned !== '' && !Number.isNaN(number) ? number : value;
+    }
+
+    toList(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => String(item).trim()).filter(Boolean);
+        }
+        return String(value).split(/[;|,]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    isBlank(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+}
+
+module.exports = new PropertyImportService();
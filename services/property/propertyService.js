@@ -1,24 +1,112 @@
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../../config/config');
 const logger = require('../../utils/logger');
-const { IntegrationService } = require('../integration/integrationService');
-const { StorageService } = require('../storage/storageService');
-const { WorkflowService } = require('../workflow/workflowService');
+const errorService = require('../error/errorService');
+const integrationService = require('../integration/integrationService');
+const storageService = require('../storage/storageService');
+const listingStatusService = require('./listingStatusService');
+const geo = require('../../utils/geo');
+const { normalizePropertyAddress } = require('../../utils/address');
 
 const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
 
+// API payload field -> properties column, see mapPropertyInput
+const PROPERTY_INPUT_FIELDS = {
+    title: 'title',
+    description: 'description',
+    price: 'price',
+    propertyType: 'property_type',
+    bedrooms: 'bedrooms',
+    bathrooms: 'bathrooms',
+    squareFootage: 'square_feet',
+    lotSize: 'lot_size',
+    yearBuilt: 'year_built',
+    features: 'features',
+    amenities: 'amenities',
+    listingStatus: 'listing_status',
+    mlsNumber: 'mls_number',
+    virtualTourUrl: 'virtual_tour_url',
+    videoUrl: 'video_url',
+    documents: 'documents'
+};
+
+const ADDRESS_COLUMNS = ['address', 'street_address', 'city', 'state', 'zip_code', 'country'];
+
+// Columns a revision restore may write back: what the agent edits. Listing
+// status goes through its state machine, and lifecycle, duplicate, scraping
+// and content generation columns belong to the system.
+const RESTORABLE_COLUMNS = [
+    ...Object.values(PROPERTY_INPUT_FIELDS).filter(column => column !== 'listing_status'),
+    ...ADDRESS_COLUMNS
+];
+
 class PropertyService {
     constructor() {
         this.supabase = supabase;
-        this.integrationService = new IntegrationService();
-        this.storageService = new StorageService();
-        this.workflowService = new WorkflowService();
+        this.integrationService = integrationService;
+        this.storageService = storageService;
+        this.retentionDays = config.properties.retentionDays;
+        this.purgeTimer = null;
+    }
+
+    /**
+     * Workflow service, resolved lazily because workflowService -> scrapingService
+     * -> propertyService is a circular require
+     * @returns {Object} Workflow service instance
+     */
+    get workflowService() {
+        return require('../workflow/workflowService');
+    }
+
+    /**
+     * Social service, resolved lazily for the same reason (and because it
+     * pulls in the AI and browser clients)
+     * @returns {Object} Social service instance
+     */
+    get socialService() {
+        return require('../social/socialService');
+    }
+
+    /**
+     * Duplicate detection, resolved lazily because it requires this service
+     * @returns {Object} Property duplicate service instance
+     */
+    get duplicateService() {
+        return require('./propertyDuplicateService');
+    }
+
+    /**
+     * Map a validated API payload (property.create / property.update schema)
+     * onto properties table columns
+     * @param {Object} input - Validated property payload
+     * @returns {Object} Property record fields
+     */
+    mapPropertyInput(input = {}) {
+        const record = {};
+        Object.entries(PROPERTY_INPUT_FIELDS).forEach(([inputKey, column]) => {
+            if (input[inputKey] !== undefined) {
+                record[column] = input[inputKey];
+            }
+        });
+
+        if (input.address) {
+            const { street, city, state, zipCode, country } = input.address;
+            record.address = [street, city, state, zipCode].filter(Boolean).join(', ');
+            record.street_address = street;
+            record.city = city;
+            record.state = state;
+            record.zip_code = zipCode;
+            record.country = country;
+        }
+
+        return record;
     }
     /**
      * Create a new property with enrichment
      * @param {Object} propertyData - Property data
      * @param {string} agentId - Agent ID
-     * @param {Object} options - Creation options
+     * @param {Object} options - Creation options (enrichWithExternalData, triggerWorkflows,
+     *   allowDuplicate skips the PROPERTY_DUPLICATE check)
      * @returns {Object} Created property
      */
     async createProperty(propertyData, agentId, options = {}) {
@@ -29,6 +117,13 @@ class PropertyService {
                 propertyType: propertyData.propertyType
             });
 
+            const listingStatus = listingStatusService.normalizeStatus(propertyData.listing_status || 'active');
+            if (!listingStatusService.initialStatuses.includes(listingStatus)) {
+                throw errorService.createError('VALIDATION_FAILED', {
+                    message: `A property cannot be created with listing status ${listingStatus}`
+                });
+            }
+
             // Prepare property data
             const enrichedData = {
                 ...propertyData,
@@ -36,7 +131,9 @@ class PropertyService {
                 id: require('crypto').randomUUID(),
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString(),
-                listing_status: propertyData.listing_status || 'active',
+                listing_status: listingStatus,
+                status_changed_at: new Date().toISOString(),
+                status_changed_by: agentId || null,
                 content_generation_status: 'pending',
                 social_campaign_status: 'pending'
             };
@@ -54,6 +151,13 @@ class PropertyService {
                 }
             }
 
+            enrichedData.normalized_address = normalizePropertyAddress(enrichedData);
+
+            // Runs after enrichment so the geocode can be compared too
+            if (!options.allowDuplicate) {
+                await this.duplicateService.assertNoDuplicates(agentId, enrichedData);
+            }
+
             // Insert property
             const { data, error } = await this.supabase
                 .from('properties')
@@ -130,28 +234,37 @@ class PropertyService {
                 )`;
             }
 
-            let query = this.supabase
-                .from('properties')
-                .select(selectClause, { count: 'exact' });
-
-            // Apply agent filter if provided
-            if (agentId) {
-                query = query.eq('agent_id', agentId);
-            }
-
-            // Apply filters
-            query = this.applyPropertyFilters(query, filters);
+            let data;
+            let count;
+
+            // Radius/polygon matching and distance sorting run in the database
+            if (this.requiresGeoSearch(filters, sortBy)) {
+                ({ data, count } = await this.geoSearch(filters, {
+                    agentId, sortBy, sortOrder, offset, limit, selectClause
+                }));
+            } else {
+                let query = this.supabase
+                    .from('properties')
+                    .select(selectClause, { count: 'exact' });
+
+                // Apply agent filter if provided
+                if (agentId) {
+                    query = query.eq('agent_id', agentId);
+                }
 
-            // Apply sorting
-            query = query.order(sortBy, { ascending: sortOrder === 'asc' });
+                // Apply filters
+                query = this.applyPropertyFilters(query, filters);
 
-            // Apply pagination
-            query = query.range(offset, offset + limit - 1);
+                const { data: rows, error, count: total } = await query
+                    .order(sortBy, { ascending: sortOrder === 'asc' })
+                    .range(offset, offset + limit - 1);
 
-            const { data, error, count } = await query;
+                if (error) {
+                    throw new Error(`Failed to fetch properties: ${error.message}`);
+                }
 
-            if (error) {
-                throw new Error(`Failed to fetch properties: ${error.message}`);
+                data = rows;
+                count = total;
             }
 
             // Add analytics if requested
@@ -200,7 +313,8 @@ class PropertyService {
                 includeSocialPosts = true,
                 includeAnalytics = false,
                 includeChatSessions = false,
-                includeLeads = false
+                includeLeads = false,
+                includeDeleted = false
             } = options;
 
             // Build select clause
@@ -258,6 +372,11 @@ class PropertyService {
                 query = query.eq('agent_id', agentId);
             }
 
+            // Listings in the trash are only visible to restore/purge
+            if (!includeDeleted) {
+                query = query.is('deleted_at', null);
+            }
+
             const { data, error } = await query.single();
 
             if (error) {
@@ -312,12 +431,63 @@ class PropertyService {
                 updateFields: Object.keys(updateData)
             });
 
+            // Current row, kept for the revision diff
+            const { data: existing, error: fetchError } = await this.supabase
+                .from('properties')
+                .select('*')
+                .eq('id', id)
+                .eq('agent_id', agentId)
+                .is('deleted_at', null)
+                .single();
+
+            if (fetchError) {
+                if (fetchError.code === 'PGRST116') {
+                    return null; // Property not found
+                }
+                throw new Error(`Failed to fetch property: ${fetchError.message}`);
+            }
+
             // Prepare update data
             const enrichedUpdateData = {
                 ...updateData,
                 updated_at: new Date().toISOString()
             };
 
+            // Status changes must follow the listing state machine
+            const actor = options.actor || { id: options.changedBy || agentId, type: 'agent' };
+            let statusChange = null;
+
+            if (updateData.listing_status !== undefined) {
+                const targetStatus = listingStatusService.normalizeStatus(updateData.listing_status);
+                enrichedUpdateData.listing_status = targetStatus;
+
+                if (targetStatus !== existing.listing_status) {
+                    Object.assign(
+                        enrichedUpdateData,
+                        listingStatusService.prepareTransition(existing.listing_status, targetStatus, actor)
+                    );
+                    statusChange = { from: existing.listing_status, to: targetStatus };
+                }
+            }
+
+            const addressFields = ['address', 'street_address', 'city', 'state', 'zip_code'];
+            if (addressFields.some(field => updateData[field] !== undefined)) {
+                enrichedUpdateData.normalized_address = normalizePropertyAddress({ ...existing, ...updateData });
+            }
+
+            // Fields changed by hand no longer carry a scrape source or confidence
+            ['scraped_field_sources', 'scraped_field_confidence'].forEach(column => {
+                if (!existing[column] || updateData[column] !== undefined) {
+                    return;
+                }
+                const entries = { ...existing[column] };
+                Object.keys(updateData).forEach(field => delete entries[field]);
+
+                if (Object.keys(entries).length !== Object.keys(existing[column]).length) {
+                    enrichedUpdateData[column] = entries;
+                }
+            });
+
             // Re-enrich if address changed
             if (updateData.address && options.enrichWithExternalData !== false) {
                 try {
@@ -349,6 +519,27 @@ class PropertyService {
                 throw new Error(`Failed to update property: ${error.message}`);
             }
 
+            try {
+                await this.recordRevision(existing, data, options.changedBy || agentId, {
+                    source: options.source,
+                    restoredFromRevisionId: options.restoredFromRevisionId
+                });
+            } catch (revisionError) {
+                logger.warn('Failed to record property revision', {
+                    propertyId: id,
+                    error: revisionError.message
+                });
+            }
+
+            if (statusChange) {
+                await listingStatusService.completeTransition({
+                    property: data,
+                    ...statusChange,
+                    actor,
+                    reason: options.statusReason
+                });
+            }
+
             // Trigger workflows if enabled
             if (options.triggerWorkflows !== false) {
                 await this.triggerPropertyWorkflows(id, 'updated', updateData);
@@ -373,85 +564,530 @@ class PropertyService {
     }
   
     /**
-     * Delete a property and all associated data
+     * Move a property to another listing status
+     * @param {string} id - Property ID
+     * @param {string} agentId - Agent ID for access control
+     * @param {string} status - Target status
+     * @param {Object} options - { actor, reason }
+     * @returns {Object|null} Updated property
+     */
+    async transitionListingStatus(id, agentId, status, options = {}) {
+        const actor = options.actor || { id: agentId, type: 'agent' };
+
+        return this.updateProperty(id, { listing_status: status }, agentId, {
+            actor,
+            changedBy: actor.id,
+            source: 'status',
+            statusReason: options.reason,
+            enrichWithExternalData: false,
+            triggerWorkflows: false
+        });
+    }
+
+    /**
+     * Current status, allowed next statuses and transition history
      * @param {string} id - Property ID
      * @param {string} agentId - Agent ID for access control
-     * @param {Object} options - Deletion options
+     * @returns {Object|null} Status details
+     */
+    async getListingStatus(id, agentId) {
+        const property = await this.getPropertyById(id, agentId, {
+            includeImages: false,
+            includeSocialPosts: false
+        });
+
+        if (!property) {
+            return null;
+        }
+
+        return {
+            status: property.listing_status,
+            changedAt: property.status_changed_at || null,
+            changedBy: property.status_changed_by || null,
+            allowedTransitions: listingStatusService.getAllowedTransitions(property.listing_status),
+            history: await listingStatusService.getStatusHistory(id)
+        };
+    }
+
+    /**
+     * Record the field-level difference between two versions of a property
+     * @param {Object} before - Row before the update
+     * @param {Object} after - Row after the update
+     * @param {string} changedBy - User who made the change
+     * @param {Object} options - { source, restoredFromRevisionId }
+     * @returns {Object|null} Created revision, or null if nothing changed
+     */
+    async recordRevision(before, after, changedBy, options = {}) {
+        const changes = this.diffPropertyVersions(before, after);
+        const changedFields = Object.keys(changes);
+
+        if (changedFields.length === 0) {
+            return null;
+        }
+
+        const { data, error } = await this.supabase
+            .from('property_revisions')
+            .insert([{
+                property_id: after.id,
+                agent_id: after.agent_id,
+                changed_by: changedBy,
+                source: options.source || 'update',
+                restored_from_revision_id: options.restoredFromRevisionId || null,
+                changed_fields: changedFields,
+                changes
+            }])
+            .select('*')
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to record property revision: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Compare two property rows field by field
+     * @param {Object} before - Previous row
+     * @param {Object} after - Current row
+     * @returns {Object} Map of field -> { old, new } for changed fields
+     */
+    diffPropertyVersions(before = {}, after = {}) {
+        const ignoredFields = [
+            'id', 'agent_id', 'created_at', 'updated_at', 'search_vector', 'normalized_address', 'scraped_field_sources',
+            'scraped_field_confidence'
+        ];
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const changes = {};
+
+        fields.forEach(field => {
+            if (ignoredFields.includes(field)) {
+                return;
+            }
+            const oldValue = before[field] === undefined ? null : before[field];
+            const newValue = after[field] === undefined ? null : after[field];
+
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes[field] = { old: oldValue, new: newValue };
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * List revisions for a property, newest first
+     * @param {string} propertyId - Property ID
+     * @param {string} agentId - Agent ID for access control
+     * @param {Object} options - { page, limit, field }
+     * @returns {Object} Revisions with pagination
+     */
+    async getPropertyRevisions(propertyId, agentId, options = {}) {
+        try {
+            const { page = 1, limit = 20, field } = options;
+            const offset = (page - 1) * limit;
+
+            let query = this.supabase
+                .from('property_revisions')
+                .select('*', { count: 'exact' })
+                .eq('property_id', propertyId)
+                .eq('agent_id', agentId);
+
+            if (field) {
+                query = query.contains('changed_fields', [field]);
+            }
+
+            const { data, error, count } = await query
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (error) {
+                throw new Error(`Failed to fetch property revisions: ${error.message}`);
+            }
+
+            return {
+                data,
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit),
+                    hasNext: offset + limit < count,
+                    hasPrev: page > 1
+                }
+            };
+
+        } catch (error) {
+            logger.error('Failed to fetch property revisions', {
+                propertyId,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a property to the state it had right after a given revision.
+     * Later revisions are unwound newest-first using their stored old values;
+     * the restore itself is recorded as a new revision. Only agent-editable
+     * fields (RESTORABLE_COLUMNS) are restored; status, lifecycle and other
+     * system fields keep their current values.
+     * @param {string} propertyId - Property ID
+     * @param {string} revisionId - Revision to restore to
+     * @param {string} agentId - Agent ID for access control
+     * @returns {Object} Updated property
+     */
+    async restorePropertyRevision(propertyId, revisionId, agentId) {
+        try {
+            const { data: revision, error } = await this.supabase
+                .from('property_revisions')
+                .select('*')
+                .eq('id', revisionId)
+                .eq('property_id', propertyId)
+                .eq('agent_id', agentId)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    throw errorService.createError('PROPERTY_REVISION_NOT_FOUND');
+                }
+                throw new Error(`Failed to fetch property revision: ${error.message}`);
+            }
+
+            const { data: laterRevisions, error: laterError } = await this.supabase
+                .from('property_revisions')
+                .select('changes, created_at')
+                .eq('property_id', propertyId)
+                .gt('created_at', revision.created_at)
+                .order('created_at', { ascending: false });
+
+            if (laterError) {
+                throw new Error(`Failed to fetch property revisions: ${laterError.message}`);
+            }
+
+            const restoreData = {};
+            const skipped = new Set();
+            laterRevisions.forEach(later => {
+                Object.entries(later.changes).forEach(([field, change]) => {
+                    if (RESTORABLE_COLUMNS.includes(field)) {
+                        restoreData[field] = change.old;
+                    } else {
+                        skipped.add(field);
+                    }
+                });
+            });
+
+            if (Object.keys(restoreData).length === 0) {
+                return this.getPropertyById(propertyId, agentId);
+            }
+
+            logger.info('Restoring property revision', {
+                propertyId,
+                revisionId,
+                agentId,
+                fields: Object.keys(restoreData),
+                skipped: [...skipped]
+            });
+
+            return await this.updateProperty(propertyId, restoreData, agentId, {
+                enrichWithExternalData: false,
+                source: 'restore',
+                restoredFromRevisionId: revisionId
+            });
+
+        } catch (error) {
+            logger.error('Failed to restore property revision', {
+                propertyId,
+                revisionId,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Price changes for a property, newest first. Each entry carries the
+     * direction so content can say "price reduced".
+     * @param {string} propertyId - Property ID
+     * @param {string} agentId - Agent ID for access control (optional for internal callers)
+     * @returns {Array} Price changes
+     */
+    async getPriceHistory(propertyId, agentId = null) {
+        try {
+            let query = this.supabase
+                .from('property_revisions')
+                .select('id, changes, changed_by, source, created_at')
+                .eq('property_id', propertyId)
+                .contains('changed_fields', ['price']);
+
+            if (agentId) {
+                query = query.eq('agent_id', agentId);
+            }
+
+            const { data, error } = await query.order('created_at', { ascending: false });
+
+            if (error) {
+                throw new Error(`Failed to fetch price history: ${error.message}`);
+            }
+
+            return data.map(revision => {
+                const { old: oldPrice, new: newPrice } = revision.changes.price;
+                const change = oldPrice != null && newPrice != null ? newPrice - oldPrice : null;
+
+                return {
+                    revisionId: revision.id,
+                    oldPrice,
+                    newPrice,
+                    change,
+                    changePercent: change != null && oldPrice
+                        ? Math.round((change / oldPrice) * 10000) / 100
+                        : null,
+                    direction: change == null || change === 0
+                        ? 'unchanged'
+                        : change < 0 ? 'reduced' : 'increased',
+                    changedBy: revision.changed_by,
+                    source: revision.source,
+                    changedAt: revision.created_at
+                };
+            });
+
+        } catch (error) {
+            logger.error('Failed to fetch price history', {
+                propertyId,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Move a property to the trash. The listing, its images, campaign and
+     * leads are kept until the retention window ends and the scheduled purge
+     * removes them; pass permanent to purge immediately.
+     * @param {string} id - Property ID
+     * @param {string} agentId - Agent ID for access control
+     * @param {Object} options - { permanent, triggerWorkflows }
      * @returns {Object} Deletion result
      */
     async deleteProperty(id, agentId, options = {}) {
+        if (options.permanent) {
+            return this.purgeProperty(id, agentId, options);
+        }
+
         try {
             logger.info('Deleting property', {
                 propertyId: id,
                 agentId
             });
 
-            // Get property data before deletion for cleanup
+            const now = new Date();
+            const purgeAfter = new Date(now.getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+
+            const { data, error } = await this.supabase
+                .from('properties')
+                .update({
+                    deleted_at: now.toISOString(),
+                    deleted_by: agentId,
+                    purge_after: purgeAfter.toISOString()
+                })
+                .eq('id', id)
+                .eq('agent_id', agentId)
+                .is('deleted_at', null)
+                .select('*')
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    return null; // Property not found
+                }
+                throw new Error(`Failed to delete property: ${error.message}`);
+            }
+
+            await this.setSocialCampaignPaused(id, true, 'deleted');
+
+            logger.logAudit('property_deleted', agentId, {
+                propertyId: id,
+                purgeAfter: data.purge_after
+            });
+
+            return { success: true, deletedProperty: data, purgeAfter: data.purge_after };
+
+        } catch (error) {
+            logger.error('Failed to delete property', {
+                propertyId: id,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Archive a property. Archived listings drop out of lists, search and
+     * feeds but are never purged.
+     * @param {string} id - Property ID
+     * @param {string} agentId - Agent ID for access control
+     * @returns {Object|null} Updated property
+     */
+    async archiveProperty(id, agentId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('properties')
+                .update({ archived_at: new Date().toISOString() })
+                .eq('id', id)
+                .eq('agent_id', agentId)
+                .is('deleted_at', null)
+                .select('*')
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    return null; // Property not found
+                }
+                throw new Error(`Failed to archive property: ${error.message}`);
+            }
+
+            logger.logAudit('property_archived', agentId, { propertyId: id });
+
+            return data;
+
+        } catch (error) {
+            logger.error('Failed to archive property', {
+                propertyId: id,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Bring a deleted or archived property back to the current listings
+     * @param {string} id - Property ID
+     * @param {string} agentId - Agent ID for access control
+     * @returns {Object|null} Restored property
+     */
+    async restoreProperty(id, agentId) {
+        try {
+            const existing = await this.getPropertyById(id, agentId, {
+                includeImages: false,
+                includeSocialPosts: false,
+                includeDeleted: true
+            });
+
+            if (!existing) {
+                return null;
+            }
+
+            const { data, error } = await this.supabase
+                .from('properties')
+                .update({
+                    archived_at: null,
+                    deleted_at: null,
+                    deleted_by: null,
+                    purge_after: null
+                })
+                .eq('id', id)
+                .eq('agent_id', agentId)
+                .select('*')
+                .single();
+
+            if (error) {
+                throw new Error(`Failed to restore property: ${error.message}`);
+            }
+
+            // A campaign already paused by an offer or sale stays paused
+            if (existing.deleted_at && existing.listing_status === 'active') {
+                await this.setSocialCampaignPaused(id, false);
+            }
+
+            logger.logAudit('property_restored', agentId, {
+                propertyId: id,
+                from: existing.deleted_at ? 'deleted' : existing.archived_at ? 'archived' : 'current'
+            });
+
+            return data;
+
+        } catch (error) {
+            logger.error('Failed to restore property', {
+                propertyId: id,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a property: storage objects, social posts, leads
+     * and the row itself, then fire the cleanup workflows
+     * @param {string} id - Property ID
+     * @param {string|null} agentId - Agent ID for access control (null for the scheduled purge)
+     * @param {Object} options - { triggerWorkflows }
+     * @returns {Object|null} Purge result
+     */
+    async purgeProperty(id, agentId = null, options = {}) {
+        try {
+            logger.info('Purging property', {
+                propertyId: id,
+                agentId
+            });
+
             const property = await this.getPropertyById(id, agentId, {
                 includeImages: true,
-                includeSocialPosts: true
+                includeSocialPosts: false,
+                includeDeleted: true
             });
 
             if (!property) {
                 return null; // Property not found
             }
 
-            // Delete images from storage
-            if (property.property_images && property.property_images.length > 0) {
-                const imagePaths = property.property_images.map(img => img.storage_path);
-                try {
-                    await this.supabase.storage
-                        .from('property-images')
-                        .remove(imagePaths);
-                } catch (error) {
-                    logger.warn('Failed to delete some property images from storage', {
-                        propertyId: id,
-                        error: error.message
-                    });
-                }
+            try {
+                await this.storageService.deletePropertyFiles(property.agent_id, id);
+            } catch (error) {
+                logger.warn('Failed to delete some property files from storage', {
+                    propertyId: id,
+                    error: error.message
+                });
             }
 
-            // Cancel any scheduled social posts
-            if (property.social_posts && property.social_posts.length > 0) {
-                for (const post of property.social_posts) {
-                    if (post.status === 'scheduled') {
-                        try {
-                            await this.workflowService.cancelWorkflow(post.workflow_id);
-                        } catch (error) {
-                            logger.warn('Failed to cancel scheduled social post', {
-                                postId: post.id,
-                                error: error.message
-                            });
-                        }
-                    }
+            for (const table of ['social_posts', 'leads']) {
+                const { error } = await this.supabase
+                    .from(table)
+                    .delete()
+                    .eq('property_id', id);
+
+                if (error) {
+                    throw new Error(`Failed to delete ${table}: ${error.message}`);
                 }
             }
 
-            // Delete the property (cascade deletes related records)
             const { error } = await this.supabase
                 .from('properties')
                 .delete()
-                .eq('id', id)
-                .eq('agent_id', agentId);
+                .eq('id', id);
 
             if (error) {
                 throw new Error(`Failed to delete property: ${error.message}`);
             }
 
-            // Trigger cleanup workflows if enabled
             if (options.triggerWorkflows !== false) {
                 await this.triggerPropertyWorkflows(id, 'deleted', property);
             }
 
-            logger.info('Property deleted successfully', {
+            logger.logAudit('property_purged', agentId || property.agent_id, {
                 propertyId: id,
-                agentId
+                scheduled: !agentId
             });
 
             return { success: true, deletedProperty: property };
 
         } catch (error) {
-            logger.error('Failed to delete property', {
+            logger.error('Failed to purge property', {
                 propertyId: id,
                 agentId,
                 error: error.message
@@ -459,6 +1095,98 @@ class PropertyService {
             throw error;
         }
     }
+
+    /**
+     * Purge deleted properties whose retention window has ended
+     * @param {Object} options - { limit }
+     * @returns {Object} { purged, failed }
+     */
+    async purgeExpiredProperties(options = {}) {
+        const { limit = config.properties.purgeBatchSize } = options;
+
+        const { data, error } = await this.supabase
+            .from('properties')
+            .select('id')
+            .not('deleted_at', 'is', null)
+            .lte('purge_after', new Date().toISOString())
+            .order('purge_after', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            throw new Error(`Failed to fetch expired properties: ${error.message}`);
+        }
+
+        const result = { purged: [], failed: [] };
+
+        for (const { id } of data) {
+            try {
+                await this.purgeProperty(id);
+                result.purged.push(id);
+            } catch (purgeError) {
+                result.failed.push({ propertyId: id, error: purgeError.message });
+            }
+        }
+
+        if (data.length > 0) {
+            logger.info('Expired properties purged', {
+                purged: result.purged.length,
+                failed: result.failed.length
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Run purgeExpiredProperties on an interval
+     */
+    startPurgeSchedule() {
+        if (this.purgeTimer) {
+            return;
+        }
+
+        const intervalMs = config.properties.purgeIntervalMinutes * 60 * 1000;
+
+        this.purgeTimer = setInterval(() => {
+            this.purgeExpiredProperties().catch(error => {
+                logger.error('Scheduled property purge failed', { error: error.message });
+            });
+        }, intervalMs);
+        this.purgeTimer.unref();
+
+        logger.info('Property purge scheduled', {
+            intervalMinutes: config.properties.purgeIntervalMinutes,
+            retentionDays: this.retentionDays
+        });
+    }
+
+    stopPurgeSchedule() {
+        clearInterval(this.purgeTimer);
+        this.purgeTimer = null;
+    }
+
+    /**
+     * Pause or resume a property's social campaign. Failures are logged: the
+     * lifecycle change that triggered this has already been saved.
+     * @param {string} propertyId - Property ID
+     * @param {boolean} paused - Pause (true) or resume (false)
+     * @param {string} reason - Why the campaign is paused
+     */
+    async setSocialCampaignPaused(propertyId, paused, reason) {
+        try {
+            if (paused) {
+                await this.socialService.pauseCampaign(propertyId, reason);
+            } else {
+                await this.socialService.resumeCampaign(propertyId);
+            }
+        } catch (error) {
+            logger.warn('Failed to update social campaign', {
+                propertyId,
+                paused,
+                error: error.message
+            });
+        }
+    }
   
   /**
    * Get property images
@@ -467,7 +1195,7 @@ class PropertyService {
     // First verify the property belongs to the agent
     const property = await this.getPropertyById(propertyId, agentId);
     if (!property) {
-      throw new Error('Property not found or access denied');
+      throw errorService.createError('PROPERTY_NOT_FOUND');
     }
     
     const { data, error } = await supabase
@@ -507,7 +1235,7 @@ class PropertyService {
     // First verify the property belongs to the agent
     const property = await this.getPropertyById(propertyId, agentId);
     if (!property) {
-      throw new Error('Property not found or access denied');
+      throw errorService.createError('PROPERTY_NOT_FOUND');
     }
     
     // Get image details for storage cleanup
@@ -547,6 +1275,16 @@ class PropertyService {
    * Update property scraping status
    */
   async updateScrapingStatus(propertyId, status, error = null) {
+    const { data: existing, error: fetchError } = await supabase
+      .from('properties')
+      .select('listing_status')
+      .eq('id', propertyId)
+      .single();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch property: ${fetchError.message}`);
+    }
+
     const updateData = {
       scraping_completed_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -555,6 +1293,13 @@ class PropertyService {
     if (error) {
       updateData.scraping_error = error;
     }
+
+    const actor = listingStatusService.systemActor;
+    const statusChanged = status && status !== existing.listing_status;
+
+    if (statusChanged) {
+      Object.assign(updateData, listingStatusService.prepareTransition(existing.listing_status, status, actor));
+    }
     
     const { data, error: updateError } = await supabase
       .from('properties')
@@ -566,6 +1311,16 @@ class PropertyService {
     if (updateError) {
       throw new Error(`Failed to update scraping status: ${updateError.message}`);
     }
+
+    if (statusChanged) {
+      await listingStatusService.completeTransition({
+        property: data,
+        from: existing.listing_status,
+        to: data.listing_status,
+        actor,
+        reason: error
+      });
+    }
     
     return data;
   }
@@ -585,7 +1340,7 @@ class PropertyService {
     
     if (status === 'started') {
       updateData.content_generation_started_at = new Date().toISOString();
-    } else if (status === 'completed' || status === 'failed') {
+    } else if (['completed', 'partial', 'failed', 'cancelled'].includes(status)) {
       updateData.content_generation_completed_at = new Date().toISOString();
     }
     
@@ -634,32 +1389,43 @@ class PropertyService {
 
             const offset = (page - 1) * limit;
 
-            let query = this.supabase
-                .from('properties')
-                .select('*, property_images(id, storage_path, is_primary)', { count: 'exact' });
-
-            // Apply agent filter
-            if (agentId) {
-                query = query.eq('agent_id', agentId);
-            }
+            const selectClause = '*, property_images(id, storage_path, is_primary)';
+            let data;
+            let count;
+
+            if (this.requiresGeoSearch(filters, sortBy)) {
+                ({ data, count } = await this.geoSearch(filters, {
+                    agentId, searchTerm, sortBy, sortOrder, offset, limit, selectClause
+                }));
+            } else {
+                let query = this.supabase
+                    .from('properties')
+                    .select(selectClause, { count: 'exact' });
+
+                // Apply agent filter
+                if (agentId) {
+                    query = query.eq('agent_id', agentId);
+                }
 
-            // Apply text search
-            if (searchTerm) {
-                query = query.or(`address.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%,title.ilike.%${searchTerm}%`);
-            }
+                // Apply text search
+                if (searchTerm) {
+                    query = query.or(`address.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%,title.ilike.%${searchTerm}%`);
+                }
 
-            // Apply additional filters
-            query = this.applyPropertyFilters(query, filters);
+                // Apply additional filters
+                query = this.applyPropertyFilters(query, filters);
 
-            // Apply sorting and pagination
-            query = query
-                .order(sortBy, { ascending: sortOrder === 'asc' })
-                .range(offset, offset + limit - 1);
+                // Apply sorting and pagination
+                const { data: rows, error, count: total } = await query
+                    .order(sortBy, { ascending: sortOrder === 'asc' })
+                    .range(offset, offset + limit - 1);
 
-            const { data, error, count } = await query;
+                if (error) {
+                    throw new Error(`Search failed: ${error.message}`);
+                }
 
-            if (error) {
-                throw new Error(`Search failed: ${error.message}`);
+                data = rows;
+                count = total;
             }
 
             return {
@@ -687,6 +1453,142 @@ class PropertyService {
         }
     }
 
+    /**
+     * Ranked full-text search with facet counts and cursor pagination.
+     * Ranking, filtering and facets run in the search_properties /
+     * search_property_facets RPCs (supabase/property-search.sql).
+     * @param {string} searchTerm - Search term (title, description, features, amenities)
+     * @param {Object} filters - Filter criteria (same keys as applyPropertyFilters)
+     * @param {Object} options - Query options (cursor, limit, includeFacets)
+     * @param {string} agentId - Agent ID
+     * @returns {Object} Ranked results, facets and next cursor
+     */
+    async fullTextSearch(searchTerm, filters = {}, options = {}, agentId) {
+        try {
+            const {
+                cursor = null,
+                limit = 20,
+                includeFacets = true
+            } = options;
+
+            const position = cursor ? this.decodeSearchCursor(cursor) : null;
+            const rpcFilters = this.compactFilters(filters);
+
+            const [rankedResult, facetResult] = await Promise.all([
+                this.supabase.rpc('search_properties', {
+                    search_query: searchTerm || null,
+                    p_agent_id: agentId,
+                    p_filters: rpcFilters,
+                    p_cursor_rank: position ? position.rank : null,
+                    p_cursor_id: position ? position.id : null,
+                    p_limit: limit + 1
+                }),
+                includeFacets
+                    ? this.supabase.rpc('search_property_facets', {
+                        search_query: searchTerm || null,
+                        p_agent_id: agentId,
+                        p_filters: rpcFilters
+                    })
+                    : Promise.resolve({ data: null, error: null })
+            ]);
+
+            if (rankedResult.error) {
+                throw new Error(`Search failed: ${rankedResult.error.message}`);
+            }
+            if (facetResult.error) {
+                throw new Error(`Failed to compute search facets: ${facetResult.error.message}`);
+            }
+
+            const ranked = rankedResult.data || [];
+            const hasNext = ranked.length > limit;
+            const page = ranked.slice(0, limit);
+
+            let data = [];
+            if (page.length > 0) {
+                const { data: rows, error } = await this.supabase
+                    .from('properties')
+                    .select('*, property_images(id, storage_path, is_primary)')
+                    .in('id', page.map(row => row.property_id));
+
+                if (error) {
+                    throw new Error(`Failed to load search results: ${error.message}`);
+                }
+
+                // Restore rank order, which .in() does not preserve
+                const rowsById = new Map(rows.map(row => [row.id, row]));
+                data = page
+                    .filter(row => rowsById.has(row.property_id))
+                    .map(row => ({ ...rowsById.get(row.property_id), search_rank: row.search_rank }));
+            }
+
+            const last = page[page.length - 1];
+
+            return {
+                data,
+                facets: facetResult.data,
+                pagination: {
+                    limit,
+                    nextCursor: hasNext && last
+                        ? this.encodeSearchCursor({ rank: last.search_rank, id: last.property_id })
+                        : null,
+                    hasNext
+                },
+                searchTerm,
+                filters
+            };
+
+        } catch (error) {
+            logger.error('Full-text property search failed', {
+                searchTerm,
+                filters,
+                agentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Encode a search position as an opaque cursor
+     * @param {Object} position - { rank, id } of the last returned row
+     * @returns {string} Cursor
+     */
+    encodeSearchCursor(position) {
+        return Buffer.from(JSON.stringify(position)).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor produced by encodeSearchCursor
+     * @param {string} cursor - Cursor
+     * @returns {Object} { rank, id }
+     */
+    decodeSearchCursor(cursor) {
+        try {
+            const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (typeof position.rank !== 'number' || typeof position.id !== 'string') {
+                throw new Error('Malformed cursor');
+            }
+            return position;
+        } catch (error) {
+            throw errorService.createError('INVALID_REQUEST', {
+                message: 'Invalid search cursor'
+            });
+        }
+    }
+
+    /**
+     * Drop undefined/null/empty filter values
+     * @param {Object} filters - Filter criteria
+     * @returns {Object} Filters with only set values
+     */
+    compactFilters(filters = {}) {
+        return Object.fromEntries(
+            Object.entries(filters).filter(([, value]) =>
+                value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)
+            )
+        );
+    }
+
     /**
      * Apply property filters to query
      * @param {Object} query - Supabase query
@@ -694,9 +1596,14 @@ class PropertyService {
      * @returns {Object} Modified query
      */
     applyPropertyFilters(query, filters) {
+        query = this.applyLifecycleFilter(query, filters.lifecycle);
+
         Object.entries(filters).forEach(([key, value]) => {
             if (value !== undefined && value !== null) {
                 switch (key) {
+                    case 'lifecycle':
+                        // Applied above so that it also defaults when absent
+                        break;
                     case 'priceMin':
                         query = query.gte('price', value);
                         break;
@@ -706,9 +1613,41 @@ class PropertyService {
                     case 'bedroomsMin':
                         query = query.gte('bedrooms', value);
                         break;
+                    case 'bedroomsMax':
+                        query = query.lte('bedrooms', value);
+                        break;
                     case 'bathroomsMin':
                         query = query.gte('bathrooms', value);
                         break;
+                    case 'bathroomsMax':
+                        query = query.lte('bathrooms', value);
+                        break;
+                    case 'squareFeetMin':
+                        query = query.gte('square_feet', value);
+                        break;
+                    case 'squareFeetMax':
+                        query = query.lte('square_feet', value);
+                        break;
+                    case 'features':
+                        if (Array.isArray(value) && value.length > 0) {
+                            query = query.contains('features', value);
+                        }
+                        break;
+                    case 'near':
+                        query = this.applyBoundsFilter(
+                            query,
+                            geo.boundingBoxForRadius(value.lat, value.lng, value.radiusKm)
+                        );
+                        break;
+                    case 'bounds':
+                        query = this.applyBoundsFilter(query, value);
+                        break;
+                    case 'polygon':
+                        query = this.applyBoundsFilter(query, geo.boundingBoxForPolygon(value));
+                        break;
+                    case 'origin':
+                        // Distance-sort origin only, see getGeoOrigin
+                        break;
                     case 'propertyTypes':
                         if (Array.isArray(value) && value.length > 0) {
                             query = query.in('property_type', value);
@@ -748,6 +1687,177 @@ class PropertyService {
         return query;
     }
 
+    /**
+     * Restrict a query to a lifecycle state
+     * @param {Object} query - Supabase query
+     * @param {string} lifecycle - 'current' (default), 'archived', 'deleted' or 'all'
+     * @returns {Object} Modified query
+     */
+    applyLifecycleFilter(query, lifecycle = 'current') {
+        switch (lifecycle) {
+            case 'all':
+                return query;
+            case 'archived':
+                return query.is('deleted_at', null).not('archived_at', 'is', null);
+            case 'deleted':
+                return query.not('deleted_at', 'is', null);
+            default:
+                return query.is('deleted_at', null).is('archived_at', null);
+        }
+    }
+
+    /**
+     * Restrict a query to properties whose coordinates fall inside a bounding box
+     * @param {Object} query - Supabase query
+     * @param {Object} bounds - { north, south, east, west }
+     * @returns {Object} Modified query
+     */
+    applyBoundsFilter(query, bounds) {
+        query = query
+            .gte('latitude', bounds.south)
+            .lte('latitude', bounds.north);
+
+        // West greater than east means the box crosses the antimeridian
+        if (bounds.west <= bounds.east) {
+            return query
+                .gte('longitude', bounds.west)
+                .lte('longitude', bounds.east);
+        }
+        return query.or(`longitude.gte.${bounds.west},longitude.lte.${bounds.east}`);
+    }
+
+    /**
+     * Whether a query needs the geo_search_properties RPC for exact
+     * radius/polygon matching or distance ordering
+     * @param {Object} filters - Filter criteria
+     * @param {string} sortBy - Sort field
+     * @returns {boolean}
+     */
+    requiresGeoSearch(filters = {}, sortBy) {
+        return Boolean(filters.near || filters.polygon || sortBy === 'distance');
+    }
+
+    /**
+     * Point distance_km is measured from: the radius centre or explicit
+     * origin, otherwise the centre of the bounds/polygon
+     * @param {Object} filters - Filter criteria (near, origin, bounds, polygon)
+     * @returns {Object|null} { lat, lng }
+     */
+    getGeoOrigin(filters = {}) {
+        const { near, origin, bounds, polygon } = filters;
+
+        if (near) {
+            return { lat: near.lat, lng: near.lng };
+        }
+        if (origin) {
+            return origin;
+        }
+        if (bounds || polygon) {
+            const box = bounds || geo.boundingBoxForPolygon(polygon);
+            return { lat: (box.north + box.south) / 2, lng: (box.east + box.west) / 2 };
+        }
+        return null;
+    }
+
+    /**
+     * One page of located properties matching geo filters. Matching, distance
+     * ordering and pagination run in the geo_search_properties RPC
+     * (supabase/property-geo.sql); the page's rows are then loaded in order.
+     * @param {Object} filters - Filter criteria (same keys as applyPropertyFilters)
+     * @param {Object} options - { agentId, searchTerm, sortBy, sortOrder, offset, limit, selectClause }
+     * @returns {Object} { data (each with distance_km), count }
+     */
+    async geoSearch(filters, options) {
+        const { agentId = null, searchTerm = null, sortBy, sortOrder, offset, limit, selectClause } = options;
+        const origin = this.getGeoOrigin(filters);
+
+        if (sortBy === 'distance' && !origin) {
+            throw errorService.createError('INVALID_REQUEST', {
+                message: 'Sorting by distance needs lat/lng, bbox or polygon'
+            });
+        }
+
+        const { data: result, error } = await this.supabase.rpc('geo_search_properties', {
+            p_agent_id: agentId,
+            p_filters: this.compactFilters(filters),
+            p_search: searchTerm || null,
+            p_origin_lat: origin ? origin.lat : null,
+            p_origin_lng: origin ? origin.lng : null,
+            p_sort_by: sortBy,
+            p_ascending: sortOrder === 'asc',
+            p_limit: limit,
+            p_offset: offset
+        });
+
+        if (error) {
+            throw new Error(`Geo search failed: ${error.message}`);
+        }
+
+        const matches = result.matches || [];
+        if (matches.length === 0) {
+            return { data: [], count: result.total };
+        }
+
+        const { data: rows, error: rowsError } = await this.supabase
+            .from('properties')
+            .select(selectClause)
+            .in('id', matches.map(match => match.property_id));
+
+        if (rowsError) {
+            throw new Error(`Failed to load geo search results: ${rowsError.message}`);
+        }
+
+        // Restore the RPC's order, which .in() does not preserve
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+        const data = matches
+            .filter(match => rowsById.has(match.property_id))
+            .map(match => ({ ...rowsById.get(match.property_id), distance_km: match.distance_km }));
+
+        return { data, count: result.total };
+    }
+
+    /**
+     * Find comparable properties near a given property, closest first
+     * @param {Object} property - Reference property (needs latitude/longitude)
+     * @param {Object} options - { agentId, radiusKm, limit, listingStatuses }
+     * @returns {Array} Nearby similar properties with distance_km
+     */
+    async findNearbyProperties(property, options = {}) {
+        const {
+            agentId = property.agent_id,
+            radiusKm = 5,
+            limit = 5,
+            listingStatuses = ['active']
+        } = options;
+
+        if (property.latitude == null || property.longitude == null) {
+            return [];
+        }
+
+        const filters = {
+            near: { lat: property.latitude, lng: property.longitude, radiusKm },
+            listingStatuses
+        };
+        if (property.property_type) {
+            filters.propertyTypes = [property.property_type];
+        }
+        if (property.bedrooms != null) {
+            filters.bedroomsMin = Math.max(0, property.bedrooms - 1);
+            filters.bedroomsMax = property.bedrooms + 1;
+        }
+
+        const result = await this.getProperties(filters, {
+            page: 1,
+            limit: limit + 1,
+            sortBy: 'distance',
+            includeImages: false
+        }, agentId);
+
+        return result.data
+            .filter(candidate => candidate.id !== property.id)
+            .slice(0, limit);
+    }
+
     /**
      * Enrich property data with external APIs
      * @param {Object} propertyData - Property data
@@ -1030,7 +2140,8 @@ class PropertyService {
             const { data, error } = await this.supabase
                 .from('properties')
                 .select('listing_status, property_type, price, created_at')
-                .eq('agent_id', agentId);
+                .eq('agent_id', agentId)
+                .is('deleted_at', null);
 
             if (error) throw error;
 
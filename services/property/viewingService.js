@@ -0,0 +1,702 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const propertyService = require('./propertyService');
+const errorService = require('../error/errorService');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Viewing and open house scheduler.
+ *
+ * Agents publish availability windows on a property; each window is split
+ * into bookable slots of slot_minutes (plus an optional buffer between
+ * slots). A slot is offered only while the agent is free: confirmed private
+ * viewings on any of their properties and their scheduled open houses block
+ * it. Open houses are booked by registration up to their capacity.
+ *
+ * Double-booking of private viewings is enforced by an exclusion constraint
+ * on property_viewings and open house capacity by a trigger that locks the
+ * open house; the checks here only keep the error friendly.
+ */
+class ViewingService {
+    constructor() {
+        this.supabase = supabase;
+
+        // Listings that still accept viewing requests
+        this.bookableStatuses = ['active', 'under_offer'];
+
+        this.sources = {
+            API: 'api',
+            CHAT: 'chat'
+        };
+    }
+
+    /**
+     * Open private slots and upcoming open houses for a property
+     * @param {string} propertyId - Property ID
+     * @param {Object} range - { from, to } (defaults to now + config.viewings.lookaheadDays)
+     * @returns {Object} { bookable, slots: [{ startsAt, endsAt, windowId }], openHouses }
+     */
+    async getAvailableSlots(propertyId, range = {}) {
+        const property = await this.getProperty(propertyId);
+        if (!property) {
+            throw errorService.createError('PROPERTY_NOT_FOUND');
+        }
+
+        if (!this.isBookable(property)) {
+            return { bookable: false, slots: [], openHouses: [] };
+        }
+
+        const { from, to } = this.resolveRange(range);
+        const [slots, openHouses] = await Promise.all([
+            this.computeSlots(property, from, to),
+            this.getUpcomingOpenHouses(property.id, from, to)
+        ]);
+
+        return { bookable: true, slots, openHouses };
+    }
+
+    /**
+     * Book a private viewing slot or register for an open house, then send
+     * the VIEWING_CONFIRMATION email with a calendar invite.
+     * @param {string} propertyId - Property ID
+     * @param {Object} booking - { startsAt | openHouseId, name, email, phone, notes }
+     * @param {Object} context - { source, chatSessionId, leadId }
+     * @returns {Object} Viewing row plus confirmationSent
+     */
+    async bookViewing(propertyId, booking, context = {}) {
+        try {
+            const property = await this.getProperty(propertyId);
+            if (!property) {
+                throw errorService.createError('PROPERTY_NOT_FOUND');
+            }
+
+            if (!this.isBookable(property)) {
+                throw errorService.createError('VIEWING_SLOT_UNAVAILABLE', {
+                    message: 'This property is not accepting viewing bookings'
+                });
+            }
+
+            const visitor = {
+                property_id: property.id,
+                agent_id: property.agent_id,
+                lead_id: context.leadId || null,
+                chat_session_id: context.chatSessionId || null,
+                visitor_name: booking.name,
+                visitor_email: booking.email.trim().toLowerCase(),
+                visitor_phone: booking.phone || null,
+                notes: booking.notes || null,
+                source: context.source || this.sources.API,
+                status: 'confirmed'
+            };
+
+            const viewing = booking.openHouseId
+                ? await this.registerForOpenHouse(property, booking.openHouseId, visitor)
+                : await this.bookPrivateSlot(property, new Date(booking.startsAt), visitor);
+
+            logger.info('Viewing booked', {
+                propertyId: property.id,
+                viewingId: viewing.id,
+                openHouseId: viewing.open_house_id,
+                source: viewing.source
+            });
+
+            const confirmationSent = await this.sendConfirmation(viewing, property);
+
+            return { ...viewing, confirmationSent };
+        } catch (error) {
+            logger.error('Error booking viewing', {
+                propertyId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async bookPrivateSlot(property, startsAt, visitor) {
+        const start = startsAt.getTime();
+        const slots = await this.computeSlots(property, new Date(start), new Date(start + DAY));
+        const slot = slots.find(candidate => new Date(candidate.startsAt).getTime() === start);
+
+        if (!slot) {
+            throw errorService.createError('VIEWING_SLOT_UNAVAILABLE');
+        }
+
+        const { data, error } = await this.supabase
+            .from('property_viewings')
+            .insert({
+                ...visitor,
+                window_id: slot.windowId,
+                starts_at: slot.startsAt,
+                ends_at: slot.endsAt
+            })
+            .select('*')
+            .single();
+
+        if (error) {
+            // exclusion_violation: another booking took the slot first
+            if (error.code === '23P01') {
+                throw errorService.createError('VIEWING_SLOT_UNAVAILABLE');
+            }
+            throw new Error(`Failed to book viewing: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    async registerForOpenHouse(property, openHouseId, visitor) {
+        const { data: openHouse, error: fetchError } = await this.supabase
+            .from('property_open_houses')
+            .select('*')
+            .eq('id', openHouseId)
+            .eq('property_id', property.id)
+            .eq('status', 'scheduled')
+            .single();
+
+        if (fetchError && fetchError.code !== 'PGRST116') {
+            throw new Error(`Failed to fetch open house: ${fetchError.message}`);
+        }
+
+        if (!openHouse) {
+            throw errorService.createError('OPEN_HOUSE_NOT_FOUND');
+        }
+
+        if (new Date(openHouse.ends_at) <= new Date()) {
+            throw errorService.createError('VIEWING_SLOT_UNAVAILABLE', {
+                message: 'This open house has already finished'
+            });
+        }
+
+        if (openHouse.capacity) {
+            const registrations = await this.countRegistrations([openHouse.id]);
+            if ((registrations[openHouse.id] || 0) >= openHouse.capacity) {
+                throw errorService.createError('VIEWING_SLOT_UNAVAILABLE', {
+                    message: 'This open house is fully booked'
+                });
+            }
+        }
+
+        const { data, error } = await this.supabase
+            .from('property_viewings')
+            .insert({
+                ...visitor,
+                open_house_id: openHouse.id,
+                starts_at: openHouse.starts_at,
+                ends_at: openHouse.ends_at
+            })
+            .select('*')
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                throw errorService.createError('VIEWING_SLOT_UNAVAILABLE', {
+                    message: 'You are already registered for this open house'
+                });
+            }
+            // check_violation from the capacity trigger: a concurrent registration took the last place
+            if (error.code === '23514') {
+                throw errorService.createError('VIEWING_SLOT_UNAVAILABLE', {
+                    message: 'This open house is fully booked'
+                });
+            }
+            throw new Error(`Failed to register for open house: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Send the confirmation email. A failed send is logged; the booking stands.
+     * @returns {boolean} Whether the confirmation went out
+     */
+    async sendConfirmation(viewing, property) {
+        try {
+            await this.emailService.sendViewingConfirmation(viewing, property);
+
+            await this.supabase
+                .from('property_viewings')
+                .update({ confirmation_sent_at: new Date().toISOString() })
+                .eq('id', viewing.id);
+
+            return true;
+        } catch (error) {
+            logger.warn('Failed to send viewing confirmation', {
+                viewingId: viewing.id,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Cancel a confirmed viewing
+     * @param {string} propertyId - Property ID
+     * @param {string} viewingId - Viewing ID
+     * @param {string} agentId - Agent ID
+     * @param {string} reason - Optional reason
+     * @returns {Object} Cancelled viewing
+     */
+    async cancelViewing(propertyId, viewingId, agentId, reason = null) {
+        try {
+            const { data, error } = await this.supabase
+                .from('property_viewings')
+                .update({
+                    status: 'cancelled',
+                    cancelled_at: new Date().toISOString(),
+                    cancel_reason: reason
+                })
+                .eq('id', viewingId)
+                .eq('property_id', propertyId)
+                .eq('agent_id', agentId)
+                .eq('status', 'confirmed')
+                .select('*')
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    throw errorService.createError('VIEWING_NOT_FOUND');
+                }
+                throw new Error(`Failed to cancel viewing: ${error.message}`);
+            }
+
+            logger.logAudit('viewing_cancelled', agentId, { propertyId, viewingId, reason });
+
+            return data;
+        } catch (error) {
+            logger.error('Error cancelling viewing', {
+                propertyId,
+                viewingId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Viewings booked on a property, soonest first
+     * @param {string} propertyId - Property ID
+     * @param {string} agentId - Agent ID
+     * @param {Object} filters - { from, to, status }
+     * @returns {Array} Viewing rows
+     */
+    async listViewings(propertyId, agentId, filters = {}) {
+        await this.getOwnedProperty(propertyId, agentId);
+
+        let query = this.supabase
+            .from('property_viewings')
+            .select('*')
+            .eq('property_id', propertyId)
+            .eq('agent_id', agentId)
+            .order('starts_at', { ascending: true });
+
+        if (filters.from) {
+            query = query.gte('starts_at', new Date(filters.from).toISOString());
+        }
+        if (filters.to) {
+            query = query.lt('starts_at', new Date(filters.to).toISOString());
+        }
+        if (filters.status) {
+            query = query.eq('status', filters.status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to fetch viewings: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Availability windows that have not yet ended
+     */
+    async listAvailability(propertyId, agentId) {
+        await this.getOwnedProperty(propertyId, agentId);
+
+        const { data, error } = await this.supabase
+            .from('property_viewing_windows')
+            .select('*')
+            .eq('property_id', propertyId)
+            .gt('ends_at', new Date().toISOString())
+            .order('starts_at', { ascending: true });
+
+        if (error) {
+            throw new Error(`Failed to fetch availability: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Publish an availability window
+     * @param {string} propertyId - Property ID
+     * @param {string} agentId - Agent ID
+     * @param {Object} window - { startsAt, endsAt, slotMinutes, bufferMinutes }
+     * @returns {Object} Window row
+     */
+    async addAvailability(propertyId, agentId, window) {
+        try {
+            await this.getOwnedProperty(propertyId, agentId);
+
+            const slotMinutes = window.slotMinutes || 30;
+            const startsAt = new Date(window.startsAt);
+            const endsAt = new Date(window.endsAt);
+
+            if (endsAt - startsAt < slotMinutes * MINUTE) {
+                throw errorService.createError('VALIDATION_FAILED', {
+                    message: 'Availability window is shorter than one slot'
+                });
+            }
+
+            const { data, error } = await this.supabase
+                .from('property_viewing_windows')
+                .insert({
+                    property_id: propertyId,
+                    agent_id: agentId,
+                    starts_at: startsAt.toISOString(),
+                    ends_at: endsAt.toISOString(),
+                    slot_minutes: slotMinutes,
+                    buffer_minutes: window.bufferMinutes || 0
+                })
+                .select('*')
+                .single();
+
+            if (error) {
+                throw new Error(`Failed to save availability: ${error.message}`);
+            }
+
+            logger.logAudit('viewing_availability_added', agentId, { propertyId, windowId: data.id });
+
+            return data;
+        } catch (error) {
+            logger.error('Error adding availability', {
+                propertyId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an availability window. Viewings already booked in it are kept.
+     */
+    async removeAvailability(propertyId, windowId, agentId) {
+        const { data, error } = await this.supabase
+            .from('property_viewing_windows')
+            .delete()
+            .eq('id', windowId)
+            .eq('property_id', propertyId)
+            .eq('agent_id', agentId)
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to remove availability: ${error.message}`);
+        }
+
+        if (!data || data.length === 0) {
+            throw errorService.createError('VIEWING_WINDOW_NOT_FOUND');
+        }
+
+        logger.logAudit('viewing_availability_removed', agentId, { propertyId, windowId });
+    }
+
+    /**
+     * Open houses on a property with their registration counts
+     */
+    async listOpenHouses(propertyId, agentId) {
+        await this.getOwnedProperty(propertyId, agentId);
+
+        const { data, error } = await this.supabase
+            .from('property_open_houses')
+            .select('*')
+            .eq('property_id', propertyId)
+            .order('starts_at', { ascending: true });
+
+        if (error) {
+            throw new Error(`Failed to fetch open houses: ${error.message}`);
+        }
+
+        const registrations = await this.countRegistrations(data.map(openHouse => openHouse.id));
+
+        return data.map(openHouse => ({
+            ...openHouse,
+            registrations: registrations[openHouse.id] || 0
+        }));
+    }
+
+    /**
+     * Schedule an open house. It may not overlap the agent's private viewings.
+     * @param {string} propertyId - Property ID
+     * @param {string} agentId - Agent ID
+     * @param {Object} openHouse - { startsAt, endsAt, title, notes, capacity }
+     * @returns {Object} Open house row
+     */
+    async createOpenHouse(propertyId, agentId, openHouse) {
+        try {
+            await this.getOwnedProperty(propertyId, agentId);
+
+            const startsAt = new Date(openHouse.startsAt).toISOString();
+            const endsAt = new Date(openHouse.endsAt).toISOString();
+
+            const { data: conflicts, error: conflictError } = await this.supabase
+                .from('property_viewings')
+                .select('id, property_id, starts_at, ends_at')
+                .eq('agent_id', agentId)
+                .eq('status', 'confirmed')
+                .is('open_house_id', null)
+                .lt('starts_at', endsAt)
+                .gt('ends_at', startsAt);
+
+            if (conflictError) {
+                throw new Error(`Failed to check viewing conflicts: ${conflictError.message}`);
+            }
+
+            if (conflicts.length > 0) {
+                throw errorService.createError('VIEWING_SLOT_UNAVAILABLE', {
+                    message: 'The open house overlaps viewings that are already booked',
+                    details: { conflicts }
+                });
+            }
+
+            const { data, error } = await this.supabase
+                .from('property_open_houses')
+                .insert({
+                    property_id: propertyId,
+                    agent_id: agentId,
+                    title: openHouse.title || null,
+                    notes: openHouse.notes || null,
+                    capacity: openHouse.capacity || null,
+                    starts_at: startsAt,
+                    ends_at: endsAt
+                })
+                .select('*')
+                .single();
+
+            if (error) {
+                throw new Error(`Failed to create open house: ${error.message}`);
+            }
+
+            logger.logAudit('open_house_created', agentId, { propertyId, openHouseId: data.id });
+
+            return data;
+        } catch (error) {
+            logger.error('Error creating open house', {
+                propertyId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel an open house together with its registrations
+     */
+    async cancelOpenHouse(propertyId, openHouseId, agentId) {
+        const { data, error } = await this.supabase
+            .from('property_open_houses')
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', openHouseId)
+            .eq('property_id', propertyId)
+            .eq('agent_id', agentId)
+            .eq('status', 'scheduled')
+            .select('*')
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                throw errorService.createError('OPEN_HOUSE_NOT_FOUND');
+            }
+            throw new Error(`Failed to cancel open house: ${error.message}`);
+        }
+
+        const { error: viewingError } = await this.supabase
+            .from('property_viewings')
+            .update({
+                status: 'cancelled',
+                cancelled_at: new Date().toISOString(),
+                cancel_reason: 'open_house_cancelled'
+            })
+            .eq('open_house_id', openHouseId)
+            .eq('status', 'confirmed');
+
+        if (viewingError) {
+            logger.warn('Failed to cancel open house registrations', {
+                openHouseId,
+                error: viewingError.message
+            });
+        }
+
+        logger.logAudit('open_house_cancelled', agentId, { propertyId, openHouseId });
+
+        return data;
+    }
+
+    /**
+     * Split the property's availability windows into slots within [from, to),
+     * dropping any that overlap the agent's confirmed viewings or open houses
+     */
+    async computeSlots(property, from, to) {
+        const fromIso = from.toISOString();
+        const toIso = to.toISOString();
+
+        const [windowsResult, viewingsResult, openHousesResult] = await Promise.all([
+            this.supabase
+                .from('property_viewing_windows')
+                .select('*')
+                .eq('property_id', property.id)
+                .lt('starts_at', toIso)
+                .gt('ends_at', fromIso)
+                .order('starts_at', { ascending: true }),
+            this.supabase
+                .from('property_viewings')
+                .select('starts_at, ends_at')
+                .eq('agent_id', property.agent_id)
+                .eq('status', 'confirmed')
+                .is('open_house_id', null)
+                .lt('starts_at', toIso)
+                .gt('ends_at', fromIso),
+            this.supabase
+                .from('property_open_houses')
+                .select('starts_at, ends_at')
+                .eq('agent_id', property.agent_id)
+                .eq('status', 'scheduled')
+                .lt('starts_at', toIso)
+                .gt('ends_at', fromIso)
+        ]);
+
+        const failed = [windowsResult, viewingsResult, openHousesResult].find(result => result.error);
+        if (failed) {
+            throw new Error(`Failed to load viewing availability: ${failed.error.message}`);
+        }
+
+        const busy = [...viewingsResult.data, ...openHousesResult.data].map(period => ({
+            start: new Date(period.starts_at).getTime(),
+            end: new Date(period.ends_at).getTime()
+        }));
+
+        const rangeStart = Math.max(from.getTime(), Date.now());
+        const rangeEnd = to.getTime();
+        const slots = new Map();
+
+        windowsResult.data.forEach(window => {
+            const slotLength = window.slot_minutes * MINUTE;
+            const step = slotLength + (window.buffer_minutes || 0) * MINUTE;
+            const windowEnd = new Date(window.ends_at).getTime();
+
+            for (let start = new Date(window.starts_at).getTime(); start + slotLength <= windowEnd; start += step) {
+                const end = start + slotLength;
+
+                if (start < rangeStart || end > rangeEnd || slots.has(start)) {
+                    continue;
+                }
+                if (busy.some(period => period.start < end && period.end > start)) {
+                    continue;
+                }
+
+                slots.set(start, {
+                    startsAt: new Date(start).toISOString(),
+                    endsAt: new Date(end).toISOString(),
+                    windowId: window.id
+                });
+            }
+        });
+
+        return [...slots.values()].sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+    }
+
+    async getUpcomingOpenHouses(propertyId, from, to) {
+        const { data, error } = await this.supabase
+            .from('property_open_houses')
+            .select('id, title, notes, starts_at, ends_at, capacity')
+            .eq('property_id', propertyId)
+            .eq('status', 'scheduled')
+            .gt('ends_at', new Date(Math.max(from.getTime(), Date.now())).toISOString())
+            .lt('starts_at', to.toISOString())
+            .order('starts_at', { ascending: true });
+
+        if (error) {
+            throw new Error(`Failed to fetch open houses: ${error.message}`);
+        }
+
+        const registrations = await this.countRegistrations(data.map(openHouse => openHouse.id));
+
+        return data.map(openHouse => ({
+            id: openHouse.id,
+            title: openHouse.title,
+            notes: openHouse.notes,
+            startsAt: openHouse.starts_at,
+            endsAt: openHouse.ends_at,
+            spotsLeft: openHouse.capacity
+                ? Math.max(openHouse.capacity - (registrations[openHouse.id] || 0), 0)
+                : null
+        }));
+    }
+
+    /**
+     * Confirmed registrations per open house
+     * @param {Array<string>} openHouseIds - Open house IDs
+     * @returns {Object} openHouseId -> count
+     */
+    async countRegistrations(openHouseIds) {
+        if (openHouseIds.length === 0) {
+            return {};
+        }
+
+        const { data, error } = await this.supabase
+            .from('property_viewings')
+            .select('open_house_id')
+            .in('open_house_id', openHouseIds)
+            .eq('status', 'confirmed');
+
+        if (error) {
+            throw new Error(`Failed to count open house registrations: ${error.message}`);
+        }
+
+        return data.reduce((counts, row) => {
+            counts[row.open_house_id] = (counts[row.open_house_id] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    resolveRange({ from, to } = {}) {
+        const start = from ? new Date(from) : new Date();
+        const end = to ? new Date(to) : new Date(start.getTime() + config.viewings.lookaheadDays * DAY);
+        return { from: start, to: end };
+    }
+
+    isBookable(property) {
+        return !property.archived_at && this.bookableStatuses.includes(property.listing_status);
+    }
+
+    getProperty(propertyId) {
+        return propertyService.getPropertyById(propertyId, null, {
+            includeImages: false,
+            includeSocialPosts: false
+        });
+    }
+
+    async getOwnedProperty(propertyId, agentId) {
+        const property = await propertyService.getPropertyById(propertyId, agentId, {
+            includeImages: false,
+            includeSocialPosts: false
+        });
+
+        if (!property) {
+            throw errorService.createError('PROPERTY_NOT_FOUND');
+        }
+
+        return property;
+    }
+
+    // Resolved lazily: it pulls in the AI, browser and HTTP clients
+    get emailService() {
+        return require('../email/emailService');
+    }
+}
+
+module.exports = new ViewingService();
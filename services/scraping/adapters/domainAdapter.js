@@ -0,0 +1,32 @@
+const { firstText, readJsonScript, get, parsePrice, parseNumber, toSquareFeet, imageUrls, compact } = require('./helpers');
+
+/**
+ * Domain (Australia). Next.js page; listing data is in __NEXT_DATA__.
+ */
+module.exports = {
+  name: 'domain',
+  hostnames: ['domain.com.au'],
+
+  extract(document) {
+    const nextData = readJsonScript(document, 'script#__NEXT_DATA__');
+    const listing = get(nextData, 'props.pageProps.componentProps') || {};
+    const agent = (listing.agents || [])[0] || {};
+    const description = Array.isArray(listing.description) ? listing.description.join('\n\n') : listing.description;
+
+    return compact({
+      title: listing.headline || firstText(document, ['h1']),
+      address: listing.address || firstText(document, ['[data-testid="listing-details__button-copy-wrapper"] h1', 'h1']),
+      price: parsePrice(listing.price),
+      bedrooms: parseNumber(listing.beds),
+      bathrooms: parseNumber(listing.baths),
+      square_feet: toSquareFeet(listing.buildingSize, 'm²'),
+      description,
+      features: listing.features || [],
+      latitude: get(listing, 'map.latitude'),
+      longitude: get(listing, 'map.longitude'),
+      listing_agent_name: agent.name,
+      listing_agent_phone: agent.phone,
+      images: imageUrls((get(listing, 'gallery.slides') || []).map(slide => get(slide, 'images.original.url')))
+    });
+  }
+};
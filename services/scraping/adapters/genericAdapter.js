@@ -0,0 +1,77 @@
+const { firstText, parsePrice, parseNumber, parseListingStatus, imageUrls, compact } = require('./helpers');
+
+// Common selectors for property data, most specific first
+const selectors = {
+  title: ['h1', '[class*="title"]'],
+  address: [
+    '[data-testid="property-address"]',
+    '.address',
+    '.property-address',
+    'h1[class*="address"]',
+    '[class*="street-address"]'
+  ],
+  price: [
+    '[data-testid="price"]',
+    '.price',
+    '.property-price',
+    '[class*="price"]',
+    '.listing-price'
+  ],
+  bedrooms: [
+    '[data-testid="bedrooms"]',
+    '.bedrooms',
+    '[class*="bed"]',
+    '.beds'
+  ],
+  bathrooms: [
+    '[data-testid="bathrooms"]',
+    '.bathrooms',
+    '[class*="bath"]',
+    '.baths'
+  ],
+  squareFeet: [
+    '[data-testid="square-feet"]',
+    '.square-feet',
+    '.sqft',
+    '[class*="sqft"]'
+  ],
+  status: [
+    '[data-testid="listing-status"]',
+    '.listing-status',
+    '.property-status',
+    '.status-badge'
+  ],
+  description: [
+    '[data-testid="description"]',
+    '.description',
+    '.property-description',
+    '[class*="description"]'
+  ]
+};
+
+/**
+ * Fallback extractor for sites without a dedicated adapter. Only fills
+ * fields the page's structured data (see structuredData.js) left empty.
+ */
+module.exports = {
+  name: 'generic',
+  hostnames: [],
+
+  extract(document) {
+    const images = Array.from(document.querySelectorAll(
+      'img[src*="property"], img[src*="listing"], .property-image img, .listing-image img'
+    )).map(img => img.src);
+
+    return compact({
+      title: firstText(document, selectors.title),
+      address: firstText(document, selectors.address),
+      price: parsePrice(firstText(document, selectors.price)),
+      bedrooms: parseNumber(firstText(document, selectors.bedrooms)),
+      bathrooms: parseNumber(firstText(document, selectors.bathrooms)),
+      square_feet: parseNumber(firstText(document, selectors.squareFeet)),
+      source_status: parseListingStatus(firstText(document, selectors.status)),
+      description: firstText(document, selectors.description),
+      images: imageUrls(images)
+    });
+  }
+};
@@ -0,0 +1,265 @@
+const { JSDOM } = require('jsdom');
+
+/**
+ * Shared parsing helpers for scraper adapters. Adapters work on a static
+ * document, so they run the same against a live page's HTML and a saved
+ * fixture.
+ */
+
+/**
+ * Parse page HTML without running its scripts
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (resolves relative links)
+ * @returns {Document} DOM document
+ */
+const parseDocument = (html, url) => new JSDOM(html, { url }).window.document;
+
+// Elements that start a new line when a page is read as text
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'FOOTER',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TD',
+  'TH', 'TR', 'UL'
+]);
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+/**
+ * Visible text of a page, one line per block element
+ * @param {Document} document - DOM document
+ * @returns {string} Text
+ */
+const documentText = (document) => {
+  const parts = [];
+  const walk = (node) => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === child.TEXT_NODE) {
+        parts.push(child.textContent.replace(/\s+/g, ' '));
+      } else if (child.nodeType === child.ELEMENT_NODE && !SKIPPED_TAGS.has(child.tagName)) {
+        const block = BLOCK_TAGS.has(child.tagName);
+        parts.push(block ? '\n' : '');
+        walk(child);
+        parts.push(block ? '\n' : '');
+      }
+    });
+  };
+
+  if (document.body) {
+    walk(document.body);
+  }
+
+  return parts.join('').split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+};
+
+/**
+ * Text of the first element matching any of the selectors
+ * @param {Document} document - DOM document
+ * @param {Array<string>} selectors - CSS selectors, most specific first
+ * @returns {string|null} Trimmed text
+ */
+const firstText = (document, selectors) => {
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    const text = element && element.textContent.replace(/\s+/g, ' ').trim();
+    if (text) {
+      return text;
+    }
+  }
+  return null;
+};
+
+/**
+ * Content of a <meta property|name="..."> tag
+ */
+const metaContent = (document, name) => {
+  const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+  return element ? element.getAttribute('content') : null;
+};
+
+/**
+ * Parsed JSON from a <script> element (e.g. Next.js __NEXT_DATA__)
+ * @param {Document} document - DOM document
+ * @param {string} selector - Script selector
+ * @returns {Object|null} Parsed JSON
+ */
+const readJsonScript = (document, selector) => {
+  const script = document.querySelector(selector);
+  if (!script) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Object literal assigned to a global in an inline script
+ * ("window.PAGE_MODEL = {...}")
+ * @param {Document} document - DOM document
+ * @param {string} assignment - Left-hand side, e.g. 'window.PAGE_MODEL'
+ * @returns {Object|null} Parsed value
+ */
+const readScriptAssignment = (document, assignment) => {
+  const marker = `${assignment} =`;
+
+  for (const script of document.querySelectorAll('script:not([src])')) {
+    const source = script.textContent;
+    const start = source.indexOf(marker);
+    if (start === -1) {
+      continue;
+    }
+
+    const json = extractBalancedJson(source, source.indexOf('{', start));
+    if (json) {
+      try {
+        return JSON.parse(json);
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Slice a balanced {...} block starting at index, respecting strings
+ */
+const extractBalancedJson = (source, index) => {
+  if (index < 0) {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+  for (let i = index; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return source.slice(index, i + 1);
+    }
+  }
+  return null;
+};
+
+/**
+ * Safe nested property lookup: get(obj, 'a.b.0.c')
+ */
+const get = (object, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  object
+);
+
+/**
+ * Price from display text ("£450,000", "Offers over $1,250,000", "AUD 899k")
+ * @param {string|number} value - Price text
+ * @returns {number|null} Whole-currency price
+ */
+const parsePrice = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value) : null;
+  }
+  if (!value) {
+    return null;
+  }
+
+  const match = String(value).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([km])?\b/i);
+  if (!match) {
+    return null;
+  }
+
+  const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+};
+
+/**
+ * First number in a text ("3 bedrooms", "1,250 sq ft")
+ * @param {string|number} value - Text
+ * @returns {number|null} Number
+ */
+const parseNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (!value) {
+    return null;
+  }
+
+  const match = String(value).replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+// Portal status labels, checked in order ("Sold STC" is under offer, not sold)
+const LISTING_STATUS_PATTERNS = [
+  ['under_offer', /under offer|sold stc|sold subject to contract|under contract|pending|contingent|offer accepted/],
+  ['sold', /\bsold\b|recently_sold|soldout/],
+  ['withdrawn', /withdrawn|off[\s_-]?market|no longer (?:available|listed|on the market)|unavailable|discontinued|archived|inactive/],
+  ['active', /for[\s_-]?sale|active|available|instock|coming[\s_-]?soon/]
+];
+
+/**
+ * Listing status from a portal's status label or code ("Sold STC",
+ * "OFF_MARKET", "https://schema.org/InStock")
+ * @param {string} value - Status text
+ * @returns {string|null} active, under_offer, sold or withdrawn
+ */
+const parseListingStatus = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const text = value.toLowerCase();
+  const match = LISTING_STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+};
+
+const SQ_METRES_TO_SQ_FEET = 10.7639;
+
+/**
+ * Floor area in square feet from a value and unit
+ */
+const toSquareFeet = (value, unit = 'sqft') => {
+  const number = parseNumber(value);
+  if (number === null) {
+    return null;
+  }
+  return /m|metre|meter/i.test(unit) ? Math.round(number * SQ_METRES_TO_SQ_FEET) : Math.round(number);
+};
+
+/**
+ * Absolute image URLs, deduplicated, capped at 20
+ */
+const imageUrls = (urls) => [...new Set(urls.filter(url => typeof url === 'string' && url.startsWith('http')))]
+  .slice(0, 20);
+
+/**
+ * Drop empty values so adapters only report what they found
+ */
+const compact = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) =>
+  value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0) &&
+  !(typeof value === 'number' && Number.isNaN(value))));
+
+module.exports = {
+  parseDocument,
+  documentText,
+  firstText,
+  metaContent,
+  readJsonScript,
+  readScriptAssignment,
+  get,
+  parsePrice,
+  parseNumber,
+  parseListingStatus,
+  toSquareFeet,
+  imageUrls,
+  compact
+};
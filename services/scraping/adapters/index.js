@@ -0,0 +1,136 @@
+const { parseDocument, documentText, imageUrls } = require('./helpers');
+const genericAdapter = require('./genericAdapter');
+const { extractStructuredData } = require('./structuredData');
+const { extractFromText } = require('./plainText');
+const { findConflicts } = require('../fieldConfidence');
+
+// Field source for values found by the generic CSS selectors (a best guess)
+const SELECTORS_SOURCE = 'selectors';
+// Field source for values picked out of plain text by pattern
+const TEXT_SOURCE = 'text';
+
+/**
+ * Registry of site-specific scraper adapters, chosen by hostname.
+ *
+ * An adapter is { name, hostnames: ['example.com'], extract(document, { url }) }
+ * where extract returns properties-table fields (title, address, price,
+ * bedrooms, bathrooms, square_feet, description, features, latitude,
+ * longitude, listing_agent_*, images). A hostname also matches its
+ * subdomains (www., m., ...).
+ *
+ * Each field is taken from the first source that has it: the site adapter,
+ * then JSON-LD, microdata and OpenGraph, then the generic selectors (and,
+ * for documents the agent uploaded, patterns in the page text). The source
+ * of every field is reported alongside the data, as are values from other
+ * sources that disagree with the one used.
+ */
+class ScraperAdapterRegistry {
+  constructor() {
+    this.adapters = [];
+    this.fallback = genericAdapter;
+
+    [
+      require('./rightmoveAdapter'),
+      require('./zooplaAdapter'),
+      require('./zillowAdapter'),
+      require('./realtorAdapter'),
+      require('./domainAdapter')
+    ].forEach(adapter => this.register(adapter));
+  }
+
+  /**
+   * Add an adapter. Later registrations win for the same hostname.
+   */
+  register(adapter) {
+    if (!adapter.name || typeof adapter.extract !== 'function' || !Array.isArray(adapter.hostnames)) {
+      throw new Error('Scraper adapter needs a name, hostnames and an extract function');
+    }
+    this.adapters.unshift(adapter);
+  }
+
+  /**
+   * Adapter for a listing URL (the generic adapter if none matches)
+   * @param {string} url - Listing URL
+   * @returns {Object} Adapter
+   */
+  getAdapter(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return this.fallback;
+    }
+
+    return this.adapters.find(adapter => adapter.hostnames.some(host =>
+      hostname === host || hostname.endsWith(`.${host}`))) || this.fallback;
+  }
+
+  /**
+   * Extract listing fields from page HTML. If a site adapter finds nothing
+   * (page layout changed), the page is read like any other site.
+   * @param {string} html - Page HTML
+   * @param {string} url - Page URL
+   * @param {Object} options - { includeText } to also read fields from the page text
+   * @returns {Object} { adapter: name, data, sources: { field: source }, conflicts: { field: [{ source, value }] } }
+   */
+  extract(html, url, { includeText = false } = {}) {
+    const document = parseDocument(html, url);
+    const adapter = this.getAdapter(url);
+    const siteData = adapter === this.fallback ? null : adapter.extract(document, { url });
+    const useSite = this.hasListingData(siteData);
+
+    const results = [
+      ...(useSite ? [{ source: adapter.name, data: siteData }] : []),
+      ...extractStructuredData(document),
+      { source: SELECTORS_SOURCE, data: this.fallback.extract(document, { url }) },
+      ...(includeText ? [{ source: TEXT_SOURCE, data: extractFromText(documentText(document)) }] : [])
+    ];
+
+    return {
+      adapter: useSite ? adapter.name : this.fallback.name,
+      ...this.mergeResults(results)
+    };
+  }
+
+  /**
+   * Extract listing fields from plain text (a PDF brochure)
+   * @param {string} text - Document text
+   * @returns {Object} { adapter: 'text', data, sources: { field: source }, conflicts }
+   */
+  extractText(text) {
+    return {
+      adapter: TEXT_SOURCE,
+      ...this.mergeResults([{ source: TEXT_SOURCE, data: extractFromText(text) }])
+    };
+  }
+
+  /**
+   * First value per field in priority order; images are combined
+   * @param {Array<Object>} results - [{ source, data }]
+   * @returns {Object} { data, sources, conflicts }
+   */
+  mergeResults(results) {
+    const data = {};
+    const sources = {};
+
+    results.forEach(({ source, data: fields }) => {
+      Object.entries(fields).forEach(([field, value]) => {
+        if (field === 'images') {
+          data.images = imageUrls([...(data.images || []), ...value]);
+          sources.images = sources.images || source;
+        } else if (data[field] === undefined) {
+          data[field] = value;
+          sources[field] = source;
+        }
+      });
+    });
+
+    return { data, sources, conflicts: findConflicts(results) };
+  }
+
+  hasListingData(data) {
+    return Boolean(data && (data.address || data.price || data.bedrooms));
+  }
+}
+
+module.exports = new ScraperAdapterRegistry();
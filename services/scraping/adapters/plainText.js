@@ -0,0 +1,115 @@
+const { parsePrice, parseNumber, toSquareFeet, compact } = require('./helpers');
+
+/**
+ * Listing fields from plain text: a PDF brochure, or a saved page whose
+ * markup gives the selectors nothing to work with. Brochures have no fixed
+ * layout, so fields are picked out by pattern ("3 bedrooms", "£450,000",
+ * "1,250 sq ft"), the address is the first line ending in a postcode or ZIP
+ * code and the description is the run of long lines.
+ */
+
+const PRICE = /(?:[£$€]|\b(?:GBP|USD|EUR|AUD|CAD|NZD)\b)\s?\d[\d,]*(?:\.\d+)?(?:\s?[km]\b)?/gi;
+// Smaller amounts are fees, deposits and the like
+const MIN_PRICE = 1000;
+
+const BEDROOMS = [/(\d{1,2})\s*-?\s*bed(?:room)?s?\b/i, /\bbedrooms?\s*:\s*(\d{1,2})\b/i];
+const BATHROOMS = [/(\d{1,2}(?:\.5)?)\s*-?\s*bath(?:room)?s?\b/i, /\bbathrooms?\s*:\s*(\d{1,2}(?:\.5)?)\b/i];
+const AREA_SQFT = /(\d[\d,]*(?:\.\d+)?)\s*(?:sq\.?\s?f(?:ee)?t|square\s+f(?:ee|oo)t|ft²|sqft)/i;
+const AREA_SQM = /(\d[\d,]*(?:\.\d+)?)\s*(?:sq\.?\s?m(?:etres|eters)?\b|square\s+met(?:re|er)s|m²|sqm)/i;
+
+const POSTAL_CODES = [
+  // UK postcode
+  /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/,
+  // US state and ZIP code
+  /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/,
+  // Australian state and postcode
+  /\b(?:NSW|VIC|QLD|WA|SA|TAS|ACT|NT)\s+\d{4}\b/
+];
+
+const BULLET = /^[•▪●◦■\-*–]\s*(.{3,120})$/;
+const MIN_DESCRIPTION_LINE = 60;
+const MAX_DESCRIPTION = 2000;
+const MAX_FEATURES = 30;
+
+const firstMatch = (text, patterns) => {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+const findPrice = (text) => (text.match(PRICE) || [])
+  .map(parsePrice)
+  .find(price => price !== null && price >= MIN_PRICE) || null;
+
+const findSquareFeet = (text) => {
+  const feet = text.match(AREA_SQFT);
+  if (feet) {
+    return toSquareFeet(feet[1], 'sqft');
+  }
+  const metres = text.match(AREA_SQM);
+  return metres ? toSquareFeet(metres[1], 'sqm') : null;
+};
+
+const findAddress = (lines) => {
+  const line = lines.find(candidate => candidate.length <= 200 && POSTAL_CODES.some(pattern => pattern.test(candidate)));
+  return line ? line.replace(/^address\s*:\s*/i, '') : null;
+};
+
+// Runs of long lines, rejoined into paragraphs
+const findDescription = (lines) => {
+  const paragraphs = [];
+  let current = [];
+
+  lines.forEach(line => {
+    if (line.length >= MIN_DESCRIPTION_LINE && !BULLET.test(line)) {
+      current.push(line);
+    } else if (current.length > 0) {
+      paragraphs.push(current.join(' '));
+      current = [];
+    }
+  });
+  if (current.length > 0) {
+    paragraphs.push(current.join(' '));
+  }
+
+  const description = paragraphs.join('\n\n');
+  return description ? description.slice(0, MAX_DESCRIPTION) : null;
+};
+
+/**
+ * @param {string} text - Document text, one line per line of the layout
+ * @returns {Object} properties-table fields found
+ */
+const extractFromText = (text) => {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  if (lines.length === 0) {
+    return {};
+  }
+
+  const joined = lines.join('\n');
+  const address = findAddress(lines);
+  const features = lines
+    .map(line => line.match(BULLET))
+    .filter(Boolean)
+    .map(match => match[1])
+    .slice(0, MAX_FEATURES);
+
+  return compact({
+    title: lines.find(line => line.length >= 5 && line.length <= 150 && line !== address) || null,
+    address,
+    price: findPrice(joined),
+    bedrooms: parseNumber(firstMatch(joined, BEDROOMS)),
+    bathrooms: parseNumber(firstMatch(joined, BATHROOMS)),
+    square_feet: findSquareFeet(joined),
+    description: findDescription(lines),
+    features
+  });
+};
+
+module.exports = {
+  extractFromText
+};
@@ -0,0 +1,36 @@
+const { firstText, readJsonScript, get, parsePrice, parseNumber, parseListingStatus, toSquareFeet, imageUrls, compact } = require('./helpers');
+
+/**
+ * Realtor.com (US). Next.js page; listing data is in __NEXT_DATA__.
+ */
+module.exports = {
+  name: 'realtor',
+  hostnames: ['realtor.com'],
+
+  extract(document) {
+    const nextData = readJsonScript(document, 'script#__NEXT_DATA__');
+    const property = get(nextData, 'props.pageProps.initialReduxState.propertyDetails') ||
+      get(nextData, 'props.pageProps.property') || {};
+    const address = get(property, 'location.address') || {};
+    const details = property.description || {};
+    const advertiser = (property.advertisers || [])[0] || {};
+
+    return compact({
+      title: firstText(document, ['h1']),
+      address: [address.line, address.city, address.state_code, address.postal_code].filter(Boolean).join(', ') ||
+        firstText(document, ['h1']),
+      price: parsePrice(property.list_price),
+      bedrooms: parseNumber(details.beds),
+      bathrooms: parseNumber(details.baths),
+      square_feet: toSquareFeet(details.sqft),
+      year_built: parseNumber(details.year_built),
+      source_status: parseListingStatus(property.status),
+      description: details.text,
+      latitude: get(address, 'coordinate.lat'),
+      longitude: get(address, 'coordinate.lon'),
+      listing_agent_name: advertiser.name,
+      listing_agent_phone: get(advertiser, 'phones.0.number'),
+      images: imageUrls((property.photos || []).map(photo => photo.href))
+    });
+  }
+};
@@ -0,0 +1,34 @@
+const { firstText, readScriptAssignment, get, parsePrice, parseNumber, parseListingStatus, toSquareFeet, imageUrls, compact } = require('./helpers');
+
+/**
+ * Rightmove (UK). Listing data is embedded as window.PAGE_MODEL.
+ */
+module.exports = {
+  name: 'rightmove',
+  hostnames: ['rightmove.co.uk'],
+
+  extract(document) {
+    const model = readScriptAssignment(document, 'window.PAGE_MODEL');
+    const property = get(model, 'propertyData') || {};
+    const sizing = (property.sizings || []).find(size => size.unit === 'sqft') || (property.sizings || [])[0];
+
+    return compact({
+      title: get(property, 'text.pageTitle') || firstText(document, ['h1']),
+      address: get(property, 'address.displayAddress') || firstText(document, ['h1[itemprop="streetAddress"]']),
+      price: parsePrice(get(property, 'prices.primaryPrice') || firstText(document, ['[data-testid="price"]'])),
+      bedrooms: parseNumber(property.bedrooms),
+      bathrooms: parseNumber(property.bathrooms),
+      square_feet: sizing ? toSquareFeet(sizing.minimumSize, sizing.unit) : null,
+      // Archived listings have been taken off the market
+      source_status: parseListingStatus(get(property, 'status.displayStatus')) ||
+        (get(property, 'status.archived') ? 'withdrawn' : null),
+      description: get(property, 'text.description'),
+      features: property.keyFeatures || [],
+      latitude: get(property, 'location.latitude'),
+      longitude: get(property, 'location.longitude'),
+      listing_agent_name: get(property, 'customer.branchDisplayName'),
+      listing_agent_phone: get(property, 'contactInfo.telephoneNumbers.localNumber'),
+      images: imageUrls((property.images || []).map(image => image.url))
+    });
+  }
+};
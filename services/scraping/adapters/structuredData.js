@@ -0,0 +1,245 @@
+const { metaContent, get, parsePrice, parseNumber, parseListingStatus, toSquareFeet, imageUrls, compact } = require('./helpers');
+
+/**
+ * Listing fields from structured data embedded in the page: schema.org
+ * JSON-LD, schema.org microdata and OpenGraph tags. Site authors publish
+ * these for search engines, so they are more reliable than CSS selectors.
+ */
+
+const SOURCES = {
+  JSON_LD: 'json-ld',
+  MICRODATA: 'microdata',
+  OPENGRAPH: 'opengraph'
+};
+
+const LISTING_TYPES = ['RealEstateListing', 'Product'];
+const RESIDENCE_TYPES = [
+  'Residence', 'SingleFamilyResidence', 'House', 'Apartment', 'Accommodation', 'ApartmentComplex', 'GatedResidenceCommunity'
+];
+
+// UN/CEFACT codes used by schema.org QuantitativeValue
+const AREA_UNITS = { FTK: 'sqft', MTK: 'sqm' };
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const typesOf = (node) => asArray(node && node['@type']).map(type => String(type).split('/').pop());
+
+const hasType = (node, types) => typesOf(node).some(type => types.includes(type));
+
+// Text of a value that may be a plain string or { name } / { '@value' }
+const textOf = (value) => {
+  const first = asArray(value)[0];
+  if (first === undefined || first === null) {
+    return null;
+  }
+  if (typeof first === 'object') {
+    return textOf(first.name || first['@value'] || first.value);
+  }
+  const text = String(first).replace(/\s+/g, ' ').trim();
+  return text || null;
+};
+
+/**
+ * Every JSON-LD node on the page, with @graph and nested arrays flattened
+ */
+const readJsonLdNodes = (document) => {
+  const nodes = [];
+  const collect = (value) => {
+    asArray(value).forEach(node => {
+      if (node && typeof node === 'object') {
+        nodes.push(node);
+        collect(node['@graph']);
+      }
+    });
+  };
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (error) {
+      // Malformed blocks are common; skip them
+    }
+  });
+
+  return nodes;
+};
+
+/**
+ * Value of a microdata property element
+ */
+const microdataValue = (element) => {
+  if (element.hasAttribute('content')) {
+    return element.getAttribute('content');
+  }
+
+  switch (element.tagName) {
+    case 'A':
+    case 'LINK':
+      return element.href;
+    case 'IMG':
+    case 'SOURCE':
+      return element.src;
+    case 'TIME':
+      return element.getAttribute('datetime') || element.textContent.trim();
+    case 'DATA':
+    case 'METER':
+      return element.getAttribute('value');
+    default:
+      return element.textContent.replace(/\s+/g, ' ').trim();
+  }
+};
+
+/**
+ * A microdata item as a JSON-LD shaped object
+ */
+const readMicrodataItem = (scope) => {
+  const item = { '@type': (scope.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean) };
+
+  scope.querySelectorAll('[itemprop]').forEach(element => {
+    // Properties of nested items belong to those items
+    if (element.parentElement.closest('[itemscope]') !== scope) {
+      return;
+    }
+
+    const value = element.hasAttribute('itemscope') ? readMicrodataItem(element) : microdataValue(element);
+    element.getAttribute('itemprop').split(/\s+/).forEach(name => {
+      item[name] = item[name] === undefined ? value : asArray(item[name]).concat(value);
+    });
+  });
+
+  return item;
+};
+
+const readMicrodataNodes = (document) => {
+  const nodes = [];
+  const collect = (node) => {
+    nodes.push(node);
+    Object.values(node).forEach(value => asArray(value)
+      .filter(child => child && typeof child === 'object' && child['@type'])
+      .forEach(collect));
+  };
+
+  document.querySelectorAll('[itemscope]:not([itemprop])').forEach(scope => collect(readMicrodataItem(scope)));
+  return nodes;
+};
+
+const formatAddress = (address) => {
+  if (!address || typeof address !== 'object') {
+    return { address: textOf(address) };
+  }
+
+  const street = textOf(address.streetAddress);
+  const city = textOf(address.addressLocality);
+  const state = textOf(address.addressRegion);
+  const zipCode = textOf(address.postalCode);
+
+  return {
+    address: [street, city, [state, zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ') || null,
+    city,
+    state,
+    zip_code: zipCode
+  };
+};
+
+const floorArea = (value) => {
+  const size = asArray(value)[0];
+  if (!size || typeof size !== 'object') {
+    return toSquareFeet(size);
+  }
+  const unit = AREA_UNITS[size.unitCode] || size.unitText || 'sqft';
+  return toSquareFeet(size.value, unit);
+};
+
+// Signed decimal degrees (parseNumber drops the sign)
+const coordinate = (value) => {
+  const number = parseFloat(textOf(value));
+  return Number.isFinite(number) ? number : null;
+};
+
+const imagesOf = (value) => asArray(value).map(image =>
+  (image && typeof image === 'object' ? image.contentUrl || image.url : image));
+
+/**
+ * Map schema.org nodes (from JSON-LD or microdata) onto property fields.
+ * A RealEstateListing points at the residence through about/mainEntity and
+ * carries the price in offers; a bare residence may carry its own offers.
+ */
+const mapSchemaNodes = (nodes) => {
+  const listing = nodes.find(node => hasType(node, ['RealEstateListing'])) ||
+    nodes.find(node => hasType(node, LISTING_TYPES) && asArray(node.offers).length > 0) || {};
+  const offers = asArray(listing.offers);
+  const residence = [listing.about, listing.mainEntity, ...offers.map(offer => offer && offer.itemOffered)]
+    .flatMap(asArray)
+    .find(node => hasType(node, RESIDENCE_TYPES)) ||
+    nodes.find(node => hasType(node, RESIDENCE_TYPES)) || {};
+
+  if (!Object.keys(listing).length && !Object.keys(residence).length) {
+    return {};
+  }
+
+  const offer = offers.concat(asArray(residence.offers))[0] || {};
+  const agent = [offer.offeredBy, offer.seller, listing.provider, listing.broker].flatMap(asArray)[0] || {};
+  const geo = residence.geo || listing.geo || {};
+
+  return compact({
+    title: textOf(listing.name) || textOf(residence.name),
+    ...formatAddress(residence.address || listing.address),
+    price: parsePrice(textOf(offer.price) || textOf(get(offer, 'priceSpecification.price'))),
+    bedrooms: parseNumber(textOf(residence.numberOfBedrooms) || textOf(residence.numberOfRooms)),
+    bathrooms: parseNumber(textOf(residence.numberOfBathroomsTotal) || textOf(residence.numberOfFullBathrooms)),
+    square_feet: floorArea(residence.floorSize),
+    year_built: parseNumber(textOf(residence.yearBuilt)),
+    // schema.org ItemAvailability: InStock, SoldOut, Discontinued, ...
+    source_status: parseListingStatus(textOf(offer.availability)),
+    description: textOf(listing.description) || textOf(residence.description),
+    features: asArray(residence.amenityFeature).map(textOf).filter(Boolean),
+    latitude: coordinate(geo.latitude),
+    longitude: coordinate(geo.longitude),
+    listing_agent_name: textOf(agent.name),
+    listing_agent_phone: textOf(agent.telephone),
+    listing_agent_email: textOf(agent.email),
+    images: imageUrls([...imagesOf(listing.image), ...imagesOf(residence.image), ...imagesOf(residence.photo)])
+  });
+};
+
+/**
+ * OpenGraph and the related place:/product: tags
+ */
+const readOpenGraph = (document) => {
+  const images = Array.from(document.querySelectorAll('meta[property="og:image"], meta[property="og:image:url"]'))
+    .map(meta => meta.getAttribute('content'));
+  const zipCode = metaContent(document, 'og:postal-code');
+  const city = metaContent(document, 'og:locality');
+  const state = metaContent(document, 'og:region');
+  const street = metaContent(document, 'og:street-address');
+
+  return compact({
+    title: metaContent(document, 'og:title'),
+    address: street ? [street, city, [state, zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ') : null,
+    city,
+    state,
+    zip_code: zipCode,
+    price: parsePrice(metaContent(document, 'product:price:amount') || metaContent(document, 'og:price:amount')),
+    description: metaContent(document, 'og:description'),
+    latitude: coordinate(metaContent(document, 'place:location:latitude')),
+    longitude: coordinate(metaContent(document, 'place:location:longitude')),
+    images: imageUrls(images)
+  });
+};
+
+/**
+ * Structured listing data, one result per source in priority order
+ * @param {Document} document - DOM document
+ * @returns {Array<Object>} [{ source, data }]
+ */
+const extractStructuredData = (document) => [
+  { source: SOURCES.JSON_LD, data: mapSchemaNodes(readJsonLdNodes(document)) },
+  { source: SOURCES.MICRODATA, data: mapSchemaNodes(readMicrodataNodes(document)) },
+  { source: SOURCES.OPENGRAPH, data: readOpenGraph(document) }
+];
+
+module.exports = {
+  SOURCES,
+  extractStructuredData,
+  mapSchemaNodes
+};
@@ -0,0 +1,54 @@
+const { firstText, readJsonScript, get, parsePrice, parseNumber, parseListingStatus, toSquareFeet, imageUrls, compact } = require('./helpers');
+
+/**
+ * Zillow (US). The property sits in gdpClientCache, a JSON string inside
+ * __NEXT_DATA__ keyed by the GraphQL query.
+ */
+const readProperty = (document) => {
+  const nextData = readJsonScript(document, 'script#__NEXT_DATA__');
+  const cache = get(nextData, 'props.pageProps.componentProps.gdpClientCache');
+
+  try {
+    const entries = typeof cache === 'string' ? JSON.parse(cache) : cache;
+    const entry = Object.values(entries || {}).find(value => value && value.property);
+    return entry ? entry.property : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Widest JPEG of each photo
+const largestPhoto = (photo) => {
+  const sources = get(photo, 'mixedSources.jpeg') || [];
+  const largest = sources.reduce((best, source) => (!best || source.width > best.width ? source : best), null);
+  return largest ? largest.url : null;
+};
+
+module.exports = {
+  name: 'zillow',
+  hostnames: ['zillow.com'],
+
+  extract(document) {
+    const property = readProperty(document);
+    const address = property.address || {};
+
+    return compact({
+      title: firstText(document, ['h1']),
+      address: [address.streetAddress, address.city, address.state, address.zipcode].filter(Boolean).join(', ') ||
+        firstText(document, ['h1']),
+      price: parsePrice(property.price),
+      bedrooms: parseNumber(property.bedrooms),
+      bathrooms: parseNumber(property.bathrooms),
+      square_feet: toSquareFeet(property.livingArea),
+      year_built: parseNumber(property.yearBuilt),
+      // FOR_SALE, PENDING, SOLD, OFF_MARKET, ...
+      source_status: parseListingStatus(property.homeStatus),
+      description: property.description,
+      latitude: property.latitude,
+      longitude: property.longitude,
+      listing_agent_name: get(property, 'attributionInfo.agentName'),
+      listing_agent_phone: get(property, 'attributionInfo.agentPhoneNumber'),
+      images: imageUrls((property.responsivePhotos || []).map(largestPhoto))
+    });
+  }
+};
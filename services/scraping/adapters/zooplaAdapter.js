@@ -0,0 +1,34 @@
+const { firstText, readJsonScript, get, parsePrice, parseNumber, toSquareFeet, imageUrls, compact } = require('./helpers');
+
+const IMAGE_BASE_URL = 'https://lid.zoocdn.com/u/1024/768/';
+
+/**
+ * Zoopla (UK). Next.js page; listing data is in __NEXT_DATA__.
+ */
+module.exports = {
+  name: 'zoopla',
+  hostnames: ['zoopla.co.uk'],
+
+  extract(document) {
+    const nextData = readJsonScript(document, 'script#__NEXT_DATA__');
+    const listing = get(nextData, 'props.pageProps.listingDetails') || {};
+
+    return compact({
+      title: listing.title || firstText(document, ['h1']),
+      address: listing.displayAddress || firstText(document, ['address']),
+      price: parsePrice(get(listing, 'pricing.value') || get(listing, 'pricing.label')),
+      bedrooms: parseNumber(get(listing, 'counts.numBedrooms')),
+      bathrooms: parseNumber(get(listing, 'counts.numBathrooms')),
+      square_feet: get(listing, 'floorArea.value')
+        ? toSquareFeet(get(listing, 'floorArea.value'), get(listing, 'floorArea.units'))
+        : null,
+      description: listing.detailedDescription,
+      features: get(listing, 'features.bullets') || [],
+      latitude: get(listing, 'location.coordinates.latitude'),
+      longitude: get(listing, 'location.coordinates.longitude'),
+      listing_agent_name: get(listing, 'branch.name'),
+      listing_agent_phone: get(listing, 'branch.phone'),
+      images: imageUrls((listing.propertyImage || []).map(image => IMAGE_BASE_URL + image.filename))
+    });
+  }
+};
@@ -0,0 +1,304 @@
+const axios = require('axios');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+const robotsTxt = require('./robotsTxt');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Used when robots.txt cannot be fetched (5xx or network error): RFC 9309
+// says to assume the whole site is disallowed. Retried sooner than a
+// successful fetch.
+const DISALLOW_ALL = { agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null };
+const UNREACHABLE_CACHE_MS = 5 * 60 * 1000;
+
+const MAX_ROBOTS_BYTES = 512 * 1024;
+
+// Origins and hosts remembered at once; past this, expired entries and then
+// the least recently used ones are dropped
+const MAX_TRACKED_HOSTS = 1000;
+
+const BLOCK_MESSAGES = {
+  invalid_url: 'Only http and https listing URLs can be scraped',
+  denied_domain: 'Scraping is disabled for this site',
+  not_in_allow_list: 'This site is not on the list of sites we scrape',
+  robots_disallowed: 'The site\'s robots.txt does not allow this page to be crawled',
+  robots_unreachable: 'The site\'s robots.txt could not be read, so the page is not crawled yet'
+};
+
+/**
+ * Politeness layer for everything the scraper fetches.
+ *
+ * Every request (listing pages, photos, robots.txt itself) goes through
+ * request(), which checks the configured allow/deny domain lists and the
+ * site's robots.txt (cached per origin), spaces requests to the same host
+ * by hostIntervalMs or the site's Crawl-delay, whichever is longer, and
+ * writes the outcome to scrape_fetch_log so we can show what was fetched,
+ * when, as whom and why anything was skipped.
+ */
+class CrawlPolicyService {
+  constructor() {
+    this.supabase = supabase;
+    this.settings = config.scraping.politeness;
+    this.userAgent = config.scraping.puppeteer.userAgent;
+
+    // origin -> { promise, expiresAt }, least recently used first
+    this.robotsCache = new Map();
+    // host -> earliest time the next request may start, least recently used first
+    this.nextRequestAt = new Map();
+  }
+
+  /**
+   * Whether the crawl policy allows fetching a URL
+   * @param {string} url - URL to fetch
+   * @returns {Object} { allowed, reason, host, crawlDelayMs }
+   */
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { allowed: false, reason: 'invalid_url' };
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { allowed: false, reason: 'invalid_url' };
+    }
+
+    const host = parsed.hostname.toLowerCase();
+
+    if (this.matchesDomain(host, this.settings.deniedDomains)) {
+      return { allowed: false, reason: 'denied_domain', host };
+    }
+    if (this.settings.allowedDomains.length > 0 && !this.matchesDomain(host, this.settings.allowedDomains)) {
+      return { allowed: false, reason: 'not_in_allow_list', host };
+    }
+    if (!this.settings.respectRobots) {
+      return { allowed: true, host, crawlDelayMs: 0 };
+    }
+
+    const robots = await this.getRobots(parsed.origin);
+    if (!robotsTxt.isAllowed(robots.group, `${parsed.pathname}${parsed.search}`)) {
+      return { allowed: false, reason: robots.unreachable ? 'robots_unreachable' : 'robots_disallowed', host };
+    }
+
+    return {
+      allowed: true,
+      host,
+      crawlDelayMs: robots.group && robots.group.crawlDelay ? robots.group.crawlDelay * 1000 : 0
+    };
+  }
+
+  /**
+   * Fetch a URL under the crawl policy
+   * @param {string} url - URL to fetch
+   * @param {Function} fetcher - Performs the request; may resolve to a response with a status
+   * @param {Object} context - { purpose: 'page'|'image', tier, jobId, agentId, propertyId } for the audit log
+   * @returns {*} Whatever fetcher resolves to
+   */
+  async request(url, fetcher, context = {}) {
+    const verdict = await this.checkUrl(url);
+
+    if (!verdict.allowed) {
+      await this.recordFetch(url, { ...context, outcome: 'blocked', reason: verdict.reason });
+      throw this.notAllowedError(url, verdict.reason);
+    }
+
+    await this.waitForHost(verdict.host, Math.max(this.settings.hostIntervalMs, verdict.crawlDelayMs));
+
+    const startedAt = Date.now();
+    try {
+      const response = await fetcher();
+      await this.recordFetch(url, {
+        ...context,
+        outcome: 'fetched',
+        statusCode: this.statusOf(response),
+        durationMs: Date.now() - startedAt
+      });
+      return response;
+    } catch (error) {
+      await this.recordFetch(url, {
+        ...context,
+        outcome: 'error',
+        reason: error.message,
+        statusCode: error.response ? error.response.status : null,
+        durationMs: Date.now() - startedAt
+      });
+      throw error;
+    }
+  }
+
+  notAllowedError(url, reason) {
+    return errorService.createError('SCRAPE_NOT_ALLOWED', {
+      message: BLOCK_MESSAGES[reason] || BLOCK_MESSAGES.robots_disallowed,
+      details: { url, reason }
+    });
+  }
+
+  /**
+   * Wait for this host's next request slot. Slots are reserved before
+   * waiting, so concurrent requests queue up rather than firing together.
+   */
+  async waitForHost(host, intervalMs) {
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextRequestAt.get(host) || 0);
+    this.nextRequestAt.delete(host);
+    this.nextRequestAt.set(host, startAt + intervalMs);
+    this.trimCache(this.nextRequestAt, nextAt => nextAt <= now);
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * Parsed robots.txt group for an origin, from cache when fresh. Concurrent
+   * callers share one fetch.
+   * @returns {Object} { group, unreachable, expiresAt }
+   */
+  async getRobots(origin) {
+    const now = Date.now();
+    const isExpired = entry => entry.expiresAt !== null && entry.expiresAt <= now;
+
+    const cached = this.robotsCache.get(origin);
+    this.robotsCache.delete(origin);
+    if (cached && !isExpired(cached)) {
+      this.robotsCache.set(origin, cached);
+      return cached.promise;
+    }
+
+    const entry = { expiresAt: null };
+    entry.promise = this.fetchRobots(origin).then(robots => {
+      entry.expiresAt = robots.expiresAt;
+      return robots;
+    });
+    this.robotsCache.set(origin, entry);
+    this.trimCache(this.robotsCache, isExpired);
+
+    return entry.promise;
+  }
+
+  /**
+   * Keep a per-host map within MAX_TRACKED_HOSTS: drop expired entries,
+   * then the least recently used
+   */
+  trimCache(cache, isExpired) {
+    if (cache.size <= MAX_TRACKED_HOSTS) {
+      return;
+    }
+
+    for (const [key, value] of cache) {
+      if (isExpired(value)) {
+        cache.delete(key);
+      }
+    }
+    for (const key of cache.keys()) {
+      if (cache.size <= MAX_TRACKED_HOSTS) {
+        break;
+      }
+      cache.delete(key);
+    }
+  }
+
+  async fetchRobots(origin) {
+    const url = `${origin}/robots.txt`;
+    const now = Date.now();
+    const cacheMs = this.settings.robotsCacheMinutes * 60 * 1000;
+    const unreachable = { group: DISALLOW_ALL, unreachable: true, expiresAt: now + Math.min(cacheMs, UNREACHABLE_CACHE_MS) };
+
+    try {
+      const response = await axios.get(url, {
+        timeout: this.settings.robotsTimeout,
+        responseType: 'text',
+        maxContentLength: MAX_ROBOTS_BYTES,
+        headers: { 'User-Agent': this.userAgent },
+        validateStatus: () => true
+      });
+
+      await this.recordFetch(url, {
+        purpose: 'robots',
+        outcome: 'fetched',
+        statusCode: response.status,
+        durationMs: Date.now() - now
+      });
+
+      if (response.status >= 500) {
+        return unreachable;
+      }
+
+      // No robots.txt (4xx) means no restrictions
+      const group = response.status >= 400
+        ? null
+        : robotsTxt.selectGroup(robotsTxt.parse(response.data), this.settings.robotsUserAgent);
+
+      return { group, unreachable: false, expiresAt: now + cacheMs };
+    } catch (error) {
+      logger.warn('Failed to fetch robots.txt', { url, error: error.message });
+      await this.recordFetch(url, {
+        purpose: 'robots',
+        outcome: 'error',
+        reason: error.message,
+        durationMs: Date.now() - now
+      });
+      return unreachable;
+    }
+  }
+
+  /**
+   * Write a fetch to the audit log. Never throws: a logging failure must
+   * not stop the scrape.
+   */
+  async recordFetch(url, { purpose = 'page', outcome, reason = null, statusCode = null, durationMs = null, tier = null, jobId = null, agentId = null, propertyId = null }) {
+    if (!this.settings.auditLog) {
+      return;
+    }
+
+    try {
+      const { error } = await this.supabase
+        .from('scrape_fetch_log')
+        .insert({
+          url,
+          host: this.hostOf(url),
+          purpose,
+          outcome,
+          reason,
+          status_code: statusCode,
+          duration_ms: durationMs,
+          user_agent: this.userAgent,
+          tier,
+          job_id: jobId,
+          agent_id: agentId,
+          property_id: propertyId
+        });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      logger.warn('Failed to write scrape fetch log', { url, outcome, error: error.message });
+    }
+  }
+
+  matchesDomain(host, domains) {
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  hostOf(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // axios responses carry status; Puppeteer's HTTPResponse has status()
+  statusOf(response) {
+    if (!response) {
+      return null;
+    }
+    return typeof response.status === 'function' ? response.status() : response.status || null;
+  }
+}
+
+module.exports = new CrawlPolicyService();
@@ -0,0 +1,112 @@
+const config = require('../../config/config');
+const errorService = require('../error/errorService');
+const pdf = require('../../utils/pdf');
+const scraperAdapters = require('./adapters');
+const { parseDocument } = require('./adapters/helpers');
+const { scoreFields } = require('./fieldConfidence');
+
+/**
+ * Listing data from a document the agent already has - a saved or pasted
+ * listing page, or a PDF brochure - instead of a URL to fetch. Nothing is
+ * fetched here: HTML runs through the same adapters as a scraped page (plus
+ * patterns in its text), a PDF's text through the text patterns, and
+ * photos embedded in the document are returned as bytes.
+ */
+
+const DOCUMENT_TYPES = {
+  HTML: 'html',
+  PDF: 'pdf'
+};
+
+const DATA_URI_IMAGE = /^data:image\/(?:jpeg|jpg|png|webp);base64,([a-z0-9+/=\s]+)$/i;
+
+const invalidDocument = (message, details = {}) => errorService.createError('SCRAPE_DOCUMENT_INVALID', {
+  message,
+  details
+});
+
+const looksLikeHtml = (text) => /<(?:!doctype\s+html|html|head|body|div|p|h1|table)\b/i.test(text.slice(0, 4096));
+
+/**
+ * Photos embedded in a page as data: URIs (pages saved as a single file)
+ */
+const embeddedPageImages = (html, label) => {
+  const document = parseDocument(html);
+
+  return Array.from(document.querySelectorAll('img[src^="data:image/"]'))
+    .map(img => img.getAttribute('src').match(DATA_URI_IMAGE))
+    .filter(Boolean)
+    .slice(0, config.scraping.images.maxImages)
+    .map((match, index) => ({
+      buffer: Buffer.from(match[1].replace(/\s+/g, ''), 'base64'),
+      source: `${label}#image-${index + 1}`
+    }));
+};
+
+const extractHtml = (html, { url, fileName }) => {
+  const { adapter, data, sources, conflicts } = scraperAdapters.extract(html, url, { includeText: true });
+
+  return {
+    type: DOCUMENT_TYPES.HTML,
+    data: {
+      ...data,
+      listing_platform: adapter,
+      scraped_field_sources: sources,
+      scraped_field_confidence: scoreFields(data, { sources, conflicts })
+    },
+    images: embeddedPageImages(html, fileName || 'page')
+  };
+};
+
+const extractPdfDocument = (buffer, { fileName }) => {
+  let content;
+  try {
+    content = pdf.extractPdf(buffer, { maxImages: config.scraping.images.maxImages });
+  } catch (error) {
+    throw invalidDocument(`The PDF could not be read: ${error.message}`, { fileName });
+  }
+
+  const { data, sources, conflicts } = scraperAdapters.extractText(content.text);
+  const label = fileName || 'brochure.pdf';
+
+  return {
+    type: DOCUMENT_TYPES.PDF,
+    data: {
+      ...data,
+      listing_platform: 'brochure',
+      scraped_field_sources: sources,
+      scraped_field_confidence: scoreFields(data, { sources, conflicts })
+    },
+    images: content.images.map((image, index) => ({
+      buffer: image.buffer,
+      source: `${label}#image-${index + 1}`
+    }))
+  };
+};
+
+/**
+ * @param {Object} document - { html } for pasted HTML, or { buffer, fileName }
+ *   for an uploaded PDF or HTML file; url (optional) is the listing's address
+ *   on the web, used to pick the site adapter and resolve relative links
+ * @returns {Object} { type: 'html'|'pdf', data (listing fields and photo URLs), images: [{ buffer, source }] }
+ */
+const extractDocument = ({ html, buffer, fileName, url } = {}) => {
+  if (buffer && pdf.isPdf(buffer)) {
+    return extractPdfDocument(buffer, { fileName });
+  }
+
+  const page = typeof html === 'string' ? html : (buffer ? buffer.toString('utf8') : '');
+  if (!page.trim()) {
+    throw invalidDocument('The document is empty', { fileName });
+  }
+  if (!looksLikeHtml(page)) {
+    throw invalidDocument('Only HTML pages and PDF brochures can be read', { fileName });
+  }
+
+  return extractHtml(page, { url, fileName });
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  extractDocument
+};
@@ -0,0 +1,153 @@
+/**
+ * Confidence (0-1) in each scraped listing field. A field starts from how
+ * much its source is trusted - data the site publishes for machines over
+ * values guessed from the layout or picked out of text - and loses it when
+ * the value is implausible or another source on the page disagrees.
+ */
+
+// Sources not listed are site adapters, which read the portal's own data
+const SITE_ADAPTER_CONFIDENCE = 0.95;
+const SOURCE_CONFIDENCE = {
+  'json-ld': 0.9,
+  microdata: 0.85,
+  brightdata: 0.8,
+  opengraph: 0.75,
+  selectors: 0.6,
+  text: 0.5
+};
+
+// Another source disagreeing halves the score
+const CONFLICT_PENALTY = 0.5;
+
+// Fields that are scored; the rest (photos, agent details, ...) are not reviewed
+const SCORED_FIELDS = [
+  'title', 'address', 'price', 'bedrooms', 'bathrooms', 'square_feet', 'year_built',
+  'property_type', 'description', 'latitude', 'longitude'
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// field -> value => problem with the value, or null
+const PLAUSIBILITY = {
+  title: (value) => (String(value).trim().length < 5 ? 'Title is too short' : null),
+  address: (value) => (String(value).trim().length < 5 ? 'Address is too short' : null),
+  price: (value) => {
+    if (!isNumber(value) || value <= 0) {
+      return 'Price could not be read as an amount';
+    }
+    return value < 1000 ? 'Price is too low for a sale listing' : null;
+  },
+  bedrooms: (value) => {
+    if (!isNumber(value) || !Number.isInteger(value) || value < 0) {
+      return 'Bedrooms is not a whole number';
+    }
+    return value > 20 ? 'More than 20 bedrooms' : null;
+  },
+  bathrooms: (value) => {
+    if (!isNumber(value) || value < 0) {
+      return 'Bathrooms is not a number';
+    }
+    return value > 20 ? 'More than 20 bathrooms' : null;
+  },
+  square_feet: (value) => {
+    if (!isNumber(value) || value <= 0) {
+      return 'Floor area is not a number';
+    }
+    return value < 100 || value > 100000 ? 'Floor area is outside 100-100,000 sq ft' : null;
+  },
+  year_built: (value) => (!isNumber(value) || value < 1600 || value > new Date().getFullYear() + 5
+    ? 'Year built is not a plausible year'
+    : null),
+  latitude: (value) => (!isNumber(value) || Math.abs(value) > 90 ? 'Latitude is out of range' : null),
+  longitude: (value) => (!isNumber(value) || Math.abs(value) > 180 ? 'Longitude is out of range' : null)
+};
+
+// Numeric fields where sources on one page should agree, with the relative difference allowed
+const CONFLICT_TOLERANCE = {
+  price: 0.02,
+  bedrooms: 0,
+  bathrooms: 0,
+  square_feet: 0.05
+};
+
+const agrees = (field, a, b) => {
+  if (!isNumber(a) || !isNumber(b)) {
+    return a === b;
+  }
+  return Math.abs(a - b) <= CONFLICT_TOLERANCE[field] * Math.max(Math.abs(a), Math.abs(b));
+};
+
+const sourceConfidence = (source) => (Object.prototype.hasOwnProperty.call(SOURCE_CONFIDENCE, source)
+  ? SOURCE_CONFIDENCE[source]
+  : SITE_ADAPTER_CONFIDENCE);
+
+/**
+ * Values from lower-priority sources that disagree with the value used
+ * @param {Array<Object>} results - [{ source, data }] in priority order
+ * @returns {Object} { field: [{ source, value }] }
+ */
+const findConflicts = (results) => {
+  const conflicts = {};
+
+  Object.keys(CONFLICT_TOLERANCE).forEach(field => {
+    const found = results.filter(({ data }) => data && data[field] !== undefined && data[field] !== null);
+    if (found.length < 2) {
+      return;
+    }
+
+    const used = found[0].data[field];
+    const disagreeing = found.slice(1)
+      .filter(({ data }) => !agrees(field, used, data[field]))
+      .map(({ source, data }) => ({ source, value: data[field] }));
+
+    if (disagreeing.length > 0) {
+      conflicts[field] = disagreeing;
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * @param {Object} data - Scraped properties fields
+ * @param {Object} context - { sources: { field: source }, conflicts (see
+ *   findConflicts), defaultSource for fields without a recorded source }
+ * @returns {Object} { field: { score, source, issues: [string] } }
+ */
+const scoreFields = (data, { sources = {}, conflicts = {}, defaultSource = 'selectors' } = {}) => {
+  const scores = {};
+
+  SCORED_FIELDS.forEach(field => {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    const source = sources[field] || defaultSource;
+    const issues = [];
+    let score = sourceConfidence(source);
+
+    const problem = PLAUSIBILITY[field] ? PLAUSIBILITY[field](value) : null;
+    if (problem) {
+      issues.push(problem);
+      score = 0;
+    }
+
+    (conflicts[field] || []).forEach(conflict => {
+      issues.push(`${conflict.source} gives ${conflict.value}`);
+    });
+    if (conflicts[field]) {
+      score *= CONFLICT_PENALTY;
+    }
+
+    scores[field] = { score: Math.round(score * 100) / 100, source, issues };
+  });
+
+  return scores;
+};
+
+module.exports = {
+  SCORED_FIELDS,
+  findConflicts,
+  scoreFields
+};
@@ -0,0 +1,205 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const storageService = require('../storage/storageService');
+const crawlPolicyService = require('./crawlPolicyService');
+const { NOT_PUBLIC_CODE, assertPublicHost, publicLookup } = require('../../utils/publicAddress');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Photo downloads only ever connect to public addresses, redirects included
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// sharp format -> MIME type and extension accepted by StorageService
+const IMAGE_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  png: { mimeType: 'image/png', extension: '.png' },
+  webp: { mimeType: 'image/webp', extension: '.webp' }
+};
+
+/**
+ * Imports the photos found on a scraped listing into property_images.
+ *
+ * Each URL is downloaded under the crawl policy (photos it blocks are
+ * skipped as not_allowed, and photos on hosts that resolve to loopback,
+ * private or link-local addresses as private_address; photos from an
+ * uploaded document arrive as bytes), checked to be a real JPEG/PNG/WebP photo of a usable size, and
+ * stored through StorageService.uploadPropertyImage (which creates the
+ * resized variants). Images already on the property - by source
+ * URL or by content hash - are skipped, so re-running a scrape adds nothing
+ * twice. Scraped order is kept; the first image becomes primary when the
+ * property has none.
+ */
+class ImageIngestService {
+  constructor() {
+    this.supabase = supabase;
+    this.settings = config.scraping.images;
+    this.maxBytes = storageService.fileTypes.images.maxSize;
+  }
+
+  /**
+   * Download and attach scraped images to a property
+   * @param {string} propertyId - Property ID
+   * @param {string} agentId - Agent ID
+   * @param {Array<string|Object>} images - Image URLs in listing order, or
+   *   { buffer, source } for photos taken from an uploaded document (source
+   *   labels it in the result, e.g. "brochure.pdf#image-2")
+   * @param {Object} options - { altText }
+   * @returns {Object} { imported: [{ id, url }], skipped: [{ url, reason }], failed: [{ url, error }] }
+   */
+  async ingestImages(propertyId, agentId, images = [], options = {}) {
+    const result = { imported: [], skipped: [], failed: [] };
+    const urls = images.filter(image => typeof image === 'string');
+    const embedded = images.filter(image => image && Buffer.isBuffer(image.buffer));
+    const candidates = [...new Set(urls), ...embedded].slice(0, this.settings.maxImages);
+
+    if (candidates.length === 0) {
+      return result;
+    }
+
+    logger.info('Ingesting scraped images', { propertyId, agentId, count: candidates.length });
+
+    const existing = await this.getExistingImages(propertyId);
+    const knownUrls = new Set(existing.map(image => image.original_url).filter(Boolean));
+    const knownHashes = new Set(existing.map(image => image.content_hash).filter(Boolean));
+    let hasPrimary = existing.some(image => image.is_primary);
+    let displayOrder = existing.reduce((max, image) => Math.max(max, (image.display_order || 0) + 1), 0);
+
+    for (const candidate of candidates) {
+      const isEmbedded = typeof candidate !== 'string';
+      const url = isEmbedded ? candidate.source : candidate;
+
+      if (!isEmbedded && knownUrls.has(url)) {
+        result.skipped.push({ url, reason: 'already_imported' });
+        continue;
+      }
+
+      try {
+        const image = isEmbedded
+          ? await this.checkImage(candidate.buffer)
+          : await this.downloadImage(url, { agentId, propertyId });
+        if (image.rejected) {
+          result.skipped.push({ url, reason: image.rejected });
+          continue;
+        }
+
+        const contentHash = storageService.computeContentHash(image.buffer);
+        if (knownHashes.has(contentHash)) {
+          result.skipped.push({ url, reason: 'duplicate' });
+          continue;
+        }
+
+        const uploaded = await storageService.uploadPropertyImage(propertyId, agentId, {
+          buffer: image.buffer,
+          originalname: `scraped-${displayOrder + 1}${image.extension}`,
+          mimetype: image.mimeType,
+          size: image.buffer.length
+        }, {
+          isPrimary: !hasPrimary,
+          displayOrder,
+          altText: options.altText || '',
+          originalUrl: isEmbedded ? null : url
+        });
+
+        knownHashes.add(contentHash);
+        hasPrimary = true;
+        displayOrder += 1;
+        result.imported.push({ id: uploaded.id, url });
+      } catch (error) {
+        if (error.code === 'SCRAPE_NOT_ALLOWED') {
+          result.skipped.push({ url, reason: 'not_allowed' });
+          continue;
+        }
+        if (error.code === NOT_PUBLIC_CODE) {
+          result.skipped.push({ url, reason: 'private_address' });
+          continue;
+        }
+        logger.warn('Failed to ingest scraped image', { propertyId, url, error: error.message });
+        result.failed.push({ url, error: error.message });
+      }
+    }
+
+    logger.info('Scraped images ingested', {
+      propertyId,
+      imported: result.imported.length,
+      skipped: result.skipped.length,
+      failed: result.failed.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Download an image (under the crawl policy) and check it is a usable photo.
+   * The host is resolved first and must not be a loopback, private or
+   * link-local address; the agents check every connection again.
+   * @param {string} url - Image URL
+   * @param {Object} context - { agentId, propertyId } for the fetch audit log
+   * @returns {Object} { buffer, mimeType, extension } or { rejected: reason }
+   * @throws {Error} With code ADDRESS_NOT_PUBLIC for a non-public host
+   */
+  async downloadImage(url, context = {}) {
+    const response = await crawlPolicyService.request(url, async () => {
+      await assertPublicHost(new URL(url).hostname);
+
+      return axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: this.settings.downloadTimeout,
+        maxContentLength: this.maxBytes,
+        httpAgent,
+        httpsAgent,
+        headers: {
+          Accept: 'image/jpeg,image/png,image/webp',
+          'User-Agent': crawlPolicyService.userAgent
+        }
+      });
+    }, { ...context, purpose: 'image' });
+
+    const buffer = Buffer.from(response.data);
+    return this.checkImage(buffer);
+  }
+
+  /**
+   * Validate downloaded bytes by decoding them; Content-Type headers from
+   * listing CDNs are not reliable
+   */
+  async checkImage(buffer) {
+    if (buffer.length === 0) {
+      return { rejected: 'empty' };
+    }
+    if (buffer.length > this.maxBytes) {
+      return { rejected: 'too_large' };
+    }
+
+    const info = await storageService.getImageInfo(buffer);
+    const format = info && IMAGE_FORMATS[info.format];
+    if (!format) {
+      return { rejected: 'unsupported_format' };
+    }
+
+    if (info.width < this.settings.minWidth || info.height < this.settings.minHeight) {
+      return { rejected: 'too_small' };
+    }
+
+    return { buffer, ...format };
+  }
+
+  async getExistingImages(propertyId) {
+    const { data, error } = await this.supabase
+      .from('property_images')
+      .select('id, original_url, content_hash, is_primary, display_order')
+      .eq('property_id', propertyId);
+
+    if (error) {
+      throw new Error(`Failed to fetch property images: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new ImageIngestService();
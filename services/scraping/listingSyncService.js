@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+const propertyService = require('../property/propertyService');
+const listingStatusService = require('../property/listingStatusService');
+const scrapeQueueService = require('./scrapeQueueService');
+const imageIngestService = require('./imageIngestService');
+const emailService = require('../email/emailService');
+const { DEFAULT_LANGUAGE } = require('../ai/languages');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Keeps scraped listings in step with their source.
+ *
+ * Listings still on the market are re-scraped every resyncAfterHours
+ * through the scrape queue (jobs with options.mode 'sync', so they share
+ * its retries and per-site throttling). The result is compared with the
+ * stored property: a price change is saved (and so appears in the price
+ * history), a status change at the source is applied when the listing
+ * state machine allows it, and new photos are imported. Each change is
+ * recorded in property_change_events, the agent is emailed, and the change
+ * types in config.scraping.sync.regenerateOn restart AI content generation.
+ */
+class ListingSyncService {
+  constructor() {
+    this.supabase = supabase;
+    this.settings = config.scraping.sync;
+    this.timer = null;
+
+    this.mode = 'sync';
+
+    this.eventTypes = {
+      PRICE_DROP: 'price_drop',
+      PRICE_INCREASE: 'price_increase',
+      STATUS_CHANGE: 'status_change',
+      NEW_PHOTOS: 'new_photos'
+    };
+
+    // Listings still on the market at the source
+    this.syncedStatuses = ['active', 'under_offer'];
+  }
+
+  // Lazy so AIService is only loaded when content is regenerated
+  get aiService() {
+    return require('../ai/aiService');
+  }
+
+  /**
+   * Periodically queue listings that are due a sync
+   */
+  startSchedule() {
+    if (this.timer || !this.settings.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.queueDueListings().catch(error => {
+        logger.error('Scheduled listing sync failed', { error: error.message });
+      });
+    }, this.settings.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info('Listing sync scheduled', {
+      intervalMinutes: this.settings.intervalMinutes,
+      resyncAfterHours: this.settings.resyncAfterHours
+    });
+  }
+
+  stopSchedule() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue a sync for listings not synced within resyncAfterHours, oldest first
+   * @returns {number} Jobs queued
+   */
+  async queueDueListings() {
+    const cutoff = new Date(Date.now() - this.settings.resyncAfterHours * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await this.supabase
+      .from('properties')
+      .select('id, agent_id, listing_url')
+      .in('listing_status', this.syncedStatuses)
+      .not('listing_url', 'is', null)
+      .is('deleted_at', null)
+      .is('archived_at', null)
+      .or(`sync_requested_at.is.null,sync_requested_at.lt.${cutoff}`)
+      .order('sync_requested_at', { ascending: true, nullsFirst: true })
+      .limit(this.settings.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to fetch listings due a sync: ${error.message}`);
+    }
+
+    let queued = 0;
+    for (const property of data || []) {
+      try {
+        await this.queueSync(property);
+        queued += 1;
+      } catch (queueError) {
+        logger.error('Failed to queue listing sync', { propertyId: property.id, error: queueError.message });
+      }
+    }
+
+    if (queued > 0) {
+      logger.info('Listing syncs queued', { count: queued });
+    }
+
+    return queued;
+  }
+
+  /**
+   * Queue a sync for one property now
+   * @param {string} propertyId - Property ID
+   * @param {string} agentId - Agent ID for access control
+   * @returns {Object|null} Scrape job status, or null if the property does not exist
+   */
+  async requestSync(propertyId, agentId) {
+    const property = await propertyService.getPropertyById(propertyId, agentId, {
+      includeImages: false,
+      includeSocialPosts: false
+    });
+
+    if (!property) {
+      return null;
+    }
+    if (!property.listing_url) {
+      throw errorService.createError('INVALID_REQUEST', {
+        message: 'Property has no source listing URL to sync from'
+      });
+    }
+    if (!this.syncedStatuses.includes(listingStatusService.normalizeStatus(property.listing_status))) {
+      throw errorService.createError('INVALID_REQUEST', {
+        message: `Only active and under offer listings are synced; this one is ${property.listing_status}`
+      });
+    }
+
+    const job = await this.queueSync(property);
+    return scrapeQueueService.formatJob(job);
+  }
+
+  async queueSync(property) {
+    const job = await scrapeQueueService.enqueue({
+      id: crypto.randomUUID(),
+      agentId: property.agent_id,
+      propertyId: property.id,
+      url: property.listing_url,
+      options: { mode: this.mode }
+    });
+
+    await this.updateSyncState(property.id, { sync_requested_at: new Date().toISOString() });
+    return job;
+  }
+
+  isSyncJob(job) {
+    return Boolean(job.options && job.options.mode === this.mode);
+  }
+
+  /**
+   * Compare freshly scraped data with the property and apply the changes
+   * @param {Object} job - Sync scrape job
+   * @param {Object} scrapedData - Validated scraped fields (properties columns and images)
+   * @returns {Object} { events, details } - details is kept in the job history
+   */
+  async applySync(job, scrapedData) {
+    const property = await propertyService.getPropertyById(job.property_id, job.agent_id, {
+      includeImages: false,
+      includeSocialPosts: false
+    });
+
+    if (!property) {
+      throw new Error(`Property ${job.property_id} no longer exists`);
+    }
+
+    const events = this.diffListing(property, scrapedData);
+    const priceEvent = events.find(event => event.event_type !== this.eventTypes.STATUS_CHANGE);
+    const statusEvent = events.find(event => event.event_type === this.eventTypes.STATUS_CHANGE);
+
+    const changes = {};
+    if (priceEvent) {
+      changes.price = priceEvent.new_value;
+    }
+    if (statusEvent && statusEvent.details.applied) {
+      changes.listing_status = statusEvent.new_value;
+    }
+
+    let current = property;
+    if (Object.keys(changes).length > 0) {
+      const actor = listingStatusService.systemActor;
+      current = await propertyService.updateProperty(property.id, changes, job.agent_id, {
+        actor,
+        changedBy: actor.id,
+        source: this.mode,
+        statusReason: changes.listing_status ? `Source listing shows ${changes.listing_status}` : undefined
+      }) || property;
+    }
+
+    // Photos already on the property (by URL or content) are skipped
+    const photos = await imageIngestService.ingestImages(property.id, job.agent_id, scrapedData.images || [], {
+      altText: property.title || ''
+    });
+    if (photos.imported.length > 0) {
+      events.push({
+        event_type: this.eventTypes.NEW_PHOTOS,
+        old_value: null,
+        new_value: photos.imported.map(image => image.url),
+        details: { imported: photos.imported.length, skipped: photos.skipped.length, failed: photos.failed.length }
+      });
+    }
+
+    const saved = await this.recordEvents(job, events);
+
+    await this.updateSyncState(property.id, {
+      source_status: scrapedData.source_status || property.source_status || null,
+      last_synced_at: new Date().toISOString(),
+      last_sync_error: null
+    });
+
+    if (saved.length > 0) {
+      logger.info('Listing changes found at source', {
+        propertyId: property.id,
+        changes: saved.map(event => event.event_type)
+      });
+
+      await this.notifyAgent(current, saved);
+      await this.regenerateContent(current, saved);
+    }
+
+    return {
+      events: saved,
+      details: { sync: { changes: saved.map(event => event.event_type) } }
+    };
+  }
+
+  /**
+   * Price and status changes between the property and scraped data. A status
+   * change is only reported when the source status is new since the last
+   * sync, so a change the state machine cannot apply is not reported daily.
+   * @param {Object} property - Stored property
+   * @param {Object} scrapedData - Scraped fields
+   * @returns {Array<Object>} Change events (property_change_events columns)
+   */
+  diffListing(property, scrapedData) {
+    const events = [];
+
+    const oldPrice = Number(property.price);
+    const newPrice = Number(scrapedData.price);
+    if (oldPrice > 0 && newPrice > 0 && oldPrice !== newPrice) {
+      const change = newPrice - oldPrice;
+      events.push({
+        event_type: change < 0 ? this.eventTypes.PRICE_DROP : this.eventTypes.PRICE_INCREASE,
+        old_value: oldPrice,
+        new_value: newPrice,
+        details: { change, changePercent: Math.round((change / oldPrice) * 10000) / 100 }
+      });
+    }
+
+    const currentStatus = listingStatusService.normalizeStatus(property.listing_status);
+    const sourceStatus = scrapedData.source_status;
+    if (sourceStatus && sourceStatus !== currentStatus && sourceStatus !== property.source_status) {
+      events.push({
+        event_type: this.eventTypes.STATUS_CHANGE,
+        old_value: currentStatus,
+        new_value: sourceStatus,
+        details: { applied: listingStatusService.canTransition(currentStatus, sourceStatus) }
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Record that a sync ran out of attempts; the listing itself is untouched
+   */
+  async recordSyncFailure(job, error) {
+    logger.warn('Listing sync failed', { propertyId: job.property_id, jobId: job.id, error: error.message });
+    await this.updateSyncState(job.property_id, { last_sync_error: error.message });
+  }
+
+  /**
+   * Change events for a property, newest first
+   * @param {string} propertyId - Property ID
+   * @param {string} agentId - Agent ID for access control
+   * @param {Object} options - { limit }
+   * @returns {Array} Change events
+   */
+  async getChangeEvents(propertyId, agentId, { limit = 50 } = {}) {
+    const { data, error } = await this.supabase
+      .from('property_change_events')
+      .select('*')
+      .eq('property_id', propertyId)
+      .eq('agent_id', agentId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch property changes: ${error.message}`);
+    }
+
+    return data.map(event => ({
+      id: event.id,
+      type: event.event_type,
+      oldValue: event.old_value,
+      newValue: event.new_value,
+      details: event.details,
+      description: this.describeChange(event),
+      scrapeJobId: event.scrape_job_id,
+      notifiedAt: event.notified_at,
+      contentJobId: event.content_job_id,
+      createdAt: event.created_at
+    }));
+  }
+
+  async recordEvents(job, events) {
+    if (events.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.supabase
+      .from('property_change_events')
+      .insert(events.map(event => ({
+        ...event,
+        property_id: job.property_id,
+        agent_id: job.agent_id,
+        scrape_job_id: job.id
+      })))
+      .select('*');
+
+    if (error) {
+      throw new Error(`Failed to record property changes: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Email the agent about changes; a failure is logged, the changes are kept
+   */
+  async notifyAgent(property, events) {
+    try {
+      await emailService.sendListingChangeNotification(property, events.map(event => this.describeChange(event)));
+      await this.markEvents(events, { notified_at: new Date().toISOString() });
+    } catch (error) {
+      logger.error('Failed to notify agent of listing changes', { propertyId: property.id, error: error.message });
+    }
+  }
+
+  /**
+   * Regenerate AI content when a change makes the current copy stale, in
+   * every language the listing already has a description in
+   */
+  async regenerateContent(property, events) {
+    const triggers = events.filter(event => this.settings.regenerateOn.includes(event.event_type));
+    if (triggers.length === 0) {
+      return;
+    }
+
+    try {
+      const languages = [DEFAULT_LANGUAGE, ...Object.keys(property.description_translations || {})];
+      const job = await this.aiService.generatePropertyContent(property, this.settings.regenerateContentTypes, { languages });
+      await this.markEvents(triggers, { content_job_id: job.jobId });
+
+      logger.info('Content regeneration started after listing change', {
+        propertyId: property.id,
+        jobId: job.jobId,
+        changes: triggers.map(event => event.event_type)
+      });
+    } catch (error) {
+      logger.error('Failed to regenerate content after listing change', {
+        propertyId: property.id,
+        error: error.message
+      });
+    }
+  }
+
+  describeChange(event) {
+    switch (event.event_type) {
+      case this.eventTypes.PRICE_DROP:
+      case this.eventTypes.PRICE_INCREASE:
+        return `Price ${event.event_type === this.eventTypes.PRICE_DROP ? 'reduced' : 'increased'} from ` +
+          `${event.old_value.toLocaleString()} to ${event.new_value.toLocaleString()} (${event.details.changePercent}%)`;
+      case this.eventTypes.STATUS_CHANGE:
+        return `Source listing now shows ${event.new_value.replace('_', ' ')}` +
+          (event.details.applied ? '' : ` (still ${event.old_value.replace('_', ' ')} here; please review)`);
+      case this.eventTypes.NEW_PHOTOS:
+        return `${event.details.imported} new photo${event.details.imported === 1 ? '' : 's'} added`;
+      default:
+        return event.event_type;
+    }
+  }
+
+  async markEvents(events, updates) {
+    const { error } = await this.supabase
+      .from('property_change_events')
+      .update(updates)
+      .in('id', events.map(event => event.id));
+
+    if (error) {
+      throw new Error(`Failed to update property changes: ${error.message}`);
+    }
+  }
+
+  async updateSyncState(propertyId, updates) {
+    const { error } = await this.supabase
+      .from('properties')
+      .update(updates)
+      .eq('id', propertyId);
+
+    if (error) {
+      throw new Error(`Failed to update listing sync state: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ListingSyncService();
@@ -0,0 +1,235 @@
+const jwt = require('jsonwebtoken');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+const propertyService = require('../property/propertyService');
+const scrapeQueueService = require('./scrapeQueueService');
+
+const TOKEN_PURPOSE = 'manual_completion';
+
+// properties column -> manual form field, for pre-filling
+const FORM_FIELDS = {
+  title: 'title',
+  description: 'description',
+  price: 'price',
+  property_type: 'propertyType',
+  bedrooms: 'bedrooms',
+  bathrooms: 'bathrooms',
+  square_feet: 'squareFootage',
+  lot_size: 'lotSize',
+  year_built: 'yearBuilt',
+  features: 'features',
+  amenities: 'amenities'
+};
+
+/**
+ * Manual completion of listings the scraper could not read (Tier 3).
+ *
+ * The agent is emailed a signed, expiring link to a form pre-filled with
+ * whatever the scraping tiers did find. The token names the scrape job and
+ * is the only authorization the form needs; it stops working once a
+ * submission has claimed the job. Submitting the form hands the listing back to
+ * ScrapingService.completeIngestion, so it goes through the same duplicate
+ * check, activation and photo import as a scraped listing.
+ */
+class ManualCompletionService {
+  constructor() {
+    this.settings = config.scraping.manualForm;
+  }
+
+  // Lazy to avoid a circular require with ScrapingService
+  get scrapingService() {
+    return require('./scrapingService');
+  }
+
+  /**
+   * The secret links are signed with. Checked here rather than at startup,
+   * so a server without one only loses the manual form.
+   */
+  getSecret() {
+    if (!this.settings.secret) {
+      throw new Error('MANUAL_FORM_SECRET is not configured');
+    }
+    if (this.settings.secret === config.supabase.jwtSecret) {
+      throw new Error('MANUAL_FORM_SECRET must differ from SUPABASE_JWT_SECRET');
+    }
+    return this.settings.secret;
+  }
+
+  /**
+   * Sign a manual completion link for a scrape job
+   * @param {Object} job - scrape_jobs row
+   * @returns {Object} { url, token, expiresAt }
+   */
+  createLink(job) {
+    const token = jwt.sign(
+      { jobId: job.id, propertyId: job.property_id, purpose: TOKEN_PURPOSE },
+      this.getSecret(),
+      { subject: job.agent_id, expiresIn: `${this.settings.linkTtlHours}h` }
+    );
+    const { exp } = jwt.decode(token);
+
+    return {
+      url: `${this.settings.formUrl}?token=${encodeURIComponent(token)}`,
+      token,
+      expiresAt: new Date(exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Email the agent a fresh link for a job still waiting on manual entry
+   * @param {string} jobId - Scrape job ID
+   * @param {string} agentId - Agent ID for access control
+   * @returns {Object} { jobId, expiresAt }
+   */
+  async resendLink(jobId, agentId) {
+    const job = await scrapeQueueService.getJob(jobId, agentId);
+
+    if (!job) {
+      throw errorService.createError('SCRAPE_JOB_NOT_FOUND');
+    }
+    if (job.status !== scrapeQueueService.statuses.MANUAL_REQUIRED) {
+      throw errorService.createError('INVALID_REQUEST', {
+        message: `Scrape job is ${job.status}; only jobs waiting on manual entry get a form link`
+      });
+    }
+
+    const link = await this.scrapingService.sendManualFormEmail(job);
+    logger.info('Manual completion link resent', { jobId, agentId });
+
+    return { jobId, expiresAt: link.expiresAt };
+  }
+
+  /**
+   * Check a form token and load its job
+   * @param {string} token - Token from the link
+   * @returns {Object} { job, expiresAt } - job is still waiting on manual entry
+   */
+  async verifyToken(token) {
+    const secret = this.getSecret();
+
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (error) {
+      throw errorService.createError(
+        error.name === 'TokenExpiredError' ? 'MANUAL_ENTRY_LINK_EXPIRED' : 'MANUAL_ENTRY_LINK_INVALID'
+      );
+    }
+
+    if (payload.purpose !== TOKEN_PURPOSE || !payload.jobId) {
+      throw errorService.createError('MANUAL_ENTRY_LINK_INVALID');
+    }
+
+    const job = await scrapeQueueService.getJobById(payload.jobId);
+    if (!job || job.agent_id !== payload.sub || job.property_id !== payload.propertyId) {
+      throw errorService.createError('MANUAL_ENTRY_LINK_INVALID');
+    }
+    if (job.status !== scrapeQueueService.statuses.MANUAL_REQUIRED) {
+      throw errorService.createError('MANUAL_ENTRY_LINK_USED');
+    }
+
+    return { job, expiresAt: new Date(payload.exp * 1000).toISOString() };
+  }
+
+  /**
+   * The form behind a link: the listing URL and the fields found so far
+   * @param {string} token - Token from the link
+   * @returns {Object} { jobId, propertyId, listingUrl, expiresAt, fields, prefilled }
+   */
+  async getForm(token) {
+    const { job, expiresAt } = await this.verifyToken(token);
+    const property = await propertyService.getPropertyById(job.property_id, job.agent_id, {
+      includeImages: false,
+      includeSocialPosts: false
+    });
+
+    const fields = this.buildPrefill({ ...(property || {}), ...(job.partial_data || {}) });
+
+    return {
+      jobId: job.id,
+      propertyId: job.property_id,
+      listingUrl: job.url,
+      expiresAt,
+      fields,
+      prefilled: Object.keys(fields)
+    };
+  }
+
+  /**
+   * Save the submitted form and resume ingestion
+   * @param {string} token - Token from the link
+   * @param {Object} input - Validated property.manualEntry data
+   * @returns {Object} { propertyId, listingStatus, duplicateOf, images }
+   */
+  async submit(token, input) {
+    const { job: verified } = await this.verifyToken(token);
+
+    // Single use: only the submission that moves the job out of manual_required ingests
+    const job = await scrapeQueueService.claimManualEntry(verified.id);
+    if (!job) {
+      throw errorService.createError('MANUAL_ENTRY_LINK_USED');
+    }
+
+    const actor = { id: job.agent_id, type: 'agent' };
+
+    logger.info('Manual completion submitted', { jobId: job.id, propertyId: job.property_id });
+
+    const { images = [], ...fields } = input;
+    let result;
+    try {
+      result = await this.scrapingService.completeIngestion(job, {
+        ...propertyService.mapPropertyInput(fields),
+        images
+      }, { actor, source: 'manual_entry' });
+    } catch (error) {
+      await scrapeQueueService.releaseManualEntry(job.id);
+      throw error;
+    }
+
+    const { property, details } = result;
+    await scrapeQueueService.completeManually(job, details);
+
+    return {
+      propertyId: property.id,
+      listingStatus: property.listing_status,
+      duplicateOf: property.duplicate_of_id || null,
+      images: details.images
+    };
+  }
+
+  /**
+   * Map properties columns (scraped or saved) to manual form fields
+   */
+  buildPrefill(data) {
+    const fields = {};
+
+    Object.entries(FORM_FIELDS).forEach(([column, field]) => {
+      const value = data[column];
+      if (value !== undefined && value !== null && value !== '' &&
+        !(Array.isArray(value) && value.length === 0)) {
+        fields[field] = value;
+      }
+    });
+
+    // A scraped address is a single line until the agent splits it up
+    const address = Object.fromEntries(Object.entries({
+      street: data.street_address || (!data.city && data.address),
+      city: data.city,
+      state: data.state,
+      zipCode: data.zip_code,
+      country: data.country
+    }).filter(([, value]) => value));
+    if (Object.keys(address).length > 0) {
+      fields.address = address;
+    }
+
+    if (Array.isArray(data.images) && data.images.length > 0) {
+      fields.images = data.images;
+    }
+
+    return fields;
+  }
+}
+
+module.exports = new ManualCompletionService();
@@ -0,0 +1,122 @@
+/**
+ * robots.txt parsing and matching (RFC 9309).
+ *
+ * A file is a list of groups: one or more User-agent lines followed by
+ * Allow/Disallow rules and an optional Crawl-delay. A crawler follows the
+ * group naming its product token, or the * group if none does. The most
+ * specific (longest) matching rule wins; Allow wins a tie. Paths may use *
+ * as a wildcard and $ to anchor the end.
+ */
+
+/**
+ * @param {string} text - robots.txt body
+ * @returns {Array<Object>} Groups: { agents, rules: [{ allow, path }], crawlDelay }
+ */
+const parse = (text) => {
+  const groups = [];
+  let group = null;
+  let readingAgents = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!readingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      readingAgents = true;
+      return;
+    }
+
+    readingAgents = false;
+    if (!group) {
+      return;
+    }
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) {
+        group.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        group.crawlDelay = seconds;
+      }
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * The group that applies to a crawler: every group naming its token merged,
+ * or the * group
+ * @param {Array<Object>} groups - Parsed groups
+ * @param {string} token - Crawler product token, e.g. "NesterBot"
+ * @returns {Object|null} Group, or null when nothing applies (all allowed)
+ */
+const selectGroup = (groups, token) => {
+  const name = token.toLowerCase();
+  const named = groups.filter(group => group.agents.some(agent => agent !== '*' && name.includes(agent)));
+  const matching = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+
+  if (matching.length === 0) {
+    return null;
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    agents: matching.flatMap(group => group.agents),
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+};
+
+const toRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * @param {Object|null} group - Group from selectGroup
+ * @param {string} path - URL path and query, e.g. "/for-sale/123?view=map"
+ * @returns {boolean} Whether the crawler may fetch the path
+ */
+const isAllowed = (group, path) => {
+  if (!group || path === '/robots.txt') {
+    return true;
+  }
+
+  const match = group.rules
+    .filter(rule => toRegExp(rule.path).test(path))
+    .reduce((best, rule) => {
+      if (!best || rule.path.length > best.path.length) {
+        return rule;
+      }
+      return rule.path.length === best.path.length && rule.allow ? rule : best;
+    }, null);
+
+  return !match || match.allow;
+};
+
+module.exports = {
+  parse,
+  selectGroup,
+  isAllowed
+};
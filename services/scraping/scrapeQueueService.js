@@ -0,0 +1,548 @@
+const os = require('os');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Persisted queue for scraping jobs.
+ *
+ * Jobs live in scrape_jobs, so they survive restarts and can be polled by
+ * id. Each server instance runs up to config.scraping.queue.concurrency jobs
+ * at once, one per site at a time and at most one per site every
+ * domainIntervalMs, and retries failed attempts with exponential backoff up
+ * to max_attempts.
+ *
+ * The work itself is done by a handler (ScrapingService):
+ *   run(job, { finalAttempt, tiers }) resolves to { outcome, details } where
+ *   outcome is 'completed', 'manual_required' or 'retry', and pushes one
+ *   entry per tier it tried onto tiers. details (optional) is kept in the
+ *   attempt history, and partialData (optional) - fields found without
+ *   enough to save the listing - is merged into partial_data to pre-fill
+ *   the manual completion form. A rejection counts as a failed attempt.
+ *   fail(job, error) is called once the job has run out of attempts.
+ */
+class ScrapeQueueService {
+  constructor() {
+    this.supabase = supabase;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.statuses = {
+      QUEUED: 'queued',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      MANUAL_REQUIRED: 'manual_required',
+      // A manual completion form submission is being ingested
+      MANUAL_SUBMITTED: 'manual_submitted',
+      FAILED: 'failed'
+    };
+
+    this.handler = null;
+    this.timer = null;
+    this.polling = false;
+
+    // jobId -> domain for jobs running in this process
+    this.activeJobs = new Map();
+    // domain -> when this process last started a job for it
+    this.domainStartedAt = new Map();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} job - { id, agentId, propertyId, url, options }
+   * @returns {Object} Job row
+   */
+  async enqueue({ id, agentId, propertyId, url, options = {} }) {
+    try {
+      logger.info('Queueing scrape job', { jobId: id, propertyId, agentId });
+
+      const { data, error } = await this.supabase
+        .from('scrape_jobs')
+        .insert({
+          id,
+          agent_id: agentId,
+          property_id: propertyId,
+          url,
+          domain: this.getDomain(url),
+          status: this.statuses.QUEUED,
+          max_attempts: config.scraping.retries.maxRetries,
+          options
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to queue scrape job: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to queue scrape job', { propertyId, agentId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a job and run it straight away in this process rather than
+   * queueing it. Used for uploaded documents: nothing is fetched, so there is
+   * no site to throttle and nothing a retry would change.
+   * @param {Object} job - { id, agentId, propertyId, url (optional), options }
+   * @param {Object} handler - { run, fail } as for the queue
+   * @returns {Object} Job row once the attempt is recorded
+   */
+  async runNow({ id, agentId, propertyId, url = null, options = {} }, handler) {
+    const now = new Date().toISOString();
+    logger.info('Running scrape job now', { jobId: id, propertyId, agentId });
+
+    const { data, error } = await this.supabase
+      .from('scrape_jobs')
+      .insert({
+        id,
+        agent_id: agentId,
+        property_id: propertyId,
+        url,
+        domain: url ? this.getDomain(url) : 'document',
+        status: this.statuses.RUNNING,
+        attempts: 1,
+        max_attempts: 1,
+        options,
+        locked_by: this.workerId,
+        locked_at: now
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create scrape job: ${error.message}`);
+    }
+
+    await this.runJob(data, handler);
+    return this.getJobById(id);
+  }
+
+  /**
+   * An agent's job
+   * @param {string} jobId - Job ID
+   * @param {string} agentId - Agent ID for access control
+   * @returns {Object|null} Job row
+   */
+  async getJob(jobId, agentId) {
+    const { data, error } = await this.supabase
+      .from('scrape_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('agent_id', agentId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to fetch scrape job: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * A job by id, regardless of agent (manual completion links carry their
+   * own authorization)
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job row
+   */
+  async getJobById(jobId) {
+    const { data, error } = await this.supabase
+      .from('scrape_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to fetch scrape job: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Take a manual_required job for one form submission. The status check
+   * and the update are a single statement, so when the same link is
+   * submitted twice at once only one submission gets the job.
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Claimed job row, or null if the job was no longer waiting on manual entry
+   */
+  async claimManualEntry(jobId) {
+    const { data, error } = await this.supabase
+      .from('scrape_jobs')
+      .update({ status: this.statuses.MANUAL_SUBMITTED, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', this.statuses.MANUAL_REQUIRED)
+      .select('*');
+
+    if (error) {
+      throw new Error(`Failed to claim scrape job: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Put a claimed job back to manual_required after its submission failed,
+   * so the link can be used again
+   * @param {string} jobId - Job ID
+   */
+  async releaseManualEntry(jobId) {
+    const { error } = await this.supabase
+      .from('scrape_jobs')
+      .update({ status: this.statuses.MANUAL_REQUIRED, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', this.statuses.MANUAL_SUBMITTED);
+
+    if (error) {
+      throw new Error(`Failed to release scrape job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put jobs whose form submission was cut off (the process stopped between
+   * claimManualEntry and ingestion or release) back to manual_required, so
+   * their links work again. A submission still being ingested has touched
+   * the job within staleAfterSeconds. Run at startup.
+   * @returns {number} Jobs released
+   */
+  async releaseStaleManualEntries() {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - config.scraping.queue.staleAfterSeconds * 1000).toISOString();
+
+    const { data, error } = await this.supabase
+      .from('scrape_jobs')
+      .update({ status: this.statuses.MANUAL_REQUIRED, updated_at: now.toISOString() })
+      .eq('status', this.statuses.MANUAL_SUBMITTED)
+      .lt('updated_at', cutoff)
+      .select('id');
+
+    if (error) {
+      logger.warn('Failed to release stale manual form submissions', { error: error.message });
+      return 0;
+    }
+
+    if (data.length > 0) {
+      logger.info('Released stale manual form submissions', { jobIds: data.map(job => job.id) });
+    }
+    return data.length;
+  }
+
+  /**
+   * Record that the agent finished a manual_required job through the
+   * manual completion form
+   * @param {Object} job - Job row
+   * @param {Object} details - Ingestion details kept in the history
+   */
+  async completeManually(job, details = {}) {
+    const now = new Date().toISOString();
+    const entry = {
+      attempt: job.attempts,
+      startedAt: now,
+      finishedAt: now,
+      tier: 'manual_form',
+      tiers: [{ tier: 'manual_form', result: 'found' }],
+      outcome: this.statuses.COMPLETED,
+      error: null,
+      details
+    };
+
+    const { error } = await this.supabase
+      .from('scrape_jobs')
+      .update({
+        status: this.statuses.COMPLETED,
+        tier: entry.tier,
+        attempt_log: [...(job.attempt_log || []), entry],
+        last_error: null,
+        completed_at: now,
+        updated_at: now
+      })
+      .eq('id', job.id);
+
+    if (error) {
+      throw new Error(`Failed to update scrape job: ${error.message}`);
+    }
+
+    logger.info('Scrape job completed by manual entry', { jobId: job.id, propertyId: job.property_id });
+  }
+
+  /**
+   * Mark when a manual completion link was last emailed
+   */
+  async markManualLinkSent(jobId) {
+    const { error } = await this.supabase
+      .from('scrape_jobs')
+      .update({ manual_link_sent_at: new Date().toISOString() })
+      .eq('id', jobId);
+
+    if (error) {
+      throw new Error(`Failed to update scrape job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Job status as returned by GET /api/properties/scrape/:jobId
+   */
+  formatJob(job) {
+    const waiting = job.status === this.statuses.QUEUED;
+
+    return {
+      jobId: job.id,
+      propertyId: job.property_id,
+      url: job.url,
+      status: job.status,
+      tier: job.tier,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      nextAttemptAt: waiting ? job.run_after : null,
+      lastError: job.last_error,
+      history: job.attempt_log || [],
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+      completedAt: job.completed_at
+    };
+  }
+
+  /**
+   * Start polling for due jobs
+   * @param {Object} handler - { run(job, context), fail(job, error) }
+   */
+  start(handler) {
+    if (this.timer) {
+      return;
+    }
+
+    this.handler = handler;
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Scrape queue poll failed', { error: error.message });
+      });
+    }, config.scraping.queue.pollIntervalMs);
+    this.timer.unref();
+
+    // Free form links a stopped process left claimed
+    this.releaseStaleManualEntries();
+
+    logger.info('Scrape queue started', {
+      workerId: this.workerId,
+      concurrency: config.scraping.queue.concurrency
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim due jobs until this process is at its concurrency limit
+   */
+  async poll() {
+    if (this.polling || !this.handler) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      while (this.activeJobs.size < config.scraping.queue.concurrency) {
+        const job = await this.claimNext();
+        if (!job) {
+          break;
+        }
+
+        this.activeJobs.set(job.id, job.domain);
+        this.domainStartedAt.set(job.domain, Date.now());
+
+        this.runJob(job)
+          .catch(error => {
+            logger.error('Scrape job bookkeeping failed', { jobId: job.id, error: error.message });
+          })
+          .finally(() => this.activeJobs.delete(job.id));
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async claimNext() {
+    const { data, error } = await this.supabase.rpc('claim_scrape_job', {
+      worker_id: this.workerId,
+      excluded_domains: this.getThrottledDomains(),
+      stale_after_seconds: config.scraping.queue.staleAfterSeconds
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim scrape job: ${error.message}`);
+    }
+
+    return (data || [])[0] || null;
+  }
+
+  /**
+   * Domains with a job running here or started within domainIntervalMs
+   */
+  getThrottledDomains() {
+    const now = Date.now();
+    const recent = [...this.domainStartedAt]
+      .filter(([, startedAt]) => now - startedAt < config.scraping.queue.domainIntervalMs)
+      .map(([domain]) => domain);
+
+    return [...new Set([...recent, ...this.activeJobs.values()])];
+  }
+
+  /**
+   * Run one attempt of a claimed job and record its outcome
+   * @param {Object} job - Claimed job row (attempts already counts this attempt)
+   * @param {Object} handler - { run, fail }, the queue's handler by default
+   */
+  async runJob(job, handler = this.handler) {
+    const entry = {
+      attempt: job.attempts,
+      startedAt: new Date().toISOString(),
+      tiers: []
+    };
+
+    // The previous worker stopped mid-attempt and no attempts are left
+    if (job.attempts > job.max_attempts) {
+      const error = new Error(`Scrape job stopped after ${job.max_attempts} attempts`);
+      if (await this.recordAttempt(job, entry, { status: this.statuses.FAILED, error })) {
+        await handler.fail(job, error);
+      }
+      return;
+    }
+
+    const finalAttempt = job.attempts >= job.max_attempts;
+    let result;
+
+    try {
+      result = await handler.run(job, { finalAttempt, tiers: entry.tiers });
+    } catch (error) {
+      logger.warn('Scrape attempt failed', { jobId: job.id, attempt: job.attempts, error: error.message });
+
+      if (finalAttempt) {
+        if (await this.recordAttempt(job, entry, { status: this.statuses.FAILED, error })) {
+          await handler.fail(job, error);
+        }
+      } else {
+        await this.recordAttempt(job, entry, { status: this.statuses.QUEUED, error, retry: true });
+      }
+      return;
+    }
+
+    const partialData = result.partialData || {};
+
+    if (result.outcome === 'retry') {
+      await this.recordAttempt(job, entry, {
+        status: this.statuses.QUEUED,
+        error: new Error('No listing data found'),
+        retry: true,
+        partialData
+      });
+      return;
+    }
+
+    if (result.details) {
+      entry.details = result.details;
+    }
+
+    await this.recordAttempt(job, entry, {
+      status: result.outcome === 'manual_required' ? this.statuses.MANUAL_REQUIRED : this.statuses.COMPLETED,
+      partialData
+    });
+  }
+
+  /**
+   * Append the attempt to the job's history and release the job. Nothing is
+   * written if the job's lock is no longer ours (another worker reclaimed it
+   * as stale); that worker's attempt is the one that counts.
+   * @param {Object} job - Job row
+   * @param {Object} entry - Attempt entry
+   * @param {Object} result - { status, error, retry, partialData }
+   * @returns {boolean} Whether the attempt was recorded
+   */
+  async recordAttempt(job, entry, { status, error, retry = false, partialData = {} }) {
+    const now = new Date();
+    const lastTier = entry.tiers[entry.tiers.length - 1];
+
+    Object.assign(entry, {
+      finishedAt: now.toISOString(),
+      tier: lastTier ? lastTier.tier : null,
+      outcome: retry ? 'retry' : status,
+      error: error ? error.message : null
+    });
+
+    const updates = {
+      status,
+      tier: entry.tier || job.tier,
+      attempt_log: [...(job.attempt_log || []), entry],
+      last_error: error ? error.message : null,
+      locked_by: null,
+      locked_at: null,
+      updated_at: now.toISOString()
+    };
+
+    if (Object.keys(partialData).length > 0) {
+      updates.partial_data = { ...(job.partial_data || {}), ...partialData };
+    }
+
+    if (retry) {
+      updates.run_after = new Date(now.getTime() + this.getRetryDelay(job.attempts)).toISOString();
+    } else {
+      updates.completed_at = now.toISOString();
+    }
+
+    const { data, error: updateError } = await this.supabase
+      .from('scrape_jobs')
+      .update(updates)
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId)
+      .select('id');
+
+    if (updateError) {
+      throw new Error(`Failed to update scrape job: ${updateError.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      logger.warn('Scrape job lock lost, attempt not recorded', {
+        jobId: job.id,
+        attempt: entry.attempt,
+        outcome: entry.outcome,
+        workerId: this.workerId
+      });
+      return false;
+    }
+
+    logger.info('Scrape attempt finished', {
+      jobId: job.id,
+      attempt: entry.attempt,
+      tier: entry.tier,
+      outcome: entry.outcome
+    });
+    return true;
+  }
+
+  /**
+   * Exponential backoff: retryDelay, 2x, 4x, ...
+   */
+  getRetryDelay(attempt) {
+    return config.scraping.retries.retryDelay * 2 ** Math.max(attempt - 1, 0);
+  }
+
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+}
+
+module.exports = new ScrapeQueueService();
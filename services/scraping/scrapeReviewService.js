@@ -0,0 +1,269 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const errorService = require('../error/errorService');
+const validationService = require('../validation/validationService');
+const propertyService = require('../property/propertyService');
+const listingStatusService = require('../property/listingStatusService');
+const fieldConfidence = require('./fieldConfidence');
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+/**
+ * Human review of scraped listing fields.
+ *
+ * Every scraped field carries a confidence score (see fieldConfidence).
+ * Fields scored below config.scraping.review.minConfidence, contradicted by
+ * another source on the page or failing the property.scraped schema are
+ * held back: the rest of the listing is saved, the held values are kept in
+ * scrape_reviews and the listing waits in review_required. The agent
+ * confirms or corrects the held fields, which are then saved and the
+ * listing goes active.
+ */
+class ScrapeReviewService {
+  constructor() {
+    this.supabase = supabase;
+    this.settings = config.scraping.review;
+
+    this.statuses = {
+      PENDING: 'pending',
+      CONFIRMED: 'confirmed',
+      // Replaced by the review of a later scrape of the same listing
+      SUPERSEDED: 'superseded'
+    };
+
+    // Actor recorded on fields the agent confirmed
+    this.confirmedSource = 'agent';
+  }
+
+  /**
+   * Split scraped data into fields that can be saved now and fields held
+   * for the agent to confirm
+   * @param {Object} scrapedData - Scraped properties fields, with scraped_field_confidence
+   * @returns {Object} { data (without held fields), held: { field: { value, score, source, issues } } }
+   */
+  splitFields(scrapedData) {
+    const confidence = scrapedData.scraped_field_confidence || fieldConfidence.scoreFields(scrapedData);
+    const validationResult = validationService.validate(scrapedData, 'property.scraped', {
+      allowUnknown: true,
+      stripUnknown: false
+    });
+
+    // Schema errors on scored fields are reviewed; any other error rejects the data
+    const fieldErrors = {};
+    const otherErrors = [];
+    (validationResult.errors || []).forEach(error => {
+      const field = error.field.split('.')[0];
+      if (this.settings.enabled && confidence[field]) {
+        fieldErrors[field] = [...(fieldErrors[field] || []), error.message];
+      } else {
+        otherErrors.push(error.message);
+      }
+    });
+
+    if (otherErrors.length > 0) {
+      throw new Error(`Invalid scraped data: ${otherErrors.join(', ')}`);
+    }
+
+    if (!this.settings.enabled) {
+      return { data: scrapedData, held: {} };
+    }
+
+    const held = {};
+    Object.entries(confidence).forEach(([field, entry]) => {
+      const issues = [...entry.issues, ...(fieldErrors[field] || [])];
+      if (entry.score < this.settings.minConfidence || issues.length > 0) {
+        held[field] = {
+          value: scrapedData[field],
+          score: fieldErrors[field] ? 0 : entry.score,
+          source: entry.source,
+          issues
+        };
+      }
+    });
+
+    const data = { ...scrapedData, scraped_field_confidence: confidence };
+    Object.keys(held).forEach(field => delete data[field]);
+
+    return { data, held };
+  }
+
+  /**
+   * Queue held fields for the agent. An earlier review still pending for
+   * the listing is superseded.
+   * @param {Object} job - scrape_jobs row
+   * @param {Object} held - Held fields (see splitFields)
+   * @returns {Object} scrape_reviews row
+   */
+  async openReview(job, held) {
+    await this.supabase
+      .from('scrape_reviews')
+      .update({ status: this.statuses.SUPERSEDED, resolved_at: new Date().toISOString() })
+      .eq('property_id', job.property_id)
+      .eq('status', this.statuses.PENDING);
+
+    const { data, error } = await this.supabase
+      .from('scrape_reviews')
+      .insert({
+        property_id: job.property_id,
+        agent_id: job.agent_id,
+        scrape_job_id: job.id,
+        fields: held,
+        status: this.statuses.PENDING
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to open scrape review: ${error.message}`);
+    }
+
+    logger.info('Scraped fields held for review', {
+      propertyId: job.property_id,
+      jobId: job.id,
+      fields: Object.keys(held)
+    });
+
+    return data;
+  }
+
+  /**
+   * An agent's listings waiting on review, oldest first
+   * @param {string} agentId - Agent ID
+   * @returns {Array} Reviews with the listing's title, address and status
+   */
+  async listPending(agentId) {
+    const { data, error } = await this.supabase
+      .from('scrape_reviews')
+      .select('*, properties(id, title, address, listing_status)')
+      .eq('agent_id', agentId)
+      .eq('status', this.statuses.PENDING)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch scrape reviews: ${error.message}`);
+    }
+
+    return data.map(review => this.formatReview(review));
+  }
+
+  /**
+   * The pending review for one of the agent's listings
+   * @param {string} propertyId - Property ID
+   * @param {string} agentId - Agent ID for access control
+   * @returns {Object|null} Review
+   */
+  async getPending(propertyId, agentId) {
+    const { data, error } = await this.supabase
+      .from('scrape_reviews')
+      .select('*')
+      .eq('property_id', propertyId)
+      .eq('agent_id', agentId)
+      .eq('status', this.statuses.PENDING)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to fetch scrape review: ${error.message}`);
+    }
+
+    return this.formatReview(data);
+  }
+
+  /**
+   * Save the agent's answers for the held fields and activate the listing.
+   * A field left out keeps its scraped value, unless that value is not
+   * valid; null clears the field.
+   * @param {string} propertyId - Property ID
+   * @param {string} agentId - Agent ID
+   * @param {Object} values - Validated property.scrapeReview fields
+   * @returns {Object} { review, property }
+   */
+  async confirm(propertyId, agentId, values = {}) {
+    const review = await this.getPending(propertyId, agentId);
+    if (!review) {
+      throw errorService.createError('SCRAPE_REVIEW_NOT_FOUND');
+    }
+
+    const fields = {};
+    Object.entries(review.fields).forEach(([field, entry]) => {
+      fields[field] = values[field] !== undefined ? values[field] : entry.value;
+    });
+
+    // Scraped values kept as they are must still be valid listing data
+    const validationResult = validationService.validate(fields, 'property.scrapeReview');
+    if (!validationResult.isValid) {
+      throw errorService.createError('SCRAPE_REVIEW_INCOMPLETE', {
+        details: { fields: validationResult.errors }
+      });
+    }
+
+    const property = await propertyService.getPropertyById(propertyId, agentId, {
+      includeImages: false,
+      includeSocialPosts: false
+    });
+    if (!property) {
+      throw errorService.createError('PROPERTY_NOT_FOUND');
+    }
+
+    const confidence = { ...(property.scraped_field_confidence || {}) };
+    Object.keys(fields).forEach(field => {
+      confidence[field] = { score: 1, source: this.confirmedSource, issues: [] };
+    });
+
+    // A likely duplicate (draft) or a listing the agent has moved on keeps its status
+    const activate = property.listing_status === listingStatusService.statuses.REVIEW_REQUIRED;
+    const actor = { id: agentId, type: 'agent' };
+
+    const updated = await propertyService.updateProperty(propertyId, {
+      ...validationResult.data,
+      scraped_field_confidence: confidence,
+      ...(activate ? { listing_status: listingStatusService.statuses.ACTIVE } : {})
+    }, agentId, {
+      actor,
+      changedBy: agentId,
+      source: 'scrape_review',
+      statusReason: activate ? 'Scraped fields confirmed' : undefined
+    });
+
+    const { data, error } = await this.supabase
+      .from('scrape_reviews')
+      .update({
+        status: this.statuses.CONFIRMED,
+        confirmed_values: validationResult.data,
+        resolved_by: agentId,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', review.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update scrape review: ${error.message}`);
+    }
+
+    logger.info('Scraped fields confirmed', { propertyId, reviewId: review.id, fields: Object.keys(fields) });
+
+    return { review: this.formatReview(data), property: updated };
+  }
+
+  formatReview(row) {
+    const { properties: property, ...review } = row;
+
+    return {
+      id: review.id,
+      propertyId: review.property_id,
+      jobId: review.scrape_job_id,
+      status: review.status,
+      fields: review.fields,
+      confirmedValues: review.confirmed_values || null,
+      createdAt: review.created_at,
+      resolvedAt: review.resolved_at || null,
+      ...(property ? { property } : {})
+    };
+  }
+}
+
+module.exports = new ScrapeReviewService();
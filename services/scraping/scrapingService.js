@@ -1,45 +1,79 @@
-const puppeteer = require('puppeteer');
+const crypto = require('crypto');
 const axios = require('axios');
-const validationService = require('../validation/validationService');
 const propertyService = require('../property/propertyService');
+const listingStatusService = require('../property/listingStatusService');
+const propertyDuplicateService = require('../property/propertyDuplicateService');
+const scraperAdapters = require('./adapters');
+const scrapeQueueService = require('./scrapeQueueService');
+const imageIngestService = require('./imageIngestService');
+const manualCompletionService = require('./manualCompletionService');
+const listingSyncService = require('./listingSyncService');
+const crawlPolicyService = require('./crawlPolicyService');
+const documentExtractor = require('./documentExtractor');
+const scrapeReviewService = require('./scrapeReviewService');
+const fieldConfidence = require('./fieldConfidence');
+const browserPoolService = require('../browser/browserPoolService');
 const emailService = require('../email/emailService');
 const config = require('../../config/config');
 
 class ScrapingService {
   constructor() {
-    this.maxRetries = 3;
-    this.retryDelay = 2000;
     this.brightDataConfig = {
       endpoint: process.env.BRIGHTDATA_ENDPOINT,
       username: process.env.BRIGHTDATA_USERNAME,
       password: process.env.BRIGHTDATA_PASSWORD
     };
+
+    // Fallback tiers, in the order they are tried
+    this.tiers = {
+      PUPPETEER: 'puppeteer',
+      BRIGHTDATA: 'brightdata',
+      MANUAL_EMAIL: 'manual_email'
+    };
+
+    // Read from an uploaded document instead of fetched
+    this.documentTier = 'document';
   }
 
   /**
-   * Main scraping orchestrator with three-tier fallback system
+   * Main scraping orchestrator with three-tier fallback system.
+   * Creates the property and queues a scrape job for it (see
+   * ScrapeQueueService). Rejects with PROPERTY_DUPLICATE when the URL was
+   * already imported, unless options.allowDuplicate is set.
    */
-  async scrapePropertyData(url, agentId) {
-    const jobId = this.generateJobId();
+  async scrapePropertyData(url, agentId, options = {}) {
+    const jobId = crypto.randomUUID();
     
     try {
+      // Refuse up front what the crawl policy will never fetch. An unreadable
+      // robots.txt may be temporary, so that is left to the job's retries.
+      const policy = await crawlPolicyService.checkUrl(url);
+      if (!policy.allowed && policy.reason !== 'robots_unreachable') {
+        await crawlPolicyService.recordFetch(url, { outcome: 'blocked', reason: policy.reason, agentId });
+        throw crawlPolicyService.notAllowedError(url, policy.reason);
+      }
+
       // Create initial property record
       const property = await propertyService.createProperty({
-        agent_id: agentId,
         listing_url: url,
         listing_status: 'processing',
         scraping_job_id: jobId
+      }, agentId, {
+        enrichWithExternalData: false,
+        allowDuplicate: options.allowDuplicate
       });
 
-      // Start scraping process asynchronously
-      this.processScrapingJob(property.id, url, agentId).catch(error => {
-        console.error(`Scraping job ${jobId} failed:`, error);
+      const job = await scrapeQueueService.enqueue({
+        id: jobId,
+        agentId,
+        propertyId: property.id,
+        url
       });
 
       return {
-        id: jobId,
+        id: job.id,
         propertyId: property.id,
-        status: 'started'
+        status: job.status
       };
     } catch (error) {
       console.error('Failed to start scraping job:', error);
@@ -48,221 +82,384 @@ class ScrapingService {
   }
 
   /**
-   * Process scraping job with fallback tiers
+   * Ingest a listing from a document the agent already has - pasted HTML, a
+   * saved page or a PDF brochure - instead of fetching a URL. Fields are read
+   * with the same adapters and validated and saved the same way as a scraped
+   * page, and photos embedded in the document are attached; nothing is
+   * fetched. The work is recorded as a scrape job that runs straight away, so
+   * it reports and falls back to the manual form like any other.
+   * @param {Object} document - { html } or { buffer, fileName }, plus the listing url if known
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - { allowDuplicate }
+   * @returns {Object} Job status (see ScrapeQueueService.formatJob)
    */
-  async processScrapingJob(propertyId, url, agentId) {
-    try {
-      // Tier 1: Native Puppeteer scraping with retries
-      let scrapedData = await this.scrapeWithPuppeteer(url);
-      
+  async scrapeDocument(document, agentId, options = {}) {
+    const jobId = crypto.randomUUID();
+
+    // Read the document first so an unreadable file creates nothing
+    const extracted = documentExtractor.extractDocument(document);
+
+    const property = await propertyService.createProperty({
+      ...(document.url ? { listing_url: document.url } : {}),
+      listing_status: 'processing',
+      scraping_job_id: jobId
+    }, agentId, {
+      enrichWithExternalData: false,
+      allowDuplicate: options.allowDuplicate
+    });
+
+    const job = await scrapeQueueService.runNow({
+      id: jobId,
+      agentId,
+      propertyId: property.id,
+      url: document.url || null,
+      options: { mode: 'document', documentType: extracted.type, fileName: document.fileName || null }
+    }, {
+      run: (queuedJob, context) => this.processDocumentJob(queuedJob, extracted, context),
+      fail: (queuedJob, error) => propertyService.updateScrapingStatus(queuedJob.property_id, 'error', error.message)
+    });
+
+    return scrapeQueueService.formatJob(job);
+  }
+
+  /**
+   * Status of an agent's scrape job, including the tier each attempt reached
+   */
+  async getScrapeJob(jobId, agentId) {
+    const job = await scrapeQueueService.getJob(jobId, agentId);
+    return job ? scrapeQueueService.formatJob(job) : null;
+  }
+
+  /**
+   * Start working through queued scrape jobs
+   */
+  startQueue() {
+    scrapeQueueService.start({
+      run: (job, context) => this.processScrapingJob(job, context),
+      // A failed sync leaves the listing as it is
+      fail: (job, error) => (listingSyncService.isSyncJob(job)
+        ? listingSyncService.recordSyncFailure(job, error)
+        : propertyService.updateScrapingStatus(job.property_id, 'error', error.message))
+    });
+  }
+
+  stopQueue() {
+    scrapeQueueService.stop();
+  }
+
+  /**
+   * One attempt at a queued job, falling through the tiers. The manual form
+   * email is only sent on the final attempt; earlier attempts that find
+   * nothing are retried by the queue. Sync jobs (ListingSyncService) never
+   * fall back to the manual form; their result is compared with the listing.
+   * A URL the crawl policy blocks is not fetched by any tier.
+   * @param {Object} job - scrape_jobs row
+   * @param {Object} context - { finalAttempt, tiers } (tiers collects what each tier did)
+   * @returns {Object} { outcome: 'completed' | 'manual_required' | 'retry', details }
+   */
+  async processScrapingJob(job, { finalAttempt = true, tiers = [] } = {}) {
+    const { url } = job;
+    const fetchContext = { jobId: job.id, agentId: job.agent_id, propertyId: job.property_id };
+    // Fields found by a tier that did not find enough to save the listing
+    const partialData = {};
+    let scrapedData = null;
+
+    const policy = await crawlPolicyService.checkUrl(url);
+    if (policy.allowed) {
+      // Tier 1: Native Puppeteer scraping
+      scrapedData = await this.runTier(tiers, this.tiers.PUPPETEER, () => this.scrapeWithPuppeteer(url, fetchContext), partialData);
+
       if (!scrapedData) {
         console.log('Tier 1 failed, trying Tier 2: BrightData API');
         // Tier 2: BrightData API for protected sites
-        scrapedData = await this.scrapeWithBrightData(url);
+        if (this.brightDataConfig.endpoint) {
+          scrapedData = await this.runTier(tiers, this.tiers.BRIGHTDATA, () => this.scrapeWithBrightData(url, fetchContext), partialData);
+        } else {
+          tiers.push({ tier: this.tiers.BRIGHTDATA, result: 'skipped' });
+        }
       }
-      
-      if (!scrapedData) {
-        console.log('Tier 2 failed, executing Tier 3: Email fallback');
-        // Tier 3: Email user with manual form link
-        await this.sendManualFormEmail(agentId, url);
-        
-        await propertyService.updateScrapingStatus(
-          propertyId, 
-          'manual_required',
-          'Automatic scraping failed. Manual form link sent via email.'
-        );
-        return;
+    } else {
+      tiers.push({ tier: 'crawl_policy', result: 'blocked', error: policy.reason });
+      await crawlPolicyService.recordFetch(url, { ...fetchContext, outcome: 'blocked', reason: policy.reason });
+    }
+
+    if (!scrapedData) {
+      // Retrying only helps when the page was fetched or robots.txt was unreachable
+      const retryable = policy.allowed || policy.reason === 'robots_unreachable';
+      if (!finalAttempt && retryable) {
+        return { outcome: 'retry', partialData };
       }
 
-      // Validate scraped data
-      const validationResult = validationService.validatePropertyData(scrapedData);
-      
-      if (!validationResult.isValid) {
-        throw new Error(`Invalid scraped data: ${validationResult.errors.join(', ')}`);
+      // The agent already has this listing; there is nothing to fill in by hand
+      if (listingSyncService.isSyncJob(job)) {
+        throw new Error('No listing data found');
       }
 
-      // Update property with scraped data
-      await propertyService.updateProperty(propertyId, {
-        ...scrapedData,
-        listing_status: 'active',
-        scraping_completed_at: new Date().toISOString()
-      }, agentId);
+      console.log('Tier 2 failed, executing Tier 3: Email fallback');
+      return this.requestManualCompletion(job, tiers, partialData);
+    }
 
-      console.log(`Scraping completed successfully for property ${propertyId}`);
-      
-    } catch (error) {
-      console.error(`Scraping failed for property ${propertyId}:`, error);
-      
-      await propertyService.updateScrapingStatus(
-        propertyId,
-        'error',
-        error.message
-      );
+    // Doubtful fields are held back for the agent to confirm
+    const { data, held } = scrapeReviewService.splitFields(scrapedData);
+
+    // Re-scrape of a listing already on the market: record what changed.
+    // A doubtful value is not allowed to overwrite the listing
+    if (listingSyncService.isSyncJob(job)) {
+      if (Object.keys(held).length > 0) {
+        console.log(`Sync of property ${job.property_id} ignored doubtful fields: ${Object.keys(held).join(', ')}`);
+      }
+      const { details } = await listingSyncService.applySync(job, data);
+      return { outcome: 'completed', details };
     }
+
+    const { details } = await this.completeIngestion(job, data, {
+      actor: listingStatusService.systemActor,
+      source: 'scrape',
+      held
+    });
+
+    return { outcome: 'completed', details };
   }
 
   /**
-   * Tier 1: Native Puppeteer scraping with retries
+   * The single attempt at a document job (see scrapeDocument). Photos in the
+   * document are attached even when too little was found to save the
+   * listing, as they cannot be read again later.
+   * @param {Object} job - scrape_jobs row
+   * @param {Object} document - Result of documentExtractor.extractDocument
+   * @param {Object} context - { tiers }
+   * @returns {Object} { outcome: 'completed' | 'manual_required', details }
    */
-  async scrapeWithPuppeteer(url, retryCount = 0) {
-    let browser;
-    
+  async processDocumentJob(job, document, { tiers = [] } = {}) {
+    const partialData = {};
+    const scrapedData = await this.runTier(tiers, this.documentTier, async () => document.data, partialData);
+
+    if (!scrapedData) {
+      if (document.images.length > 0) {
+        await this.ingestImages({ id: job.property_id, agent_id: job.agent_id }, document.images);
+      }
+      return this.requestManualCompletion(job, tiers, partialData);
+    }
+
+    const { data, held } = scrapeReviewService.splitFields(scrapedData);
+
+    const { details } = await this.completeIngestion(job, data, {
+      actor: listingStatusService.systemActor,
+      source: 'document',
+      images: document.images,
+      held
+    });
+
+    return { outcome: 'completed', details };
+  }
+
+  /**
+   * Tier 3: send the agent the manual completion form, pre-filled with
+   * whatever was found
+   */
+  async requestManualCompletion(job, tiers, partialData) {
+    const manualTier = { tier: this.tiers.MANUAL_EMAIL, result: 'sent' };
+    tiers.push(manualTier);
     try {
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
+      await this.sendManualFormEmail(job);
+    } catch (error) {
+      Object.assign(manualTier, { result: 'error', error: error.message });
+      throw error;
+    }
 
-      const page = await browser.newPage();
-      
-      // Set user agent and viewport
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      await page.setViewport({ width: 1366, height: 768 });
-      
-      // Navigate to the page
-      await page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout: 30000
-      });
+    await propertyService.updateScrapingStatus(
+      job.property_id, 
+      'manual_required',
+      'Automatic scraping failed. Manual form link sent via email.'
+    );
+    return { outcome: 'manual_required', partialData };
+  }
 
-      // Wait for content to load
-      await page.waitForTimeout(3000);
+  /**
+   * Save listing data for a scrape job's property and continue ingestion:
+   * duplicate check, activation (or draft for a likely duplicate, or
+   * review_required while held fields wait for the agent) and photo import.
+   * Used for scraped data and for the manual completion form.
+   * @param {Object} job - scrape_jobs row
+   * @param {Object} listingData - properties columns, plus images (URLs)
+   * @param {Object} options - { actor, source } for the revision and status
+   *   change, images: photos from an uploaded document ({ buffer, source })
+   *   and held: fields for review (see ScrapeReviewService.splitFields)
+   * @returns {Object} { property, details }
+   */
+  async completeIngestion(job, listingData, { actor, source, images: documentImages = [], held = {} }) {
+    const { property_id: propertyId, agent_id: agentId } = job;
 
-      // Extract property data using selectors
-      const propertyData = await page.evaluate(() => {
-        return this.extractPropertyData();
-      });
+    // Photos are downloaded into property_images once the listing is saved
+    const { images = [], ...propertyData } = listingData;
 
-      await browser.close();
-      
-      if (propertyData && this.isValidPropertyData(propertyData)) {
-        return propertyData;
+    const heldFields = Object.keys(held);
+
+    // A listing found under another URL is kept as a draft for the agent to merge.
+    // Held values are still good enough to look for one
+    const heldValues = Object.fromEntries(heldFields.map(field => [field, held[field].value]));
+    const duplicates = await propertyDuplicateService.findDuplicates(agentId, { ...heldValues, ...propertyData }, {
+      excludeId: propertyId
+    });
+    const duplicate = duplicates.find(match => match.likely);
+
+    let listingStatus = listingStatusService.statuses.ACTIVE;
+    let statusReason;
+    if (duplicate) {
+      listingStatus = listingStatusService.statuses.DRAFT;
+      statusReason = `Possible duplicate of ${duplicate.property.id}`;
+    } else if (heldFields.length > 0) {
+      listingStatus = listingStatusService.statuses.REVIEW_REQUIRED;
+      statusReason = `Scraped fields need review: ${heldFields.join(', ')}`;
+    }
+
+    // Update property with the listing data
+    const updated = await propertyService.updateProperty(propertyId, {
+      ...propertyData,
+      listing_status: listingStatus,
+      duplicate_of_id: duplicate ? duplicate.property.id : null,
+      scraping_error: null,
+      scraping_completed_at: new Date().toISOString()
+    }, agentId, {
+      actor,
+      changedBy: actor.id,
+      source,
+      statusReason
+    });
+
+    if (!updated) {
+      throw new Error(`Property ${propertyId} no longer exists`);
+    }
+
+    const review = heldFields.length > 0 ? await scrapeReviewService.openReview(job, held) : null;
+
+    const imageResult = await this.ingestImages(updated, [...images, ...documentImages]);
+
+    if (duplicate) {
+      console.log(`Property ${propertyId} looks like a duplicate of ${duplicate.property.id}; left as draft`);
+    } else if (review) {
+      console.log(`Property ${propertyId} saved; ${heldFields.join(', ')} held for review`);
+    } else {
+      console.log(`Ingestion completed successfully for property ${propertyId}`);
+    }
+
+    return {
+      property: updated,
+      details: {
+        images: {
+          imported: imageResult.imported.length,
+          skipped: imageResult.skipped.length,
+          failed: imageResult.failed.length
+        },
+        ...(review ? { review: { id: review.id, fields: heldFields } } : {})
       }
-      
-      return null;
-      
+    };
+  }
+
+  /**
+   * Attach scraped photos to the property. The listing is already saved, so
+   * a failure here is logged rather than failing the job.
+   */
+  async ingestImages(property, images = []) {
+    try {
+      return await imageIngestService.ingestImages(property.id, property.agent_id, images, {
+        altText: property.title || property.address || ''
+      });
     } catch (error) {
-      if (browser) {
-        await browser.close();
+      console.error(`Image ingestion failed for property ${property.id}:`, error);
+      return {
+        imported: [],
+        skipped: [],
+        failed: images.map(image => ({ url: typeof image === 'string' ? image : image.source, error: error.message }))
+      };
+    }
+  }
+
+  /**
+   * Run a scraping tier and record how it went: 'found', 'partial' (some
+   * fields, but not enough for a listing; merged into partialData),
+   * 'no_data' or 'error'. Resolves to the data only when it is usable.
+   */
+  async runTier(tiers, tier, scrape, partialData = {}) {
+    const entry = { tier, result: 'no_data' };
+    tiers.push(entry);
+
+    try {
+      const data = await scrape();
+      if (data && this.isValidPropertyData(data)) {
+        entry.result = 'found';
+        return data;
       }
-      
-      console.error(`Puppeteer scraping attempt ${retryCount + 1} failed:`, error);
-      
-      if (retryCount < this.maxRetries - 1) {
-        await this.delay(this.retryDelay * (retryCount + 1));
-        return this.scrapeWithPuppeteer(url, retryCount + 1);
+      if (data && Object.keys(data).length > 0) {
+        entry.result = 'partial';
+        Object.entries(data).forEach(([field, value]) => {
+          if (partialData[field] === undefined) {
+            partialData[field] = value;
+          }
+        });
       }
-      
+      return null;
+    } catch (error) {
+      console.error(`Scraping tier ${tier} failed:`, error);
+      entry.result = 'error';
+      entry.error = error.message;
       return null;
     }
   }
 
   /**
-   * Extract property data from page content
+   * Tier 1: Native Puppeteer scraping. Retries are left to the job queue.
    */
-  extractPropertyData() {
-    const data = {};
-    
-    // Common selectors for property data
-    const selectors = {
-      address: [
-        '[data-testid="property-address"]',
-        '.address',
-        '.property-address',
-        'h1[class*="address"]',
-        '[class*="street-address"]'
-      ],
-      price: [
-        '[data-testid="price"]',
-        '.price',
-        '.property-price',
-        '[class*="price"]',
-        '.listing-price'
-      ],
-      bedrooms: [
-        '[data-testid="bedrooms"]',
-        '.bedrooms',
-        '[class*="bed"]',
-        '.beds'
-      ],
-      bathrooms: [
-        '[data-testid="bathrooms"]',
-        '.bathrooms',
-        '[class*="bath"]',
-        '.baths'
-      ],
-      squareFeet: [
-        '[data-testid="square-feet"]',
-        '.square-feet',
-        '.sqft',
-        '[class*="sqft"]'
-      ],
-      description: [
-        '[data-testid="description"]',
-        '.description',
-        '.property-description',
-        '[class*="description"]'
-      ]
-    };
+  async scrapeWithPuppeteer(url, fetchContext = {}) {
+    return browserPoolService.withPage(async (page) => {
+      // Set user agent and viewport
+      await page.setUserAgent(config.scraping.puppeteer.userAgent);
+      await page.setViewport({ width: 1366, height: 768 });
+      
+      // Navigate to the page (robots.txt, host spacing and audit log apply)
+      await crawlPolicyService.request(url, () => page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: config.scraping.puppeteer.timeout
+      }), { ...fetchContext, tier: this.tiers.PUPPETEER });
 
-    // Extract data using selectors
-    Object.entries(selectors).forEach(([key, selectorList]) => {
-      for (const selector of selectorList) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent.trim()) {
-          data[key] = element.textContent.trim();
-          break;
-        }
-      }
+      // Wait for content to load
+      await page.waitForTimeout(3000);
+
+      // Extract with the adapter for this site (generic selectors otherwise)
+      const html = await page.content();
+      return this.extractPropertyData(html, url);
     });
+  }
 
-    // Extract images
-    const imageElements = document.querySelectorAll('img[src*="property"], img[src*="listing"], .property-image img, .listing-image img');
-    data.images = Array.from(imageElements)
-      .map(img => img.src)
-      .filter(src => src && src.startsWith('http'))
-      .slice(0, 20); // Limit to 20 images
+  /**
+   * Extract property data from page HTML using the site's adapter and the
+   * page's structured data. scraped_field_sources records where each field
+   * came from and scraped_field_confidence how far it can be trusted.
+   */
+  extractPropertyData(html, url) {
+    const { adapter, data, sources, conflicts } = scraperAdapters.extract(html, url);
 
-    // Clean and format data
-    if (data.price) {
-      data.price = this.extractPrice(data.price);
-    }
-    
-    if (data.bedrooms) {
-      data.bedrooms = this.extractNumber(data.bedrooms);
-    }
-    
-    if (data.bathrooms) {
-      data.bathrooms = this.extractNumber(data.bathrooms);
-    }
-    
-    if (data.squareFeet) {
-      data.square_feet = this.extractNumber(data.squareFeet);
-      delete data.squareFeet;
-    }
+    console.log(`Extracted ${Object.keys(data).length} fields from ${url} with the ${adapter} adapter`);
 
-    return data;
+    return {
+      ...data,
+      listing_platform: adapter,
+      scraped_field_sources: sources,
+      scraped_field_confidence: fieldConfidence.scoreFields(data, { sources, conflicts })
+    };
   }
 
   /**
    * Tier 2: BrightData API scraping
    */
-  async scrapeWithBrightData(url) {
+  async scrapeWithBrightData(url, fetchContext = {}) {
     if (!this.brightDataConfig.endpoint) {
       console.log('BrightData not configured, skipping Tier 2');
       return null;
     }
 
     try {
-      const response = await axios.post(this.brightDataConfig.endpoint, {
+      const response = await crawlPolicyService.request(url, () => axios.post(this.brightDataConfig.endpoint, {
         url: url,
         format: 'json'
       }, {
@@ -271,7 +468,7 @@ class ScrapingService {
           password: this.brightDataConfig.password
         },
         timeout: 60000
-      });
+      }), { ...fetchContext, tier: this.tiers.BRIGHTDATA });
 
       if (response.data && response.data.success) {
         return this.formatBrightDataResponse(response.data.data);
@@ -281,23 +478,27 @@ class ScrapingService {
       
     } catch (error) {
       console.error('BrightData scraping failed:', error);
-      return null;
+      throw error;
     }
   }
 
   /**
-   * Tier 3: Send manual form email
+   * Tier 3: Email the agent a signed link to the manual completion form
    */
-  async sendManualFormEmail(agentId, url) {
+  async sendManualFormEmail(job) {
     try {
-      const manualFormUrl = `${process.env.FRONTEND_URL}/properties/manual-entry?url=${encodeURIComponent(url)}`;
+      const link = manualCompletionService.createLink(job);
       
-      await emailService.sendManualFormEmail(agentId, {
-        originalUrl: url,
-        manualFormUrl: manualFormUrl
+      await emailService.sendManualFormEmail(job.agent_id, {
+        // Document jobs may have no URL; name the file instead
+        originalUrl: job.url || (job.options && job.options.fileName) || 'the page you pasted',
+        manualFormUrl: link.url,
+        expiresAt: link.expiresAt
       });
+      await scrapeQueueService.markManualLinkSent(job.id);
       
-      console.log(`Manual form email sent to agent ${agentId}`);
+      console.log(`Manual form email sent to agent ${job.agent_id}`);
+      return link;
       
     } catch (error) {
       console.error('Failed to send manual form email:', error);
@@ -308,31 +509,13 @@ class ScrapingService {
   /**
    * Utility methods
    */
-  generateJobId() {
-    return `scrape_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  extractPrice(priceText) {
-    const match = priceText.match(/[\d,]+/);
-    return match ? parseInt(match[0].replace(/,/g, '')) : null;
-  }
-
-  extractNumber(text) {
-    const match = text.match(/\d+(\.\d+)?/);
-    return match ? parseFloat(match[0]) : null;
-  }
-
   isValidPropertyData(data) {
     return data && (data.address || data.price || data.bedrooms);
   }
 
   formatBrightDataResponse(data) {
     // Format BrightData response to match our schema
-    return {
+    const listing = {
       address: data.address,
       price: data.price,
       bedrooms: data.bedrooms,
@@ -341,6 +524,11 @@ class ScrapingService {
       description: data.description,
       images: data.images || []
     };
+
+    return {
+      ...listing,
+      scraped_field_confidence: fieldConfidence.scoreFields(listing, { defaultSource: this.tiers.BRIGHTDATA })
+    };
   }
 }
 
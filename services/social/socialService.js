@@ -1,9 +1,12 @@
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../../config/config');
 const aiService = require('../ai/aiService');
+const promptRegistry = require('../ai/promptRegistry');
 const storageService = require('../storage/storageService');
 const brandService = require('../brand/brandService');
-const puppeteer = require('puppeteer');
+const brandComplianceService = require('../brand/brandComplianceService');
+const browserPoolService = require('../browser/browserPoolService');
+const { DEFAULT_LANGUAGE, getLanguage, isRtl, fontStack } = require('../ai/languages');
 const axios = require('axios');
 
 const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
@@ -97,6 +100,8 @@ class SocialService {
 
   /**
    * Generate complete 70-day social media campaign
+   * @param {Object} options - platforms; languages: each post is written once
+   *   per language (English only by default)
    */
   async generateCampaign(propertyId, agentId, options = {}) {
     try {
@@ -114,6 +119,7 @@ class SocialService {
       // Generate all 210 posts
       const allPosts = [];
       const platforms = options.platforms || ['instagram', 'facebook', 'linkedin', 'tiktok', 'twitter'];
+      const languages = options.languages || [DEFAULT_LANGUAGE];
 
       for (let day = 1; day <= this.campaignConfig.TOTAL_DAYS; day++) {
         const weekNumber = Math.ceil(day / 7);
@@ -123,19 +129,22 @@ class SocialService {
           // Apply Never-the-Same-Day algorithm
           const contentConfig = this.generateUniqueContentConfig(day, postIndex, theme);
           
-          // Generate posts for each platform
+          // Generate posts for each platform, in each language
           for (const platform of platforms) {
-            const post = await this.generateSinglePost(
-              propertyData,
-              brandAssets,
-              campaignStrategy,
-              platform,
-              contentConfig,
-              day,
-              postIndex
-            );
-
-            allPosts.push(post);
+            for (const language of languages) {
+              const post = await this.generateSinglePost(
+                propertyData,
+                brandAssets,
+                campaignStrategy,
+                platform,
+                contentConfig,
+                day,
+                postIndex,
+                language
+              );
+
+              allPosts.push(post);
+            }
           }
         }
 
@@ -151,6 +160,7 @@ class SocialService {
         posts: allPosts,
         total_posts: allPosts.length,
         platforms: platforms,
+        languages,
         status: 'generated'
       });
 
@@ -208,38 +218,25 @@ class SocialService {
    */
   async generateCampaignStrategy(propertyData, brandAssets) {
     try {
-      const strategyPrompt = `
-Create a comprehensive 70-day social media campaign strategy for this property:
-
-Property Details:
-- Title: ${propertyData.title}
-- Type: ${propertyData.property_type}
-- Price: ${propertyData.price}
-- Location: ${propertyData.location}
-- Key Features: ${propertyData.key_features?.join(', ') || 'N/A'}
-- Description: ${propertyData.description}
-
-Brand Persona:
-- Tone: ${brandAssets.persona.tone}
-- Style: ${brandAssets.persona.style}
-- Key Phrases: ${brandAssets.persona.key_phrases?.join(', ')}
-- Avoid: ${brandAssets.persona.phrases_to_avoid?.join(', ')}
-
-Generate a strategy that includes:
-1. Overall campaign messaging
-2. Target audience definition
-3. Key selling points to emphasize
-4. Emotional triggers to use
-5. Unique value propositions
-6. Content pillars for the 10-week journey
-
-Return as JSON with these exact keys: messaging, target_audience, key_selling_points, emotional_triggers, value_propositions, content_pillars
-`;
-
-      const strategy = await aiService.generateContent(strategyPrompt, {
-        model: 'claude-3-sonnet',
+      const strategyPrompt = await promptRegistry.render('social_strategy', {
+        title: propertyData.title,
+        property_type: propertyData.property_type,
+        price: propertyData.price,
+        location: propertyData.location,
+        key_features: propertyData.key_features?.join(', ') || 'N/A',
+        description: propertyData.description,
+        tone: brandAssets.persona.tone,
+        style: brandAssets.persona.style,
+        key_phrases: brandAssets.persona.key_phrases?.join(', '),
+        phrases_to_avoid: brandAssets.persona.phrases_to_avoid?.join(', ')
+      }, { agentId: propertyData.agent_id });
+
+      const strategy = await aiService.generateContent(strategyPrompt.text, {
+        task: 'social_strategy',
         maxTokens: 2000,
-        temperature: 0.7
+        temperature: 0.7,
+        json: true,
+        metadata: { propertyId: propertyData.id, prompt: strategyPrompt.label }
       });
 
       return JSON.parse(strategy);
@@ -252,29 +249,36 @@ Return as JSON with these exact keys: messaging, target_audience, key_selling_po
   }
 
   /**
-   * Generate single social media post
+   * Generate single social media post. The copy is checked against the
+   * brand voice and platform limits (see BrandComplianceService) and
+   * regenerated or held for review when it fails.
+   * @param {string} language - Language code for the copy and graphics
    */
-  async generateSinglePost(propertyData, brandAssets, strategy, platform, contentConfig, day, postIndex) {
+  async generateSinglePost(propertyData, brandAssets, strategy, platform, contentConfig, day, postIndex, language = DEFAULT_LANGUAGE) {
     try {
       const platformConfig = this.platformConfigs[platform];
       
       // Generate AI-optimized content
-      const contentPrompt = this.buildContentPrompt(
+      const contentPrompt = await this.buildContentPrompt(
         propertyData,
         brandAssets,
         strategy,
         platform,
         contentConfig,
-        platformConfig
+        platformConfig,
+        language
       );
 
-      const aiContent = await aiService.generateContent(contentPrompt, {
-        model: 'claude-3-sonnet',
-        maxTokens: 1000,
-        temperature: 0.8
-      });
-
-      const parsedContent = JSON.parse(aiContent);
+      const { draft: parsedContent, compliance } = await brandComplianceService.enforce(async (feedback) => {
+        const completion = await aiService.generateCompletion(contentPrompt.text + feedback, {
+          task: 'social_post',
+          maxTokens: 1000,
+          temperature: 0.8,
+          json: true,
+          metadata: { propertyId: propertyData.id, platform, prompt: contentPrompt.label, language }
+        });
+        return { ...JSON.parse(completion.text), model: completion.model };
+      }, { brandAssets, platformConfig, language, agentId: propertyData.agent_id });
 
       // Generate visual content
       const visualContent = await this.generateVisualContent(
@@ -282,7 +286,8 @@ Return as JSON with these exact keys: messaging, target_audience, key_selling_po
         brandAssets,
         contentConfig,
         platform,
-        parsedContent
+        parsedContent,
+        language
       );
 
       // Calculate optimal posting time
@@ -293,6 +298,7 @@ Return as JSON with these exact keys: messaging, target_audience, key_selling_po
         property_id: propertyData.id,
         agent_id: propertyData.agent_id,
         platform: platform,
+        language,
         content_type: contentConfig.archetype,
         content_text: parsedContent.text,
         hashtags: parsedContent.hashtags,
@@ -301,10 +307,13 @@ Return as JSON with these exact keys: messaging, target_audience, key_selling_po
         campaign_day: day,
         post_index: postIndex,
         theme: contentConfig.theme,
-        status: 'scheduled',
+        ...brandComplianceService.reviewFields(compliance, 'scheduled'),
+        generation_prompt: contentPrompt.label,
+        generation_model: parsedContent.model,
         metadata: {
           strategy_used: contentConfig,
-          ai_prompt_version: '1.0',
+          ai_prompt: contentPrompt.ref,
+          ai_model: parsedContent.model,
           visual_style: contentConfig.visualStyle,
           generated_at: new Date().toISOString()
         }
@@ -319,54 +328,38 @@ Return as JSON with these exact keys: messaging, target_audience, key_selling_po
   }
 
   /**
-   * Build AI content generation prompt
+   * Build AI content generation prompt (see promptRegistry)
+   * @returns {Object} { text, label, ref }
    */
-  buildContentPrompt(propertyData, brandAssets, strategy, platform, contentConfig, platformConfig) {
-    return `
-Generate a ${platform} post for this real estate property:
-
-Property: ${propertyData.title}
-Location: ${propertyData.location}
-Price: ${propertyData.price}
-Type: ${propertyData.property_type}
-
-Campaign Context:
-- Day: ${contentConfig.day}/70
-- Theme: ${contentConfig.theme}
-- Content Type: ${contentConfig.archetype}
-- Tone: ${contentConfig.tone}
-- Focus: ${contentConfig.focusArea}
-
-Brand Voice:
-- Tone: ${brandAssets.persona.tone}
-- Style: ${brandAssets.persona.style}
-- Use phrases like: ${brandAssets.persona.key_phrases?.join(', ')}
-- Avoid: ${brandAssets.persona.phrases_to_avoid?.join(', ')}
-
-Strategy:
-- Target Audience: ${strategy.target_audience}
-- Key Message: ${strategy.messaging}
-- Selling Points: ${strategy.key_selling_points?.join(', ')}
-
-Platform Constraints:
-- Max text length: ${platformConfig.maxTextLength} characters
-- Max hashtags: ${platformConfig.hashtagLimit}
-- Preferred format: ${platformConfig.preferredAspectRatio}
-
-Generate:
-1. Engaging post text that fits platform constraints
-2. Relevant hashtags (max ${platformConfig.hashtagLimit})
-3. Call-to-action that drives engagement
-4. Hook that grabs attention in first 5 words
-
-Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "hook": "attention grabber", "cta": "call to action"}
-`;
+  async buildContentPrompt(propertyData, brandAssets, strategy, platform, contentConfig, platformConfig, language = DEFAULT_LANGUAGE) {
+    return promptRegistry.render('social_post', {
+      platform,
+      title: propertyData.title,
+      location: propertyData.location,
+      price: propertyData.price,
+      property_type: propertyData.property_type,
+      day: contentConfig.day,
+      theme: contentConfig.theme,
+      archetype: contentConfig.archetype,
+      post_tone: contentConfig.tone,
+      focus_area: contentConfig.focusArea,
+      tone: brandAssets.persona.tone,
+      style: brandAssets.persona.style,
+      key_phrases: brandAssets.persona.key_phrases?.join(', '),
+      phrases_to_avoid: brandAssets.persona.phrases_to_avoid?.join(', '),
+      target_audience: strategy.target_audience,
+      messaging: strategy.messaging,
+      selling_points: strategy.key_selling_points?.join(', '),
+      max_text_length: platformConfig.maxTextLength,
+      hashtag_limit: platformConfig.hashtagLimit,
+      aspect_ratio: platformConfig.preferredAspectRatio
+    }, { agentId: propertyData.agent_id, language });
   }
 
   /**
    * Generate visual content for post
    */
-  async generateVisualContent(propertyData, brandAssets, contentConfig, platform, textContent) {
+  async generateVisualContent(propertyData, brandAssets, contentConfig, platform, textContent, language = DEFAULT_LANGUAGE) {
     try {
       const platformConfig = this.platformConfigs[platform];
       const imageFormats = platformConfig.imageFormats;
@@ -391,11 +384,12 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
           textContent,
           brandAssets,
           format,
-          contentConfig
+          contentConfig,
+          language
         );
 
         const imageBuffer = await this.renderHtmlToImage(templateHtml, format);
-        const fileName = `${platform}-${format}-day${contentConfig.day}-post${contentConfig.postIndex}-${Date.now()}.png`;
+        const fileName = `${platform}-${format}-day${contentConfig.day}-post${contentConfig.postIndex}-${language}-${Date.now()}.png`;
         
         const uploadResult = await storageService.uploadSocialMediaContent(
           propertyData.agent_id,
@@ -418,14 +412,17 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
   }
 
   /**
-   * Generate HTML template for social media graphics
+   * Generate HTML template for social media graphics. Right-to-left
+   * languages mirror the layout: text aligns right and the logo moves left.
    */
-  generateSocialTemplate(propertyImage, textContent, brandAssets, format, contentConfig) {
+  generateSocialTemplate(propertyImage, textContent, brandAssets, format, contentConfig, language = DEFAULT_LANGUAGE) {
     const dimensions = this.getFormatDimensions(format);
+    const { dir, labels } = getLanguage(language);
+    const logoSide = isRtl(language) ? 'left' : 'right';
     
     return `
 <!DOCTYPE html>
-<html>
+<html lang="${language}" dir="${dir}">
 <head>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
@@ -433,7 +430,8 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
             width: ${dimensions.width}px;
             height: ${dimensions.height}px;
             position: relative;
-            font-family: ${brandAssets.typography.font_family}, sans-serif;
+            font-family: ${fontStack(language, brandAssets.typography.font_family)};
+            direction: ${dir};
             overflow: hidden;
         }
         .background {
@@ -460,6 +458,7 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
             left: 20px;
             right: 20px;
             color: white;
+            text-align: ${dir === 'rtl' ? 'right' : 'left'};
             text-shadow: 2px 2px 4px rgba(0,0,0,0.7);
         }
         .hook {
@@ -482,7 +481,7 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
         .logo {
             position: absolute;
             top: 20px;
-            right: 20px;
+            ${logoSide}: 20px;
             width: ${format === 'story' ? '80px' : '60px'};
             height: ${format === 'story' ? '80px' : '60px'};
             background: white;
@@ -513,7 +512,7 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
         <div class="logo">${brandAssets.company_name.substring(0, 3).toUpperCase()}</div>
         <div class="content">
             <div class="hook">${textContent.hook}</div>
-            <div class="price">${propertyImage.property?.price || 'Contact for Price'}</div>
+            <div class="price">${propertyImage.property?.price || labels.contactForPrice}</div>
             <div class="location">${propertyImage.property?.location || ''}</div>
             <div class="cta">${textContent.cta}</div>
         </div>
@@ -524,13 +523,10 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
   }
 
   /**
-   * Render HTML to image using Puppeteer
+   * Render HTML to image with a pooled Puppeteer page
    */
   async renderHtmlToImage(html, format) {
-    const browser = await puppeteer.launch({ headless: true });
-    const page = await browser.newPage();
-    
-    try {
+    return browserPoolService.withPage(async (page) => {
       const dimensions = this.getFormatDimensions(format);
       await page.setViewport({ width: dimensions.width, height: dimensions.height });
       await page.setContent(html, { waitUntil: 'networkidle0' });
@@ -541,10 +537,7 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
       });
       
       return imageBuffer;
-      
-    } finally {
-      await browser.close();
-    }
+    });
   }
 
   /**
@@ -620,6 +613,138 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
     }
   }
 
+  /**
+   * Pause a property's campaign: scheduled posts are held back and the
+   * campaign is marked paused. Posts already handed to MixPost are not
+   * recalled.
+   */
+  async pauseCampaign(propertyId, reason = null) {
+    try {
+      const { error: postsError } = await supabase
+        .from('social_posts')
+        .update({ status: 'paused', updated_at: new Date().toISOString() })
+        .eq('property_id', propertyId)
+        .eq('status', 'scheduled');
+
+      if (postsError) {
+        throw new Error(`Failed to pause posts: ${postsError.message}`);
+      }
+
+      const { error: campaignError } = await supabase
+        .from('social_campaigns')
+        .update({ status: 'paused', paused_reason: reason, updated_at: new Date().toISOString() })
+        .eq('property_id', propertyId)
+        .neq('status', 'paused');
+
+      if (campaignError) {
+        throw new Error(`Failed to pause campaign: ${campaignError.message}`);
+      }
+
+      console.log(`Social campaign paused for property ${propertyId} (${reason || 'no reason given'})`);
+      return { propertyId, status: 'paused' };
+
+    } catch (error) {
+      console.error('Error pausing campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused campaign. Posts whose slot has already passed stay paused.
+   */
+  async resumeCampaign(propertyId) {
+    try {
+      const { error: postsError } = await supabase
+        .from('social_posts')
+        .update({ status: 'scheduled', updated_at: new Date().toISOString() })
+        .eq('property_id', propertyId)
+        .eq('status', 'paused')
+        .gt('scheduled_for', new Date().toISOString());
+
+      if (postsError) {
+        throw new Error(`Failed to resume posts: ${postsError.message}`);
+      }
+
+      const { error: campaignError } = await supabase
+        .from('social_campaigns')
+        .update({ status: 'generated', paused_reason: null, updated_at: new Date().toISOString() })
+        .eq('property_id', propertyId)
+        .eq('status', 'paused');
+
+      if (campaignError) {
+        throw new Error(`Failed to resume campaign: ${campaignError.message}`);
+      }
+
+      console.log(`Social campaign resumed for property ${propertyId}`);
+      return { propertyId, status: 'generated' };
+
+    } catch (error) {
+      console.error('Error resuming campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate one "Just Sold" post per platform, scheduled for the next hour
+   */
+  async generateJustSoldPosts(propertyId, agentId, options = {}) {
+    try {
+      const [propertyData, brandAssets] = await Promise.all([
+        this.getPropertyData(propertyId),
+        brandService.resolveBrandAssets(agentId)
+      ]);
+
+      const platforms = options.platforms || ['instagram', 'facebook', 'linkedin'];
+      const strategy = {
+        ...this.getDefaultCampaignStrategy(propertyData),
+        messaging: `Just sold: ${propertyData.title || propertyData.location}`,
+        key_selling_points: ['Sold', 'Results for sellers', 'Local market expertise']
+      };
+      const contentConfig = {
+        day: 1,
+        postIndex: 0,
+        theme: 'Just Sold',
+        archetype: 'just_sold',
+        tone: 'celebratory',
+        visualStyle: 'bold',
+        callToAction: 'Contact Agent',
+        focusArea: 'exterior'
+      };
+
+      const scheduledFor = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const posts = [];
+
+      for (const platform of platforms) {
+        const post = await this.generateSinglePost(
+          propertyData,
+          brandAssets,
+          strategy,
+          platform,
+          contentConfig,
+          1,
+          0
+        );
+        posts.push({ ...post, scheduled_for: scheduledFor });
+      }
+
+      const { data, error } = await supabase
+        .from('social_posts')
+        .insert(posts)
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to save Just Sold posts: ${error.message}`);
+      }
+
+      console.log(`Generated ${data.length} Just Sold posts for property ${propertyId}`);
+      return data;
+
+    } catch (error) {
+      console.error('Error generating Just Sold posts:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create scheduled post in MixPost
    */
@@ -679,6 +804,7 @@ Return as JSON: {"text": "post content", "hashtags": ["hashtag1", "hashtag2"], "
           agent_id: agentId,
           total_posts: campaignData.total_posts,
           platforms: campaignData.platforms,
+          languages: campaignData.languages,
           strategy: campaignData.strategy,
           status: campaignData.status
         }])
@@ -4,14 +4,15 @@ const crypto = require('crypto');
 const path = require('path');
 const config = require('../../config/config');
 const logger = require('../../utils/logger');
-const { ValidationService } = require('../validation/validationService');
+const imageHash = require('../../utils/imageHash');
+const validationService = require('../validation/validationService');
 
 const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
 
 class StorageService {
   constructor() {
     this.supabase = supabase;
-    this.validationService = new ValidationService();
+    this.validationService = validationService;
     
     // Structured bucket organization
     this.buckets = {
@@ -137,7 +138,10 @@ class StorageService {
       imageVariants.original = originalPath;
 
       // Generate different sizes if it's a processable image
+      let perceptualHash = null;
       if (this.isProcessableImage(imageFile.mimetype)) {
+        perceptualHash = await this.computePerceptualHash(imageFile.buffer);
+
         // Thumbnail
         const thumbnailBuffer = await this.resizeImage(imageFile.buffer, this.imageConfigs.thumbnail);
         const thumbnailPath = `${folderPath}/thumbnails/${baseName}-thumb.webp`;
@@ -177,6 +181,9 @@ class StorageService {
         large_path: imageVariants.large,
         file_size: imageFile.size,
         mime_type: imageFile.mimetype,
+        perceptual_hash: perceptualHash,
+        content_hash: this.computeContentHash(imageFile.buffer),
+        original_url: options.originalUrl || null,
         is_primary: options.isPrimary || false,
         alt_text: options.altText || '',
         display_order: options.displayOrder || 0
@@ -559,6 +566,46 @@ class StorageService {
     }
   }
 
+  /**
+   * SHA-256 of the file contents, used to skip byte-identical images
+   */
+  computeContentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Decoded format and dimensions of an image, or null if sharp cannot
+   * read it
+   */
+  async getImageInfo(buffer) {
+    try {
+      const { format, width, height } = await sharp(buffer).metadata();
+      return { format, width, height };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Perceptual (difference) hash of an image, used to spot the same photo
+   * on duplicate listings. Returns null if the image cannot be decoded.
+   */
+  async computePerceptualHash(buffer) {
+    try {
+      const pixels = await sharp(buffer)
+        .greyscale()
+        .resize(imageHash.HASH_WIDTH, imageHash.HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+      return imageHash.differenceHash(pixels);
+
+    } catch (error) {
+      logger.warn('Failed to compute perceptual hash', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Resize image using Sharp
    */
@@ -738,6 +785,168 @@ class StorageService {
     }
   }
 
+  /**
+   * Copy image files from one property's folder to another's (used when
+   * merging duplicate listings: the merge_properties RPC repoints the image
+   * records, and the originals go when the source listing is purged). If a
+   * copy fails, the files already copied are removed again.
+   * @param {string} agentId - Agent ID
+   * @param {string} sourcePropertyId - Property the images belong to now
+   * @param {string} targetPropertyId - Property they are moving to
+   * @param {Array} images - Image rows ({ id, storage_path, thumbnail_path, medium_path, large_path })
+   * @returns {Object} { images: [{ id, ...new paths }], copied: [new file paths] }
+   */
+  async copyPropertyImageFiles(agentId, sourcePropertyId, targetPropertyId, images) {
+    const fromFolder = `properties/${agentId}/${sourcePropertyId}/`;
+    const toFolder = `properties/${agentId}/${targetPropertyId}/`;
+    const pathColumns = ['storage_path', 'thumbnail_path', 'medium_path', 'large_path'];
+    const copied = [];
+    const paths = [];
+
+    try {
+      for (const image of images) {
+        const imagePaths = { id: image.id };
+
+        for (const column of pathColumns) {
+          const currentPath = image[column];
+          if (!currentPath || !currentPath.startsWith(fromFolder)) {
+            continue;
+          }
+
+          const newPath = toFolder + currentPath.slice(fromFolder.length);
+          const { error } = await supabase.storage
+            .from(this.buckets.PROPERTY_IMAGES)
+            .copy(currentPath, newPath);
+
+          if (error) {
+            throw new Error(`Failed to copy image file ${currentPath}: ${error.message}`);
+          }
+
+          copied.push(newPath);
+          imagePaths[column] = newPath;
+        }
+
+        paths.push(imagePaths);
+      }
+    } catch (error) {
+      await this.removeFiles(this.buckets.PROPERTY_IMAGES, copied);
+      throw error;
+    }
+
+    logger.info('Property image files copied', {
+      agentId,
+      sourcePropertyId,
+      targetPropertyId,
+      files: copied.length
+    });
+
+    return { images: paths, copied };
+  }
+
+  /**
+   * Remove files, logging rather than throwing on failure (cleanup after an
+   * operation that already failed)
+   * @param {string} bucket - Bucket name
+   * @param {Array<string>} filePaths - Paths to remove
+   */
+  async removeFiles(bucket, filePaths) {
+    if (filePaths.length === 0) {
+      return;
+    }
+
+    const { error } = await supabase.storage
+      .from(bucket)
+      .remove(filePaths);
+
+    if (error) {
+      logger.warn('Failed to remove files', { bucket, files: filePaths.length, error: error.message });
+    }
+  }
+
+  /**
+   * Delete every stored object belonging to a property: image variants,
+   * generated content and social media renders
+   * @param {string} agentId - Agent ID
+   * @param {string} propertyId - Property ID
+   * @returns {Object} Deleted file count per bucket
+   */
+  async deletePropertyFiles(agentId, propertyId) {
+    try {
+      logger.info('Deleting property files', { agentId, propertyId });
+
+      const locations = [
+        { bucket: this.buckets.PROPERTY_IMAGES, folder: `properties/${agentId}/${propertyId}` },
+        { bucket: this.buckets.GENERATED_CONTENT, folder: `${agentId}/${propertyId}` },
+        { bucket: this.buckets.SOCIAL_MEDIA, folder: `${agentId}/${propertyId}` }
+      ];
+
+      const deleted = {};
+
+      for (const { bucket, folder } of locations) {
+        const filePaths = await this.listFilePathsRecursive(bucket, folder);
+
+        // Storage remove() accepts at most 1000 paths per call
+        for (let i = 0; i < filePaths.length; i += 1000) {
+          const { error } = await supabase.storage
+            .from(bucket)
+            .remove(filePaths.slice(i, i + 1000));
+
+          if (error) {
+            throw new Error(`Failed to delete files from ${bucket}: ${error.message}`);
+          }
+        }
+
+        deleted[bucket] = filePaths.length;
+      }
+
+      logger.info('Property files deleted', { agentId, propertyId, deleted });
+
+      return deleted;
+
+    } catch (error) {
+      logger.error('Error deleting property files', {
+        agentId,
+        propertyId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List every file path under a folder, descending into sub-folders
+   */
+  async listFilePathsRecursive(bucket, folder) {
+    const paths = [];
+    const pageSize = 1000;
+    let offset = 0;
+
+    while (true) {
+      const { data: entries, error } = await supabase.storage
+        .from(bucket)
+        .list(folder, { limit: pageSize, offset });
+
+      if (error) {
+        throw new Error(`Failed to list files: ${error.message}`);
+      }
+
+      for (const entry of entries) {
+        const entryPath = `${folder}/${entry.name}`;
+        // Folders are returned as entries without an id
+        if (entry.id === null) {
+          paths.push(...await this.listFilePathsRecursive(bucket, entryPath));
+        } else {
+          paths.push(entryPath);
+        }
+      }
+
+      if (entries.length < pageSize) {
+        return paths;
+      }
+      offset += pageSize;
+    }
+  }
+
   /**
    * Get storage usage statistics
    */
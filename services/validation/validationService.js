@@ -2,6 +2,7 @@ const validator = require('validator');
 const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
 const logger = require('../../utils/logger');
+const { DEFAULT_LANGUAGE, LANGUAGE_CODES } = require('../ai/languages');
 
 class ValidationService {
     constructor() {
@@ -41,7 +42,7 @@ class ValidationService {
                     features: Joi.array().items(Joi.string()),
                     amenities: Joi.array().items(Joi.string()),
                     listingStatus: Joi.string().valid(
-                        'active', 'pending', 'sold', 'off_market'
+                        'draft', 'active', 'under_offer', 'sold', 'withdrawn'
                     ).default('active'),
                     mlsNumber: Joi.string().optional(),
                     virtualTourUrl: Joi.string().uri().optional(),
@@ -71,14 +72,117 @@ class ValidationService {
                     yearBuilt: Joi.number().integer().min(1800).max(new Date().getFullYear()),
                     features: Joi.array().items(Joi.string()),
                     amenities: Joi.array().items(Joi.string()),
+                    // Transitions are checked against the listing state machine
                     listingStatus: Joi.string().valid(
-                        'active', 'pending', 'sold', 'off_market'
+                        'draft', 'processing', 'active', 'under_offer', 'sold', 'withdrawn'
                     ),
                     mlsNumber: Joi.string(),
                     virtualTourUrl: Joi.string().uri(),
                     videoUrl: Joi.string().uri(),
                     documents: Joi.array().items(Joi.string().uri())
-                }).min(1)
+                }).min(1),
+
+                merge: Joi.object({
+                    sourceId: Joi.string().uuid().required(),
+                    // Fields to take from the duplicate even when the kept listing has a value
+                    fields: Joi.array().items(Joi.string().valid(
+                        'title', 'description', 'price', 'property_type', 'bedrooms', 'bathrooms',
+                        'square_feet', 'lot_size', 'year_built', 'mls_number', 'listing_url',
+                        'virtual_tour_url', 'video_url', 'documents', 'address', 'street_address',
+                        'city', 'state', 'zip_code', 'country', 'latitude', 'longitude'
+                    )).default([])
+                }),
+
+                // Listing fields read from a scraped page (properties columns)
+                scraped: Joi.object({
+                    address: Joi.string().max(500),
+                    price: Joi.number().positive(),
+                    bedrooms: Joi.number().integer().min(0).max(50),
+                    bathrooms: Joi.number().min(0).max(50),
+                    square_feet: Joi.number().positive(),
+                    year_built: Joi.number().integer().min(1600).max(new Date().getFullYear() + 5),
+                    latitude: Joi.number().min(-90).max(90),
+                    longitude: Joi.number().min(-180).max(180),
+                    images: Joi.array().items(Joi.string().uri())
+                }).or('address', 'price', 'bedrooms'),
+
+                // Scraped fields held for review (see ScrapeReviewService): the
+                // agent's corrections, null to leave a field empty
+                scrapeReview: Joi.object({
+                    title: Joi.string().trim().max(200).allow(null),
+                    address: Joi.string().trim().max(500).allow(null),
+                    price: Joi.number().positive().allow(null),
+                    bedrooms: Joi.number().integer().min(0).max(50).allow(null),
+                    bathrooms: Joi.number().min(0).max(50).allow(null),
+                    square_feet: Joi.number().positive().allow(null),
+                    year_built: Joi.number().integer().min(1600).max(new Date().getFullYear() + 5).allow(null),
+                    property_type: Joi.string().max(50).allow(null),
+                    description: Joi.string().max(5000).allow('', null),
+                    latitude: Joi.number().min(-90).max(90).allow(null),
+                    longitude: Joi.number().min(-180).max(180).allow(null)
+                }),
+
+                // POST /properties/scrape: a listing URL or pasted page HTML (a PDF
+                // brochure or saved page arrives as a multipart file instead)
+                scrapeRequest: Joi.object({
+                    url: Joi.string().trim().max(2048),
+                    html: Joi.string().max(10 * 1024 * 1024)
+                }),
+
+                // POST /properties/post-reviews/:postId: release or discard a held post
+                postReview: Joi.object({
+                    decision: Joi.string().valid('approve', 'reject').required()
+                }),
+
+                // POST /properties/:id/generate-content: what to generate (all by
+                // default) and which languages to write copy in (English by default)
+                generateContent: Joi.object({
+                    contentTypes: Joi.array()
+                        .items(Joi.string().valid('description', 'images', 'social_posts'))
+                        .min(1)
+                        .unique()
+                        .default(['description', 'images', 'social_posts']),
+                    languages: Joi.array()
+                        .items(Joi.string().valid(...LANGUAGE_CODES))
+                        .min(1)
+                        .unique()
+                        .default([DEFAULT_LANGUAGE])
+                }),
+
+                // Manual completion form for a listing the scraper could not read.
+                // International listings are common here, so address parts are loose
+                manualEntry: Joi.object({
+                    title: Joi.string().min(5).max(200).required(),
+                    description: Joi.string().max(2000).allow(''),
+                    price: Joi.number().positive().required(),
+                    address: Joi.object({
+                        street: Joi.string().required(),
+                        city: Joi.string().required(),
+                        state: Joi.string().max(100).allow(''),
+                        zipCode: Joi.string().max(20).allow(''),
+                        country: Joi.string().max(100)
+                    }).required(),
+                    propertyType: Joi.string().valid(
+                        'single_family', 'condo', 'townhouse', 'multi_family',
+                        'land', 'commercial', 'other'
+                    ),
+                    bedrooms: Joi.number().integer().min(0).max(50),
+                    bathrooms: Joi.number().min(0).max(50),
+                    squareFootage: Joi.number().positive(),
+                    lotSize: Joi.number().positive(),
+                    yearBuilt: Joi.number().integer().min(1600).max(new Date().getFullYear() + 5),
+                    features: Joi.array().items(Joi.string()),
+                    amenities: Joi.array().items(Joi.string()),
+                    // Photo URLs to import, e.g. kept from the scraped page
+                    images: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] })).max(20)
+                }),
+
+                statusChange: Joi.object({
+                    status: Joi.string().valid(
+                        'draft', 'processing', 'active', 'under_offer', 'sold', 'withdrawn'
+                    ).required(),
+                    reason: Joi.string().max(500)
+                })
             },
 
             // User/Agent validation schemas
@@ -161,6 +265,38 @@ class ValidationService {
                 })
             },
 
+            // Viewing scheduler validation schemas
+            viewing: {
+                availability: Joi.object({
+                    startsAt: Joi.date().iso().required(),
+                    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+                    slotMinutes: Joi.number().integer().min(10).max(240).default(30),
+                    bufferMinutes: Joi.number().integer().min(0).max(120).default(0)
+                }),
+
+                openHouse: Joi.object({
+                    startsAt: Joi.date().iso().required(),
+                    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+                    title: Joi.string().max(200),
+                    notes: Joi.string().max(1000),
+                    capacity: Joi.number().integer().min(1)
+                }),
+
+                // Either a private slot start time or an open house
+                booking: Joi.object({
+                    startsAt: Joi.date().iso(),
+                    openHouseId: Joi.string().uuid(),
+                    name: Joi.string().min(2).max(100).required(),
+                    email: Joi.string().email().required(),
+                    phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/),
+                    notes: Joi.string().max(500)
+                }).xor('startsAt', 'openHouseId'),
+
+                cancel: Joi.object({
+                    reason: Joi.string().max(500)
+                })
+            },
+
             // File upload validation schemas
             upload: {
                 image: Joi.object({
@@ -207,10 +343,36 @@ class ValidationService {
                     state: Joi.string().length(2),
                     zipCode: Joi.string().pattern(/^\d{5}(-\d{4})?$/),
                     listingStatus: Joi.string().valid(
-                        'active', 'pending', 'sold', 'off_market'
+                        'draft', 'processing', 'manual_required', 'review_required', 'error',
+                        'active', 'under_offer', 'sold', 'withdrawn'
                     ),
                     features: Joi.array().items(Joi.string()),
-                    search: Joi.string().max(100)
+                    search: Joi.string().max(100),
+                    // Archived and deleted listings are hidden unless requested
+                    lifecycle: Joi.string().valid('current', 'archived', 'deleted', 'all'),
+                    // Radius search: lat/lng centre plus radiusKm
+                    lat: Joi.number().min(-90).max(90),
+                    lng: Joi.number().min(-180).max(180),
+                    radiusKm: Joi.number().positive().max(500),
+                    // Map viewport as "south,west,north,east"
+                    bbox: Joi.string().pattern(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/),
+                    // Drawn shape as "lat,lng;lat,lng;lat,lng[;...]"
+                    polygon: Joi.string().pattern(/^-?\d+(\.\d+)?,-?\d+(\.\d+)?(;-?\d+(\.\d+)?,-?\d+(\.\d+)?){2,}$/)
+                }).and('lat', 'lng').with('radiusKm', ['lat', 'lng']),
+
+                viewingSlots: Joi.object({
+                    from: Joi.date().iso(),
+                    to: Joi.date().iso().when('from', {
+                        is: Joi.exist(),
+                        then: Joi.date().greater(Joi.ref('from'))
+                    })
+                }),
+
+                propertySearch: Joi.object({
+                    q: Joi.string().trim().max(200).allow(''),
+                    cursor: Joi.string().max(500),
+                    limit: Joi.number().integer().min(1).max(100).default(20),
+                    includeFacets: Joi.boolean().default(true)
                 })
             },
 
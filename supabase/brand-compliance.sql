@@ -0,0 +1,21 @@
+-- Brand voice compliance of generated social posts
+-- BrandComplianceService checks each generated post against the agent's
+-- persona and the platform's limits. Posts that still fail after
+-- regeneration are saved as 'pending_review' (skipped by publishing) until
+-- the agent approves or rejects them.
+
+-- Held posts wait in pending_review; a post the agent turns down becomes rejected
+ALTER TYPE post_status ADD VALUE IF NOT EXISTS 'pending_review';
+ALTER TYPE post_status ADD VALUE IF NOT EXISTS 'rejected';
+
+-- 0-100; NULL for posts generated before the check or with it turned off
+ALTER TABLE social_posts ADD COLUMN IF NOT EXISTS compliance_score INTEGER;
+-- { score, passed, issues: [{ type, severity, message }], toneScore, attempts,
+--   checkedAt, releaseStatus (status restored on approval),
+--   review: { decision, reviewedBy, reviewedAt } }
+ALTER TABLE social_posts ADD COLUMN IF NOT EXISTS compliance JSONB;
+
+-- Not a partial index on 'pending_review': a new enum value cannot be used
+-- in the transaction that adds it
+CREATE INDEX IF NOT EXISTS idx_social_posts_status_created
+    ON social_posts(status, created_at);
@@ -0,0 +1,39 @@
+-- AI content generation jobs
+-- POST /api/properties/:id/generate-content starts a job here and AIService
+-- generates each requested content type in turn, writing progress and
+-- results as it goes so GET /api/properties/content-jobs/:jobId shows real
+-- progress. properties.content_generation_status/_job_id still point at the
+-- latest job.
+
+CREATE TABLE IF NOT EXISTS content_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- 'running', 'completed', 'partial' (some types failed), 'failed' or 'cancelled'
+    status TEXT NOT NULL DEFAULT 'running',
+    -- Requested types, in generation order: 'description', 'images', 'social_posts'
+    content_types TEXT[] NOT NULL,
+    -- type -> { status, done, total, error, startedAt, completedAt }
+    -- step status: 'pending', 'running', 'completed', 'failed' or 'cancelled'
+    progress JSONB NOT NULL DEFAULT '{}',
+    -- type -> result, stored as each type finishes (kept if a later one fails)
+    results JSONB NOT NULL DEFAULT '{}',
+    error TEXT,
+
+    cancel_requested_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_jobs_property_created
+    ON content_jobs(property_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_jobs_running
+    ON content_jobs(created_at) WHERE status = 'running';
+
+ALTER TABLE content_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their content jobs" ON content_jobs
+    FOR SELECT TO authenticated
+    USING (agent_id = auth.uid());
@@ -0,0 +1,47 @@
+-- Listing sync
+-- ListingSyncService re-scrapes listings that are still on the market
+-- (active, under_offer) through the scrape queue and compares the result
+-- with the stored property. Price changes, status changes at the source
+-- (sold, withdrawn, ...) and new photos are recorded as change events; the
+-- agent is emailed about them and they can regenerate the listing's content.
+
+-- Listing status as shown on the source site ('active', 'under_offer', 'sold' or 'withdrawn')
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS source_status TEXT;
+-- When the property was last queued for, and last completed, a sync
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS sync_requested_at TIMESTAMPTZ;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS last_sync_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_properties_sync_due
+    ON properties(sync_requested_at NULLS FIRST)
+    WHERE listing_url IS NOT NULL AND deleted_at IS NULL AND archived_at IS NULL
+      AND listing_status IN ('active', 'under_offer');
+
+CREATE TABLE IF NOT EXISTS property_change_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scrape_job_id UUID REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+
+    -- 'price_drop', 'price_increase', 'status_change' or 'new_photos'
+    event_type TEXT NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    -- e.g. { change, changePercent } for prices, { applied } for status changes,
+    -- { imported, skipped, failed } for photos
+    details JSONB NOT NULL DEFAULT '{}',
+
+    notified_at TIMESTAMPTZ,
+    -- AI content generation job started because of this change
+    content_job_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_change_events_property_created
+    ON property_change_events(property_id, created_at DESC);
+
+ALTER TABLE property_change_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their property change events" ON property_change_events
+    FOR SELECT TO authenticated
+    USING (agent_id = auth.uid());
@@ -0,0 +1,17 @@
+-- Localized listing content
+-- Descriptions, social posts and email templates can be generated in several
+-- languages (see services/ai/languages.js: en, es, fr, zh, ar). English stays
+-- in the existing columns; other languages are stored beside it.
+
+-- language code -> description, e.g. { "es": "...", "ar": "..." }
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS description_translations JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE social_posts ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en';
+ALTER TABLE social_campaigns ADD COLUMN IF NOT EXISTS languages TEXT[] NOT NULL DEFAULT '{en}';
+
+-- One template set per language; sending falls back to English
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en';
+CREATE INDEX IF NOT EXISTS idx_email_templates_agent_type_language
+    ON email_templates(agent_id, template_type, language) WHERE is_active;
+
+ALTER TABLE content_jobs ADD COLUMN IF NOT EXISTS languages TEXT[] NOT NULL DEFAULT '{en}';
@@ -0,0 +1,118 @@
+-- Versioned AI prompts
+-- The built-in prompts in services/ai/prompts.js are version 1 of each key.
+-- Publishing a prompt adds the next version number for its key and retires
+-- the active version of the same variant in the same scope, so history is
+-- kept and a rollback is re-activating an older row.
+--   agent_id NULL      global prompt
+--   agent_id set       override for that agent's content
+-- Several active variants of a key in one scope are an A/B test, picked by
+-- weight. The label of the version used ("social_post@v4/b") is stored in
+-- social_posts.generation_prompt.
+-- Publishing and re-activating run in publish_prompt_version and
+-- activate_prompt_version, so the retire and the insert or update commit
+-- together.
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key TEXT NOT NULL, -- 'property_description', 'campaign_post', 'social_strategy', 'social_post', 'email_template', 'chat_system'
+    version INTEGER NOT NULL,
+    variant TEXT NOT NULL DEFAULT 'default',
+    weight INTEGER NOT NULL DEFAULT 1 CHECK (weight >= 0),
+    agent_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Prompt text with {{variable}} placeholders
+    template TEXT NOT NULL,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (key, version)
+);
+
+-- One active version per variant, globally and per agent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active_global
+    ON prompt_templates(key, variant) WHERE is_active AND agent_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active_agent
+    ON prompt_templates(key, agent_id, variant) WHERE is_active AND agent_id IS NOT NULL;
+
+ALTER TABLE social_posts ADD COLUMN IF NOT EXISTS generation_prompt TEXT;
+ALTER TABLE social_posts ADD COLUMN IF NOT EXISTS generation_model TEXT;
+
+ALTER TABLE prompt_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read global and their own prompts" ON prompt_templates
+    FOR SELECT TO authenticated
+    USING (agent_id IS NULL OR agent_id = auth.uid());
+
+-- Add the next version of a prompt and retire the active version of its
+-- variant in its scope. Publishes of one key are serialized so two cannot
+-- take the same version number.
+CREATE OR REPLACE FUNCTION publish_prompt_version(
+    p_key TEXT,
+    p_template TEXT,
+    p_variant TEXT DEFAULT 'default',
+    p_weight INTEGER DEFAULT 1,
+    p_agent_id UUID DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL
+)
+RETURNS prompt_templates AS $$
+DECLARE
+    next_version INTEGER;
+    published prompt_templates;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('prompt_templates:' || p_key));
+
+    -- Version 1 is the built-in prompt
+    SELECT GREATEST(1, COALESCE(MAX(version), 1)) + 1 INTO next_version
+    FROM prompt_templates
+    WHERE key = p_key;
+
+    UPDATE prompt_templates
+    SET is_active = FALSE
+    WHERE key = p_key
+      AND variant = p_variant
+      AND is_active
+      AND agent_id IS NOT DISTINCT FROM p_agent_id;
+
+    INSERT INTO prompt_templates (key, version, variant, weight, agent_id, template, notes, created_by, is_active)
+    VALUES (p_key, next_version, p_variant, p_weight, p_agent_id, p_template, p_notes, p_created_by, TRUE)
+    RETURNING * INTO published;
+
+    RETURN published;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Switch a stored version on or off; switching one on retires the active
+-- version of its variant in its scope
+CREATE OR REPLACE FUNCTION activate_prompt_version(p_id UUID, p_active BOOLEAN)
+RETURNS prompt_templates AS $$
+DECLARE
+    existing prompt_templates;
+    updated prompt_templates;
+BEGIN
+    SELECT * INTO existing FROM prompt_templates WHERE id = p_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Prompt version % not found', p_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_active THEN
+        UPDATE prompt_templates
+        SET is_active = FALSE
+        WHERE key = existing.key
+          AND variant = existing.variant
+          AND is_active
+          AND agent_id IS NOT DISTINCT FROM existing.agent_id
+          AND id <> p_id;
+    END IF;
+
+    UPDATE prompt_templates
+    SET is_active = p_active
+    WHERE id = p_id
+    RETURNING * INTO updated;
+
+    RETURN updated;
+END;
+$$ LANGUAGE plpgsql;
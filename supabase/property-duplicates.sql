@@ -0,0 +1,164 @@
+-- Duplicate listing detection
+-- PropertyService stores a normalized form of the address on every create
+-- and address update (see utils/address.js); photos get a perceptual hash on
+-- upload. Both are compared by PropertyDuplicateService together with the
+-- MLS number, listing URL and geocode. Photo hashes are compared in
+-- match_property_image_hashes, and merges run in merge_properties.
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS normalized_address TEXT;
+
+-- Scraped listings that matched an existing one are left as drafts pointing at it
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS duplicate_of_id UUID REFERENCES properties(id) ON DELETE SET NULL;
+
+-- Set on the listing that was merged away (it stays in the trash until purged)
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES properties(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_properties_agent_normalized_address
+    ON properties(agent_id, normalized_address) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_properties_agent_mls_number
+    ON properties(agent_id, mls_number) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_properties_agent_listing_url
+    ON properties(agent_id, listing_url) WHERE deleted_at IS NULL;
+
+ALTER TABLE property_images ADD COLUMN IF NOT EXISTS perceptual_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_property_images_agent_hash
+    ON property_images(agent_id) WHERE perceptual_hash IS NOT NULL;
+
+-- Existing listings get a normalized address the next time their address is
+-- saved; until then they are still matched on MLS number, URL and location.
+
+-- Listings with photos within max_distance bits of any of the given hashes
+-- (16-character hex difference hashes, see utils/imageHash.js), most
+-- matching photos first
+CREATE OR REPLACE FUNCTION match_property_image_hashes(
+    p_agent_id UUID,
+    p_hashes TEXT[],
+    p_max_distance INTEGER,
+    p_exclude_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 25
+)
+RETURNS TABLE (property_id UUID, matching_images INTEGER) AS $$
+    SELECT i.property_id, COUNT(*)::INTEGER
+    FROM property_images i
+    WHERE i.agent_id = p_agent_id
+      AND i.perceptual_hash IS NOT NULL
+      AND length(i.perceptual_hash) = 16
+      AND (p_exclude_id IS NULL OR i.property_id <> p_exclude_id)
+      AND EXISTS (
+          SELECT 1 FROM unnest(p_hashes) AS h(hash)
+          WHERE length(h.hash) = 16
+            AND bit_count(('x' || i.perceptual_hash)::BIT(64) # ('x' || h.hash)::BIT(64)) <= p_max_distance
+      )
+    GROUP BY i.property_id
+    ORDER BY COUNT(*) DESC, i.property_id
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- The database side of PropertyDuplicateService.mergeProperties, in one
+-- transaction: fill the target from p_updates (recorded as a 'merge'
+-- revision), repoint the moved photos (p_images: [{ id, display_order,
+-- is_primary, storage_path, thumbnail_path, medium_path, large_path }]; the
+-- files are already copied), move leads and viewings, and send the source to
+-- the trash marked as merged. Raises no_data_found unless both listings
+-- belong to the agent and are not deleted.
+CREATE OR REPLACE FUNCTION merge_properties(
+    p_target_id UUID,
+    p_source_id UUID,
+    p_agent_id UUID,
+    p_updates JSONB DEFAULT '{}',
+    p_images JSONB DEFAULT '[]',
+    p_purge_after TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    target properties;
+    merged properties;
+    revised JSONB;
+BEGIN
+    SELECT * INTO target
+    FROM properties
+    WHERE id = p_target_id AND agent_id = p_agent_id AND deleted_at IS NULL
+    FOR UPDATE;
+
+    IF target.id IS NULL THEN
+        RAISE EXCEPTION 'Property % not found', p_target_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    PERFORM 1
+    FROM properties
+    WHERE id = p_source_id AND agent_id = p_agent_id AND deleted_at IS NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Property % not found', p_source_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_updates <> '{}' THEN
+        -- Columns match PropertyDuplicateService.mergeableFields
+        merged := jsonb_populate_record(target, p_updates);
+
+        UPDATE properties SET
+            title = merged.title,
+            description = merged.description,
+            price = merged.price,
+            property_type = merged.property_type,
+            bedrooms = merged.bedrooms,
+            bathrooms = merged.bathrooms,
+            square_feet = merged.square_feet,
+            lot_size = merged.lot_size,
+            year_built = merged.year_built,
+            features = merged.features,
+            amenities = merged.amenities,
+            mls_number = merged.mls_number,
+            listing_url = merged.listing_url,
+            virtual_tour_url = merged.virtual_tour_url,
+            video_url = merged.video_url,
+            documents = merged.documents,
+            address = merged.address,
+            street_address = merged.street_address,
+            city = merged.city,
+            state = merged.state,
+            zip_code = merged.zip_code,
+            country = merged.country,
+            latitude = merged.latitude,
+            longitude = merged.longitude,
+            normalized_address = merged.normalized_address,
+            updated_at = NOW()
+        WHERE id = p_target_id;
+
+        revised := p_updates - 'normalized_address';
+        IF revised <> '{}' THEN
+            INSERT INTO property_revisions (property_id, agent_id, changed_by, source, changed_fields, changes)
+            SELECT p_target_id, p_agent_id, p_agent_id, 'merge',
+                   ARRAY(SELECT jsonb_object_keys(revised)),
+                   jsonb_object_agg(key, jsonb_build_object('old', to_jsonb(target)->key, 'new', value))
+            FROM jsonb_each(revised);
+        END IF;
+    END IF;
+
+    UPDATE property_images i SET
+        property_id = p_target_id,
+        display_order = (moved->>'display_order')::INTEGER,
+        is_primary = COALESCE((moved->>'is_primary')::BOOLEAN, FALSE),
+        storage_path = COALESCE(moved->>'storage_path', i.storage_path),
+        thumbnail_path = COALESCE(moved->>'thumbnail_path', i.thumbnail_path),
+        medium_path = COALESCE(moved->>'medium_path', i.medium_path),
+        large_path = COALESCE(moved->>'large_path', i.large_path)
+    FROM jsonb_array_elements(p_images) AS m(moved)
+    WHERE i.id = (moved->>'id')::UUID
+      AND i.property_id = p_source_id;
+
+    UPDATE leads SET property_id = p_target_id WHERE property_id = p_source_id;
+    UPDATE property_viewings SET property_id = p_target_id WHERE property_id = p_source_id;
+
+    UPDATE properties SET
+        deleted_at = NOW(),
+        deleted_by = p_agent_id,
+        purge_after = p_purge_after,
+        merged_into_id = p_target_id
+    WHERE id = p_source_id;
+
+    RETURN jsonb_build_object('purgeAfter', p_purge_after);
+END;
+$$ LANGUAGE plpgsql;
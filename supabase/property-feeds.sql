@@ -0,0 +1,18 @@
+-- Per-agent listing syndication feeds
+-- The feed token is the only credential for /api/feeds/:feedToken/listings.*;
+-- rotating it invalidates every previously shared feed URL.
+
+CREATE TABLE IF NOT EXISTS property_feeds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    feed_token TEXT NOT NULL UNIQUE,
+    last_accessed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE property_feeds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their property feed" ON property_feeds
+    FOR ALL TO authenticated
+    USING (agent_id = auth.uid());
@@ -0,0 +1,132 @@
+-- Property location columns and geospatial search
+-- Radius and polygon matching, distance ordering and pagination run in the
+-- geo_search_properties RPC used by PropertyService.getProperties and
+-- searchProperties; PropertyService.applyPropertyFilters only narrows plain
+-- bounding-box queries with latitude/longitude ranges
+
+-- Written by PropertyService.enrichPropertyData
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+CREATE INDEX IF NOT EXISTS idx_properties_lat_lng ON properties(latitude, longitude)
+    WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- Great-circle distance in kilometres, as utils/geo.distanceKm
+CREATE OR REPLACE FUNCTION geo_distance_km(
+    lat1 DOUBLE PRECISION,
+    lng1 DOUBLE PRECISION,
+    lat2 DOUBLE PRECISION,
+    lng2 DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT 6371 * 2 * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS(lat2 - lat1) / 2), 2) +
+        COS(RADIANS(lat1)) * COS(RADIANS(lat2)) * POWER(SIN(RADIANS(lng2 - lng1) / 2), 2)
+    )));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- [[lat, lng], ...] vertices as a polygon of (lng, lat) points
+CREATE OR REPLACE FUNCTION geo_polygon(vertices JSONB)
+RETURNS POLYGON AS $$
+    SELECT ('(' || string_agg(format('(%s,%s)', vertex->>1, vertex->>0), ',' ORDER BY position) || ')')::POLYGON
+    FROM jsonb_array_elements(vertices) WITH ORDINALITY AS v(vertex, position);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Located properties matching the filters (keys as PropertyService.applyPropertyFilters)
+-- with their distance from the origin. The latitude range on near narrows the
+-- scan on idx_properties_lat_lng before the exact distance check.
+CREATE OR REPLACE FUNCTION property_geo_matches(
+    p_agent_id UUID,
+    p_filters JSONB,
+    p_search TEXT,
+    p_origin_lat DOUBLE PRECISION,
+    p_origin_lng DOUBLE PRECISION
+)
+RETURNS TABLE (property_id UUID, distance_km DOUBLE PRECISION) AS $$
+    SELECT p.id,
+           CASE
+               WHEN p_origin_lat IS NULL THEN NULL
+               ELSE geo_distance_km(p_origin_lat, p_origin_lng, p.latitude, p.longitude)
+           END
+    FROM properties p
+    WHERE (p_agent_id IS NULL OR p.agent_id = p_agent_id)
+      AND p.latitude IS NOT NULL
+      AND p.longitude IS NOT NULL
+      AND property_matches_filters(p, p_filters)
+      AND (p_search IS NULL
+           OR p.address ILIKE '%' || p_search || '%'
+           OR p.description ILIKE '%' || p_search || '%'
+           OR p.title ILIKE '%' || p_search || '%')
+      AND (p_filters->>'createdAfter' IS NULL OR p.created_at >= (p_filters->>'createdAfter')::TIMESTAMPTZ)
+      AND (p_filters->>'createdBefore' IS NULL OR p.created_at <= (p_filters->>'createdBefore')::TIMESTAMPTZ)
+      AND (NOT COALESCE((p_filters->>'hasImages')::BOOLEAN, FALSE)
+           OR EXISTS (SELECT 1 FROM property_images i WHERE i.property_id = p.id))
+      AND (p_filters->'near' IS NULL OR (
+           p.latitude BETWEEN (p_filters#>>'{near,lat}')::DOUBLE PRECISION - DEGREES((p_filters#>>'{near,radiusKm}')::DOUBLE PRECISION / 6371)
+                          AND (p_filters#>>'{near,lat}')::DOUBLE PRECISION + DEGREES((p_filters#>>'{near,radiusKm}')::DOUBLE PRECISION / 6371)
+           AND geo_distance_km(
+               (p_filters#>>'{near,lat}')::DOUBLE PRECISION, (p_filters#>>'{near,lng}')::DOUBLE PRECISION,
+               p.latitude, p.longitude
+           ) <= (p_filters#>>'{near,radiusKm}')::DOUBLE PRECISION))
+      -- West greater than east means the box crosses the antimeridian
+      AND (p_filters->'bounds' IS NULL OR (
+           p.latitude BETWEEN (p_filters#>>'{bounds,south}')::DOUBLE PRECISION AND (p_filters#>>'{bounds,north}')::DOUBLE PRECISION
+           AND CASE
+                   WHEN (p_filters#>>'{bounds,west}')::DOUBLE PRECISION <= (p_filters#>>'{bounds,east}')::DOUBLE PRECISION
+                   THEN p.longitude BETWEEN (p_filters#>>'{bounds,west}')::DOUBLE PRECISION AND (p_filters#>>'{bounds,east}')::DOUBLE PRECISION
+                   ELSE p.longitude >= (p_filters#>>'{bounds,west}')::DOUBLE PRECISION OR p.longitude <= (p_filters#>>'{bounds,east}')::DOUBLE PRECISION
+               END))
+      AND (p_filters->'polygon' IS NULL OR POINT(p.longitude, p.latitude) <@ geo_polygon(p_filters->'polygon'));
+$$ LANGUAGE sql STABLE;
+
+-- One page of property_geo_matches as { total, matches: [{ property_id, distance_km }] }.
+-- p_sort_by is a properties column, or 'distance' for nearest first; ties
+-- break on id so pages do not overlap.
+CREATE OR REPLACE FUNCTION geo_search_properties(
+    p_agent_id UUID,
+    p_filters JSONB DEFAULT '{}',
+    p_search TEXT DEFAULT NULL,
+    p_origin_lat DOUBLE PRECISION DEFAULT NULL,
+    p_origin_lng DOUBLE PRECISION DEFAULT NULL,
+    p_sort_by TEXT DEFAULT 'created_at',
+    p_ascending BOOLEAN DEFAULT FALSE,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    sort_clause TEXT;
+    result JSONB;
+BEGIN
+    sort_clause := CASE
+        WHEN p_sort_by = 'distance' THEN 'm.distance_km ASC'
+        ELSE format('p.%I %s', p_sort_by, CASE WHEN p_ascending THEN 'ASC' ELSE 'DESC' END)
+    END || ' NULLS LAST, p.id ASC';
+
+    EXECUTE format($query$
+        WITH matches AS (
+            SELECT m.property_id, m.distance_km, ROW_NUMBER() OVER (ORDER BY %s) AS position
+            FROM property_geo_matches($1, $2, $3, $4, $5) m
+            JOIN properties p ON p.id = m.property_id
+        )
+        SELECT jsonb_build_object(
+            'total', (SELECT COUNT(*) FROM matches),
+            'matches', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'property_id', property_id,
+                    'distance_km', ROUND(distance_km::NUMERIC, 2)
+                ) ORDER BY position)
+                FROM matches
+                WHERE position > $6 AND position <= $6 + $7
+            ), '[]'::JSONB)
+        )
+    $query$, sort_clause)
+    INTO result
+    USING p_agent_id, COALESCE(p_filters, '{}'), NULLIF(TRIM(p_search), ''),
+          p_origin_lat, p_origin_lng, p_offset, p_limit;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+GRANT EXECUTE ON FUNCTION geo_search_properties(UUID, JSONB, TEXT, DOUBLE PRECISION, DOUBLE PRECISION, TEXT, BOOLEAN, INTEGER, INTEGER) TO authenticated;
@@ -0,0 +1,11 @@
+-- Scraped image ingestion
+-- ImageIngestService downloads the photos found on a scraped listing and
+-- stores them through StorageService.uploadPropertyImage. original_url is the
+-- photo's address on the listing site and content_hash the SHA-256 of the
+-- downloaded file; both are checked so the same photo is not imported twice.
+
+ALTER TABLE property_images ADD COLUMN IF NOT EXISTS original_url TEXT;
+ALTER TABLE property_images ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_property_images_property_content_hash
+    ON property_images(property_id, content_hash) WHERE content_hash IS NOT NULL;
@@ -0,0 +1,44 @@
+-- Property archive / soft delete
+-- Archived listings are kept indefinitely; deleted listings stay restorable
+-- until purge_after, when the scheduled purge removes the row, its storage
+-- objects, social posts and leads.
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS purge_after TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_properties_purge_after ON properties(purge_after)
+    WHERE deleted_at IS NOT NULL;
+
+-- Scheduled posts are paused (not cancelled) while their listing is in the trash
+ALTER TYPE post_status ADD VALUE IF NOT EXISTS 'paused';
+
+-- Search filters gain a lifecycle key: 'current' (default), 'archived', 'deleted' or 'all'
+CREATE OR REPLACE FUNCTION property_matches_filters(p properties, filters JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT
+        (CASE COALESCE(filters->>'lifecycle', 'current')
+            WHEN 'current' THEN p.deleted_at IS NULL AND p.archived_at IS NULL
+            WHEN 'archived' THEN p.deleted_at IS NULL AND p.archived_at IS NOT NULL
+            WHEN 'deleted' THEN p.deleted_at IS NOT NULL
+            ELSE TRUE
+        END) AND
+        (filters->>'priceMin' IS NULL OR p.price >= (filters->>'priceMin')::NUMERIC) AND
+        (filters->>'priceMax' IS NULL OR p.price <= (filters->>'priceMax')::NUMERIC) AND
+        (filters->>'bedroomsMin' IS NULL OR p.bedrooms >= (filters->>'bedroomsMin')::INTEGER) AND
+        (filters->>'bedroomsMax' IS NULL OR p.bedrooms <= (filters->>'bedroomsMax')::INTEGER) AND
+        (filters->>'bathroomsMin' IS NULL OR p.bathrooms >= (filters->>'bathroomsMin')::NUMERIC) AND
+        (filters->>'bathroomsMax' IS NULL OR p.bathrooms <= (filters->>'bathroomsMax')::NUMERIC) AND
+        (filters->>'squareFeetMin' IS NULL OR p.square_feet >= (filters->>'squareFeetMin')::INTEGER) AND
+        (filters->>'squareFeetMax' IS NULL OR p.square_feet <= (filters->>'squareFeetMax')::INTEGER) AND
+        (filters->'propertyTypes' IS NULL OR p.property_type::TEXT IN (
+            SELECT jsonb_array_elements_text(filters->'propertyTypes'))) AND
+        (filters->'listingStatuses' IS NULL OR p.listing_status::TEXT IN (
+            SELECT jsonb_array_elements_text(filters->'listingStatuses'))) AND
+        (filters->>'city' IS NULL OR p.city ILIKE '%' || (filters->>'city') || '%') AND
+        (filters->>'state' IS NULL OR p.state = filters->>'state') AND
+        (filters->>'zipCode' IS NULL OR p.zip_code = filters->>'zipCode') AND
+        (filters->'features' IS NULL OR p.features @> ARRAY(
+            SELECT jsonb_array_elements_text(filters->'features')));
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,45 @@
+-- Listing status state machine
+-- draft -> processing -> active -> under_offer -> sold | withdrawn
+-- (processing may also end in manual_required or error). Allowed transitions
+-- are enforced by ListingStatusService; this migration adds the new statuses,
+-- the "last changed" stamp and the transition history.
+
+ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'draft';
+ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'manual_required';
+ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'under_offer';
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS status_changed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS property_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+
+    -- actor_id is NULL for system transitions (scraper, background jobs)
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_type TEXT NOT NULL DEFAULT 'agent', -- 'agent' or 'system'
+    reason TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_status_history_property_created
+    ON property_status_history(property_id, created_at DESC);
+
+ALTER TABLE property_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their property status history" ON property_status_history
+    FOR ALL TO authenticated
+    USING (agent_id = auth.uid());
+
+-- Campaigns are paused when a listing goes under offer, sells or is withdrawn
+ALTER TABLE IF EXISTS social_campaigns ADD COLUMN IF NOT EXISTS paused_reason TEXT;
+ALTER TABLE IF EXISTS social_campaigns ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- New enum values cannot be used in the transaction that adds them, so run
+-- this once the statements above have committed:
+--
+-- UPDATE properties SET listing_status = 'under_offer' WHERE listing_status = 'pending';
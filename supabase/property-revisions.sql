@@ -0,0 +1,28 @@
+-- Property revision history
+-- One row per PropertyService.updateProperty call that changed at least one field
+
+CREATE TABLE IF NOT EXISTS property_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Who and why
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    source TEXT NOT NULL DEFAULT 'update', -- 'update', 'restore', 'scrape', 'import'
+    restored_from_revision_id UUID REFERENCES property_revisions(id) ON DELETE SET NULL,
+
+    -- What changed: { "price": { "old": 500000, "new": 475000 }, ... }
+    changed_fields TEXT[] NOT NULL,
+    changes JSONB NOT NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_revisions_property_created ON property_revisions(property_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_property_revisions_changed_fields ON property_revisions USING GIN(changed_fields);
+
+ALTER TABLE property_revisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their property revisions" ON property_revisions
+    FOR ALL TO authenticated
+    USING (agent_id = auth.uid());
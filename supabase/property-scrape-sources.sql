@@ -0,0 +1,10 @@
+-- Where each scraped listing field came from
+-- ScrapingService fills this when a listing is scraped, e.g.
+--   {"price": "json-ld", "bedrooms": "microdata", "description": "opengraph",
+--    "address": "rightmove", "square_feet": "selectors"}
+-- A site adapter name or json-ld/microdata/opengraph means the value was read
+-- from data the page publishes; "selectors" means it was guessed from the
+-- page layout and is worth checking. PropertyService drops a field's entry
+-- when the agent edits that field.
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS scraped_field_sources JSONB;
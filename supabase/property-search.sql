@@ -0,0 +1,145 @@
+-- Full-text and faceted property search
+-- Adds a weighted search vector to properties plus the search_properties and
+-- search_property_facets RPCs used by PropertyService.fullTextSearch
+
+-- Columns written by PropertyService.mapPropertyInput and filtered on by search
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS amenities TEXT[];
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS city TEXT;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS state TEXT;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS zip_code TEXT;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS listing_status listing_status DEFAULT 'active';
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+-- Title ranks highest, then description, then features and amenities
+CREATE OR REPLACE FUNCTION properties_search_vector_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(array_to_string(NEW.features, ' '), '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(array_to_string(NEW.amenities, ' '), '')), 'C');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS properties_search_vector_trigger ON properties;
+CREATE TRIGGER properties_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, description, features, amenities ON properties
+    FOR EACH ROW
+    EXECUTE FUNCTION properties_search_vector_update();
+
+-- Backfill existing rows
+UPDATE properties SET title = title;
+
+CREATE INDEX IF NOT EXISTS idx_properties_search_vector ON properties USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_properties_agent_listing_status ON properties(agent_id, listing_status);
+
+-- Filter keys mirror PropertyService.applyPropertyFilters
+CREATE OR REPLACE FUNCTION property_matches_filters(p properties, filters JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT
+        (filters->>'priceMin' IS NULL OR p.price >= (filters->>'priceMin')::NUMERIC) AND
+        (filters->>'priceMax' IS NULL OR p.price <= (filters->>'priceMax')::NUMERIC) AND
+        (filters->>'bedroomsMin' IS NULL OR p.bedrooms >= (filters->>'bedroomsMin')::INTEGER) AND
+        (filters->>'bedroomsMax' IS NULL OR p.bedrooms <= (filters->>'bedroomsMax')::INTEGER) AND
+        (filters->>'bathroomsMin' IS NULL OR p.bathrooms >= (filters->>'bathroomsMin')::NUMERIC) AND
+        (filters->>'bathroomsMax' IS NULL OR p.bathrooms <= (filters->>'bathroomsMax')::NUMERIC) AND
+        (filters->>'squareFeetMin' IS NULL OR p.square_feet >= (filters->>'squareFeetMin')::INTEGER) AND
+        (filters->>'squareFeetMax' IS NULL OR p.square_feet <= (filters->>'squareFeetMax')::INTEGER) AND
+        (filters->'propertyTypes' IS NULL OR p.property_type::TEXT IN (
+            SELECT jsonb_array_elements_text(filters->'propertyTypes'))) AND
+        (filters->'listingStatuses' IS NULL OR p.listing_status::TEXT IN (
+            SELECT jsonb_array_elements_text(filters->'listingStatuses'))) AND
+        (filters->>'city' IS NULL OR p.city ILIKE '%' || (filters->>'city') || '%') AND
+        (filters->>'state' IS NULL OR p.state = filters->>'state') AND
+        (filters->>'zipCode' IS NULL OR p.zip_code = filters->>'zipCode') AND
+        (filters->'features' IS NULL OR p.features @> ARRAY(
+            SELECT jsonb_array_elements_text(filters->'features')));
+$$ LANGUAGE sql STABLE;
+
+-- Ranked search with keyset pagination on (search_rank DESC, id ASC).
+-- An empty query matches every row with a rank of 0.
+CREATE OR REPLACE FUNCTION search_properties(
+    search_query TEXT,
+    p_agent_id UUID,
+    p_filters JSONB DEFAULT '{}',
+    p_cursor_rank REAL DEFAULT NULL,
+    p_cursor_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (property_id UUID, search_rank REAL) AS $$
+    WITH ranked AS (
+        SELECT p.id,
+               CASE
+                   WHEN COALESCE(TRIM(search_query), '') = '' THEN 0::REAL
+                   ELSE ts_rank_cd(p.search_vector, websearch_to_tsquery('english', search_query))
+               END AS rank
+        FROM properties p
+        WHERE p.agent_id = p_agent_id
+          AND (COALESCE(TRIM(search_query), '') = ''
+               OR p.search_vector @@ websearch_to_tsquery('english', search_query))
+          AND property_matches_filters(p, COALESCE(p_filters, '{}'))
+    )
+    SELECT id, rank
+    FROM ranked
+    WHERE p_cursor_id IS NULL
+       OR rank < p_cursor_rank
+       OR (rank = p_cursor_rank AND id > p_cursor_id)
+    ORDER BY rank DESC, id ASC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Facet counts over the full (unpaginated) match set
+CREATE OR REPLACE FUNCTION search_property_facets(
+    search_query TEXT,
+    p_agent_id UUID,
+    p_filters JSONB DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+    WITH matches AS (
+        SELECT p.*
+        FROM properties p
+        WHERE p.agent_id = p_agent_id
+          AND (COALESCE(TRIM(search_query), '') = ''
+               OR p.search_vector @@ websearch_to_tsquery('english', search_query))
+          AND property_matches_filters(p, COALESCE(p_filters, '{}'))
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT COUNT(*) FROM matches),
+        'propertyType', (
+            SELECT COALESCE(jsonb_object_agg(property_type, count), '{}')
+            FROM (SELECT property_type::TEXT, COUNT(*) AS count FROM matches
+                  WHERE property_type IS NOT NULL GROUP BY 1) t),
+        'bedrooms', (
+            SELECT COALESCE(jsonb_object_agg(bucket, count), '{}')
+            FROM (SELECT CASE WHEN bedrooms >= 5 THEN '5+' ELSE bedrooms::TEXT END AS bucket,
+                         COUNT(*) AS count
+                  FROM matches WHERE bedrooms IS NOT NULL GROUP BY 1) t),
+        'priceRange', (
+            SELECT COALESCE(jsonb_object_agg(bucket, count), '{}')
+            FROM (SELECT CASE
+                             WHEN price < 100000 THEN '0-100000'
+                             WHEN price < 250000 THEN '100000-250000'
+                             WHEN price < 500000 THEN '250000-500000'
+                             WHEN price < 750000 THEN '500000-750000'
+                             WHEN price < 1000000 THEN '750000-1000000'
+                             ELSE '1000000+'
+                         END AS bucket,
+                         COUNT(*) AS count
+                  FROM matches WHERE price IS NOT NULL GROUP BY 1) t),
+        'city', (
+            SELECT COALESCE(jsonb_object_agg(city, count), '{}')
+            FROM (SELECT city, COUNT(*) AS count FROM matches
+                  WHERE city IS NOT NULL GROUP BY 1) t),
+        'listingStatus', (
+            SELECT COALESCE(jsonb_object_agg(listing_status, count), '{}')
+            FROM (SELECT listing_status::TEXT, COUNT(*) AS count FROM matches
+                  WHERE listing_status IS NOT NULL GROUP BY 1) t)
+    );
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION search_properties(TEXT, UUID, JSONB, REAL, UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION search_property_facets(TEXT, UUID, JSONB) TO authenticated;
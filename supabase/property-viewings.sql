@@ -0,0 +1,149 @@
+-- Viewing and open house scheduler
+-- Agents publish availability windows (split into bookable slots) and open
+-- house events per property. Visitors book a private slot or register for an
+-- open house; each booking is a row in property_viewings.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS property_viewing_windows (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    slot_minutes INTEGER NOT NULL DEFAULT 30,
+    buffer_minutes INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (ends_at > starts_at),
+    CHECK (slot_minutes > 0 AND buffer_minutes >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_viewing_windows_property_starts
+    ON property_viewing_windows(property_id, starts_at);
+
+CREATE TABLE IF NOT EXISTS property_open_houses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT,
+    notes TEXT,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    capacity INTEGER, -- NULL means unlimited
+    status TEXT NOT NULL DEFAULT 'scheduled', -- 'scheduled' or 'cancelled'
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_open_houses_property_starts
+    ON property_open_houses(property_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_property_open_houses_agent_starts
+    ON property_open_houses(agent_id, starts_at) WHERE status = 'scheduled';
+
+CREATE TABLE IF NOT EXISTS property_viewings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Set for open house registrations, NULL for private viewings
+    open_house_id UUID REFERENCES property_open_houses(id) ON DELETE CASCADE,
+    window_id UUID REFERENCES property_viewing_windows(id) ON DELETE SET NULL,
+    lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+    chat_session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+
+    visitor_name TEXT NOT NULL,
+    visitor_email TEXT NOT NULL,
+    visitor_phone TEXT,
+    notes TEXT,
+
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'confirmed', -- 'confirmed' or 'cancelled'
+    source TEXT NOT NULL DEFAULT 'api', -- 'api' or 'chat'
+
+    confirmation_sent_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    cancel_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (ends_at > starts_at),
+
+    -- An agent can only be at one private viewing at a time, across all of
+    -- their properties. Concurrent bookings of the same slot fail here.
+    CONSTRAINT property_viewings_no_double_booking EXCLUDE USING gist (
+        agent_id WITH =,
+        tstzrange(starts_at, ends_at) WITH &&
+    ) WHERE (status = 'confirmed' AND open_house_id IS NULL)
+);
+
+-- One registration per visitor per open house
+CREATE UNIQUE INDEX IF NOT EXISTS idx_property_viewings_open_house_visitor
+    ON property_viewings(open_house_id, lower(visitor_email))
+    WHERE status = 'confirmed' AND open_house_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_property_viewings_property_starts
+    ON property_viewings(property_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_property_viewings_agent_starts
+    ON property_viewings(agent_id, starts_at) WHERE status = 'confirmed';
+
+ALTER TABLE property_viewing_windows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE property_open_houses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE property_viewings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their viewing windows" ON property_viewing_windows
+    FOR ALL TO authenticated
+    USING (agent_id = auth.uid());
+
+CREATE POLICY "Users can access their open houses" ON property_open_houses
+    FOR ALL TO authenticated
+    USING (agent_id = auth.uid());
+
+CREATE POLICY "Users can access their property viewings" ON property_viewings
+    FOR ALL TO authenticated
+    USING (agent_id = auth.uid());
+
+-- Open house capacity. Registering locks the open house row, so concurrent
+-- registrations are counted one at a time and the last seat goes to one of
+-- them; the others fail with check_violation.
+CREATE OR REPLACE FUNCTION property_viewings_enforce_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+    open_house_capacity INTEGER;
+    registered INTEGER;
+BEGIN
+    IF NEW.open_house_id IS NULL OR NEW.status <> 'confirmed' THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT capacity INTO open_house_capacity
+    FROM property_open_houses
+    WHERE id = NEW.open_house_id
+    FOR UPDATE;
+
+    IF open_house_capacity IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT COUNT(*) INTO registered
+    FROM property_viewings
+    WHERE open_house_id = NEW.open_house_id
+      AND status = 'confirmed'
+      AND id <> NEW.id;
+
+    IF registered >= open_house_capacity THEN
+        RAISE EXCEPTION 'Open house % is fully booked', NEW.open_house_id
+            USING ERRCODE = 'check_violation', CONSTRAINT = 'property_open_houses_capacity';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS property_viewings_capacity_trigger ON property_viewings;
+CREATE TRIGGER property_viewings_capacity_trigger
+    BEFORE INSERT OR UPDATE OF status, open_house_id ON property_viewings
+    FOR EACH ROW
+    EXECUTE FUNCTION property_viewings_enforce_capacity();
@@ -0,0 +1,7 @@
+-- Listings read from an uploaded document
+-- POST /api/properties/scrape also accepts pasted HTML or an uploaded PDF
+-- brochure / saved page. These are recorded as scrape jobs that run at once
+-- (options.mode = 'document') and may have no listing URL. Their revisions
+-- use source 'document'.
+
+ALTER TABLE scrape_jobs ALTER COLUMN url DROP NOT NULL;
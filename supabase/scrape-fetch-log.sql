@@ -0,0 +1,35 @@
+-- Scraper crawl policy audit log
+-- CrawlPolicyService writes one row per URL the scraper fetched or refused
+-- to fetch (listing pages, photos and robots.txt files), so we can show a
+-- portal exactly what was requested, when, with which user agent, and that
+-- its robots.txt and our domain allow/deny lists were honoured.
+
+CREATE TABLE IF NOT EXISTS scrape_fetch_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url TEXT NOT NULL,
+    host TEXT,
+    -- 'page', 'image' or 'robots'
+    purpose TEXT NOT NULL,
+    -- 'fetched', 'blocked' or 'error'
+    outcome TEXT NOT NULL,
+    -- Why a fetch was blocked ('robots_disallowed', 'robots_unreachable',
+    -- 'denied_domain', 'not_in_allow_list', 'invalid_url') or the error message
+    reason TEXT,
+    status_code INTEGER,
+    duration_ms INTEGER,
+    user_agent TEXT,
+    -- Scraping tier for page fetches: 'puppeteer' or 'brightdata'
+    tier TEXT,
+    job_id UUID,
+    agent_id UUID,
+    property_id UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_fetch_log_host_created
+    ON scrape_fetch_log(host, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scrape_fetch_log_job
+    ON scrape_fetch_log(job_id) WHERE job_id IS NOT NULL;
+
+-- Written and read with the service role only
+ALTER TABLE scrape_fetch_log ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,71 @@
+-- Scraping job queue
+-- POST /api/properties/scrape queues a job here; ScrapeQueueService workers
+-- claim due jobs with claim_scrape_job and run them through the scraping
+-- tiers (Puppeteer, BrightData, manual form email). Jobs survive restarts:
+-- a job left running by a stopped worker is claimed again once its lock is
+-- stale.
+
+CREATE TABLE IF NOT EXISTS scrape_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    property_id UUID REFERENCES properties(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    domain TEXT NOT NULL,
+
+    -- 'queued', 'running', 'completed', 'manual_required', 'manual_submitted' or 'failed'
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    -- Furthest tier reached by the latest attempt: 'puppeteer', 'brightdata' or 'manual_email'
+    tier TEXT,
+    -- One entry per attempt: { attempt, startedAt, finishedAt, tier, tiers: [{ tier, result, error }], outcome, error }
+    attempt_log JSONB NOT NULL DEFAULT '[]',
+    last_error TEXT,
+    options JSONB NOT NULL DEFAULT '{}',
+
+    locked_by TEXT,
+    locked_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_due
+    ON scrape_jobs(run_after) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_agent_created
+    ON scrape_jobs(agent_id, created_at DESC);
+
+-- Claim the oldest due job, skipping domains the worker is rate limiting.
+-- SKIP LOCKED lets several server instances claim concurrently.
+CREATE OR REPLACE FUNCTION claim_scrape_job(
+    worker_id TEXT,
+    excluded_domains TEXT[] DEFAULT '{}',
+    stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF scrape_jobs AS $$
+    UPDATE scrape_jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_by = worker_id,
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE id = (
+        SELECT id FROM scrape_jobs
+        WHERE run_after <= NOW()
+          AND NOT (domain = ANY(excluded_domains))
+          AND (status = 'queued' OR
+               (status = 'running' AND locked_at < NOW() - make_interval(secs => stale_after_seconds)))
+        ORDER BY run_after
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+$$ LANGUAGE sql;
+
+ALTER TABLE scrape_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their scrape jobs" ON scrape_jobs
+    FOR SELECT TO authenticated
+    USING (agent_id = auth.uid());
@@ -0,0 +1,9 @@
+-- Manual completion of failed scrapes
+-- When every scraping tier fails, the agent is emailed a signed link to a
+-- form pre-filled with whatever the scraper did find. That partial data is
+-- kept on the job; submitting the form completes the job and the listing
+-- continues through the normal ingestion steps (duplicate check, photos,
+-- workflows).
+
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS partial_data JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS manual_link_sent_at TIMESTAMPTZ;
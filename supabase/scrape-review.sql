@@ -0,0 +1,43 @@
+-- Scraped field confidence and review
+-- Every scraped field is scored 0-1 from its source and the checks in
+-- services/scraping/fieldConfidence.js, e.g.
+--   {"price": {"score": 0.3, "source": "selectors", "issues": ["json-ld gives 455000"]}}
+-- Fields below SCRAPE_REVIEW_MIN_CONFIDENCE, contradicted by another source
+-- or failing validation are not saved on the property: they wait in
+-- scrape_reviews and the listing stays in review_required until the agent
+-- confirms or corrects them.
+
+ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'review_required';
+
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS scraped_field_confidence JSONB;
+
+CREATE TABLE IF NOT EXISTS scrape_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scrape_job_id UUID REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+
+    -- field -> { value, score, source, issues } as scraped
+    fields JSONB NOT NULL,
+    -- 'pending', 'confirmed' or 'superseded' (the listing was scraped again)
+    status TEXT NOT NULL DEFAULT 'pending',
+    -- Values saved when the agent confirmed
+    confirmed_values JSONB,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One pending review per listing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scrape_reviews_pending_property
+    ON scrape_reviews(property_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_scrape_reviews_agent_pending
+    ON scrape_reviews(agent_id, created_at) WHERE status = 'pending';
+
+ALTER TABLE scrape_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their scrape reviews" ON scrape_reviews
+    FOR ALL TO authenticated
+    USING (agent_id = auth.uid());
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const llmClient = require('../services/ai/llmClient');
+const brandComplianceService = require('../services/brand/brandComplianceService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    ai: {
+        compliance: { enabled: true, minScore: 70, maxRegenerations: 2, toneCheck: true, minToneScore: 0.6 }
+    }
+}));
+// Each query resolves with the next queued result; every call is recorded
+const mockQueries = [];
+const mockResults = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(table => {
+            const query = { table, calls: [] };
+            mockQueries.push(query);
+            const builder = {};
+            ['select', 'update', 'eq', 'single'].forEach(method => {
+                builder[method] = jest.fn((...args) => {
+                    query.calls.push([method, ...args]);
+                    return builder;
+                });
+            });
+            builder.then = (resolve, reject) => Promise.resolve(mockResults.shift() || { data: null, error: null })
+                .then(resolve, reject);
+            return builder;
+        })
+    }))
+}));
+
+// Values of the post_status enum once every migration has run
+const postStatuses = () => {
+    const dir = path.join(__dirname, '../supabase');
+    const schema = fs.readFileSync(path.join(dir, 'complete-schema.sql'), 'utf8');
+    const values = schema.match(/CREATE TYPE post_status AS ENUM \(([^)]*)\)/)[1].match(/'[^']+'/g);
+    fs.readdirSync(dir).filter(file => file.endsWith('.sql')).forEach(file => {
+        const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+        values.push(...[...sql.matchAll(/ALTER TYPE post_status ADD VALUE IF NOT EXISTS ('[^']+')/g)].map(match => match[1]));
+    });
+    return values.map(value => value.slice(1, -1));
+};
+jest.mock('../services/ai/llmClient', () => ({ complete: jest.fn() }));
+jest.mock('../services/ai/promptRegistry', () => ({
+    render: jest.fn(async (key, variables) => ({ text: `${key}: ${variables.text}`, label: `${key}@v1` }))
+}));
+
+describe('Brand Compliance Tests', () => {
+    const brandAssets = {
+        persona: {
+            tone: 'Professional & Authoritative',
+            style: 'Concise & Factual',
+            key_phrases: ['Discover your dream home'],
+            phrases_to_avoid: ['cheap', 'deal', 'bargain']
+        }
+    };
+    const tiktok = { maxTextLength: 150, hashtagLimit: 3 };
+    const toneReply = (score, reason = '') => ({ text: JSON.stringify({ score, reason }), model: 'stub-1' });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockQueries.length = 0;
+        mockResults.length = 0;
+    });
+
+    test('should flag banned phrases, platform limits and missing key phrases without judging tone', async () => {
+        const result = await brandComplianceService.check({
+            text: `An ideal starter home at a bargain price. ${'Sunny rooms. '.repeat(10)}#Elm #Home`,
+            hashtags: ['#home', 'realestate', 'justlisted']
+        }, { brandAssets, platformConfig: tiktok });
+
+        expect(result.issues.map(issue => issue.type)).toEqual([
+            'banned_phrase', 'missing_key_phrase', 'text_too_long', 'too_many_hashtags'
+        ]);
+        // "ideal" does not match "deal"
+        expect(result.issues[0].phrase).toBe('bargain');
+        expect(result.issues[3]).toMatchObject({ count: 4, limit: 3 });
+        expect(result).toMatchObject({ score: 20, passed: false, toneScore: null });
+        expect(llmClient.complete).not.toHaveBeenCalled();
+    });
+
+    test('should score tone and treat an unreadable tone reply as no opinion', async () => {
+        const draft = { text: 'Discover your dream home: four bedrooms on a quiet street.', hashtags: ['#elm'] };
+
+        llmClient.complete.mockResolvedValueOnce(toneReply(0.9));
+        await expect(brandComplianceService.check(draft, { brandAssets, platformConfig: tiktok }))
+            .resolves.toMatchObject({ score: 96, passed: true, issues: [], toneScore: 0.9 });
+        expect(llmClient.complete).toHaveBeenCalledWith(expect.objectContaining({ task: 'brand_compliance', json: true }));
+
+        llmClient.complete.mockResolvedValueOnce({ text: '{"stub":true}', model: 'stub-1' });
+        await expect(brandComplianceService.check(draft, { brandAssets }))
+            .resolves.toMatchObject({ score: 100, passed: true, toneScore: null });
+    });
+
+    test('should regenerate with feedback and hold the best draft when none passes', async () => {
+        const drafts = [
+            { text: 'Cheap deal, OMG!!! Grab it now', hashtags: [] },
+            { text: 'Discover your dream home, lol, totally insane', hashtags: [] },
+            { text: 'Discover your dream home. Cheap, a real bargain!', hashtags: [] }
+        ];
+        const generate = jest.fn(async () => drafts.shift());
+        llmClient.complete.mockResolvedValueOnce(toneReply(0.3, 'Too casual for a professional brand'));
+
+        const { draft, compliance } = await brandComplianceService.enforce(generate, { brandAssets, agentId: 'agent-1' });
+
+        expect(generate).toHaveBeenCalledTimes(3);
+        expect(generate.mock.calls[0][0]).toBe('');
+        expect(generate.mock.calls[1][0]).toContain('- Uses "cheap", which the brand avoids');
+        expect(generate.mock.calls[2][0]).toContain('- Too casual for a professional brand');
+        expect(draft.text).toBe('Discover your dream home, lol, totally insane');
+        expect(compliance).toMatchObject({ score: 72, passed: false, attempts: 3, toneScore: 0.3 });
+
+        expect(brandComplianceService.reviewFields(compliance, 'scheduled')).toMatchObject({
+            status: 'pending_review',
+            compliance_score: 72,
+            compliance: { releaseStatus: 'scheduled' }
+        });
+    });
+
+    test('should only write statuses the post_status enum has', async () => {
+        const statuses = postStatuses();
+        const held = brandComplianceService.reviewFields({ score: 40, passed: false, issues: [] }, 'scheduled');
+
+        mockResults.push(
+            { data: { id: 'post-1', status: held.status, compliance: held.compliance }, error: null },
+            { data: { id: 'post-1' }, error: null },
+            { data: { id: 'post-2', status: held.status, compliance: { releaseStatus: 'draft' } }, error: null },
+            { data: { id: 'post-2' }, error: null }
+        );
+        await brandComplianceService.decide('post-1', 'agent-1', 'approve');
+        await brandComplianceService.decide('post-2', 'agent-1', 'reject');
+
+        const written = mockQueries
+            .map(query => query.calls.find(([method]) => method === 'update'))
+            .filter(Boolean)
+            .map(([, update]) => update.status);
+
+        expect(written).toEqual(['scheduled', 'rejected']);
+        expect(mockQueries[0].calls).toContainEqual(['eq', 'status', 'pending_review']);
+        [held.status, brandComplianceService.rejectedStatus, ...written].forEach(status => {
+            expect(statuses).toContain(status);
+        });
+    });
+});
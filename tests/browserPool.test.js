@@ -0,0 +1,140 @@
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const performanceMonitor = require('../middlewares/performanceMonitor');
+const browserPoolService = require('../services/browser/browserPoolService');
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger');
+jest.mock('../middlewares/performanceMonitor', () => ({ updateBrowserPoolStats: jest.fn() }));
+jest.mock('../config/config', () => ({
+    browserPool: {
+        headless: true,
+        maxConcurrency: 2,
+        maxBrowserUses: 100,
+        acquireTimeoutMs: 1000,
+        taskTimeoutMs: 1000,
+        idleTimeoutMs: 0
+    }
+}));
+
+const mockBrowsers = [];
+
+const createPage = () => {
+    const page = new EventEmitter();
+    let closed = false;
+    page.isClosed = () => closed;
+    page.close = jest.fn(async () => {
+        closed = true;
+    });
+    return page;
+};
+
+// Closing a context closes its pages, as in Chromium
+const createContext = () => {
+    const context = { pages: [] };
+    context.newPage = jest.fn(async () => {
+        const page = createPage();
+        context.pages.push(page);
+        return page;
+    });
+    context.close = jest.fn(async () => {
+        await Promise.all(context.pages.map(page => page.close()));
+    });
+    return context;
+};
+
+const createBrowser = () => {
+    const browser = new EventEmitter();
+    browser.contexts = [];
+    browser.createIncognitoBrowserContext = jest.fn(async () => {
+        const context = createContext();
+        browser.contexts.push(context);
+        return context;
+    });
+    browser.close = jest.fn(async () => browser.emit('disconnected'));
+    browser.crash = () => browser.emit('disconnected');
+    mockBrowsers.push(browser);
+    return browser;
+};
+
+describe('Browser Pool Tests', () => {
+    beforeEach(async () => {
+        await browserPoolService.shutdown();
+        jest.clearAllMocks();
+        mockBrowsers.length = 0;
+        puppeteer.launch.mockImplementation(async () => createBrowser());
+        Object.keys(browserPoolService.stats).forEach(key => {
+            browserPoolService.stats[key] = 0;
+        });
+    });
+
+    test('should share one browser and queue tasks beyond max concurrency', async () => {
+        let running = 0;
+        let peak = 0;
+        const task = async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            running--;
+            return 'done';
+        };
+
+        const results = await Promise.all([1, 2, 3, 4, 5].map(() => browserPoolService.withPage(task)));
+
+        expect(results).toEqual(['done', 'done', 'done', 'done', 'done']);
+        expect(peak).toBe(2);
+        expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+        expect(performanceMonitor.updateBrowserPoolStats).toHaveBeenCalledWith(expect.objectContaining({ queued: 3 }));
+        expect(browserPoolService.getStats()).toMatchObject({
+            browsers: 1,
+            activePages: 0,
+            queued: 0,
+            launches: 1,
+            tasksCompleted: 5
+        });
+    });
+
+    test('should give every task a page in its own browser context and close it afterwards', async () => {
+        const pagesUsed = [];
+        for (let run = 0; run < 2; run++) {
+            await browserPoolService.withPage(async page => pagesUsed.push(page));
+        }
+
+        const [first, second] = mockBrowsers[0].contexts;
+        expect(mockBrowsers[0].contexts).toHaveLength(2);
+        expect(pagesUsed).toEqual([first.pages[0], second.pages[0]]);
+        expect(first.close).toHaveBeenCalled();
+        expect(second.close).toHaveBeenCalled();
+        expect(pagesUsed[0].isClosed()).toBe(true);
+
+        // A failed task's context is closed too
+        await expect(browserPoolService.withPage(async () => {
+            throw new Error('Navigation timeout');
+        })).rejects.toThrow('Navigation timeout');
+        expect(mockBrowsers[0].contexts[2].close).toHaveBeenCalled();
+        expect(browserPoolService.stats.tasksFailed).toBe(1);
+        expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should relaunch after a crash and retry the task that was running', async () => {
+        let calls = 0;
+        const result = await browserPoolService.withPage(async () => {
+            calls++;
+            if (calls === 1) {
+                mockBrowsers[0].crash();
+                throw new Error('Target closed');
+            }
+            return 'rendered';
+        });
+
+        expect(result).toBe('rendered');
+        expect(calls).toBe(2);
+        expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+        expect(browserPoolService.getStats()).toMatchObject({ browsers: 1, crashes: 1, launches: 2, tasksCompleted: 1 });
+
+        // Closing the pool is not counted as a crash
+        await browserPoolService.shutdown();
+        expect(mockBrowsers[1].close).toHaveBeenCalled();
+        expect(browserPoolService.getStats()).toMatchObject({ browsers: 0, crashes: 1 });
+    });
+});
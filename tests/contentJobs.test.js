@@ -0,0 +1,162 @@
+const propertyService = require('../services/property/propertyService');
+const contentJobService = require('../services/ai/contentJobService');
+const aiService = require('../services/ai/aiService');
+
+jest.mock('../utils/logger');
+jest.mock('axios', () => ({ post: jest.fn(), get: jest.fn() }), { virtual: true });
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    ai: { replicate: { apiKey: 'test' }, contentJobs: { staleAfterSeconds: 900 } }
+}));
+
+// Each query resolves with the next queued result, or echoes what it wrote
+const mockQueries = [];
+const mockResults = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(table => {
+            const query = { table, calls: [] };
+            mockQueries.push(query);
+            const builder = {};
+            ['select', 'insert', 'update', 'eq', 'lt', 'order', 'limit', 'single'].forEach(method => {
+                builder[method] = jest.fn((...args) => {
+                    query.calls.push([method, ...args]);
+                    return builder;
+                });
+            });
+            builder.then = (resolve, reject) => {
+                const written = query.calls.find(([method]) => method === 'update' || method === 'insert');
+                const result = mockResults.shift() || { data: written ? written[1] : null, error: null };
+                return Promise.resolve(result).then(resolve, reject);
+            };
+            return builder;
+        })
+    }))
+}));
+
+jest.mock('../services/property/propertyService', () => ({
+    getPriceHistory: jest.fn(async () => []),
+    updateProperty: jest.fn(),
+    updateContentGenerationStatus: jest.fn()
+}));
+jest.mock('../services/brand/brandService', () => ({
+    resolveBrandAssets: jest.fn(async () => ({ persona_tone: 'warm' }))
+}));
+jest.mock('../services/ai/llmClient', () => ({ complete: jest.fn() }));
+jest.mock('../services/ai/promptRegistry', () => ({ render: jest.fn() }));
+
+describe('Content Job Tests', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        mockQueries.length = 0;
+        mockResults.length = 0;
+    });
+
+    test('should keep finished types when one fails and stop the campaign when cancelled', async () => {
+        const property = { id: 'property-1', agent_id: 'agent-1', address: '12 Elm Road', property_images: [] };
+        const contentTypes = ['description', 'images', 'social_posts'];
+
+        await contentJobService.create({ id: 'job-1', propertyId: property.id, agentId: property.agent_id, contentTypes });
+
+        jest.spyOn(aiService, 'generatePropertyDescription').mockRejectedValue(new Error('anthropic request failed: overloaded'));
+        const generateSocialPost = jest.spyOn(aiService, 'generateSocialPost')
+            .mockImplementation(async () => ({ content: 'Open house Saturday', hashtags: [], generation_prompt: 'campaign_post@v1' }));
+        const saveSocialCampaign = jest.spyOn(aiService, 'saveSocialCampaign').mockResolvedValue();
+        // The agent cancels once two campaign days are done
+        jest.spyOn(contentJobService, 'isCancelRequested')
+            .mockImplementation(async () => generateSocialPost.mock.calls.length >= 6);
+
+        await aiService.processContentGeneration(property, contentTypes, {}, 'job-1');
+
+        const finished = mockQueries[mockQueries.length - 1].calls.find(([method]) => method === 'update')[1];
+        expect(finished.status).toBe('cancelled');
+        expect(finished.progress.description).toMatchObject({ status: 'failed', error: 'anthropic request failed: overloaded' });
+        expect(finished.progress.images).toMatchObject({ status: 'completed', done: 1, total: 1 });
+        expect(finished.progress.social_posts).toMatchObject({ status: 'cancelled', done: 2, total: 70 });
+        expect(finished.results).toEqual({
+            images: { count: 0, images: [] },
+            social_posts: { days: 2, totalPosts: 6 }
+        });
+
+        // The two finished days are saved; the failed description is not
+        expect(saveSocialCampaign.mock.calls[0][1].posts).toHaveLength(6);
+        expect(propertyService.updateProperty).not.toHaveBeenCalled();
+        expect(propertyService.updateContentGenerationStatus).toHaveBeenCalledWith('property-1', 'cancelled');
+    });
+
+    test('should report overall progress and refuse to cancel a finished job', async () => {
+        const job = {
+            id: 'job-2',
+            property_id: 'property-1',
+            status: 'running',
+            content_types: ['description', 'social_posts'],
+            progress: {
+                description: { status: 'completed', done: 1, total: 1 },
+                social_posts: { status: 'running', done: 35, total: 70 }
+            },
+            results: { description: { text: 'A bright family home.' } }
+        };
+
+        expect(contentJobService.formatJob(job)).toMatchObject({
+            jobId: 'job-2',
+            status: 'running',
+            percent: 75,
+            results: { description: { text: 'A bright family home.' } },
+            cancelRequested: false
+        });
+
+        mockResults.push({ data: { ...job, status: 'partial' }, error: null });
+        await expect(contentJobService.requestCancel('job-2', 'agent-1'))
+            .rejects.toMatchObject({ code: 'CONTENT_JOB_NOT_RUNNING', httpStatus: 409 });
+    });
+
+    test('should reject content types it cannot generate before starting a job', async () => {
+        await expect(aiService.generatePropertyContent({ id: 'property-1', agent_id: 'agent-1' }, ['description', 'pdf']))
+            .rejects.toMatchObject({ code: 'VALIDATION_FAILED', details: { unsupported: ['pdf'] } });
+        expect(mockQueries).toHaveLength(0);
+    });
+
+    test('should fail a job left running by a stopped process and keep its results', async () => {
+        const orphan = {
+            id: 'job-3',
+            property_id: 'property-1',
+            agent_id: 'agent-1',
+            status: 'running',
+            content_types: ['description', 'images', 'social_posts'],
+            progress: {
+                description: { status: 'completed', done: 1, total: 1 },
+                images: { status: 'running', done: 2, total: 5 },
+                social_posts: { status: 'pending', done: 0, total: null }
+            },
+            results: { description: { text: 'A bright family home.' } },
+            updated_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+        };
+
+        mockResults.push({ data: orphan, error: null });
+        mockResults.push({ data: [{ ...orphan, status: 'failed' }], error: null });
+        const job = await contentJobService.getJob('job-3', 'agent-1');
+
+        const [, closing, property] = mockQueries;
+        const written = closing.calls.find(([method]) => method === 'update')[1];
+        expect(job.status).toBe('failed');
+        expect(written).toMatchObject({
+            status: 'failed',
+            progress: {
+                description: { status: 'completed' },
+                images: { status: 'failed', done: 2, error: expect.stringContaining('restarted') },
+                social_posts: { status: 'cancelled' }
+            }
+        });
+        expect(written).not.toHaveProperty('results');
+        expect(closing.calls).toContainEqual(['eq', 'status', 'running']);
+        expect(property.table).toBe('properties');
+        expect(property.calls).toContainEqual(['eq', 'content_generation_job_id', 'job-3']);
+
+        // Still writing progress, so still running
+        mockQueries.length = 0;
+        mockResults.push({ data: { ...orphan, updated_at: new Date().toISOString() }, error: null });
+        await expect(contentJobService.getJob('job-3', 'agent-1')).resolves.toMatchObject({ status: 'running' });
+        expect(mockQueries).toHaveLength(1);
+    });
+});
@@ -0,0 +1,172 @@
+const axios = require('axios');
+const robotsTxt = require('../services/scraping/robotsTxt');
+const crawlPolicyService = require('../services/scraping/crawlPolicyService');
+
+jest.mock('axios', () => ({ get: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    scraping: {
+        puppeteer: { userAgent: 'Mozilla/5.0 (compatible; NesterBot/1.0)' },
+        politeness: {
+            respectRobots: true,
+            robotsUserAgent: 'NesterBot',
+            robotsCacheMinutes: 60,
+            robotsTimeout: 1000,
+            hostIntervalMs: 0,
+            allowedDomains: [],
+            deniedDomains: ['blocked-portal.example'],
+            auditLog: true
+        }
+    }
+}));
+
+const mockFetchLog = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(() => ({
+            insert: jest.fn(row => {
+                mockFetchLog.push(row);
+                return Promise.resolve({ error: null });
+            })
+        }))
+    }))
+}));
+
+const ROBOTS = `
+# Portal crawl rules
+User-agent: *
+Disallow: /search
+Allow: /search/featured$
+
+User-agent: Googlebot
+User-agent: NesterBot
+Disallow: /private/
+Disallow: /*.pdf$
+Allow: /private/listings/
+Crawl-delay: 2
+`;
+
+describe('Crawl Policy Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockFetchLog.length = 0;
+        crawlPolicyService.robotsCache.clear();
+        crawlPolicyService.nextRequestAt.clear();
+    });
+
+    test('should match robots.txt rules for our token with longest match winning', () => {
+        const group = robotsTxt.selectGroup(robotsTxt.parse(ROBOTS), 'NesterBot');
+
+        expect(group.crawlDelay).toBe(2);
+        expect(robotsTxt.isAllowed(group, '/for-sale/123')).toBe(true);
+        expect(robotsTxt.isAllowed(group, '/private/notes')).toBe(false);
+        expect(robotsTxt.isAllowed(group, '/private/listings/42')).toBe(true);
+        expect(robotsTxt.isAllowed(group, '/brochure.pdf')).toBe(false);
+        expect(robotsTxt.isAllowed(group, '/brochure.pdf?download=1')).toBe(true);
+        // Our named group replaces the * group entirely
+        expect(robotsTxt.isAllowed(group, '/search?q=flat')).toBe(true);
+
+        const other = robotsTxt.selectGroup(robotsTxt.parse(ROBOTS), 'OtherBot');
+        expect(robotsTxt.isAllowed(other, '/search?q=flat')).toBe(false);
+        expect(robotsTxt.isAllowed(other, '/search/featured')).toBe(true);
+        expect(robotsTxt.selectGroup(robotsTxt.parse(''), 'NesterBot')).toBeNull();
+    });
+
+    test('should cache robots.txt per origin and block disallowed pages with an audit entry', async () => {
+        axios.get.mockResolvedValue({ status: 200, data: ROBOTS });
+        const fetcher = jest.fn();
+
+        await expect(crawlPolicyService.checkUrl('https://www.portal.example/for-sale/1')).resolves.toMatchObject({
+            allowed: true,
+            host: 'www.portal.example',
+            crawlDelayMs: 2000
+        });
+        await expect(crawlPolicyService.request('https://www.portal.example/private/1', fetcher, {
+            jobId: 'job-1',
+            tier: 'puppeteer'
+        })).rejects.toMatchObject({ code: 'SCRAPE_NOT_ALLOWED', httpStatus: 403, details: { reason: 'robots_disallowed' } });
+
+        expect(fetcher).not.toHaveBeenCalled();
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(axios.get).toHaveBeenCalledWith('https://www.portal.example/robots.txt', expect.objectContaining({
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; NesterBot/1.0)' }
+        }));
+        expect(mockFetchLog).toEqual([
+            expect.objectContaining({ url: 'https://www.portal.example/robots.txt', purpose: 'robots', outcome: 'fetched', status_code: 200 }),
+            expect.objectContaining({
+                url: 'https://www.portal.example/private/1',
+                host: 'www.portal.example',
+                purpose: 'page',
+                outcome: 'blocked',
+                reason: 'robots_disallowed',
+                tier: 'puppeteer',
+                job_id: 'job-1'
+            })
+        ]);
+    });
+
+    test('should apply domain lists, treat a missing robots.txt as allow-all and an unreachable one as disallow', async () => {
+        await expect(crawlPolicyService.checkUrl('https://m.blocked-portal.example/listing/1'))
+            .resolves.toMatchObject({ allowed: false, reason: 'denied_domain' });
+        await expect(crawlPolicyService.checkUrl('ftp://portal.example/listing/1'))
+            .resolves.toMatchObject({ allowed: false, reason: 'invalid_url' });
+
+        axios.get.mockResolvedValueOnce({ status: 404, data: 'Not found' });
+        await expect(crawlPolicyService.checkUrl('https://no-robots.example/listing/1'))
+            .resolves.toMatchObject({ allowed: true });
+
+        axios.get.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+        await expect(crawlPolicyService.checkUrl('https://down.example/listing/1'))
+            .resolves.toMatchObject({ allowed: false, reason: 'robots_unreachable' });
+        expect(axios.get).not.toHaveBeenCalledWith('https://blocked-portal.example/robots.txt', expect.anything());
+    });
+
+    test('should space requests to the same host and log each fetch', async () => {
+        axios.get.mockResolvedValue({ status: 404, data: '' });
+        crawlPolicyService.settings.hostIntervalMs = 50;
+
+        const started = Date.now();
+        await Promise.all([
+            crawlPolicyService.request('https://cdn.portal.example/1.jpg', async () => ({ status: 200 }), { purpose: 'image' }),
+            crawlPolicyService.request('https://cdn.portal.example/2.jpg', async () => ({ status: 200 }), { purpose: 'image' })
+        ]);
+        crawlPolicyService.settings.hostIntervalMs = 0;
+
+        expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+        expect(mockFetchLog.filter(entry => entry.purpose === 'image')).toEqual([
+            expect.objectContaining({ url: 'https://cdn.portal.example/1.jpg', outcome: 'fetched', status_code: 200 }),
+            expect.objectContaining({ url: 'https://cdn.portal.example/2.jpg', outcome: 'fetched', status_code: 200 })
+        ]);
+    });
+
+    test('should drop expired and least recently used hosts once too many are tracked', async () => {
+        axios.get.mockResolvedValue({ status: 404, data: '' });
+        const later = Date.now() + 60000;
+
+        for (let host = 0; host < 1000; host++) {
+            crawlPolicyService.robotsCache.set(`https://site-${host}.example`, {
+                promise: Promise.resolve({ group: null }),
+                expiresAt: host % 2 === 0 ? Date.now() - 1 : later
+            });
+            crawlPolicyService.nextRequestAt.set(`site-${host}.example`, host < 999 ? later : Date.now() - 1);
+        }
+
+        // Reading an origin makes it the most recently used
+        await crawlPolicyService.getRobots('https://site-1.example');
+        await crawlPolicyService.getRobots('https://new-site.example');
+
+        expect(crawlPolicyService.robotsCache.size).toBe(501);
+        expect(crawlPolicyService.robotsCache.has('https://site-0.example')).toBe(false);
+        expect([...crawlPolicyService.robotsCache.keys()].slice(-2))
+            .toEqual(['https://site-1.example', 'https://new-site.example']);
+
+        await crawlPolicyService.waitForHost('new-site.example', 1000);
+        await crawlPolicyService.waitForHost('other-site.example', 1000);
+
+        expect(crawlPolicyService.nextRequestAt.size).toBe(1000);
+        expect(crawlPolicyService.nextRequestAt.has('site-999.example')).toBe(false);
+        expect(crawlPolicyService.nextRequestAt.has('site-0.example')).toBe(false);
+        expect(crawlPolicyService.nextRequestAt.has('other-site.example')).toBe(true);
+    });
+});
@@ -0,0 +1,199 @@
+const zlib = require('zlib');
+const documentExtractor = require('../services/scraping/documentExtractor');
+const pdf = require('../utils/pdf');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    scraping: {
+        images: { maxImages: 20 }
+    }
+}));
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+
+// Subset fonts number their glyphs; the brochure's brand font maps 1 to a
+// bullet, 2 to a space and 3-28 to a-z
+const brandText = (text) => `<${Array.from(text).map(char => {
+    const code = char === '•' ? 1 : char === ' ' ? 2 : char.charCodeAt(0) - 94;
+    return code.toString(16).padStart(4, '0');
+}).join('')}>`;
+
+const DESCRIPTION = [
+    'A beautifully presented Georgian townhouse moments from the city centre,',
+    'with a south facing garden, two reception rooms and a kitchen breakfast room.'
+];
+
+// One-page brochure: Helvetica text, a subset font read through its ToUnicode
+// map, and a JPEG photo drawn from a Form XObject
+const buildBrochure = () => {
+    const page = zlib.deflateSync(Buffer.from([
+        'BT /F1 18 Tf 72 720 Td (Elm House) Tj ET',
+        'BT /F1 11 Tf 72 700 Td (12 Elm Road, Bath BA1 2AB) Tj',
+        '0 -14 Td [(Guide price \\243450,000)] TJ',
+        'T* [(4 bedrooms)-300(|)-300(2 bathrooms)-300(|)-300(1,250 sq ft)] TJ ET',
+        `BT /F1 10 Tf 72 640 Td (${DESCRIPTION[0]}) Tj T* (${DESCRIPTION[1]}) Tj ET`,
+        `BT /F2 10 Tf 1 0 0 1 72 600 Tm ${brandText('• south facing garden')} Tj`,
+        `1 0 0 1 72 586 Tm ${brandText('• off street parking')} Tj ET`,
+        '/Fm1 Do'
+    ].join('\n')));
+    const form = Buffer.from('q 400 0 0 300 72 200 cm /Im1 Do Q');
+    const cmap = Buffer.from([
+        'begincmap',
+        '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+        '2 beginbfchar <0001> <2022> <0002> <0020> endbfchar',
+        '1 beginbfrange <0003> <001C> <0061> endbfrange',
+        'endcmap'
+    ].join('\n'));
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 5 0 R /F2 7 0 R >> /XObject << /Fm1 9 0 R >> >> >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R >>',
+        [`<< /Length ${page.length} /Filter /FlateDecode >>`, page],
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        [`<< /Type /XObject /Subtype /Image /Width 800 /Height 600 /Filter /DCTDecode /Length ${JPEG.length} >>`, JPEG],
+        '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Brand /ToUnicode 8 0 R >>',
+        [`<< /Length ${cmap.length} >>`, cmap],
+        [`<< /Type /XObject /Subtype /Form /Resources << /XObject << /Im1 6 0 R >> >> /Length ${form.length} >>`, form]
+    ];
+
+    return buildPdf(objects);
+};
+
+// Numbered objects (dictionaries, or [dictionary, stream data]) as a PDF file
+const buildPdf = (objects) => {
+    const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    objects.forEach((object, index) => {
+        if (Array.isArray(object)) {
+            parts.push(Buffer.from(`${index + 1} 0 obj\n${object[0]}\nstream\n`), object[1], Buffer.from('\nendstream\nendobj\n'));
+        } else {
+            parts.push(Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`));
+        }
+    });
+    parts.push(Buffer.from('trailer\n<< /Root 1 0 R >>\n%%EOF\n'));
+
+    return Buffer.concat(parts);
+};
+
+describe('Document Scrape Tests', () => {
+    test('should read listing fields and photos from a PDF brochure', () => {
+        const { type, data, images } = documentExtractor.extractDocument({
+            buffer: buildBrochure(),
+            fileName: 'elm-house.pdf'
+        });
+
+        expect(type).toBe('pdf');
+        expect(data).toMatchObject({
+            title: 'Elm House',
+            address: '12 Elm Road, Bath BA1 2AB',
+            price: 450000,
+            bedrooms: 4,
+            bathrooms: 2,
+            square_feet: 1250,
+            description: DESCRIPTION.join(' '),
+            features: ['south facing garden', 'off street parking'],
+            listing_platform: 'brochure',
+            scraped_field_sources: { price: 'text', address: 'text' }
+        });
+        expect(images).toEqual([{ buffer: JPEG, source: 'elm-house.pdf#image-1' }]);
+    });
+
+    test('should read pasted HTML without a URL, from markup and page text, with embedded photos', () => {
+        const photo = JPEG.toString('base64');
+        const { type, data, images } = documentExtractor.extractDocument({
+            html: `<html><body>
+                <h1>Flat 3, Marine Court</h1>
+                <div class="price">Offers over £325,000</div>
+                <p>Flat 3, Marine Court, Hove BN3 2WA</p>
+                <ul><li>2 bedrooms</li><li>1 bathroom</li><li>68 sq m</li></ul>
+                <img src="data:image/jpeg;base64,${photo}">
+                <img src="https://cdn.portal.example/photos/property-1.jpg">
+                <script>window.tracking = "4 bedrooms";</script>
+            </body></html>`
+        });
+
+        expect(type).toBe('html');
+        expect(data).toMatchObject({
+            title: 'Flat 3, Marine Court',
+            price: 325000,
+            address: 'Flat 3, Marine Court, Hove BN3 2WA',
+            bedrooms: 2,
+            bathrooms: 1,
+            square_feet: 732,
+            images: ['https://cdn.portal.example/photos/property-1.jpg'],
+            scraped_field_sources: { title: 'selectors', price: 'selectors', bedrooms: 'text' }
+        });
+        expect(images).toEqual([{ buffer: JPEG, source: 'page#image-1' }]);
+    });
+
+    test('should reject files that are not a readable PDF or HTML page', () => {
+        expect(() => documentExtractor.extractDocument({ buffer: Buffer.from('PK\u0003\u0004docx'), fileName: 'brochure.docx' }))
+            .toThrow(expect.objectContaining({ code: 'SCRAPE_DOCUMENT_INVALID', httpStatus: 422 }));
+
+        const encrypted = Buffer.from('%PDF-1.6\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R /Encrypt 5 0 R >>\n');
+        expect(() => documentExtractor.extractDocument({ buffer: encrypted, fileName: 'locked.pdf' }))
+            .toThrow('The PDF could not be read: Encrypted PDF files are not supported');
+    });
+
+    test('should reject PDFs that decompress past the size and object limits', () => {
+        // A few KB of Flate data that inflates past what one stream may hold
+        const bomb = zlib.deflateSync(Buffer.alloc(pdf.LIMITS.maxStreamBytes + 1024, 0x20));
+        const file = Buffer.concat([
+            Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n'),
+            Buffer.from('2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n'),
+            Buffer.from('3 0 obj\n<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>\nendobj\n'),
+            Buffer.from(`4 0 obj\n<< /Length ${bomb.length} /Filter /FlateDecode >>\nstream\n`), bomb,
+            Buffer.from('\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n')
+        ]);
+
+        expect(() => documentExtractor.extractDocument({ buffer: file, fileName: 'bomb.pdf' }))
+            .toThrow('The PDF could not be read: PDF streams decompress to more than the allowed size');
+
+        // The budget covers the whole document, and the number of objects
+        expect(() => pdf.extractPdf(buildBrochure(), { maxDecodedBytes: 100 })).toThrow(pdf.PdfLimitError);
+        expect(() => pdf.extractPdf(buildBrochure(), { maxObjects: 5 })).toThrow('PDF has more than 5 objects');
+        expect(pdf.extractPdf(buildBrochure()).pageCount).toBe(1);
+    });
+
+    test('should stop forms that draw each other over and over, and oversized font maps', () => {
+        // Ten forms, each drawing every other form 25 times from a 5-level deep page
+        const forms = Array.from({ length: 10 }, () => {
+            const draws = Array.from({ length: 25 }, (_, index) => `/Fm${index % 10} Do`).join(' ');
+            return [`<< /Type /XObject /Subtype /Form /Length ${draws.length} >>`, Buffer.from(draws)];
+        });
+        const formNames = forms.map((form, index) => `/Fm${index} ${index + 5} 0 R`).join(' ');
+        const page = Buffer.from('/Fm0 Do /Fm0 Do');
+        const fanOut = buildPdf([
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /XObject << ${formNames} >> >> >>`,
+            '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+            [`<< /Length ${page.length} >>`, page],
+            ...forms
+        ]);
+
+        // Each form is read once per page
+        const started = Date.now();
+        expect(pdf.extractPdf(fanOut).pageCount).toBe(1);
+        expect(Date.now() - started).toBeLessThan(1000);
+        expect(() => pdf.extractPdf(fanOut, { maxXObjectDraws: 100 })).toThrow('PDF draws more than 100 images and forms');
+        expect(() => pdf.extractPdf(fanOut, { maxOperators: 100 })).toThrow('PDF content has more than 100 operators');
+
+        // Streams stored without a filter count against the decoded size too
+        expect(() => pdf.extractPdf(fanOut, { maxDecodedBytes: 200 })).toThrow(pdf.PdfLimitError);
+
+        // Twenty ranges of 65,536 codes each, in a few hundred bytes
+        const cmap = Buffer.from(`20 beginbfrange ${'<0000> <FFFF> <0041> '.repeat(20)}endbfrange`);
+        const text = Buffer.from('BT /F1 10 Tf (Elm) Tj ET');
+        const cmapBomb = buildPdf([
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 5 0 R >> >> >>',
+            '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+            [`<< /Length ${text.length} >>`, text],
+            '<< /Type /Font /Subtype /Type0 /BaseFont /Brand /ToUnicode 6 0 R >>',
+            [`<< /Length ${cmap.length} >>`, cmap]
+        ]);
+
+        expect(() => documentExtractor.extractDocument({ buffer: cmapBomb, fileName: 'fonts.pdf' }))
+            .toThrow('The PDF could not be read: PDF fonts map more than 65536 character codes');
+    });
+});
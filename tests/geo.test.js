@@ -0,0 +1,150 @@
+const geo = require('../utils/geo');
+const propertyService = require('../services/property/propertyService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    properties: { retentionDays: 30 }
+}));
+// Each query resolves with the next queued result; every call is recorded
+const mockQueries = [];
+const mockResults = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => {
+        const record = (table) => {
+            const query = { table, calls: [] };
+            mockQueries.push(query);
+            const builder = {};
+            ['select', 'in', 'eq', 'order', 'range'].forEach(method => {
+                builder[method] = jest.fn((...args) => {
+                    query.calls.push([method, ...args]);
+                    return builder;
+                });
+            });
+            builder.then = (resolve, reject) => Promise.resolve(mockResults.shift() || { data: null, error: null })
+                .then(resolve, reject);
+            return builder;
+        };
+        return {
+            from: jest.fn(record),
+            rpc: jest.fn((name, args) => {
+                mockQueries.push({ table: name, calls: [['rpc', args]] });
+                return Promise.resolve(mockResults.shift());
+            })
+        };
+    })
+}));
+jest.mock('../services/integration/integrationService', () => ({}));
+jest.mock('../services/storage/storageService', () => ({}));
+
+describe('Geo Utility Tests', () => {
+    describe('distanceKm', () => {
+        test('should compute great-circle distance in kilometres', () => {
+            // London to Paris is roughly 344 km
+            const distance = geo.distanceKm(51.5074, -0.1278, 48.8566, 2.3522);
+
+            expect(distance).toBeGreaterThan(340);
+            expect(distance).toBeLessThan(348);
+        });
+
+        test('should return zero for the same point', () => {
+            expect(geo.distanceKm(40.7128, -74.006, 40.7128, -74.006)).toBe(0);
+        });
+    });
+
+    describe('boundingBoxForRadius', () => {
+        test('should contain every point within the radius', () => {
+            const box = geo.boundingBoxForRadius(40.7128, -74.006, 10);
+
+            expect(geo.isPointInBounds(40.7128, -74.006, box)).toBe(true);
+            expect(geo.isPointInBounds(40.79, -74.006, box)).toBe(true);
+            expect(geo.isPointInBounds(41.0, -74.006, box)).toBe(false);
+        });
+
+        test('should wrap across the antimeridian', () => {
+            const box = geo.boundingBoxForRadius(0, 179.95, 20);
+
+            expect(box.west).toBeGreaterThan(box.east);
+            expect(geo.isPointInBounds(0, -179.95, box)).toBe(true);
+            expect(geo.isPointInBounds(0, 170, box)).toBe(false);
+        });
+    });
+
+    describe('isPointInPolygon', () => {
+        const square = [[0, 0], [0, 10], [10, 10], [10, 0]];
+
+        test('should detect points inside and outside a polygon', () => {
+            expect(geo.isPointInPolygon(5, 5, square)).toBe(true);
+            expect(geo.isPointInPolygon(15, 5, square)).toBe(false);
+        });
+
+        test('should handle concave shapes', () => {
+            const lShape = [[0, 0], [0, 10], [5, 10], [5, 5], [10, 5], [10, 0]];
+
+            expect(geo.isPointInPolygon(2, 8, lShape)).toBe(true);
+            expect(geo.isPointInPolygon(8, 8, lShape)).toBe(false);
+        });
+
+        test('should produce a matching bounding box', () => {
+            expect(geo.boundingBoxForPolygon(square)).toEqual({
+                north: 10,
+                south: 0,
+                east: 10,
+                west: 0
+            });
+        });
+    });
+
+    describe('PropertyService geo search', () => {
+        beforeEach(() => {
+            mockQueries.length = 0;
+            mockResults.length = 0;
+        });
+
+        test('should page and order radius matches in the database', async () => {
+            mockResults.push(
+                {
+                    data: {
+                        total: 1450,
+                        matches: [
+                            { property_id: 'property-2', distance_km: 0.4 },
+                            { property_id: 'property-1', distance_km: 1.25 }
+                        ]
+                    },
+                    error: null
+                },
+                { data: [{ id: 'property-1' }, { id: 'property-2' }], error: null }
+            );
+
+            const result = await propertyService.getProperties(
+                { near: { lat: 40.7, lng: -74, radiusKm: 5 }, propertyTypes: [] },
+                { page: 3, limit: 2, sortBy: 'distance' },
+                'agent-1'
+            );
+
+            expect(mockQueries[0].calls).toEqual([['rpc', {
+                p_agent_id: 'agent-1',
+                p_filters: { near: { lat: 40.7, lng: -74, radiusKm: 5 } },
+                p_search: null,
+                p_origin_lat: 40.7,
+                p_origin_lng: -74,
+                p_sort_by: 'distance',
+                p_ascending: false,
+                p_limit: 2,
+                p_offset: 4
+            }]]);
+            expect(mockQueries[1].calls).toContainEqual(['in', 'id', ['property-2', 'property-1']]);
+            expect(result.data).toEqual([
+                { id: 'property-2', distance_km: 0.4 },
+                { id: 'property-1', distance_km: 1.25 }
+            ]);
+            expect(result.pagination).toMatchObject({ total: 1450, totalPages: 725, hasNext: true });
+        });
+
+        test('should reject a distance sort without a point to measure from', async () => {
+            await expect(propertyService.searchProperties('garden', {}, { sortBy: 'distance' }, 'agent-1'))
+                .rejects.toMatchObject({ code: 'INVALID_REQUEST', httpStatus: 400 });
+            expect(mockQueries).toHaveLength(0);
+        });
+    });
+});
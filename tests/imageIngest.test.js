@@ -0,0 +1,197 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { isPublicAddress, publicLookup } = require('../utils/publicAddress');
+const storageService = require('../services/storage/storageService');
+const imageIngestService = require('../services/scraping/imageIngestService');
+
+jest.mock('axios', () => ({ get: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    scraping: {
+        images: { maxImages: 20, downloadTimeout: 1000, minWidth: 400, minHeight: 300 }
+    }
+}));
+
+jest.mock('../services/scraping/crawlPolicyService', () => ({
+    userAgent: 'NesterBot/1.0',
+    request: jest.fn((url, fetcher) => fetcher())
+}));
+
+const mockExistingImages = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(() => ({
+            select: jest.fn(() => ({
+                eq: jest.fn(() => Promise.resolve({ data: mockExistingImages, error: null }))
+            }))
+        }))
+    }))
+}));
+
+// Downloaded bytes are "<format>:<width>x<height>:<id>"
+jest.mock('../services/storage/storageService', () => ({
+    fileTypes: { images: { maxSize: 10 * 1024 * 1024 } },
+    computeContentHash: jest.fn(buffer => `hash-${buffer.toString().split(':')[2]}`),
+    getImageInfo: jest.fn(async buffer => {
+        const [format, size] = buffer.toString().split(':');
+        if (format === 'html') {
+            return null;
+        }
+        const [width, height] = size.split('x').map(Number);
+        return { format, width, height };
+    }),
+    uploadPropertyImage: jest.fn(async (propertyId, agentId, file, options) => ({ id: `image-${options.displayOrder}` }))
+}));
+
+const serve = (files) => {
+    axios.get.mockImplementation(async url => {
+        if (!files[url]) {
+            throw new Error('Request failed with status code 404');
+        }
+        return { data: Buffer.from(files[url]) };
+    });
+};
+
+// Hosts resolve to a public address unless listed here
+const mockAddresses = {
+    'intranet.cdn.example': '10.0.0.5',
+    'mapped.cdn.example': '::ffff:127.0.0.1'
+};
+
+describe('Scraped Image Ingestion Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockExistingImages.length = 0;
+        jest.spyOn(dns.promises, 'lookup').mockImplementation(async host => {
+            const address = mockAddresses[host] || (net.isIP(host) ? host : '93.184.216.34');
+            return [{ address, family: address.includes(':') ? 6 : 4 }];
+        });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should upload usable photos in listing order with the first as primary', async () => {
+        serve({
+            'https://cdn.example/1.jpg': 'jpeg:1600x1200:a',
+            'https://cdn.example/logo.png': 'png:120x40:logo',
+            'https://cdn.example/2.webp': 'webp:1024x768:b',
+            'https://cdn.example/page': 'html:0x0:page',
+            'https://cdn.example/copy.jpg': 'jpeg:1600x1200:a'
+        });
+
+        const result = await imageIngestService.ingestImages('property-1', 'agent-1', [
+            'https://cdn.example/1.jpg',
+            'https://cdn.example/logo.png',
+            'https://cdn.example/2.webp',
+            'https://cdn.example/page',
+            'https://cdn.example/copy.jpg',
+            'https://cdn.example/missing.jpg'
+        ], { altText: 'Elm House' });
+
+        expect(result.imported).toEqual([
+            { id: 'image-0', url: 'https://cdn.example/1.jpg' },
+            { id: 'image-1', url: 'https://cdn.example/2.webp' }
+        ]);
+        expect(result.skipped).toEqual([
+            { url: 'https://cdn.example/logo.png', reason: 'too_small' },
+            { url: 'https://cdn.example/page', reason: 'unsupported_format' },
+            { url: 'https://cdn.example/copy.jpg', reason: 'duplicate' }
+        ]);
+        expect(result.failed).toEqual([
+            { url: 'https://cdn.example/missing.jpg', error: 'Request failed with status code 404' }
+        ]);
+
+        const [first, second] = storageService.uploadPropertyImage.mock.calls;
+        expect(first[2]).toMatchObject({ originalname: 'scraped-1.jpg', mimetype: 'image/jpeg' });
+        expect(first[3]).toEqual({
+            isPrimary: true,
+            displayOrder: 0,
+            altText: 'Elm House',
+            originalUrl: 'https://cdn.example/1.jpg'
+        });
+        expect(second[2].mimetype).toBe('image/webp');
+        expect(second[3]).toMatchObject({ isPrimary: false, displayOrder: 1 });
+    });
+
+    test('should skip photos the property already has and append after existing ones', async () => {
+        mockExistingImages.push(
+            { id: 'image-7', original_url: 'https://cdn.example/1.jpg', content_hash: 'hash-a', is_primary: true, display_order: 0 },
+            { id: 'image-8', original_url: null, content_hash: 'hash-b', is_primary: false, display_order: 4 }
+        );
+        serve({
+            'https://cdn.example/2.jpg': 'jpeg:800x600:b',
+            'https://cdn.example/3.jpg': 'jpeg:800x600:c'
+        });
+
+        const result = await imageIngestService.ingestImages('property-1', 'agent-1', [
+            'https://cdn.example/1.jpg',
+            'https://cdn.example/2.jpg',
+            'https://cdn.example/3.jpg'
+        ]);
+
+        expect(result.skipped).toEqual([
+            { url: 'https://cdn.example/1.jpg', reason: 'already_imported' },
+            { url: 'https://cdn.example/2.jpg', reason: 'duplicate' }
+        ]);
+        expect(axios.get).toHaveBeenCalledTimes(2);
+        expect(storageService.uploadPropertyImage).toHaveBeenCalledTimes(1);
+        expect(storageService.uploadPropertyImage.mock.calls[0][3]).toMatchObject({ isPrimary: false, displayOrder: 5 });
+    });
+
+    test('should not fetch photos from loopback, private or link-local addresses', async () => {
+        serve({ 'https://cdn.example/1.jpg': 'jpeg:1600x1200:a' });
+
+        const result = await imageIngestService.ingestImages('property-1', 'agent-1', [
+            'http://169.254.169.254/latest/meta-data/iam/security-credentials/',
+            'http://[::1]:8080/admin.jpg',
+            'https://intranet.cdn.example/1.jpg',
+            'https://mapped.cdn.example/1.jpg',
+            'https://cdn.example/1.jpg'
+        ]);
+
+        expect(result.skipped).toEqual([
+            { url: 'http://169.254.169.254/latest/meta-data/iam/security-credentials/', reason: 'private_address' },
+            { url: 'http://[::1]:8080/admin.jpg', reason: 'private_address' },
+            { url: 'https://intranet.cdn.example/1.jpg', reason: 'private_address' },
+            { url: 'https://mapped.cdn.example/1.jpg', reason: 'private_address' }
+        ]);
+        expect(result.imported).toEqual([{ id: 'image-0', url: 'https://cdn.example/1.jpg' }]);
+
+        // Only the public photo was requested, through agents that check each connection
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        const [url, options] = axios.get.mock.calls[0];
+        expect(url).toBe('https://cdn.example/1.jpg');
+        expect(options.httpsAgent.options.lookup).toBe(publicLookup);
+        expect(options.httpAgent.options.lookup).toBe(publicLookup);
+    });
+
+    test('should judge IPv6 addresses that carry an IPv4 address by the IPv4 address', async () => {
+        [
+            '::127.0.0.1',
+            '::ffff:127.0.0.1',
+            '::ffff:7f00:1',
+            '::ffff:0:127.0.0.1',
+            '2002:7f00:1::',
+            '2002:a9fe:a9fe::1',
+            '64:ff9b::7f00:1',
+            '2001:0:4136:e378::1',
+            'fe80::1%eth0'
+        ].forEach(address => expect([address, isPublicAddress(address)]).toEqual([address, false]));
+
+        ['2002:808:808::1', '::ffff:0:8.8.8.8', '2606:4700::1111', '93.184.216.34']
+            .forEach(address => expect([address, isPublicAddress(address)]).toEqual([address, true]));
+
+        mockAddresses['tunnel.cdn.example'] = '2002:7f00:1::';
+        const result = await imageIngestService.ingestImages('property-1', 'agent-1', [
+            'http://[::127.0.0.1]/1.jpg',
+            'https://tunnel.cdn.example/1.jpg'
+        ]);
+
+        expect(result.skipped.map(image => image.reason)).toEqual(['private_address', 'private_address']);
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,155 @@
+const propertyService = require('../services/property/propertyService');
+const imageIngestService = require('../services/scraping/imageIngestService');
+const emailService = require('../services/email/emailService');
+const listingSyncService = require('../services/scraping/listingSyncService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    scraping: {
+        sync: {
+            enabled: true,
+            intervalMinutes: 60,
+            resyncAfterHours: 24,
+            batchSize: 25,
+            regenerateOn: ['price_drop', 'status_change'],
+            regenerateContentTypes: ['description', 'social_posts']
+        }
+    }
+}));
+
+const mockWrites = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(table => ({
+            insert: jest.fn(rows => ({
+                select: jest.fn(() => Promise.resolve({
+                    data: rows.map((row, index) => ({ id: `event-${index + 1}`, ...row })),
+                    error: null
+                }))
+            })),
+            update: jest.fn(updates => {
+                const filter = jest.fn((column, value) => {
+                    mockWrites.push({ table, updates, [column]: value });
+                    return Promise.resolve({ error: null });
+                });
+                return { eq: filter, in: filter };
+            })
+        }))
+    }))
+}));
+
+jest.mock('../services/property/propertyService', () => ({
+    getPropertyById: jest.fn(),
+    updateProperty: jest.fn()
+}));
+jest.mock('../services/property/listingStatusService', () => {
+    const transitions = { active: ['under_offer', 'withdrawn'], under_offer: ['sold', 'withdrawn', 'active'] };
+    return {
+        systemActor: { id: null, type: 'system' },
+        normalizeStatus: status => status,
+        canTransition: (from, to) => (transitions[from] || []).includes(to)
+    };
+});
+jest.mock('../services/scraping/scrapeQueueService', () => ({}));
+jest.mock('../services/scraping/imageIngestService', () => ({ ingestImages: jest.fn() }));
+jest.mock('../services/email/emailService', () => ({ sendListingChangeNotification: jest.fn() }));
+jest.mock('../services/ai/aiService', () => ({
+    generatePropertyContent: jest.fn(async () => ({ jobId: 'content-job-1', status: 'running' }))
+}));
+
+const syncJob = { id: 'job-9', property_id: 'property-1', agent_id: 'agent-1', options: { mode: 'sync' } };
+
+const storedProperty = (overrides = {}) => ({
+    id: 'property-1',
+    agent_id: 'agent-1',
+    title: 'Elm House',
+    price: 500000,
+    listing_status: 'under_offer',
+    source_status: 'under_offer',
+    listing_url: 'https://www.zillow.com/homedetails/1234_zpid/',
+    ...overrides
+});
+
+describe('Listing Sync Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockWrites.length = 0;
+        imageIngestService.ingestImages.mockResolvedValue({ imported: [], skipped: [], failed: [] });
+    });
+
+    test('should apply a price drop and sale at the source, record events, notify and regenerate', async () => {
+        propertyService.getPropertyById.mockResolvedValue(storedProperty());
+        propertyService.updateProperty.mockImplementation(async (id, changes) => storedProperty(changes));
+        imageIngestService.ingestImages.mockResolvedValue({
+            imported: [{ id: 'image-4', url: 'https://photos.example/new.jpg' }],
+            skipped: [{ url: 'https://photos.example/old.jpg', reason: 'already_imported' }],
+            failed: []
+        });
+
+        const { events, details } = await listingSyncService.applySync(syncJob, {
+            price: 475000,
+            source_status: 'sold',
+            images: ['https://photos.example/old.jpg', 'https://photos.example/new.jpg']
+        });
+
+        expect(propertyService.updateProperty).toHaveBeenCalledWith('property-1', {
+            price: 475000,
+            listing_status: 'sold'
+        }, 'agent-1', expect.objectContaining({ source: 'sync', statusReason: 'Source listing shows sold' }));
+
+        expect(events.map(event => event.event_type)).toEqual(['price_drop', 'status_change', 'new_photos']);
+        expect(events[0]).toMatchObject({
+            old_value: 500000,
+            new_value: 475000,
+            details: { change: -25000, changePercent: -5 },
+            scrape_job_id: 'job-9'
+        });
+        expect(events[1].details).toEqual({ applied: true });
+        expect(details).toEqual({ sync: { changes: ['price_drop', 'status_change', 'new_photos'] } });
+
+        expect(emailService.sendListingChangeNotification).toHaveBeenCalledWith(
+            expect.objectContaining({ listing_status: 'sold' }),
+            ['Price reduced from 500,000 to 475,000 (-5%)', 'Source listing now shows sold', '1 new photo added']
+        );
+
+        const aiService = require('../services/ai/aiService');
+        expect(aiService.generatePropertyContent).toHaveBeenCalledWith(
+            expect.objectContaining({ price: 475000 }),
+            ['description', 'social_posts'],
+            { languages: ['en'] }
+        );
+        // Only the changes that triggered regeneration point at the content job
+        expect(mockWrites).toContainEqual({
+            table: 'property_change_events',
+            updates: { content_job_id: 'content-job-1' },
+            id: ['event-1', 'event-2']
+        });
+        expect(mockWrites).toContainEqual(expect.objectContaining({
+            table: 'properties',
+            updates: expect.objectContaining({ source_status: 'sold', last_sync_error: null }),
+            id: 'property-1'
+        }));
+    });
+
+    test('should flag a status change it cannot apply only once', async () => {
+        const active = storedProperty({ listing_status: 'active', source_status: 'active' });
+
+        const [event] = listingSyncService.diffListing(active, { price: 500000, source_status: 'sold' });
+        expect(event).toMatchObject({ event_type: 'status_change', old_value: 'active', new_value: 'sold', details: { applied: false } });
+        expect(listingSyncService.describeChange(event)).toBe('Source listing now shows sold (still active here; please review)');
+
+        // The next sync already saw "sold" at the source
+        expect(listingSyncService.diffListing({ ...active, source_status: 'sold' }, { source_status: 'sold' })).toEqual([]);
+    });
+
+    test('should leave the listing alone when nothing changed', async () => {
+        propertyService.getPropertyById.mockResolvedValue(storedProperty());
+
+        const { events } = await listingSyncService.applySync(syncJob, { price: 500000, source_status: 'under_offer' });
+
+        expect(events).toEqual([]);
+        expect(propertyService.updateProperty).not.toHaveBeenCalled();
+        expect(emailService.sendListingChangeNotification).not.toHaveBeenCalled();
+    });
+});
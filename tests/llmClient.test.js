@@ -0,0 +1,119 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const llmClient = require('../services/ai/llmClient');
+const stubProvider = require('../services/ai/providers/stubProvider');
+
+jest.mock('../utils/logger');
+jest.mock('axios', () => ({ post: jest.fn() }), { virtual: true });
+jest.mock('../config/config', () => ({
+    ai: {
+        anthropic: { apiKey: 'anthropic-key', model: 'claude-3-sonnet-20240229', baseUrl: 'https://api.anthropic.com/v1' },
+        gemini: { apiKey: 'gemini-key', model: 'gemini-pro', baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+        openai: { apiKey: null, model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+        llm: {
+            defaultProvider: 'anthropic',
+            routes: { chat: 'gemini:gemini-1.5-flash', social_post: 'openai' },
+            timeoutMs: 1000,
+            maxRetries: 2,
+            retryDelayMs: 0
+        }
+    }
+}));
+
+const anthropicReply = (text, usage = { input_tokens: 1200, output_tokens: 300 }) => ({
+    data: { model: 'claude-3-sonnet-20240229', content: [{ type: 'text', text }], usage, stop_reason: 'end_turn' }
+});
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers }
+});
+
+describe('LLM Client Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        stubProvider.respondWith(null);
+    });
+
+    test('should route calls by model, task and default, falling back when a provider has no key', () => {
+        expect(llmClient.resolveRoute({ model: 'claude-3-sonnet' })).toMatchObject({ model: 'claude-3-sonnet-20240229' });
+        expect(llmClient.resolveRoute({ task: 'chat' })).toMatchObject({ model: 'gemini-1.5-flash' });
+        expect(llmClient.resolveRoute({ task: 'chat' }).provider.name).toBe('gemini');
+        expect(llmClient.resolveRoute({ task: 'property_description' }).provider.name).toBe('anthropic');
+
+        // OpenAI has no key here, so its route falls back to the default provider
+        const fallback = llmClient.resolveRoute({ task: 'social_post' });
+        expect(fallback.provider.name).toBe('anthropic');
+        expect(fallback.model).toBe('claude-3-sonnet-20240229');
+    });
+
+    test('should send an Anthropic request and account for tokens and cost', async () => {
+        axios.post.mockResolvedValue(anthropicReply('A bright family home.'));
+
+        const result = await llmClient.complete({
+            prompt: 'Describe Elm House',
+            system: 'You write listings',
+            task: 'property_description',
+            maxTokens: 500
+        });
+
+        expect(axios.post).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages', {
+            model: 'claude-3-sonnet-20240229',
+            max_tokens: 500,
+            temperature: 0.7,
+            system: 'You write listings',
+            messages: [{ role: 'user', content: 'Describe Elm House' }]
+        }, expect.objectContaining({
+            headers: expect.objectContaining({ 'x-api-key': 'anthropic-key', 'anthropic-version': '2023-06-01' }),
+            timeout: 1000
+        }));
+        expect(result).toMatchObject({
+            text: 'A bright family home.',
+            provider: 'anthropic',
+            attempts: 1,
+            usage: { inputTokens: 1200, outputTokens: 300, totalTokens: 1500, costUsd: 0.0081 }
+        });
+        expect(logger.logAI).toHaveBeenCalledWith(
+            'property_description',
+            'claude-3-sonnet-20240229',
+            { input: 1200, output: 300, total: 1500 },
+            expect.any(Number),
+            expect.objectContaining({ provider: 'anthropic', costUsd: 0.0081, attempts: 1 })
+        );
+    });
+
+    test('should retry rate limits and server errors but not bad requests', async () => {
+        axios.post
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+            .mockRejectedValueOnce(httpError(503))
+            .mockResolvedValueOnce(anthropicReply('Third time lucky'));
+
+        const result = await llmClient.complete({ prompt: 'Hello', task: 'chat', provider: 'anthropic' });
+
+        expect(result.text).toBe('Third time lucky');
+        expect(result.attempts).toBe(3);
+
+        axios.post.mockReset();
+        axios.post.mockRejectedValue(httpError(400));
+
+        await expect(llmClient.complete({ prompt: 'Hello', provider: 'anthropic' }))
+            .rejects.toMatchObject({ code: 'AI_REQUEST_FAILED', details: { provider: 'anthropic', attempts: 1, status: 400 } });
+        expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should time out a provider that does not answer', async () => {
+        stubProvider.respondWith(() => new Promise(() => {}));
+
+        await expect(llmClient.complete({ prompt: 'Hello', provider: 'stub', timeout: 20, retries: 1 }))
+            .rejects.toMatchObject({ code: 'AI_REQUEST_FAILED', details: { attempts: 2 } });
+    });
+
+    test('should answer deterministically from the stub provider', async () => {
+        const first = await llmClient.complete({ prompt: 'Write a post', provider: 'stub', json: true });
+        const second = await llmClient.complete({ prompt: 'Write a post', provider: 'stub', json: true });
+
+        expect(first.text).toBe(second.text);
+        expect(JSON.parse(first.text)).toMatchObject({ stub: true });
+        expect(first).toMatchObject({ provider: 'stub', model: 'stub-1', usage: { costUsd: 0 } });
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,106 @@
+const propertyService = require('../services/property/propertyService');
+const promptRegistry = require('../services/ai/promptRegistry');
+const aiService = require('../services/ai/aiService');
+const emailService = require('../services/email/emailService');
+const socialService = require('../services/social/socialService');
+
+jest.mock('../utils/logger');
+jest.mock('axios', () => ({ post: jest.fn(), get: jest.fn() }), { virtual: true });
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    ai: {
+        replicate: { apiKey: 'test' },
+        prompts: { cacheTtlMs: 60000 }
+    }
+}));
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(() => {
+            const builder = {};
+            ['select', 'insert', 'update', 'eq', 'is', 'order', 'limit', 'single'].forEach(method => {
+                builder[method] = jest.fn(() => builder);
+            });
+            builder.then = (resolve, reject) => Promise.resolve({ data: [], error: null }).then(resolve, reject);
+            return builder;
+        })
+    }))
+}));
+jest.mock('../services/property/propertyService', () => ({
+    updateProperty: jest.fn()
+}));
+jest.mock('../services/brand/brandService', () => ({}));
+jest.mock('../services/storage/storageService', () => ({}));
+jest.mock('../services/browser/browserPoolService', () => ({}));
+jest.mock('../services/ai/llmClient', () => ({ complete: jest.fn() }));
+
+describe('Localized Content Tests', () => {
+    const brandAssets = {
+        company_name: 'Elm Estates',
+        colors: { primary: '#123456', secondary: '#654321' },
+        typography: { font_family: 'Lato' },
+        persona: { tone: 'warm' }
+    };
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+        promptRegistry.clearCache();
+    });
+
+    test('should ask for another language and leave English prompts unchanged', async () => {
+        const english = await promptRegistry.render('campaign_post', { address: '12 Elm Road' });
+        const french = await promptRegistry.render('campaign_post', { address: '12 Elm Road' }, { language: 'fr' });
+
+        expect(english.text).not.toContain('Language:');
+        expect(french.text).toBe(`${english.text}
+
+Language: write all generated text in French, for native French speakers, rather than translating word for word. Keep JSON keys and {{placeholders}} exactly as given, and keep numbers, prices and addresses as they appear above.`);
+        expect(french.ref.language).toBe('fr');
+        expect(french.label).toBe(english.label);
+    });
+
+    test('should keep English in description and merge other languages beside it', async () => {
+        const property = { id: 'property-1', agent_id: 'agent-1', description_translations: { fr: 'Une maison lumineuse.' } };
+        jest.spyOn(aiService, 'generatePropertyDescription')
+            .mockImplementation(async (_property, _brand, { language }) => `description in ${language}`);
+
+        const descriptions = await aiService.generatePropertyDescriptions(property, brandAssets, ['en', 'ar']);
+
+        expect(aiService.descriptionFields(property, descriptions)).toEqual({
+            description: 'description in en',
+            description_translations: { fr: 'Une maison lumineuse.', ar: 'description in ar' }
+        });
+        expect(aiService.summarizeContent('description', descriptions)).toEqual({
+            text: 'description in en',
+            translations: { ar: 'description in ar' }
+        });
+        expect(aiService.descriptionFields(property, { es: 'Una casa luminosa.' })).toEqual({
+            description_translations: { fr: 'Une maison lumineuse.', es: 'Una casa luminosa.' }
+        });
+        expect(propertyService.updateProperty).not.toHaveBeenCalled();
+    });
+
+    test('should lay out Arabic email and social templates right to left', () => {
+        const content = { subject: 'مرحباً', html_structure: '<p>نص</p>' };
+        const html = emailService.generateHtmlTemplate(content, brandAssets, { includePropertyHighlight: true }, 'ar');
+
+        expect(html).toContain('<html lang="ar" dir="rtl">');
+        expect(html).toContain('font-family: Lato, "Noto Sans Arabic", Tahoma, Arial, sans-serif;');
+        expect(html).toContain('border-right: 4px solid #123456;');
+        expect(html).toContain('<div class="greeting">مرحباً {{contact_name}}،</div>');
+        expect(html).toContain('<strong>العنوان:</strong> {{property_address}}');
+        expect(html).not.toContain('Hello {{contact_name}}');
+
+        const englishHtml = emailService.generateHtmlTemplate(content, brandAssets, { includePropertyHighlight: true });
+        expect(englishHtml).toContain('<html lang="en" dir="ltr">');
+        expect(englishHtml).toContain('border-left: 4px solid #123456;');
+
+        const graphic = socialService.generateSocialTemplate(
+            { storage_path: 'photo.jpg' }, { hook: 'بيت جميل', cta: 'اتصل بنا' }, brandAssets, 'square', {}, 'ar'
+        );
+        expect(graphic).toContain('<html lang="ar" dir="rtl">');
+        expect(graphic).toContain('direction: rtl;');
+        expect(graphic).toMatch(/\.logo \{[^}]*left: 20px;/);
+        expect(graphic).toContain('<div class="price">السعر عند الطلب</div>');
+    });
+});
@@ -0,0 +1,210 @@
+const jwt = require('jsonwebtoken');
+const scrapeQueueService = require('../services/scraping/scrapeQueueService');
+const scrapingService = require('../services/scraping/scrapingService');
+const propertyService = require('../services/property/propertyService');
+const manualCompletionService = require('../services/scraping/manualCompletionService');
+
+jest.mock('../utils/logger');
+jest.mock('axios', () => ({}), { virtual: true });
+jest.mock('../config/config', () => ({
+    supabase: { jwtSecret: 'jwt-secret' },
+    scraping: {
+        manualForm: {
+            secret: 'test-secret',
+            linkTtlHours: 72,
+            formUrl: 'https://app.nester.test/properties/manual-entry'
+        }
+    }
+}));
+jest.mock('../services/scraping/scrapeQueueService', () => ({
+    statuses: { MANUAL_REQUIRED: 'manual_required', COMPLETED: 'completed' },
+    getJob: jest.fn(),
+    getJobById: jest.fn(),
+    claimManualEntry: jest.fn(),
+    releaseManualEntry: jest.fn(),
+    completeManually: jest.fn()
+}));
+jest.mock('../services/scraping/scrapingService', () => ({
+    completeIngestion: jest.fn(),
+    sendManualFormEmail: jest.fn()
+}));
+jest.mock('../services/property/propertyService', () => ({
+    getPropertyById: jest.fn(),
+    mapPropertyInput: jest.fn(input => ({ title: input.title, price: input.price, city: input.address.city }))
+}));
+
+const job = (overrides = {}) => ({
+    id: 'job-1',
+    agent_id: 'agent-1',
+    property_id: 'property-1',
+    url: 'https://www.example-estates.com/listing/42',
+    status: 'manual_required',
+    attempts: 3,
+    attempt_log: [],
+    partial_data: { price: 450000, bedrooms: 3, address: '12 Elm Street', images: ['https://cdn.example/1.jpg'] },
+    ...overrides
+});
+
+const tokenFor = () => new URL(manualCompletionService.createLink(job()).url).searchParams.get('token');
+
+describe('Manual Completion Form Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        scrapeQueueService.getJobById.mockResolvedValue(job());
+        scrapeQueueService.claimManualEntry.mockResolvedValue(job({ status: 'manual_submitted' }));
+    });
+
+    test('should pre-fill the form from scraped partial data', async () => {
+        propertyService.getPropertyById.mockResolvedValue({
+            id: 'property-1',
+            listing_url: 'https://www.example-estates.com/listing/42',
+            listing_status: 'manual_required',
+            title: null
+        });
+
+        const form = await manualCompletionService.getForm(tokenFor());
+
+        expect(scrapeQueueService.getJobById).toHaveBeenCalledWith('job-1');
+        expect(form).toMatchObject({
+            jobId: 'job-1',
+            propertyId: 'property-1',
+            listingUrl: 'https://www.example-estates.com/listing/42',
+            fields: {
+                price: 450000,
+                bedrooms: 3,
+                address: { street: '12 Elm Street' },
+                images: ['https://cdn.example/1.jpg']
+            }
+        });
+        expect(form.prefilled).toEqual(['price', 'bedrooms', 'address', 'images']);
+        expect(new Date(form.expiresAt).getTime() - Date.now()).toBeGreaterThan(71 * 60 * 60 * 1000);
+    });
+
+    test('should resume ingestion on submit and complete the job', async () => {
+        scrapingService.completeIngestion.mockResolvedValue({
+            property: { id: 'property-1', listing_status: 'active' },
+            details: { images: { imported: 1, skipped: 0, failed: 0 } }
+        });
+
+        const result = await manualCompletionService.submit(tokenFor(), {
+            title: 'Three bed family home',
+            price: 450000,
+            address: { street: '12 Elm Street', city: 'Leeds' },
+            images: ['https://cdn.example/1.jpg']
+        });
+
+        expect(scrapingService.completeIngestion).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 'job-1' }),
+            { title: 'Three bed family home', price: 450000, city: 'Leeds', images: ['https://cdn.example/1.jpg'] },
+            { actor: { id: 'agent-1', type: 'agent' }, source: 'manual_entry' }
+        );
+        expect(scrapeQueueService.completeManually).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 'job-1' }),
+            { images: { imported: 1, skipped: 0, failed: 0 } }
+        );
+        expect(result).toEqual({
+            propertyId: 'property-1',
+            listingStatus: 'active',
+            duplicateOf: null,
+            images: { imported: 1, skipped: 0, failed: 0 }
+        });
+    });
+
+    test('should reject expired, tampered and already used links', async () => {
+        const expired = jwt.sign(
+            { jobId: 'job-1', propertyId: 'property-1', purpose: 'manual_completion', exp: Math.floor(Date.now() / 1000) - 60 },
+            'test-secret',
+            { subject: 'agent-1' }
+        );
+        await expect(manualCompletionService.getForm(expired)).rejects.toMatchObject({
+            code: 'MANUAL_ENTRY_LINK_EXPIRED',
+            httpStatus: 410
+        });
+
+        const forged = jwt.sign({ jobId: 'job-1', purpose: 'manual_completion' }, 'other-secret', { subject: 'agent-1' });
+        await expect(manualCompletionService.getForm(forged)).rejects.toMatchObject({ code: 'MANUAL_ENTRY_LINK_INVALID' });
+
+        scrapeQueueService.getJobById.mockResolvedValue(job({ status: 'completed' }));
+        await expect(manualCompletionService.submit(tokenFor(), {})).rejects.toMatchObject({
+            code: 'MANUAL_ENTRY_LINK_USED',
+            httpStatus: 410
+        });
+        expect(scrapingService.completeIngestion).not.toHaveBeenCalled();
+    });
+
+    test('should ingest a link submitted twice at once only once', async () => {
+        const input = { title: 'Three bed family home', price: 450000, address: { city: 'Leeds' } };
+        scrapeQueueService.claimManualEntry
+            .mockResolvedValueOnce(job({ status: 'manual_submitted' }))
+            .mockResolvedValueOnce(null);
+        scrapingService.completeIngestion.mockResolvedValue({
+            property: { id: 'property-1', listing_status: 'active' },
+            details: { images: { imported: 0, skipped: 0, failed: 0 } }
+        });
+
+        const [first, second] = await Promise.allSettled([
+            manualCompletionService.submit(tokenFor(), input),
+            manualCompletionService.submit(tokenFor(), input)
+        ]);
+
+        expect(first.status).toBe('fulfilled');
+        expect(second.reason).toMatchObject({ code: 'MANUAL_ENTRY_LINK_USED' });
+        expect(scrapeQueueService.claimManualEntry).toHaveBeenCalledWith('job-1');
+        expect(scrapingService.completeIngestion).toHaveBeenCalledTimes(1);
+        expect(scrapeQueueService.completeManually).toHaveBeenCalledTimes(1);
+    });
+
+    test('should free the link again when ingestion fails', async () => {
+        scrapingService.completeIngestion.mockRejectedValue(new Error('storage down'));
+
+        await expect(manualCompletionService.submit(tokenFor(), {
+            title: 'Three bed family home',
+            address: { city: 'Leeds' }
+        })).rejects.toThrow('storage down');
+
+        expect(scrapeQueueService.releaseManualEntry).toHaveBeenCalledWith('job-1');
+        expect(scrapeQueueService.completeManually).not.toHaveBeenCalled();
+    });
+
+    test('should start without a form secret but refuse links until it has one of its own', async () => {
+        const env = process.env;
+        const loadConfig = (overrides) => {
+            let loaded;
+            jest.isolateModules(() => {
+                process.env = {
+                    ...env,
+                    NODE_ENV: 'test',
+                    SUPABASE_URL: 'https://project.supabase.co',
+                    SUPABASE_ANON_KEY: 'anon-key',
+                    SUPABASE_JWT_SECRET: 'jwt-secret',
+                    MANUAL_FORM_SECRET: undefined,
+                    ...overrides
+                };
+                loaded = jest.requireActual('../config/config');
+            });
+            return loaded;
+        };
+
+        try {
+            expect(loadConfig({}).scraping.manualForm.secret).toBeUndefined();
+            expect(loadConfig({ MANUAL_FORM_SECRET: 'jwt-secret' }).scraping.manualForm.secret).toBe('jwt-secret');
+            expect(loadConfig({ MANUAL_FORM_SECRET: 'form-secret' }).scraping.manualForm.secret).toBe('form-secret');
+        } finally {
+            process.env = env;
+        }
+
+        const token = tokenFor();
+        const { settings } = manualCompletionService;
+        try {
+            manualCompletionService.settings = { ...settings, secret: undefined };
+            expect(() => manualCompletionService.createLink(job())).toThrow('MANUAL_FORM_SECRET is not configured');
+            await expect(manualCompletionService.verifyToken(token)).rejects.toThrow('MANUAL_FORM_SECRET is not configured');
+
+            manualCompletionService.settings = { ...settings, secret: 'jwt-secret' };
+            expect(() => manualCompletionService.createLink(job()))
+                .toThrow('MANUAL_FORM_SECRET must differ from SUPABASE_JWT_SECRET');
+        } finally {
+            manualCompletionService.settings = settings;
+        }
+    });
+});
@@ -0,0 +1,158 @@
+const logger = require('../utils/logger');
+const promptRegistry = require('../services/ai/promptRegistry');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    ai: {
+        prompts: { cacheTtlMs: 60000 }
+    }
+}));
+
+// Each query resolves with the next queued result; every call is recorded
+const mockQueries = [];
+const mockResults = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        rpc: jest.fn((name, params) => {
+            mockQueries.push({ rpc: name, params });
+            return Promise.resolve(mockResults.shift() || { data: null, error: null });
+        }),
+        from: jest.fn(table => {
+            const query = { table, calls: [] };
+            mockQueries.push(query);
+            const builder = {};
+            ['select', 'eq', 'is', 'or', 'order'].forEach(method => {
+                builder[method] = jest.fn((...args) => {
+                    query.calls.push([method, ...args]);
+                    return builder;
+                });
+            });
+            builder.then = (resolve, reject) => Promise.resolve(mockResults.shift() || { data: [], error: null })
+                .then(resolve, reject);
+            return builder;
+        })
+    }))
+}));
+
+const version = (fields) => ({
+    id: `prompt-${fields.version}`,
+    key: 'email_template',
+    variant: 'default',
+    weight: 1,
+    agent_id: null,
+    ...fields
+});
+
+describe('Prompt Registry Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockQueries.length = 0;
+        mockResults.length = 0;
+        promptRegistry.clearCache();
+    });
+
+    test('should render the built-in prompt as version 1 and keep passthrough placeholders', async () => {
+        const prompt = await promptRegistry.render('email_template', {
+            template_type: 'welcome',
+            brand_company: 'Elm Estates',
+            key_phrases: 'Your next chapter'
+        });
+
+        expect(prompt.label).toBe('email_template@v1');
+        expect(prompt.ref).toEqual({ key: 'email_template', version: 1, variant: 'default', id: null, agentId: null, language: 'en' });
+        expect(prompt.text).toContain('Generate a professional email template for: welcome');
+        expect(prompt.text).toContain('- Company: Elm Estates');
+        expect(prompt.text).toContain('- {{company_name}} - Company name');
+        expect(prompt.text).toContain('Personalized greeting using {{contact_name}} variable');
+        expect(prompt.text).toContain('- Style: \n');
+    });
+
+    test('should prefer an agent override and fall back to the built-in prompt when the table fails', async () => {
+        mockResults.push({
+            data: [
+                version({ version: 3, agent_id: 'agent-1', template: 'Agent prompt for {{template_type}}' }),
+                version({ version: 2, template: 'Global prompt for {{template_type}}' })
+            ],
+            error: null
+        });
+
+        const agentPrompt = await promptRegistry.render('email_template', { template_type: 'welcome' }, { agentId: 'agent-1' });
+        expect(agentPrompt).toMatchObject({ text: 'Agent prompt for welcome', label: 'email_template@v3' });
+        expect(mockQueries[0].calls).toContainEqual(['or', 'agent_id.is.null,agent_id.eq.agent-1']);
+
+        await promptRegistry.render('email_template', { template_type: 'welcome' });
+        expect(mockQueries[1].calls).toContainEqual(['is', 'agent_id', null]);
+
+        mockResults.push({ data: null, error: { message: 'relation "prompt_templates" does not exist' } });
+        const fallback = await promptRegistry.render('email_template', { template_type: 'welcome' }, { agentId: 'agent-2' });
+        expect(fallback.label).toBe('email_template@v1');
+        expect(logger.warn).toHaveBeenCalledWith('Could not load prompt versions, using the built-in prompt', expect.any(Object));
+    });
+
+    test('should pick A/B variants by weight and keep a seed on one variant', async () => {
+        mockResults.push({
+            data: [
+                version({ version: 5, variant: 'b', weight: 1, template: 'Variant B' }),
+                version({ version: 4, variant: 'default', weight: 1, template: 'Variant A' }),
+                version({ version: 2, variant: 'off', weight: 0, template: 'Paused' })
+            ],
+            error: null
+        });
+
+        const labels = new Set();
+        for (let session = 0; session < 20; session++) {
+            const first = await promptRegistry.render('email_template', {}, { seed: `session-${session}` });
+            const again = await promptRegistry.render('email_template', {}, { seed: `session-${session}` });
+            expect(again.label).toBe(first.label);
+            labels.add(first.label);
+        }
+
+        expect([...labels].sort()).toEqual(['email_template@v4', 'email_template@v5/b']);
+        // Versions were read once and cached
+        expect(mockQueries).toHaveLength(1);
+    });
+
+    test('should publish and re-activate versions in one database call each', async () => {
+        mockResults.push(
+            { data: version({ version: 6, agent_id: 'agent-1', template: 'New {{template_type}} {{tone}}' }), error: null },
+            { data: version({ version: 4, is_active: true }), error: null },
+            { data: null, error: { code: 'P0002', message: 'Prompt version prompt-9 not found' } }
+        );
+
+        const published = await promptRegistry.publish('email_template', {
+            template: 'New {{template_type}} {{tone}} {{agnet_name}}',
+            agentId: 'agent-1'
+        });
+
+        expect(published.version).toBe(6);
+        expect(mockQueries[0]).toEqual({
+            rpc: 'publish_prompt_version',
+            params: {
+                p_key: 'email_template',
+                p_template: 'New {{template_type}} {{tone}} {{agnet_name}}',
+                p_variant: 'default',
+                p_weight: 1,
+                p_agent_id: 'agent-1',
+                p_notes: null,
+                p_created_by: null
+            }
+        });
+        expect(logger.warn).toHaveBeenCalledWith(
+            'Prompt template uses placeholders that are not variables of this prompt',
+            { key: 'email_template', unknown: ['agnet_name'] }
+        );
+
+        await expect(promptRegistry.setActive('prompt-4', true)).resolves.toMatchObject({ version: 4, is_active: true });
+        expect(mockQueries[1]).toEqual({ rpc: 'activate_prompt_version', params: { p_id: 'prompt-4', p_active: true } });
+
+        await expect(promptRegistry.setActive('prompt-9', true)).rejects.toMatchObject({ code: 'PROMPT_NOT_FOUND' });
+        expect(mockQueries).toHaveLength(3);
+    });
+
+    test('should reject unknown keys and empty templates', async () => {
+        await expect(promptRegistry.render('brochure', {})).rejects.toMatchObject({ code: 'PROMPT_NOT_FOUND' });
+        await expect(promptRegistry.publish('chat_system', { template: '  ' })).rejects.toMatchObject({ code: 'PROMPT_INVALID' });
+        expect(mockQueries).toHaveLength(0);
+    });
+});
@@ -0,0 +1,668 @@
+const request = require('supertest');
+const express = require('express');
+const propertyService = require('../services/property/propertyService');
+const storageService = require('../services/storage/storageService');
+const propertyExportService = require('../services/property/propertyExportService');
+const viewingService = require('../services/property/viewingService');
+const propertyDuplicateService = require('../services/property/propertyDuplicateService');
+const scrapingService = require('../services/scraping/scrapingService');
+const scrapeReviewService = require('../services/scraping/scrapeReviewService');
+const aiService = require('../services/ai/aiService');
+const contentJobService = require('../services/ai/contentJobService');
+const brandComplianceService = require('../services/brand/brandComplianceService');
+const errorService = require('../services/error/errorService');
+
+jest.mock('../utils/logger');
+jest.mock('../services/property/propertyService', () => ({
+    mapPropertyInput: jest.fn(input => input),
+    createProperty: jest.fn(),
+    getProperties: jest.fn(),
+    searchProperties: jest.fn(),
+    fullTextSearch: jest.fn(),
+    getPropertyById: jest.fn(),
+    updateProperty: jest.fn(),
+    deleteProperty: jest.fn(),
+    archiveProperty: jest.fn(),
+    restoreProperty: jest.fn(),
+    transitionListingStatus: jest.fn(),
+    getPropertyImages: jest.fn(),
+    deletePropertyImage: jest.fn(),
+    getPropertyRevisions: jest.fn(),
+    restorePropertyRevision: jest.fn(),
+    getPriceHistory: jest.fn()
+}));
+jest.mock('../services/storage/storageService', () => ({
+    uploadPropertyImage: jest.fn()
+}));
+jest.mock('../services/property/propertyExportService', () => ({
+    exportProperties: jest.fn(),
+    getFeed: jest.fn(),
+    rotateFeedToken: jest.fn()
+}));
+jest.mock('../services/property/propertyDuplicateService', () => ({
+    findDuplicatesForProperty: jest.fn(),
+    mergeProperties: jest.fn()
+}));
+jest.mock('../services/scraping/scrapingService', () => ({
+    scrapePropertyData: jest.fn(),
+    scrapeDocument: jest.fn(),
+    getScrapeJob: jest.fn()
+}));
+jest.mock('../services/scraping/scrapeReviewService', () => ({
+    listPending: jest.fn(),
+    getPending: jest.fn(),
+    confirm: jest.fn()
+}));
+jest.mock('../services/ai/aiService', () => ({
+    generatePropertyContent: jest.fn()
+}));
+jest.mock('../services/ai/contentJobService', () => ({
+    listJobs: jest.fn(),
+    getJob: jest.fn(),
+    requestCancel: jest.fn(),
+    formatJob: jest.fn(job => ({ jobId: job.id, status: job.status }))
+}));
+jest.mock('../services/brand/brandComplianceService', () => ({
+    listPending: jest.fn(),
+    decide: jest.fn()
+}));
+jest.mock('../services/scraping/manualCompletionService', () => ({
+    resendLink: jest.fn()
+}));
+jest.mock('../services/scraping/listingSyncService', () => ({
+    getChangeEvents: jest.fn(),
+    requestSync: jest.fn()
+}));
+jest.mock('../services/property/viewingService', () => ({
+    addAvailability: jest.fn(),
+    cancelViewing: jest.fn()
+}));
+jest.mock('../middlewares/authMiddleware', () => (req, res, next) => {
+    req.user = { id: 'agent-1' };
+    next();
+});
+
+const propertyRoutes = require('../routes/properties');
+
+describe('Property API Tests', () => {
+    let app;
+
+    const validProperty = {
+        title: 'Charming Family Home',
+        description: 'A bright three bedroom home close to schools and parks.',
+        price: 450000,
+        address: {
+            street: '123 Main Street',
+            city: 'Springfield',
+            state: 'IL',
+            zipCode: '62701'
+        },
+        propertyType: 'single_family',
+        bedrooms: 3,
+        bathrooms: 2
+    };
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/properties', propertyRoutes);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('POST /api/properties', () => {
+        test('should create a property scoped to the authenticated agent', async () => {
+            propertyService.createProperty.mockResolvedValue({ id: 'property-1', agent_id: 'agent-1' });
+
+            const response = await request(app)
+                .post('/api/properties')
+                .send(validProperty);
+
+            expect(response.status).toBe(201);
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.id).toBe('property-1');
+            expect(propertyService.createProperty).toHaveBeenCalledWith(
+                expect.objectContaining({ title: validProperty.title }),
+                'agent-1',
+                { enrichWithExternalData: true, triggerWorkflows: true, allowDuplicate: false }
+            );
+        });
+
+        test('should return 409 with the matching listings for a duplicate', async () => {
+            const match = { property: { id: 'property-9', title: 'Charming Family Home' }, score: 0.9, likely: true, reasons: [{ type: 'address' }] };
+            propertyService.createProperty.mockRejectedValue(errorService.createError('PROPERTY_DUPLICATE', {
+                details: { matches: [match] }
+            }));
+
+            const response = await request(app)
+                .post('/api/properties')
+                .send(validProperty);
+
+            expect(response.status).toBe(409);
+            expect(response.body.code).toBe('PROPERTY_DUPLICATE');
+            expect(response.body.duplicates).toEqual([match]);
+        });
+
+        test('should reject a payload that fails the property.create schema', async () => {
+            const response = await request(app)
+                .post('/api/properties')
+                .send({ title: 'Bad' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.success).toBe(false);
+            expect(response.body.errors.length).toBeGreaterThan(0);
+            expect(propertyService.createProperty).not.toHaveBeenCalled();
+        });
+
+        test('should return the ErrorService envelope on service failure', async () => {
+            propertyService.createProperty.mockRejectedValue(new Error('insert failed'));
+
+            const response = await request(app)
+                .post('/api/properties')
+                .send(validProperty);
+
+            expect(response.status).toBe(500);
+            expect(response.body.code).toBe('INTERNAL_ERROR');
+            expect(response.body.timestamp).toBeDefined();
+        });
+    });
+
+    describe('GET /api/properties', () => {
+        test('should map query filters onto service filters', async () => {
+            propertyService.getProperties.mockResolvedValue({
+                data: [],
+                pagination: { page: 2, limit: 10, total: 0, totalPages: 0 }
+            });
+
+            const response = await request(app)
+                .get('/api/properties?page=2&limit=10&minPrice=100000&propertyType=condo');
+
+            expect(response.status).toBe(200);
+            expect(propertyService.getProperties).toHaveBeenCalledWith(
+                expect.objectContaining({ priceMin: 100000, propertyTypes: ['condo'] }),
+                expect.objectContaining({ page: 2, limit: 10 }),
+                'agent-1'
+            );
+        });
+
+        test('should map radius, bounding box and polygon params to geo filters', async () => {
+            propertyService.getProperties.mockResolvedValue({ data: [], pagination: {} });
+
+            await request(app)
+                .get('/api/properties?lat=40.7&lng=-74&radiusKm=5&sortBy=distance'
+                    + '&bbox=40.6,-74.1,40.8,-73.9&polygon=40.6,-74.1;40.8,-74.1;40.8,-73.9');
+
+            expect(propertyService.getProperties).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    near: { lat: 40.7, lng: -74, radiusKm: 5 },
+                    bounds: { south: 40.6, west: -74.1, north: 40.8, east: -73.9 },
+                    polygon: [[40.6, -74.1], [40.8, -74.1], [40.8, -73.9]]
+                }),
+                expect.objectContaining({ sortBy: 'distance' }),
+                'agent-1'
+            );
+        });
+
+        test('should reject a radius without a centre point', async () => {
+            const response = await request(app).get('/api/properties?radiusKm=5');
+
+            expect(response.status).toBe(400);
+            expect(propertyService.getProperties).not.toHaveBeenCalled();
+        });
+
+        test('should reject invalid filter values', async () => {
+            const response = await request(app).get('/api/properties?minPrice=cheap');
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('VALIDATION_FAILED');
+        });
+    });
+
+    describe('GET /api/properties/search', () => {
+        test('should return ranked results with facets and a cursor', async () => {
+            propertyService.fullTextSearch.mockResolvedValue({
+                data: [{ id: 'property-1', search_rank: 0.4 }],
+                facets: { total: 3, city: { Springfield: 3 } },
+                pagination: { limit: 1, nextCursor: 'abc', hasNext: true }
+            });
+
+            const response = await request(app)
+                .get('/api/properties/search?q=pool%20garden&limit=1&city=Springfield');
+
+            expect(response.status).toBe(200);
+            expect(response.body.facets.total).toBe(3);
+            expect(response.body.pagination.nextCursor).toBe('abc');
+            expect(propertyService.fullTextSearch).toHaveBeenCalledWith(
+                'pool garden',
+                expect.objectContaining({ city: 'Springfield' }),
+                expect.objectContaining({ limit: 1, includeFacets: true }),
+                'agent-1'
+            );
+        });
+    });
+
+    describe('GET /api/properties/:id', () => {
+        test('should return 404 when the property is not owned by the agent', async () => {
+            propertyService.getPropertyById.mockResolvedValue(null);
+
+            const response = await request(app).get('/api/properties/property-2');
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('PROPERTY_NOT_FOUND');
+            expect(propertyService.getPropertyById).toHaveBeenCalledWith(
+                'property-2',
+                'agent-1',
+                expect.any(Object)
+            );
+        });
+    });
+
+    describe('PUT /api/properties/:id', () => {
+        test('should update with validated fields only', async () => {
+            propertyService.updateProperty.mockResolvedValue({ id: 'property-1', price: 425000 });
+
+            const response = await request(app)
+                .put('/api/properties/property-1')
+                .send({ price: 425000 });
+
+            expect(response.status).toBe(200);
+            expect(propertyService.updateProperty).toHaveBeenCalledWith(
+                'property-1',
+                { price: 425000 },
+                'agent-1'
+            );
+        });
+    });
+
+    describe('DELETE /api/properties/:id', () => {
+        test('should return 404 when nothing was deleted', async () => {
+            propertyService.deleteProperty.mockResolvedValue(null);
+
+            const response = await request(app).delete('/api/properties/property-1');
+
+            expect(response.status).toBe(404);
+        });
+
+        test('should move the property to trash with a purge date', async () => {
+            propertyService.deleteProperty.mockResolvedValue({
+                success: true,
+                purgeAfter: '2026-11-18T00:00:00.000Z'
+            });
+
+            const response = await request(app).delete('/api/properties/property-1');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.purgeAfter).toBe('2026-11-18T00:00:00.000Z');
+            expect(propertyService.deleteProperty).toHaveBeenCalledWith(
+                'property-1',
+                'agent-1',
+                { permanent: false }
+            );
+        });
+
+        test('should purge immediately when permanent is requested', async () => {
+            propertyService.deleteProperty.mockResolvedValue({ success: true });
+
+            await request(app).delete('/api/properties/property-1?permanent=true').expect(200);
+
+            expect(propertyService.deleteProperty).toHaveBeenCalledWith(
+                'property-1',
+                'agent-1',
+                { permanent: true }
+            );
+        });
+    });
+
+    describe('Archive and restore', () => {
+        test('should restore a property from the trash', async () => {
+            propertyService.restoreProperty.mockResolvedValue({ id: 'property-1', deleted_at: null });
+
+            const response = await request(app).post('/api/properties/property-1/restore');
+
+            expect(response.status).toBe(200);
+            expect(propertyService.restoreProperty).toHaveBeenCalledWith('property-1', 'agent-1');
+        });
+
+        test('should list archived properties on request', async () => {
+            propertyService.getProperties.mockResolvedValue({ data: [], pagination: {} });
+
+            await request(app).get('/api/properties?lifecycle=archived').expect(200);
+
+            expect(propertyService.getProperties).toHaveBeenCalledWith(
+                expect.objectContaining({ lifecycle: 'archived' }),
+                expect.any(Object),
+                'agent-1'
+            );
+        });
+    });
+
+    describe('Listing status', () => {
+        test('should change status through the state machine', async () => {
+            propertyService.transitionListingStatus.mockResolvedValue({ id: 'property-1', listing_status: 'under_offer' });
+
+            const response = await request(app)
+                .post('/api/properties/property-1/status')
+                .send({ status: 'under_offer', reason: 'Offer accepted' });
+
+            expect(response.status).toBe(200);
+            expect(propertyService.transitionListingStatus).toHaveBeenCalledWith(
+                'property-1',
+                'agent-1',
+                'under_offer',
+                { reason: 'Offer accepted' }
+            );
+        });
+
+        test('should return 409 for a transition the state machine rejects', async () => {
+            propertyService.transitionListingStatus.mockRejectedValue(
+                errorService.createError('INVALID_STATUS_TRANSITION')
+            );
+
+            const response = await request(app)
+                .post('/api/properties/property-1/status')
+                .send({ status: 'active' });
+
+            expect(response.status).toBe(409);
+            expect(response.body.code).toBe('INVALID_STATUS_TRANSITION');
+        });
+    });
+
+    describe('Revision history', () => {
+        test('should list revisions filtered by field', async () => {
+            propertyService.getPropertyById.mockResolvedValue({ id: 'property-1' });
+            propertyService.getPropertyRevisions.mockResolvedValue({ data: [], pagination: { page: 1 } });
+
+            const response = await request(app).get('/api/properties/property-1/revisions?field=price');
+
+            expect(response.status).toBe(200);
+            expect(propertyService.getPropertyRevisions).toHaveBeenCalledWith(
+                'property-1',
+                'agent-1',
+                expect.objectContaining({ page: 1, field: 'price' })
+            );
+        });
+
+        test('should return 404 for an unknown revision', async () => {
+            propertyService.restorePropertyRevision.mockRejectedValue(
+                errorService.createError('PROPERTY_REVISION_NOT_FOUND')
+            );
+
+            const response = await request(app)
+                .post('/api/properties/property-1/revisions/revision-9/restore');
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('PROPERTY_REVISION_NOT_FOUND');
+        });
+
+        test('should expose the latest price change', async () => {
+            propertyService.getPropertyById.mockResolvedValue({ id: 'property-1', price: 475000 });
+            propertyService.getPriceHistory.mockResolvedValue([
+                { oldPrice: 500000, newPrice: 475000, direction: 'reduced' }
+            ]);
+
+            const response = await request(app).get('/api/properties/property-1/price-history');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.latestChange.direction).toBe('reduced');
+        });
+    });
+
+    describe('Listing export', () => {
+        test('should download the export as an attachment', async () => {
+            propertyExportService.exportProperties.mockResolvedValue({
+                contentType: 'application/xml; charset=utf-8',
+                extension: 'xml',
+                body: '<Listings></Listings>',
+                count: 0
+            });
+
+            const response = await request(app)
+                .get('/api/properties/export?format=xml&status=active,under_offer')
+                .expect(200);
+
+            expect(response.headers['content-disposition']).toMatch(/attachment; filename="listings-.*\.xml"/);
+            expect(propertyExportService.exportProperties).toHaveBeenCalledWith(
+                'agent-1',
+                'xml',
+                { listingStatuses: ['active', 'under_offer'] }
+            );
+        });
+    });
+
+    describe('Duplicate listings', () => {
+        const sourceId = '5b1f6a52-3c1e-4d3f-9a57-2f4c8e9d1a10';
+
+        test('should merge a duplicate into the listing', async () => {
+            propertyDuplicateService.mergeProperties.mockResolvedValue({
+                property: { id: 'property-1' },
+                mergedFields: ['description'],
+                movedImages: 3
+            });
+
+            const response = await request(app)
+                .post('/api/properties/property-1/merge')
+                .send({ sourceId, fields: ['price'] })
+                .expect(200);
+
+            expect(response.body.data.movedImages).toBe(3);
+            expect(propertyDuplicateService.mergeProperties).toHaveBeenCalledWith(
+                'property-1',
+                sourceId,
+                'agent-1',
+                { fields: ['price'] }
+            );
+        });
+
+        test('should reject merge fields that cannot be copied', async () => {
+            await request(app)
+                .post('/api/properties/property-1/merge')
+                .send({ sourceId, fields: ['agent_id'] })
+                .expect(400);
+
+            expect(propertyDuplicateService.mergeProperties).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Scrape jobs', () => {
+        test('should queue a scrape and report the job status', async () => {
+            scrapingService.scrapePropertyData.mockResolvedValue({ id: 'job-1', propertyId: 'property-1', status: 'queued' });
+            scrapingService.getScrapeJob.mockResolvedValue({
+                jobId: 'job-1',
+                status: 'queued',
+                tier: 'brightdata',
+                attempts: 1,
+                history: [{ attempt: 1, tier: 'brightdata', outcome: 'retry' }]
+            });
+
+            const queued = await request(app)
+                .post('/api/properties/scrape')
+                .send({ url: 'https://www.zillow.com/homedetails/1234_zpid/' })
+                .expect(202);
+
+            expect(queued.body.data).toMatchObject({ jobId: 'job-1', status: 'queued' });
+
+            const response = await request(app)
+                .get('/api/properties/scrape/job-1')
+                .expect(200);
+
+            expect(response.body.data.tier).toBe('brightdata');
+            expect(scrapingService.getScrapeJob).toHaveBeenCalledWith('job-1', 'agent-1');
+        });
+
+        test('should create a listing from an uploaded PDF brochure', async () => {
+            scrapingService.scrapeDocument.mockResolvedValue({ jobId: 'job-2', propertyId: 'property-2', status: 'completed', tier: 'document' });
+
+            const response = await request(app)
+                .post('/api/properties/scrape')
+                .attach('file', Buffer.from('%PDF-1.4'), { filename: 'brochure.pdf', contentType: 'application/pdf' })
+                .expect(201);
+
+            expect(response.body.data).toMatchObject({ propertyId: 'property-2', status: 'completed' });
+            expect(scrapingService.scrapeDocument).toHaveBeenCalledWith(
+                expect.objectContaining({ buffer: Buffer.from('%PDF-1.4'), fileName: 'brochure.pdf' }),
+                'agent-1',
+                { allowDuplicate: false }
+            );
+        });
+
+        test('should require a URL, HTML or a document', async () => {
+            const response = await request(app)
+                .post('/api/properties/scrape')
+                .send({})
+                .expect(400);
+
+            expect(response.body.error).toBe('A URL, page HTML or PDF brochure is required');
+            expect(scrapingService.scrapePropertyData).not.toHaveBeenCalled();
+        });
+
+        test('should return 404 for another agent\'s or an unknown job', async () => {
+            scrapingService.getScrapeJob.mockResolvedValue(null);
+
+            const response = await request(app).get('/api/properties/scrape/job-9');
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('SCRAPE_JOB_NOT_FOUND');
+        });
+    });
+
+    describe('Scraped field review', () => {
+        test('should confirm held fields with validated corrections', async () => {
+            scrapeReviewService.confirm.mockResolvedValue({
+                review: { id: 'review-1', status: 'confirmed' },
+                property: { id: 'property-1', listing_status: 'active' }
+            });
+
+            const response = await request(app)
+                .post('/api/properties/property-1/review')
+                .send({ price: '485000', bedrooms: null, listing_status: 'sold' })
+                .expect(200);
+
+            expect(response.body.data.property.listing_status).toBe('active');
+            expect(scrapeReviewService.confirm).toHaveBeenCalledWith('property-1', 'agent-1', { price: 485000, bedrooms: null });
+        });
+
+        test('should return 404 when nothing is waiting for review', async () => {
+            scrapeReviewService.getPending.mockResolvedValue(null);
+
+            const response = await request(app).get('/api/properties/property-1/review');
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('SCRAPE_REVIEW_NOT_FOUND');
+        });
+    });
+
+    describe('Content generation', () => {
+        test('should start a content job for the requested types', async () => {
+            propertyService.getPropertyById.mockResolvedValue({ id: 'property-1', agent_id: 'agent-1' });
+            aiService.generatePropertyContent.mockResolvedValue({ jobId: 'content-job-1', status: 'running' });
+
+            const response = await request(app)
+                .post('/api/properties/property-1/generate-content')
+                .send({ contentTypes: ['description', 'social_posts'], languages: ['en', 'ar'] })
+                .expect(202);
+
+            expect(response.body.data.jobId).toBe('content-job-1');
+            expect(aiService.generatePropertyContent).toHaveBeenCalledWith(
+                { id: 'property-1', agent_id: 'agent-1' },
+                ['description', 'social_posts'],
+                { languages: ['en', 'ar'] }
+            );
+
+            await request(app)
+                .post('/api/properties/property-1/generate-content')
+                .send({ contentTypes: ['pdf'] })
+                .expect(400);
+        });
+
+        test('should return 404 for another agent\'s or an unknown content job', async () => {
+            contentJobService.getJob.mockResolvedValue(null);
+
+            const response = await request(app).get('/api/properties/content-jobs/job-9');
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('CONTENT_JOB_NOT_FOUND');
+            expect(contentJobService.getJob).toHaveBeenCalledWith('job-9', 'agent-1');
+        });
+
+        test('should approve a post held for brand review and validate the decision', async () => {
+            brandComplianceService.decide.mockResolvedValue({ id: 'post-1', status: 'scheduled', compliance_score: 55 });
+
+            const response = await request(app)
+                .post('/api/properties/post-reviews/post-1')
+                .send({ decision: 'approve' })
+                .expect(200);
+
+            expect(response.body.data.status).toBe('scheduled');
+            expect(brandComplianceService.decide).toHaveBeenCalledWith('post-1', 'agent-1', 'approve');
+
+            await request(app)
+                .post('/api/properties/post-reviews/post-1')
+                .send({ decision: 'publish' })
+                .expect(400);
+        });
+    });
+
+    describe('Viewing scheduler', () => {
+        test('should validate and add an availability window', async () => {
+            viewingService.addAvailability.mockResolvedValue({ id: 'window-1' });
+
+            const response = await request(app)
+                .post('/api/properties/property-1/availability')
+                .send({ startsAt: '2026-11-07T10:00:00Z', endsAt: '2026-11-07T12:00:00Z' })
+                .expect(201);
+
+            expect(response.body.data.id).toBe('window-1');
+            expect(viewingService.addAvailability).toHaveBeenCalledWith(
+                'property-1',
+                'agent-1',
+                expect.objectContaining({ slotMinutes: 30, bufferMinutes: 0 })
+            );
+
+            await request(app)
+                .post('/api/properties/property-1/availability')
+                .send({ startsAt: '2026-11-07T12:00:00Z', endsAt: '2026-11-07T10:00:00Z' })
+                .expect(400);
+        });
+
+        test('should return 404 when cancelling an unknown viewing', async () => {
+            viewingService.cancelViewing.mockRejectedValue(errorService.createError('VIEWING_NOT_FOUND'));
+
+            const response = await request(app)
+                .post('/api/properties/property-1/viewings/viewing-9/cancel')
+                .send({ reason: 'Buyer withdrew' });
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('VIEWING_NOT_FOUND');
+        });
+    });
+
+    describe('Property images', () => {
+        test('should upload images through StorageService', async () => {
+            propertyService.getPropertyById.mockResolvedValue({ id: 'property-1', property_images: [] });
+            storageService.uploadPropertyImage.mockResolvedValue({ id: 'image-1', is_primary: true });
+
+            const response = await request(app)
+                .post('/api/properties/property-1/images')
+                .attach('images', Buffer.from('fake-image'), { filename: 'front.jpg', contentType: 'image/jpeg' });
+
+            expect(response.status).toBe(201);
+            expect(storageService.uploadPropertyImage).toHaveBeenCalledWith(
+                'property-1',
+                'agent-1',
+                expect.objectContaining({ originalname: 'front.jpg' }),
+                expect.objectContaining({ isPrimary: true, displayOrder: 0 })
+            );
+        });
+
+        test('should return 404 when the image does not exist', async () => {
+            propertyService.deletePropertyImage.mockResolvedValue(null);
+
+            const response = await request(app).delete('/api/properties/property-1/images/image-9');
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('PROPERTY_IMAGE_NOT_FOUND');
+        });
+    });
+});
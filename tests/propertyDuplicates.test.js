@@ -0,0 +1,161 @@
+const propertyDuplicateService = require('../services/property/propertyDuplicateService');
+const { normalizeAddress, normalizePropertyAddress } = require('../utils/address');
+const imageHash = require('../utils/imageHash');
+const propertyService = require('../services/property/propertyService');
+const storageService = require('../services/storage/storageService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' }
+}));
+
+// Each query resolves to the rows registered for the column it filters on;
+// RPCs resolve to the result registered for their name
+const mockRowsByFilter = {};
+const mockRpc = jest.fn();
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        rpc: jest.fn((...args) => mockRpc(...args)),
+        from: jest.fn(table => {
+            const filters = [];
+            const builder = {};
+            ['select', 'is', 'not', 'neq', 'gte', 'lte', 'or', 'limit', 'order'].forEach(method => {
+                builder[method] = jest.fn(() => builder);
+            });
+            ['eq', 'in'].forEach(method => {
+                builder[method] = jest.fn((column, value) => {
+                    filters.push(`${column}=${value}`);
+                    return builder;
+                });
+            });
+            builder.then = (resolve, reject) => {
+                const key = filters.find(filter => mockRowsByFilter[`${table}:${filter}`]);
+                const data = key ? mockRowsByFilter[`${table}:${key}`] : [];
+                return Promise.resolve({ data, error: null }).then(resolve, reject);
+            };
+            return builder;
+        })
+    }))
+}));
+jest.mock('../services/property/propertyService', () => ({
+    retentionDays: 30,
+    getPropertyById: jest.fn(),
+    setSocialCampaignPaused: jest.fn(),
+    applyBoundsFilter: jest.fn(query => query)
+}));
+jest.mock('../services/storage/storageService', () => ({
+    buckets: { PROPERTY_IMAGES: 'property-images' },
+    copyPropertyImageFiles: jest.fn(),
+    removeFiles: jest.fn()
+}));
+
+describe('Duplicate Listing Detection Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Object.keys(mockRowsByFilter).forEach(key => delete mockRowsByFilter[key]);
+    });
+
+    test('should normalize differently written addresses to the same value', () => {
+        expect(normalizeAddress('123 North Main Street, Apt #4, Springfield, IL 62701-1234, USA'))
+            .toBe(normalizeAddress('123 N. Main St Unit 4 Springfield IL 62701'));
+        expect(normalizePropertyAddress({
+            street_address: '123 N Main St Unit 4', city: 'Springfield', state: 'IL', zip_code: '62701'
+        })).toBe('123 n main st unit 4 springfield il 62701');
+        expect(normalizeAddress('   ')).toBeNull();
+    });
+
+    test('should give near-identical images close perceptual hashes', () => {
+        const gradient = Array.from({ length: 72 }, (_, i) => (i * 37) % 256);
+        const brighter = gradient.map(value => Math.min(255, value + 3));
+        const hash = imageHash.differenceHash(gradient);
+
+        expect(hash).toHaveLength(16);
+        expect(imageHash.hammingDistance(hash, imageHash.differenceHash(brighter))).toBeLessThanOrEqual(2);
+        expect(imageHash.hammingDistance(hash, imageHash.differenceHash([...gradient].reverse()))).toBeGreaterThan(20);
+    });
+
+    test('should flag a listing with the same MLS number as a likely duplicate', async () => {
+        const existing = { id: 'property-9', title: 'Elm House', mls_number: 'MLS-1' };
+        mockRowsByFilter['properties:mls_number=MLS-1'] = [existing];
+
+        const matches = await propertyDuplicateService.findDuplicates('agent-1', { mls_number: 'MLS-1 ' });
+
+        expect(matches).toEqual([expect.objectContaining({
+            property: existing,
+            score: 1,
+            likely: true,
+            reasons: [{ type: 'mls_number', value: 'MLS-1' }]
+        })]);
+        await expect(propertyDuplicateService.assertNoDuplicates('agent-1', { mls_number: 'MLS-1' }))
+            .rejects.toMatchObject({ code: 'PROPERTY_DUPLICATE', httpStatus: 409 });
+    });
+
+    test('should combine weak signals but not block on location alone', async () => {
+        const neighbour = { id: 'property-8', latitude: 39.78, longitude: -89.65 };
+        mockRowsByFilter['properties:agent_id=agent-1'] = [neighbour];
+
+        const [match] = await propertyDuplicateService.findDuplicates('agent-1', { latitude: 39.78, longitude: -89.65 });
+
+        expect(match).toMatchObject({ score: 0.5, likely: false, reasons: [{ type: 'location', distanceMeters: 0 }] });
+        expect(propertyDuplicateService.scoreReasons([{ type: 'location' }, { type: 'image' }])).toBe(0.8);
+    });
+
+    test('should fill gaps, prefer requested fields and combine features on merge', () => {
+        const target = { title: 'Elm House', price: 300000, description: '', features: ['Garage'] };
+        const source = { title: 'Elm St Home', price: 310000, description: 'Lovely', features: ['Garage', 'Pool'], agent_id: 'x' };
+
+        expect(propertyDuplicateService.buildMergeUpdates(target, source, ['price'])).toEqual({
+            price: 310000,
+            description: 'Lovely',
+            features: ['Garage', 'Pool']
+        });
+    });
+
+    test('should match photos by hash distance in the database', async () => {
+        mockRpc.mockResolvedValue({ data: [{ property_id: 'property-2', matching_images: 3 }], error: null });
+        mockRowsByFilter['properties:id=property-2'] = [{ id: 'property-2', title: 'Elm St Home' }];
+
+        const matches = await propertyDuplicateService.findByImages('agent-1', ['0f0f0f0f0f0f0f0f'], 'property-1');
+
+        expect(mockRpc).toHaveBeenCalledWith('match_property_image_hashes', {
+            p_agent_id: 'agent-1',
+            p_hashes: ['0f0f0f0f0f0f0f0f'],
+            p_max_distance: 6,
+            p_exclude_id: 'property-1',
+            p_limit: 25
+        });
+        expect(matches).toEqual([{ property: { id: 'property-2', title: 'Elm St Home' }, matchingImages: 3 }]);
+    });
+
+    test('should merge in one RPC after copying the photos and clean up when it fails', async () => {
+        const target = { id: 'property-1', title: 'Elm House', city: null, street_address: '1 Elm St' };
+        const source = { id: 'property-2', title: 'Elm St Home', city: 'Leeds' };
+        propertyService.getPropertyById.mockImplementation(async id => (id === 'property-1' ? target : source));
+        mockRowsByFilter['property_images:property_id=property-2'] = [
+            { id: 'image-1', perceptual_hash: null, storage_path: 'properties/agent-1/property-2/a.jpg' }
+        ];
+        storageService.copyPropertyImageFiles.mockResolvedValue({
+            images: [{ id: 'image-1', storage_path: 'properties/agent-1/property-1/a.jpg' }],
+            copied: ['properties/agent-1/property-1/a.jpg']
+        });
+        mockRpc.mockResolvedValueOnce({ data: null, error: { code: 'XX000', message: 'connection lost' } });
+
+        await expect(propertyDuplicateService.mergeProperties('property-1', 'property-2', 'agent-1'))
+            .rejects.toThrow('Failed to merge properties: connection lost');
+        expect(storageService.removeFiles).toHaveBeenCalledWith('property-images', ['properties/agent-1/property-1/a.jpg']);
+        expect(propertyService.setSocialCampaignPaused).not.toHaveBeenCalled();
+
+        mockRpc.mockResolvedValueOnce({ data: { purgeAfter: 'later' }, error: null });
+        const result = await propertyDuplicateService.mergeProperties('property-1', 'property-2', 'agent-1');
+
+        expect(mockRpc).toHaveBeenLastCalledWith('merge_properties', expect.objectContaining({
+            p_target_id: 'property-1',
+            p_source_id: 'property-2',
+            p_agent_id: 'agent-1',
+            p_updates: { city: 'Leeds', normalized_address: '1 elm st leeds' },
+            p_images: [{ id: 'image-1', storage_path: 'properties/agent-1/property-1/a.jpg', display_order: 0, is_primary: true }]
+        }));
+        expect(propertyService.setSocialCampaignPaused).toHaveBeenCalledWith('property-2', true, 'deleted');
+        expect(result).toMatchObject({ mergedFields: ['city'], movedImages: 1, skippedImages: 0 });
+    });
+});
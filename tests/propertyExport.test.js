@@ -0,0 +1,115 @@
+const propertyService = require('../services/property/propertyService');
+const propertyExportService = require('../services/property/propertyExportService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    server: { publicUrl: 'https://api.example.com' }
+}));
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({ from: jest.fn() }))
+}));
+jest.mock('../services/property/propertyService', () => ({
+    getProperties: jest.fn()
+}));
+jest.mock('../services/storage/storageService', () => ({
+    buckets: { PROPERTY_IMAGES: 'property-images' },
+    getPublicUrl: jest.fn((bucket, path) => `https://cdn.example.com/${bucket}/${path}`)
+}));
+
+describe('Property Export Tests', () => {
+    const listing = {
+        id: 'property-1',
+        mls_number: 'MLS123',
+        title: 'Sunny "Corner" Condo',
+        description: 'Bright condo, close to the park & shops.',
+        price: 325000,
+        street_address: '12 Elm St',
+        city: 'Springfield',
+        state: 'IL',
+        zip_code: '62701',
+        property_type: 'condo',
+        listing_status: 'active',
+        bedrooms: 2,
+        bathrooms: 1,
+        features: ['Balcony', 'Gym'],
+        walk_score: 88,
+        nearby_schools: [{ name: 'Lincoln Elementary', rating: 8 }],
+        property_images: [
+            { storage_path: 'a/second.jpg', display_order: 2, is_primary: false },
+            { storage_path: 'a/primary.jpg', display_order: 5, is_primary: true, alt_text: 'Front' }
+        ]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        propertyService.getProperties.mockResolvedValue({
+            data: [listing],
+            pagination: { hasNext: false }
+        });
+    });
+
+    test('should export CSV with quoted fields and image URLs', async () => {
+        const result = await propertyExportService.exportProperties('agent-1', 'csv');
+        const [header, row] = result.body.split('\r\n');
+
+        expect(result.contentType).toContain('text/csv');
+        expect(header.split(',')).toEqual(expect.arrayContaining(['price', 'image_urls', 'walk_score']));
+        expect(row).toContain('"Sunny ""Corner"" Condo"');
+        expect(row).toContain('https://cdn.example.com/property-images/a/primary.jpg; https://cdn.example.com/property-images/a/second.jpg');
+    });
+
+    test('should write scraped text that looks like a formula as plain text', async () => {
+        propertyService.getProperties.mockResolvedValue({
+            data: [{
+                ...listing,
+                title: '=HYPERLINK("https://evil.example","Click")',
+                description: '+1 555 0100, call now',
+                city: '@SUM(A1:A9)',
+                features: ['-2+3', 'Gym'],
+                price: -1
+            }],
+            pagination: { hasNext: false }
+        });
+
+        const result = await propertyExportService.exportProperties('agent-1', 'csv');
+        const row = result.body.split('\r\n')[1];
+
+        expect(row).toContain('"\'=HYPERLINK(""https://evil.example"",""Click"")"');
+        expect(row).toContain('"\'+1 555 0100, call now"');
+        expect(row).toContain(',\'@SUM(A1:A9),');
+        expect(row).toContain('\'-2+3; Gym');
+        // Numbers are written as they are
+        expect(row).toContain(',-1,');
+    });
+
+    test('should map listings onto RESO fields', async () => {
+        const result = await propertyExportService.exportProperties('agent-1', 'reso');
+        const [record] = JSON.parse(result.body).value;
+
+        expect(record).toMatchObject({
+            ListingKey: 'property-1',
+            ListingId: 'MLS123',
+            StandardStatus: 'Active',
+            PropertySubType: 'Condominium',
+            BedroomsTotal: 2,
+            Nester_WalkScore: 88
+        });
+        expect(record.Media[0]).toMatchObject({ Order: 1, PreferredPhotoYN: true, ShortDescription: 'Front' });
+    });
+
+    test('should build escaped syndication XML with pictures and neighborhood data', async () => {
+        const result = await propertyExportService.exportProperties('agent-1', 'xml');
+
+        expect(result.body).toContain('<Description>Bright condo, close to the park &amp; shops.</Description>');
+        expect(result.body).toContain('<PictureUrl>https://cdn.example.com/property-images/a/primary.jpg</PictureUrl>');
+        expect(result.body).toContain('<WalkScore>88</WalkScore>');
+        expect(result.body).toContain('<School><Name>Lincoln Elementary</Name><Rating>8</Rating></School>');
+    });
+
+    test('should reject unknown formats', async () => {
+        await expect(
+            propertyExportService.exportProperties('agent-1', 'pdf')
+        ).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    });
+});
@@ -0,0 +1,106 @@
+const propertyService = require('../services/property/propertyService');
+const propertyImportService = require('../services/property/propertyImportService');
+
+jest.mock('../utils/logger');
+jest.mock('../services/property/propertyService', () => ({
+    mapPropertyInput: jest.fn(input => ({ title: input.title, price: input.price })),
+    createProperty: jest.fn()
+}));
+
+describe('Property Import Tests', () => {
+    const csvContent = [
+        'Title,Description,Price,Street,City,State,Zip,Property Type,Beds,Baths,Features',
+        '"Sunny Corner Condo","Bright two bedroom condo with a new kitchen and city views.","$325,000","12 Elm St","Springfield","il","62701","Condominium",2,1,"Balcony; Gym"',
+        'Bad Row,Too short,abc,,Springfield,IL,62701,House,3,2,'
+    ].join('\n');
+
+    const resoPayload = {
+        value: [{
+            ListingId: 'MLS123',
+            ListPrice: 589000,
+            StreetNumber: '44',
+            StreetName: 'Oak',
+            StreetSuffix: 'Ave',
+            City: 'Austin',
+            StateOrProvince: 'TX',
+            PostalCode: '78701',
+            PropertyType: 'Residential',
+            PropertySubType: 'Townhouse',
+            StandardStatus: 'Active Under Contract',
+            BedroomsTotal: 3,
+            BathroomsTotalDecimal: 2.5,
+            LivingArea: 1850,
+            PublicRemarks: 'Modern townhouse steps from the park with a private rooftop deck.',
+            InteriorFeatures: ['Fireplace', 'Walk-In Closet']
+        }]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should validate CSV rows without writing in dry-run mode', async () => {
+        const report = await propertyImportService.importProperties(csvContent, 'agent-1', { dryRun: true });
+
+        expect(report.totalRows).toBe(2);
+        expect(report.validRows).toBe(1);
+        expect(report.invalidRows).toBe(1);
+        expect(report.rows[1].rowNumber).toBe(3);
+        expect(report.rows[1].errors.map(error => error.field)).toEqual(
+            expect.arrayContaining(['description', 'price', 'address.street'])
+        );
+        expect(propertyService.createProperty).not.toHaveBeenCalled();
+    });
+
+    test('should map spreadsheet headings and values onto the property schema', () => {
+        const { records } = require('../utils/csv').parse(csvContent);
+        const mapped = propertyImportService.mapRecord(records[0].record);
+
+        expect(mapped).toMatchObject({
+            title: 'Sunny Corner Condo',
+            price: 325000,
+            propertyType: 'condo',
+            bedrooms: 2,
+            features: ['Balcony', 'Gym'],
+            address: { street: '12 Elm St', state: 'IL', zipCode: '62701' }
+        });
+    });
+
+    test('should map RESO Data Dictionary fields', () => {
+        const mapped = propertyImportService.mapRecord(resoPayload.value[0]);
+
+        expect(mapped).toMatchObject({
+            title: '3 bedroom townhouse at 44 Oak Ave',
+            price: 589000,
+            propertyType: 'townhouse',
+            listingStatus: 'under_offer',
+            bathrooms: 2.5,
+            squareFootage: 1850,
+            mlsNumber: 'MLS123',
+            address: { street: '44 Oak Ave', city: 'Austin', state: 'TX', zipCode: '78701' }
+        });
+    });
+
+    test('should create valid rows and report per-row failures', async () => {
+        propertyService.createProperty.mockResolvedValue({ id: 'property-1' });
+
+        const report = await propertyImportService.importProperties(
+            JSON.stringify(resoPayload),
+            'agent-1',
+            { format: 'reso' }
+        );
+
+        expect(report.created).toEqual([{ rowNumber: 1, propertyId: 'property-1' }]);
+        expect(propertyService.createProperty).toHaveBeenCalledWith(
+            expect.objectContaining({ input_method: 'import' }),
+            'agent-1',
+            { enrichWithExternalData: false, triggerWorkflows: false }
+        );
+    });
+
+    test('should reject malformed RESO payloads', async () => {
+        await expect(
+            propertyImportService.importProperties('{"listings": 1}', 'agent-1', { format: 'reso' })
+        ).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    });
+});
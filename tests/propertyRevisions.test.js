@@ -0,0 +1,91 @@
+const propertyService = require('../services/property/propertyService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    properties: { retentionDays: 30 }
+}));
+// Each query resolves with the next queued result
+const mockResults = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(() => {
+            const builder = {};
+            ['select', 'eq', 'gt', 'order', 'single'].forEach(method => {
+                builder[method] = jest.fn(() => builder);
+            });
+            builder.then = (resolve, reject) => Promise.resolve(mockResults.shift() || { data: null, error: null })
+                .then(resolve, reject);
+            return builder;
+        })
+    }))
+}));
+jest.mock('../services/integration/integrationService', () => ({}));
+jest.mock('../services/storage/storageService', () => ({}));
+
+describe('Property Revision Tests', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        mockResults.length = 0;
+    });
+
+    test('should restore agent-editable fields and leave system fields alone', async () => {
+        const updateProperty = jest.spyOn(propertyService, 'updateProperty')
+            .mockImplementation(async (id, data) => ({ id, ...data }));
+
+        mockResults.push(
+            { data: { id: 'revision-1', created_at: '2030-01-01T00:00:00Z' }, error: null },
+            {
+                data: [
+                    {
+                        changes: {
+                            price: { old: 480000, new: 450000 },
+                            listing_status: { old: 'active', new: 'sold' },
+                            archived_at: { old: null, new: '2030-02-01T00:00:00Z' }
+                        },
+                        created_at: '2030-02-01T00:00:00Z'
+                    },
+                    {
+                        changes: {
+                            price: { old: 500000, new: 480000 },
+                            city: { old: 'Leeds', new: 'York' },
+                            duplicate_of_id: { old: null, new: 'property-9' },
+                            content_generation_status: { old: null, new: 'completed' }
+                        },
+                        created_at: '2030-01-15T00:00:00Z'
+                    }
+                ],
+                error: null
+            }
+        );
+
+        await propertyService.restorePropertyRevision('property-1', 'revision-1', 'agent-1');
+
+        expect(updateProperty).toHaveBeenCalledWith(
+            'property-1',
+            { price: 500000, city: 'Leeds' },
+            'agent-1',
+            expect.objectContaining({ source: 'restore', restoredFromRevisionId: 'revision-1' })
+        );
+    });
+
+    test('should not write anything when only system fields changed since the revision', async () => {
+        const updateProperty = jest.spyOn(propertyService, 'updateProperty');
+        jest.spyOn(propertyService, 'getPropertyById').mockResolvedValue({ id: 'property-1' });
+
+        mockResults.push(
+            { data: { id: 'revision-1', created_at: '2030-01-01T00:00:00Z' }, error: null },
+            {
+                data: [{
+                    changes: { deleted_at: { old: null, new: '2030-02-01T00:00:00Z' }, scraping_status: { old: 'queued', new: 'completed' } },
+                    created_at: '2030-02-01T00:00:00Z'
+                }],
+                error: null
+            }
+        );
+
+        await expect(propertyService.restorePropertyRevision('property-1', 'revision-1', 'agent-1'))
+            .resolves.toEqual({ id: 'property-1' });
+        expect(updateProperty).not.toHaveBeenCalled();
+    });
+});
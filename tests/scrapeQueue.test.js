@@ -0,0 +1,178 @@
+const logger = require('../utils/logger');
+const scrapeQueueService = require('../services/scraping/scrapeQueueService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    scraping: {
+        retries: { maxRetries: 3, retryDelay: 1000 },
+        queue: { concurrency: 2, pollIntervalMs: 1000, domainIntervalMs: 10000, staleAfterSeconds: 600 }
+    }
+}));
+
+// Every update is recorded with its filters; each resolves with the next
+// queued result, or as one row updated
+const mockUpdates = [];
+const mockUpdateResults = [];
+const mockClaims = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(() => ({
+            update: jest.fn(updates => {
+                const record = { ...updates, filters: [] };
+                mockUpdates.push(record);
+                const builder = {};
+                ['eq', 'lt', 'select'].forEach(method => {
+                    builder[method] = jest.fn((...args) => {
+                        if (method === 'eq' && args[0] === 'id') {
+                            record.id = args[1];
+                        }
+                        if (method !== 'select') {
+                            record.filters.push([method, ...args]);
+                        }
+                        return builder;
+                    });
+                });
+                builder.then = (resolve, reject) => Promise.resolve(mockUpdateResults.shift() || { data: [{ id: record.id }], error: null })
+                    .then(resolve, reject);
+                return builder;
+            })
+        })),
+        rpc: jest.fn((name, params) => {
+            mockClaims.push(params);
+            const job = params.excluded_domains.includes('zillow.com') ? null : mockClaims.length === 1 && {
+                id: 'job-2', domain: 'zillow.com', attempts: 1, max_attempts: 3, attempt_log: []
+            };
+            return Promise.resolve({ data: job ? [job] : [], error: null });
+        })
+    }))
+}));
+
+const queuedJob = (overrides = {}) => ({
+    id: 'job-1',
+    property_id: 'property-1',
+    url: 'https://www.rightmove.co.uk/properties/1',
+    domain: 'rightmove.co.uk',
+    attempts: 1,
+    max_attempts: 3,
+    attempt_log: [],
+    tier: null,
+    ...overrides
+});
+
+describe('Scrape Queue Tests', () => {
+    let handler;
+
+    beforeEach(() => {
+        mockUpdates.length = 0;
+        mockUpdateResults.length = 0;
+        mockClaims.length = 0;
+        scrapeQueueService.activeJobs.clear();
+        scrapeQueueService.domainStartedAt.clear();
+        handler = { run: jest.fn(), fail: jest.fn() };
+        scrapeQueueService.handler = handler;
+    });
+
+    test('should requeue with exponential backoff and record the tier each attempt reached', async () => {
+        handler.run.mockImplementation(async (job, { tiers }) => {
+            tiers.push({ tier: 'puppeteer', result: 'error', error: 'Navigation timeout' });
+            tiers.push({ tier: 'brightdata', result: 'no_data' });
+            return { outcome: 'retry', partialData: { price: 450000 } };
+        });
+
+        const before = Date.now();
+        await scrapeQueueService.runJob(queuedJob({ attempts: 2, partial_data: { bedrooms: 3 } }));
+
+        expect(handler.run).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ finalAttempt: false }));
+        const [update] = mockUpdates;
+        expect(update).toMatchObject({
+            id: 'job-1',
+            status: 'queued',
+            tier: 'brightdata',
+            last_error: 'No listing data found',
+            locked_by: null
+        });
+        expect(update.attempt_log).toEqual([expect.objectContaining({
+            attempt: 2,
+            tier: 'brightdata',
+            outcome: 'retry',
+            tiers: [
+                { tier: 'puppeteer', result: 'error', error: 'Navigation timeout' },
+                { tier: 'brightdata', result: 'no_data' }
+            ]
+        })]);
+        // Second attempt waits 2x the base delay
+        expect(new Date(update.run_after).getTime() - before).toBeGreaterThanOrEqual(2000);
+        expect(update.completed_at).toBeUndefined();
+        // Fields found so far pre-fill the manual completion form
+        expect(update.partial_data).toEqual({ bedrooms: 3, price: 450000 });
+    });
+
+    test('should fail the job and notify the handler when the last attempt throws', async () => {
+        const error = new Error('Invalid scraped data');
+        handler.run.mockImplementation(async (job, { tiers }) => {
+            tiers.push({ tier: 'puppeteer', result: 'found' });
+            throw error;
+        });
+
+        await scrapeQueueService.runJob(queuedJob({ attempts: 3, attempt_log: [{ attempt: 1 }, { attempt: 2 }] }));
+
+        expect(mockUpdates[0]).toMatchObject({ status: 'failed', tier: 'puppeteer', last_error: 'Invalid scraped data' });
+        expect(mockUpdates[0].attempt_log).toHaveLength(3);
+        expect(mockUpdates[0].completed_at).toBeDefined();
+        expect(handler.fail).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1' }), error);
+    });
+
+    test('should give up on a job reclaimed after its last attempt was interrupted', async () => {
+        await scrapeQueueService.runJob(queuedJob({ attempts: 4 }));
+
+        expect(handler.run).not.toHaveBeenCalled();
+        expect(mockUpdates[0].status).toBe('failed');
+        expect(handler.fail).toHaveBeenCalled();
+    });
+
+    test('should skip sites that are busy or were scraped recently when claiming', async () => {
+        handler.run.mockReturnValue(new Promise(() => {}));
+        scrapeQueueService.domainStartedAt.set('rightmove.co.uk', Date.now() - 2000);
+        scrapeQueueService.domainStartedAt.set('zoopla.co.uk', Date.now() - 60000);
+
+        await scrapeQueueService.poll();
+
+        expect(mockClaims[0].excluded_domains).toEqual(['rightmove.co.uk']);
+        // The claimed job's site is excluded from the next claim
+        expect(mockClaims[1].excluded_domains).toEqual(['rightmove.co.uk', 'zillow.com']);
+        expect(scrapeQueueService.activeJobs.get('job-2')).toBe('zillow.com');
+        expect(scrapeQueueService.getDomain('https://www.Zillow.com/homedetails/1')).toBe('zillow.com');
+    });
+
+    test('should not overwrite a job another worker reclaimed while the attempt ran', async () => {
+        handler.run.mockRejectedValue(new Error('Navigation timeout'));
+        mockUpdateResults.push({ data: [], error: null });
+
+        await scrapeQueueService.runJob(queuedJob({ attempts: 3 }));
+
+        expect(mockUpdates[0].filters).toEqual([
+            ['eq', 'id', 'job-1'],
+            ['eq', 'locked_by', scrapeQueueService.workerId]
+        ]);
+        expect(handler.fail).not.toHaveBeenCalled();
+        expect(logger.warn).toHaveBeenCalledWith('Scrape job lock lost, attempt not recorded', expect.objectContaining({
+            jobId: 'job-1',
+            outcome: 'failed'
+        }));
+    });
+
+    test('should free form links whose submission was cut off by a restart', async () => {
+        mockUpdateResults.push({ data: [{ id: 'job-3' }], error: null });
+        const before = Date.now();
+
+        await expect(scrapeQueueService.releaseStaleManualEntries()).resolves.toBe(1);
+
+        const [update] = mockUpdates;
+        expect(update.status).toBe('manual_required');
+        expect(update.filters[0]).toEqual(['eq', 'status', 'manual_submitted']);
+        const [method, column, cutoff] = update.filters[1];
+        expect([method, column]).toEqual(['lt', 'updated_at']);
+        expect(before - new Date(cutoff).getTime()).toBeGreaterThanOrEqual(600 * 1000 - 5);
+    });
+});
@@ -0,0 +1,157 @@
+const propertyService = require('../services/property/propertyService');
+const fieldConfidence = require('../services/scraping/fieldConfidence');
+const scrapeReviewService = require('../services/scraping/scrapeReviewService');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    scraping: {
+        review: { enabled: true, minConfidence: 0.5 }
+    }
+}));
+
+// Each query resolves with the next queued result; every call is recorded
+const mockQueries = [];
+const mockResults = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(table => {
+            const query = { table, calls: [] };
+            mockQueries.push(query);
+            const builder = {};
+            ['select', 'insert', 'update', 'eq', 'order', 'single'].forEach(method => {
+                builder[method] = jest.fn((...args) => {
+                    query.calls.push([method, ...args]);
+                    return builder;
+                });
+            });
+            builder.then = (resolve, reject) => Promise.resolve(mockResults.shift() || { data: null, error: null })
+                .then(resolve, reject);
+            return builder;
+        })
+    }))
+}));
+
+jest.mock('../services/property/propertyService', () => ({
+    getPropertyById: jest.fn(),
+    updateProperty: jest.fn()
+}));
+jest.mock('../services/property/listingStatusService', () => ({
+    statuses: { ACTIVE: 'active', REVIEW_REQUIRED: 'review_required' }
+}));
+
+const pendingReview = {
+    id: 'review-1',
+    property_id: 'property-1',
+    agent_id: 'agent-1',
+    scrape_job_id: 'job-1',
+    status: 'pending',
+    fields: {
+        price: { value: 455000, score: 0.3, source: 'selectors', issues: ['json-ld gives 485000'] },
+        bedrooms: { value: 32, score: 0, source: 'selectors', issues: ['More than 20 bedrooms'] }
+    }
+};
+
+describe('Scrape Review Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockQueries.length = 0;
+        mockResults.length = 0;
+    });
+
+    test('should score fields by source and mark down conflicting and implausible values', () => {
+        const results = [
+            { source: 'json-ld', data: { price: 485000, bedrooms: 4, address: '12 Elm Road, Bath BA1 2AB' } },
+            { source: 'selectors', data: { price: 455000, bedrooms: 4, square_feet: 40 } }
+        ];
+        const conflicts = fieldConfidence.findConflicts(results);
+
+        expect(conflicts).toEqual({ price: [{ source: 'selectors', value: 455000 }] });
+
+        const scores = fieldConfidence.scoreFields(
+            { price: 485000, bedrooms: 4, address: '12 Elm Road, Bath BA1 2AB', square_feet: 40 },
+            { sources: { price: 'json-ld', bedrooms: 'json-ld', address: 'json-ld', square_feet: 'selectors' }, conflicts }
+        );
+
+        expect(scores).toEqual({
+            address: { score: 0.9, source: 'json-ld', issues: [] },
+            price: { score: 0.45, source: 'json-ld', issues: ['selectors gives 455000'] },
+            bedrooms: { score: 0.9, source: 'json-ld', issues: [] },
+            square_feet: { score: 0, source: 'selectors', issues: ['Floor area is outside 100-100,000 sq ft'] }
+        });
+    });
+
+    test('should hold doubtful and unreadable fields back from the listing data', () => {
+        const { data, held } = scrapeReviewService.splitFields({
+            title: 'Elm House',
+            address: '12 Elm Road, Bath BA1 2AB',
+            price: 'POA',
+            bedrooms: 25,
+            images: ['https://cdn.portal.example/1.jpg'],
+            scraped_field_confidence: {
+                title: { score: 0.6, source: 'selectors', issues: [] },
+                address: { score: 0.9, source: 'json-ld', issues: [] },
+                price: { score: 0, source: 'brightdata', issues: ['Price could not be read as an amount'] },
+                bedrooms: { score: 0, source: 'selectors', issues: ['More than 20 bedrooms'] }
+            }
+        });
+
+        expect(data).toMatchObject({ title: 'Elm House', address: '12 Elm Road, Bath BA1 2AB', images: ['https://cdn.portal.example/1.jpg'] });
+        expect(data).not.toHaveProperty('price');
+        expect(data).not.toHaveProperty('bedrooms');
+        expect(Object.keys(held)).toEqual(['price', 'bedrooms']);
+        expect(held.price).toMatchObject({ value: 'POA', score: 0, source: 'brightdata' });
+        expect(held.price.issues).toEqual(['Price could not be read as an amount', '"price" must be a number']);
+    });
+
+    test('should still reject scraped data with invalid fields that are not reviewed', () => {
+        expect(() => scrapeReviewService.splitFields({
+            address: '12 Elm Road, Bath BA1 2AB',
+            images: ['not a url'],
+            scraped_field_confidence: { address: { score: 0.9, source: 'json-ld', issues: [] } }
+        })).toThrow('Invalid scraped data');
+    });
+
+    test('should save confirmed fields and activate the listing', async () => {
+        mockResults.push(
+            { data: pendingReview, error: null },
+            { data: { ...pendingReview, status: 'confirmed', confirmed_values: { price: 485000, bedrooms: 3 } }, error: null }
+        );
+        propertyService.getPropertyById.mockResolvedValue({
+            id: 'property-1',
+            listing_status: 'review_required',
+            scraped_field_confidence: { address: { score: 0.9, source: 'json-ld', issues: [] } }
+        });
+        propertyService.updateProperty.mockResolvedValue({ id: 'property-1', listing_status: 'active' });
+
+        const { review, property } = await scrapeReviewService.confirm('property-1', 'agent-1', { price: 485000, bedrooms: 3 });
+
+        expect(property.listing_status).toBe('active');
+        expect(review.status).toBe('confirmed');
+        expect(propertyService.updateProperty).toHaveBeenCalledWith('property-1', {
+            price: 485000,
+            bedrooms: 3,
+            listing_status: 'active',
+            scraped_field_confidence: {
+                address: { score: 0.9, source: 'json-ld', issues: [] },
+                price: { score: 1, source: 'agent', issues: [] },
+                bedrooms: { score: 1, source: 'agent', issues: [] }
+            }
+        }, 'agent-1', expect.objectContaining({ source: 'scrape_review', actor: { id: 'agent-1', type: 'agent' } }));
+        expect(mockQueries[1].calls).toContainEqual(['update', expect.objectContaining({
+            status: 'confirmed',
+            resolved_by: 'agent-1'
+        })]);
+    });
+
+    test('should not accept a scraped value the agent left out that is not valid', async () => {
+        mockResults.push({
+            data: { ...pendingReview, fields: { ...pendingReview.fields, price: { value: 'POA', score: 0, source: 'brightdata', issues: [] } } },
+            error: null
+        });
+
+        await expect(scrapeReviewService.confirm('property-1', 'agent-1', { bedrooms: 3 }))
+            .rejects.toMatchObject({ code: 'SCRAPE_REVIEW_INCOMPLETE', details: { fields: [expect.objectContaining({ field: 'price' })] } });
+        expect(propertyService.updateProperty).not.toHaveBeenCalled();
+    });
+});
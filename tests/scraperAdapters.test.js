@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const scraperAdapters = require('../services/scraping/adapters');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'scraping', `${name}.html`), 'utf8');
+
+describe('Scraper Adapter Tests', () => {
+    test('should choose adapters by hostname, including subdomains', () => {
+        expect(scraperAdapters.getAdapter('https://www.rightmove.co.uk/properties/148213546').name).toBe('rightmove');
+        expect(scraperAdapters.getAdapter('https://m.zillow.com/homedetails/1234_zpid/').name).toBe('zillow');
+        expect(scraperAdapters.getAdapter('https://www.domain.com.au/12-harbour-street-2019876543').name).toBe('domain');
+        expect(scraperAdapters.getAdapter('https://notzillow.com/listing/1').name).toBe('generic');
+        expect(scraperAdapters.getAdapter('not a url').name).toBe('generic');
+    });
+
+    test('should extract a Rightmove listing from PAGE_MODEL', () => {
+        const { adapter, data, sources } = scraperAdapters.extract(fixture('rightmove'), 'https://www.rightmove.co.uk/properties/148213546');
+
+        expect(adapter).toBe('rightmove');
+        expect(sources.price).toBe('rightmove');
+        expect(data).toMatchObject({
+            address: 'Elm Road, Bristol, BS7',
+            price: 450000,
+            bedrooms: 3,
+            bathrooms: 1,
+            square_feet: 1044,
+            description: 'A well presented family home with a "south facing" garden.',
+            features: ['South facing garden', 'Off-street parking', 'Close to schools'],
+            latitude: 51.4801,
+            listing_agent_name: 'Harbour Estates, Bristol',
+            listing_agent_phone: '0117 496 0000'
+        });
+        expect(data.images).toHaveLength(2);
+    });
+
+    test('should extract Zoopla, Zillow, Realtor.com and Domain listings from page data', () => {
+        const zoopla = scraperAdapters.extract(fixture('zoopla'), 'https://www.zoopla.co.uk/for-sale/details/66012345/');
+        expect(zoopla.data).toMatchObject({
+            address: 'Camden Road, London NW1',
+            price: 625000,
+            bedrooms: 2,
+            square_feet: 775,
+            images: ['https://lid.zoocdn.com/u/1024/768/a1b2c3d4.jpg', 'https://lid.zoocdn.com/u/1024/768/e5f6a7b8.jpg']
+        });
+
+        const zillow = scraperAdapters.extract(fixture('zillow'), 'https://www.zillow.com/homedetails/1234_zpid/');
+        expect(zillow.data).toMatchObject({
+            address: '742 Evergreen Ter, Springfield, IL, 62704',
+            price: 389900,
+            bathrooms: 2.5,
+            year_built: 1989,
+            // Zillow's PENDING is an accepted offer
+            source_status: 'under_offer',
+            listing_agent_name: 'Marge Realty',
+            images: ['https://photos.zillowstatic.com/fp/abc-cc_ft_1536.jpg']
+        });
+
+        const realtor = scraperAdapters.extract(fixture('realtor'), 'https://www.realtor.com/realestateandhomes-detail/1600-Oak-St');
+        expect(realtor.data).toMatchObject({
+            address: '1600 Oak St, Austin, TX, 78701',
+            price: 725000,
+            square_feet: 1840,
+            source_status: 'active',
+            latitude: 30.2711,
+            listing_agent_phone: '512-555-0147'
+        });
+
+        const domain = scraperAdapters.extract(fixture('domain'), 'https://www.domain.com.au/12-harbour-street-2019876543');
+        expect(domain.data).toMatchObject({
+            title: 'Waterfront living with city views',
+            price: 1850000,
+            square_feet: 1507,
+            description: 'Light-filled apartment on the harbour.\n\nWalk to the ferry.'
+        });
+    });
+
+    test('should read JSON-LD, microdata and OpenGraph before CSS selectors and record each source', () => {
+        const { adapter, data, sources } = scraperAdapters.extract(fixture('structured'), 'https://prairie-homes.example/lakeview');
+
+        expect(adapter).toBe('generic');
+        expect(data).toMatchObject({
+            title: 'Lakeview Ranch',
+            address: '55 Shore Dr, Springfield, IL 62712',
+            zip_code: '62712',
+            price: 415000,
+            bedrooms: 3,
+            bathrooms: 2,
+            square_feet: 1615,
+            year_built: 1978,
+            longitude: -89.5873,
+            listing_agent_phone: '217-555-0199',
+            description: 'Single-storey ranch with lake access.',
+            images: ['https://prairie-homes.example/media/lakeview-1.jpg', 'https://prairie-homes.example/media/lakeview-og.jpg']
+        });
+        expect(sources).toMatchObject({
+            title: 'json-ld',
+            address: 'json-ld',
+            price: 'json-ld',
+            bathrooms: 'microdata',
+            square_feet: 'microdata',
+            description: 'opengraph',
+            images: 'json-ld'
+        });
+    });
+
+    test('should use generic selectors for unknown sites and when a site adapter finds nothing', () => {
+        const generic = scraperAdapters.extract(fixture('generic'), 'https://village-estates.example/maple-cottage');
+        expect(generic.adapter).toBe('generic');
+        expect(generic.data).toEqual({
+            title: 'Maple Cottage',
+            address: '8 Maple Lane, Stow, GL54 1AA',
+            price: 395000,
+            bedrooms: 3,
+            bathrooms: 2,
+            square_feet: 1120,
+            description: 'Charming cottage on a quiet lane.',
+            images: [
+                'https://village-estates.example/images/property/maple-cottage.jpg',
+                'https://village-estates.example/images/property/maple-1.jpg'
+            ]
+        });
+        expect(generic.sources).toMatchObject({ price: 'selectors', description: 'opengraph' });
+
+        // Layout change on a known portal: no PAGE_MODEL, so read it like any other site
+        const fallback = scraperAdapters.extract(fixture('generic'), 'https://www.rightmove.co.uk/properties/1');
+        expect(fallback.adapter).toBe('generic');
+        expect(fallback.data.price).toBe(395000);
+    });
+
+    test('should let later registrations take over a hostname', () => {
+        const custom = { name: 'custom', hostnames: ['zoopla.co.uk'], extract: () => ({ price: 1 }) };
+        scraperAdapters.register(custom);
+
+        expect(scraperAdapters.getAdapter('https://www.zoopla.co.uk/for-sale/details/1/')).toBe(custom);
+        expect(() => scraperAdapters.register({ name: 'broken' })).toThrow();
+
+        scraperAdapters.adapters.splice(scraperAdapters.adapters.indexOf(custom), 1);
+    });
+});
@@ -0,0 +1,176 @@
+const propertyService = require('../services/property/propertyService');
+const viewingService = require('../services/property/viewingService');
+const ics = require('../utils/ics');
+
+jest.mock('../utils/logger');
+jest.mock('../config/config', () => ({
+    supabase: { url: 'http://localhost', serviceKey: 'test' },
+    viewings: { timezone: 'UTC', lookaheadDays: 14 }
+}));
+
+// Query builder stub: every chained call returns the builder, awaiting it
+// resolves the next queued result for the table
+const mockResults = {};
+const mockInserts = [];
+jest.mock('@supabase/supabase-js', () => ({
+    createClient: jest.fn(() => ({
+        from: jest.fn(table => {
+            const builder = {};
+            ['select', 'eq', 'is', 'in', 'lt', 'gt', 'gte', 'order', 'update', 'delete'].forEach(method => {
+                builder[method] = jest.fn(() => builder);
+            });
+            builder.insert = jest.fn(row => {
+                mockInserts.push({ table, row });
+                return builder;
+            });
+            builder.single = jest.fn(() => builder);
+            builder.then = (resolve, reject) => {
+                const queue = mockResults[table] || [];
+                const result = queue.length > 1 ? queue.shift() : queue[0];
+                return Promise.resolve(result || { data: [], error: null }).then(resolve, reject);
+            };
+            return builder;
+        })
+    }))
+}));
+jest.mock('../services/property/propertyService', () => ({
+    getPropertyById: jest.fn()
+}));
+
+describe('Viewing Scheduler Tests', () => {
+    const property = { id: 'property-1', agent_id: 'agent-1', listing_status: 'active', title: 'Elm House' };
+    const window = {
+        id: 'window-1',
+        starts_at: '2030-06-01T10:00:00+00:00',
+        ends_at: '2030-06-01T12:00:00+00:00',
+        slot_minutes: 30,
+        buffer_minutes: 0
+    };
+    const range = { from: '2030-06-01T00:00:00Z', to: '2030-06-02T00:00:00Z' };
+    const emailService = { sendViewingConfirmation: jest.fn() };
+
+    beforeAll(() => {
+        Object.defineProperty(viewingService, 'emailService', { get: () => emailService });
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Object.keys(mockResults).forEach(table => delete mockResults[table]);
+        mockInserts.length = 0;
+        propertyService.getPropertyById.mockResolvedValue(property);
+        emailService.sendViewingConfirmation.mockResolvedValue({ messageId: 'message-1' });
+        mockResults.property_viewing_windows = [{ data: [window], error: null }];
+    });
+
+    test('should split windows into slots and skip times the agent is busy', async () => {
+        mockResults.property_viewings = [{
+            data: [{ starts_at: '2030-06-01T10:30:00+00:00', ends_at: '2030-06-01T11:00:00+00:00' }],
+            error: null
+        }];
+        mockResults.property_open_houses = [
+            { data: [{ starts_at: '2030-06-01T11:15:00+00:00', ends_at: '2030-06-01T11:45:00+00:00' }], error: null },
+            { data: [], error: null }
+        ];
+
+        const result = await viewingService.getAvailableSlots('property-1', range);
+
+        expect(result.bookable).toBe(true);
+        expect(result.slots.map(slot => slot.startsAt)).toEqual(['2030-06-01T10:00:00.000Z']);
+    });
+
+    test('should not offer slots on listings that are not bookable', async () => {
+        propertyService.getPropertyById.mockResolvedValue({ ...property, listing_status: 'sold' });
+
+        const result = await viewingService.getAvailableSlots('property-1', range);
+
+        expect(result).toEqual({ bookable: false, slots: [], openHouses: [] });
+    });
+
+    test('should book an open slot and send the confirmation', async () => {
+        const booked = { id: 'viewing-1', agent_id: 'agent-1', source: 'api' };
+        mockResults.property_viewings = [
+            { data: [], error: null },
+            { data: booked, error: null }
+        ];
+
+        const viewing = await viewingService.bookViewing('property-1', {
+            startsAt: '2030-06-01T11:00:00Z',
+            name: 'Jo Visitor',
+            email: 'Jo@Example.com'
+        });
+
+        expect(viewing).toMatchObject({ id: 'viewing-1', confirmationSent: true });
+        expect(mockInserts[0].row).toMatchObject({
+            property_id: 'property-1',
+            agent_id: 'agent-1',
+            window_id: 'window-1',
+            visitor_email: 'jo@example.com',
+            starts_at: '2030-06-01T11:00:00.000Z',
+            ends_at: '2030-06-01T11:30:00.000Z'
+        });
+        expect(emailService.sendViewingConfirmation).toHaveBeenCalledWith(booked, property);
+    });
+
+    test('should reject times outside the published slots', async () => {
+        await expect(viewingService.bookViewing('property-1', {
+            startsAt: '2030-06-01T10:10:00Z',
+            name: 'Jo Visitor',
+            email: 'jo@example.com'
+        })).rejects.toMatchObject({ code: 'VIEWING_SLOT_UNAVAILABLE', httpStatus: 409 });
+
+        expect(mockInserts).toHaveLength(0);
+    });
+
+    test('should report a slot taken by a concurrent booking as unavailable', async () => {
+        mockResults.property_viewings = [
+            { data: [], error: null },
+            { data: null, error: { code: '23P01', message: 'conflicting key value violates exclusion constraint' } }
+        ];
+
+        await expect(viewingService.bookViewing('property-1', {
+            startsAt: '2030-06-01T10:00:00Z',
+            name: 'Jo Visitor',
+            email: 'jo@example.com'
+        })).rejects.toMatchObject({ code: 'VIEWING_SLOT_UNAVAILABLE' });
+        expect(emailService.sendViewingConfirmation).not.toHaveBeenCalled();
+    });
+
+    test('should report an open house filled by a concurrent registration as fully booked', async () => {
+        mockResults.property_open_houses = [{
+            data: { id: 'open-house-1', capacity: 10, starts_at: '2030-06-02T10:00:00Z', ends_at: '2030-06-02T12:00:00Z' },
+            error: null
+        }];
+        // Nine registered when counted; the trigger sees the tenth that committed in between
+        mockResults.property_viewings = [
+            { data: Array.from({ length: 9 }, () => ({ open_house_id: 'open-house-1' })), error: null },
+            { data: null, error: { code: '23514', message: 'Open house open-house-1 is fully booked' } }
+        ];
+
+        await expect(viewingService.bookViewing('property-1', {
+            openHouseId: 'open-house-1',
+            name: 'Jo Visitor',
+            email: 'jo@example.com'
+        })).rejects.toMatchObject({ code: 'VIEWING_SLOT_UNAVAILABLE', message: 'This open house is fully booked' });
+        expect(mockInserts[0].row).toMatchObject({ open_house_id: 'open-house-1' });
+        expect(emailService.sendViewingConfirmation).not.toHaveBeenCalled();
+    });
+
+    test('should build a folded, escaped calendar invite', () => {
+        const invite = ics.createEvent({
+            uid: 'viewing-1@nester',
+            start: '2030-06-01T10:00:00Z',
+            end: '2030-06-01T10:30:00Z',
+            summary: 'Viewing: Elm House, Springfield; garden flat',
+            location: '12 Elm St, Springfield',
+            attendee: { name: 'Jo Visitor', email: 'jo@example.com' },
+            description: 'A very long description '.repeat(5)
+        });
+        const lines = invite.split('\r\n');
+
+        expect(invite).toContain('DTSTART:20300601T100000Z\r\n');
+        expect(invite).toContain('SUMMARY:Viewing: Elm House\\, Springfield\\; garden flat');
+        expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(lines.some(line => line.startsWith(' '))).toBe(true);
+        expect(lines[lines.length - 2]).toBe('END:VCALENDAR');
+    });
+});
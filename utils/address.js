@@ -0,0 +1,60 @@
+/**
+ * Address normalization used to compare listings entered in different
+ * formats ("123 North Main Street, Apt 4" vs "123 N Main St #4").
+ */
+
+// Long forms -> USPS abbreviations
+const TOKEN_ABBREVIATIONS = {
+    north: 'n', south: 's', east: 'e', west: 'w',
+    northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+    street: 'st', avenue: 'ave', av: 'ave', road: 'rd', drive: 'dr',
+    boulevard: 'blvd', lane: 'ln', court: 'ct', place: 'pl', terrace: 'ter',
+    circle: 'cir', highway: 'hwy', parkway: 'pkwy', square: 'sq', trail: 'trl',
+    crescent: 'cres', mount: 'mt', saint: 'st',
+    apartment: 'unit', apt: 'unit', suite: 'unit', ste: 'unit', no: 'unit'
+};
+
+// Dropped entirely: they never distinguish two listings
+const IGNORED_TOKENS = new Set(['usa', 'us', 'united', 'states', 'of', 'america']);
+
+/**
+ * Normalize a free-form address for equality comparison
+ * @param {string} address - Address text
+ * @returns {string|null} Normalized address, or null when empty
+ */
+function normalizeAddress(address) {
+    if (!address || typeof address !== 'string') {
+        return null;
+    }
+
+    const tokens = address
+        .toLowerCase()
+        .replace(/#\s*/g, ' unit ')
+        .replace(/\b(\d{5})-\d{4}\b/g, '$1')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(token => TOKEN_ABBREVIATIONS[token] || token.replace(/^(\d+)(st|nd|rd|th)$/, '$1'))
+        .filter(token => !IGNORED_TOKENS.has(token));
+
+    // "unit unit 4" can result from "Apt #4"
+    const deduped = tokens.filter((token, index) => !(token === 'unit' && tokens[index + 1] === 'unit'));
+
+    return deduped.length > 0 ? deduped.join(' ') : null;
+}
+
+/**
+ * Normalized address of a property row or property input
+ * @param {Object} property - { address } or { street_address, city, state, zip_code }
+ * @returns {string|null} Normalized address
+ */
+function normalizePropertyAddress(property = {}) {
+    const parts = [property.street_address, property.city, property.state, property.zip_code].filter(Boolean);
+
+    return normalizeAddress(parts.length > 0 ? parts.join(', ') : property.address);
+}
+
+module.exports = {
+    normalizeAddress,
+    normalizePropertyAddress
+};
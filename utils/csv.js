@@ -0,0 +1,124 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF/LF).
+ */
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * @param {string} text - CSV content
+ * @param {Object} options - { delimiter }
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseRows(text, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV content
+ * @param {Object} options - { delimiter }
+ * @returns {Object} { headers, records } where each record carries its spreadsheet row number (header = 1)
+ */
+function parse(text, options = {}) {
+    const [headerRow, ...dataRows] = parseRows(text, options);
+
+    if (!headerRow) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = headerRow.map(header => header.trim());
+    const records = dataRows.map((cells, index) => {
+        const record = {};
+        headers.forEach((header, column) => {
+            record[header] = cells[column] !== undefined ? cells[column].trim() : '';
+        });
+        return { rowNumber: index + 2, record };
+    });
+
+    return { headers, records };
+}
+
+/**
+ * Serialize records to CSV text. Text that a spreadsheet would run as a
+ * formula is written with a leading ' so it opens as plain text; exports
+ * carry scraped third-party text such as titles and descriptions.
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<Object>} columns - [{ key, header }] in output order
+ * @returns {string} CSV content (CRLF line endings)
+ */
+function stringify(records, columns) {
+    const lines = [columns.map(column => escapeField(column.header)).join(',')];
+
+    records.forEach(record => {
+        lines.push(columns.map(column => escapeField(record[column.key])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+function escapeField(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    parse,
+    parseRows,
+    stringify
+};
@@ -0,0 +1,129 @@
+/**
+ * Geospatial helpers for property location queries.
+ * Coordinates are decimal degrees; distances are kilometres.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+const toDegrees = (radians) => radians * (180 / Math.PI);
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Bounding box that fully contains a circle. Used to narrow the database
+ * query before the exact distance check.
+ * @param {number} lat - Centre latitude
+ * @param {number} lng - Centre longitude
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Object} { north, south, east, west }
+ */
+function boundingBoxForRadius(lat, lng, radiusKm) {
+    const latDelta = toDegrees(radiusKm / EARTH_RADIUS_KM);
+    const cosLat = Math.cos(toRadians(lat));
+    const lngDelta = cosLat < 1e-6 ? 180 : latDelta / cosLat;
+    const north = Math.min(90, lat + latDelta);
+    const south = Math.max(-90, lat - latDelta);
+
+    // Near the poles (or for huge radii) every longitude is within range
+    if (lngDelta >= 180) {
+        return { north, south, east: 180, west: -180 };
+    }
+
+    return {
+        north,
+        south,
+        east: normalizeLongitude(lng + lngDelta),
+        west: normalizeLongitude(lng - lngDelta)
+    };
+}
+
+/**
+ * Bounding box of a polygon
+ * @param {Array<Array<number>>} polygon - Vertices as [lat, lng] pairs
+ * @returns {Object} { north, south, east, west }
+ */
+function boundingBoxForPolygon(polygon) {
+    const lats = polygon.map(([lat]) => lat);
+    const lngs = polygon.map(([, lng]) => lng);
+
+    return {
+        north: Math.max(...lats),
+        south: Math.min(...lats),
+        east: Math.max(...lngs),
+        west: Math.min(...lngs)
+    };
+}
+
+/**
+ * Whether a point lies inside a bounding box. A box whose west edge is
+ * greater than its east edge crosses the antimeridian.
+ * @param {number} lat - Point latitude
+ * @param {number} lng - Point longitude
+ * @param {Object} bounds - { north, south, east, west }
+ * @returns {boolean}
+ */
+function isPointInBounds(lat, lng, bounds) {
+    if (lat < bounds.south || lat > bounds.north) {
+        return false;
+    }
+    if (bounds.west <= bounds.east) {
+        return lng >= bounds.west && lng <= bounds.east;
+    }
+    return lng >= bounds.west || lng <= bounds.east;
+}
+
+/**
+ * Ray-casting point-in-polygon test. Adequate for map-drawn shapes at
+ * neighbourhood/city scale; does not handle polygons crossing the antimeridian.
+ * @param {number} lat - Point latitude
+ * @param {number} lng - Point longitude
+ * @param {Array<Array<number>>} polygon - Vertices as [lat, lng] pairs
+ * @returns {boolean}
+ */
+function isPointInPolygon(lat, lng, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+
+        const crosses = (latI > lat) !== (latJ > lat) &&
+            lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+function normalizeLongitude(lng) {
+    if (lng > 180) return lng - 360;
+    if (lng < -180) return lng + 360;
+    return lng;
+}
+
+module.exports = {
+    distanceKm,
+    boundingBoxForRadius,
+    boundingBoxForPolygon,
+    isPointInBounds,
+    isPointInPolygon
+};
@@ -0,0 +1,101 @@
+/**
+ * Minimal iCalendar (RFC 5545) builder for single-event invitations.
+ */
+
+/**
+ * Format a date as an iCalendar UTC timestamp (20240101T093000Z)
+ * @param {Date|string} value - Date
+ * @returns {string} Timestamp
+ */
+function formatDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Build a VCALENDAR containing one VEVENT
+ * @param {Object} event - { uid, start, end, summary, description, location, url, organizer: { name, email }, attendee: { name, email }, method, status, sequence }
+ * @returns {string} iCalendar document (CRLF line endings)
+ */
+function createEvent(event) {
+    const method = event.method || 'REQUEST';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Nester//Viewings//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDate(event.timestamp || new Date())}`,
+        `DTSTART:${formatDate(event.start)}`,
+        `DTEND:${formatDate(event.end)}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `STATUS:${event.status || (method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED')}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.url) {
+        lines.push(`URL:${event.url}`);
+    }
+    if (event.organizer && event.organizer.email) {
+        lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`);
+    }
+    if (event.attendee && event.attendee.email) {
+        lines.push(`ATTENDEE;CN=${escapeText(event.attendee.name || event.attendee.email)};RSVP=FALSE:mailto:${event.attendee.email}`);
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    createEvent,
+    escapeText,
+    formatDate
+};
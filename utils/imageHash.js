@@ -0,0 +1,66 @@
+/**
+ * Perceptual image hashing (difference hash). Two photos of the same room
+ * that were resized, recompressed or lightly cropped by different portals
+ * produce hashes a few bits apart.
+ */
+
+// The image is reduced to HASH_WIDTH x HASH_HEIGHT greyscale pixels
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * 64-bit difference hash from greyscale pixels
+ * @param {Buffer|Array<number>} pixels - HASH_WIDTH x HASH_HEIGHT row-major greyscale values
+ * @returns {string} 16-character hex hash
+ */
+function differenceHash(pixels) {
+    if (!pixels || pixels.length < HASH_WIDTH * HASH_HEIGHT) {
+        throw new Error(`Expected ${HASH_WIDTH * HASH_HEIGHT} greyscale pixels`);
+    }
+
+    let hash = '';
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        let nibble = 0;
+        for (let col = 0; col < HASH_WIDTH - 1; col++) {
+            const offset = row * HASH_WIDTH + col;
+            nibble = (nibble << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+
+            if (col % 4 === 3) {
+                hash += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {number} Hamming distance (Infinity when not comparable)
+ */
+function hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return Infinity;
+    }
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+
+    return distance;
+}
+
+module.exports = {
+    HASH_WIDTH,
+    HASH_HEIGHT,
+    differenceHash,
+    hammingDistance
+};
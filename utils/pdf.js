@@ -0,0 +1,832 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF reader for listing brochures: the text of each page, in the
+ * order it is drawn, and the JPEG photos placed on the pages. Handles
+ * compressed (Flate) streams, compressed object streams, Form XObjects and
+ * ToUnicode font maps. Encrypted files are rejected; images in encodings
+ * other than JPEG are counted but not returned.
+ */
+
+const WHITESPACE = '\x00\t\n\x0c\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+// WinAnsiEncoding codes that differ from Latin-1
+const WIN_ANSI = {
+    0x80: '€', 0x82: '‚', 0x84: '„', 0x85: '…', 0x8b: '‹', 0x8c: 'Œ', 0x91: '‘', 0x92: '’',
+    0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™', 0x9b: '›', 0x9c: 'œ'
+};
+
+// A TJ gap wider than this (thousandths of an em) separates words
+const WORD_GAP = 180;
+const MAX_FORM_DEPTH = 5;
+
+// Limits on the work one document may cause, so a small file cannot
+// inflate into gigabytes (a "zip bomb") or keep the reader busy for minutes
+// with forms that draw each other; a file over any of them is rejected
+const LIMITS = {
+    // Decoded size of one stream
+    maxStreamBytes: 16 * 1024 * 1024,
+    // Decoded size of all streams of the document together, filtered or not
+    maxDecodedBytes: 64 * 1024 * 1024,
+    // Objects in the file, including those in object streams
+    maxObjects: 100000,
+    // Content stream operators run, across all pages and forms
+    maxOperators: 500000,
+    // Do operators (images and forms drawn)
+    maxXObjectDraws: 10000,
+    // Character codes mapped by all ToUnicode CMaps together
+    maxCMapEntries: 65536
+};
+
+/**
+ * Thrown when a document goes over one of LIMITS
+ */
+class PdfLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PdfLimitError';
+    }
+}
+
+const isRegular = char => char !== undefined && !WHITESPACE.includes(char) && !DELIMITERS.includes(char);
+
+/**
+ * Tokenizer for PDF objects and content streams. Values are numbers,
+ * booleans, null, Buffers (strings), '/Name' strings, arrays, plain objects
+ * (dictionaries, keys without the slash), { ref } for indirect references
+ * and { op } for operators and other keywords.
+ */
+class Lexer {
+    constructor(source, position = 0) {
+        this.source = source;
+        this.position = position;
+    }
+
+    skipWhitespace() {
+        const { source } = this;
+        while (this.position < source.length) {
+            const char = source[this.position];
+            if (char === '%') {
+                while (this.position < source.length && source[this.position] !== '\n' && source[this.position] !== '\r') {
+                    this.position++;
+                }
+            } else if (WHITESPACE.includes(char)) {
+                this.position++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * @returns {*} Next value, or undefined at the end of the input
+     */
+    readValue() {
+        this.skipWhitespace();
+        const { source } = this;
+        const char = source[this.position];
+
+        if (char === undefined) {
+            return undefined;
+        }
+        if (char === '<') {
+            return source[this.position + 1] === '<' ? this.readDictionary() : this.readHexString();
+        }
+        if (char === '(') {
+            return this.readLiteralString();
+        }
+        if (char === '[') {
+            return this.readArray();
+        }
+        if (char === '/') {
+            return this.readName();
+        }
+        if (/[\d+\-.]/.test(char)) {
+            return this.readNumber();
+        }
+        if (!isRegular(char)) {
+            // Stray delimiter (">>", "]", "{", "}")
+            this.position += source.startsWith('>>', this.position) ? 2 : 1;
+            return { op: char };
+        }
+
+        const start = this.position;
+        while (isRegular(source[this.position])) {
+            this.position++;
+        }
+        const word = source.slice(start, this.position);
+        if (word === 'true' || word === 'false') {
+            return word === 'true';
+        }
+        return word === 'null' ? null : { op: word };
+    }
+
+    readDictionary() {
+        const dictionary = {};
+        this.position += 2;
+
+        for (;;) {
+            this.skipWhitespace();
+            if (this.position >= this.source.length) {
+                return dictionary;
+            }
+            if (this.source.startsWith('>>', this.position)) {
+                this.position += 2;
+                return dictionary;
+            }
+
+            const key = this.readValue();
+            if (typeof key !== 'string') {
+                continue;
+            }
+            dictionary[key.slice(1)] = this.readValue();
+        }
+    }
+
+    readArray() {
+        const items = [];
+        this.position++;
+
+        for (;;) {
+            this.skipWhitespace();
+            if (this.position >= this.source.length) {
+                return items;
+            }
+            if (this.source[this.position] === ']') {
+                this.position++;
+                return items;
+            }
+            items.push(this.readValue());
+        }
+    }
+
+    readName() {
+        const start = ++this.position;
+        while (isRegular(this.source[this.position])) {
+            this.position++;
+        }
+        const name = this.source.slice(start, this.position)
+            .replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return `/${name}`;
+    }
+
+    readNumber() {
+        const pattern = /[+-]?(?:\d+\.?\d*|\.\d+)/y;
+        pattern.lastIndex = this.position;
+        const match = pattern.exec(this.source);
+        if (!match) {
+            this.position++;
+            return null;
+        }
+        this.position = pattern.lastIndex;
+
+        // "12 0 R" is a reference to object 12
+        if (/^\d+$/.test(match[0])) {
+            const reference = /\s+\d+\s+R(?![^\x00\t\n\x0c\r ()<>[\]{}/%])/y;
+            reference.lastIndex = this.position;
+            if (reference.test(this.source)) {
+                this.position = reference.lastIndex;
+                return { ref: Number(match[0]) };
+            }
+        }
+
+        return parseFloat(match[0]);
+    }
+
+    readHexString() {
+        const end = this.source.indexOf('>', this.position);
+        const stop = end === -1 ? this.source.length : end;
+        let hex = this.source.slice(this.position + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+        this.position = stop + 1;
+
+        if (hex.length % 2 === 1) {
+            hex += '0';
+        }
+        return Buffer.from(hex, 'hex');
+    }
+
+    readLiteralString() {
+        const { source } = this;
+        const bytes = [];
+        let depth = 1;
+        this.position++;
+
+        while (this.position < source.length) {
+            const char = source[this.position++];
+
+            if (char === '\\') {
+                const next = source[this.position++];
+                const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+                if (escapes[next] !== undefined) {
+                    bytes.push(escapes[next]);
+                } else if (/[0-7]/.test(next)) {
+                    let octal = next;
+                    while (octal.length < 3 && /[0-7]/.test(source[this.position])) {
+                        octal += source[this.position++];
+                    }
+                    bytes.push(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r') {
+                    // Line continuation
+                    if (source[this.position] === '\n') {
+                        this.position++;
+                    }
+                } else if (next !== '\n' && next !== undefined) {
+                    bytes.push(next.charCodeAt(0));
+                }
+                continue;
+            }
+
+            if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                break;
+            }
+            bytes.push(char.charCodeAt(0) & 0xff);
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Skip the binary data of an inline image (after its BI operator)
+     */
+    skipInlineImage() {
+        const data = this.source.indexOf('ID', this.position);
+        const end = data === -1 ? -1 : this.source.slice(data + 3).search(/\sEI(?:\s|$)/);
+        this.position = end === -1 ? this.source.length : data + 3 + end + 3;
+    }
+}
+
+/**
+ * Whether a buffer looks like a PDF file
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for a PDF
+ */
+function isPdf(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.subarray(0, 1024).toString('latin1').includes('%PDF-');
+}
+
+/**
+ * End offset of a stream's data: /Length when it is direct and checks out,
+ * otherwise the next endstream keyword
+ */
+function findStreamEnd(source, start, length) {
+    if (Number.isInteger(length) && /^\s*endstream/.test(source.slice(start + length, start + length + 32))) {
+        return start + length;
+    }
+
+    const end = source.indexOf('endstream', start);
+    if (end === -1) {
+        return source.length;
+    }
+
+    let trimmed = end;
+    if (source[trimmed - 1] === '\n') {
+        trimmed--;
+    }
+    if (source[trimmed - 1] === '\r') {
+        trimmed--;
+    }
+    return trimmed;
+}
+
+/**
+ * Every object in the file, by object number. Objects are found by
+ * scanning for "n g obj" rather than trusting the cross-reference table,
+ * which is often wrong in generated brochures; later definitions win.
+ * @param {Object} limits - Decoding budget (see createBudget)
+ * @returns {Map<number, Object>} number -> { value, stream }
+ */
+function readObjects(source, limits) {
+    const objects = new Map();
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = header.exec(source)) !== null) {
+        countObject(limits);
+        const lexer = new Lexer(source, header.lastIndex);
+        const entry = { value: lexer.readValue(), stream: null };
+
+        lexer.skipWhitespace();
+        if (source.startsWith('stream', lexer.position)) {
+            let start = lexer.position + 'stream'.length;
+            if (source[start] === '\r') {
+                start++;
+            }
+            if (source[start] === '\n') {
+                start++;
+            }
+            const end = findStreamEnd(source, start, entry.value && entry.value.Length);
+            entry.stream = Buffer.from(source.slice(start, end), 'latin1');
+            header.lastIndex = end;
+        } else {
+            header.lastIndex = Math.max(lexer.position, header.lastIndex);
+        }
+
+        objects.set(Number(match[1]), entry);
+    }
+
+    // PDF 1.5+ keeps most dictionaries in compressed object streams
+    [...objects.values()]
+        .filter(entry => entry.stream && entry.value && entry.value.Type === '/ObjStm')
+        .forEach(entry => {
+            const data = decodeStream(entry, objects, limits);
+            if (!data) {
+                return;
+            }
+
+            const text = data.toString('latin1');
+            const first = resolve(objects, entry.value.First);
+            const offsets = text.slice(0, first).trim().split(/\s+/).map(Number);
+
+            for (let i = 0; i + 1 < offsets.length; i += 2) {
+                if (!objects.has(offsets[i])) {
+                    countObject(limits);
+                    objects.set(offsets[i], { value: new Lexer(text, first + offsets[i + 1]).readValue(), stream: null });
+                }
+            }
+        });
+
+    return objects;
+}
+
+/**
+ * Follow indirect references to the object they point at
+ */
+function resolve(objects, value) {
+    let current = value;
+    for (let depth = 0; current && current.ref !== undefined && depth < 16; depth++) {
+        const entry = objects.get(current.ref);
+        current = entry ? entry.value : null;
+    }
+    return current;
+}
+
+/**
+ * Decoding budget for one document
+ */
+function createBudget(options = {}) {
+    const limits = { ...LIMITS, ...options };
+    return { ...limits, decodedBytes: 0, objectCount: 0, operatorCount: 0, drawCount: 0, cmapEntries: 0 };
+}
+
+function countObject(limits) {
+    limits.objectCount++;
+    if (limits.objectCount > limits.maxObjects) {
+        throw new PdfLimitError(`PDF has more than ${limits.maxObjects} objects`);
+    }
+}
+
+function countDecoded(limits, length) {
+    limits.decodedBytes += length;
+    if (length > limits.maxStreamBytes || limits.decodedBytes > limits.maxDecodedBytes) {
+        throw new PdfLimitError('PDF streams decompress to more than the allowed size');
+    }
+}
+
+/**
+ * Decoded stream data, or null for filters this reader does not decode
+ * (images keep their DCTDecode data as-is). Throws PdfLimitError when the
+ * document's decoding budget runs out.
+ */
+function decodeStream(entry, objects, limits) {
+    const filters = [].concat(resolve(objects, entry.value && entry.value.Filter) || []);
+    let data = entry.stream;
+
+    try {
+        if (filters.length === 0) {
+            countDecoded(limits, data.length);
+        }
+        for (const filter of filters) {
+            if (filter === '/FlateDecode' || filter === '/Fl') {
+                data = inflate(data, limits);
+            } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+                data = Buffer.from(data.toString('latin1').replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, ''), 'hex');
+                countDecoded(limits, data.length);
+            } else {
+                return null;
+            }
+        }
+    } catch (error) {
+        if (error instanceof PdfLimitError) {
+            throw error;
+        }
+        return null;
+    }
+
+    return data;
+}
+
+function inflate(data, limits) {
+    // Never inflate past the stream limit or what is left of the document's budget
+    const maxOutputLength = Math.min(limits.maxStreamBytes, limits.maxDecodedBytes - limits.decodedBytes);
+    let output;
+
+    try {
+        output = inflateWithin(data, maxOutputLength);
+    } catch (error) {
+        if (error instanceof PdfLimitError) {
+            throw error;
+        }
+        // Keep what inflates from a truncated stream
+        output = inflateWithin(data, maxOutputLength, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    }
+
+    limits.decodedBytes += output.length;
+    return output;
+}
+
+function inflateWithin(data, maxOutputLength, options = {}) {
+    if (maxOutputLength <= 0) {
+        throw new PdfLimitError('PDF streams decompress to more than the allowed size');
+    }
+
+    try {
+        return zlib.inflateSync(data, { ...options, maxOutputLength });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new PdfLimitError('PDF streams decompress to more than the allowed size');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Pages in document order with their (possibly inherited) resources
+ */
+function collectPages(objects) {
+    const pages = [];
+    const visited = new Set();
+    const catalog = [...objects.values()].reverse().find(entry => entry.value && entry.value.Type === '/Catalog');
+
+    const visit = (node, inheritedResources) => {
+        const dictionary = resolve(objects, node);
+        if (!dictionary || typeof dictionary !== 'object' || visited.has(dictionary)) {
+            return;
+        }
+        visited.add(dictionary);
+
+        const resources = dictionary.Resources !== undefined ? resolve(objects, dictionary.Resources) : inheritedResources;
+        const kids = resolve(objects, dictionary.Kids);
+        if (Array.isArray(kids)) {
+            kids.forEach(kid => visit(kid, resources));
+        } else if (dictionary.Type === '/Page' || dictionary.Contents !== undefined) {
+            pages.push({ dictionary, resources });
+        }
+    };
+
+    if (catalog) {
+        visit(catalog.value.Pages, null);
+    }
+
+    // Damaged page tree: fall back to every page object
+    if (pages.length === 0) {
+        objects.forEach(entry => {
+            if (entry.value && entry.value.Type === '/Page') {
+                pages.push({ dictionary: entry.value, resources: resolve(objects, entry.value.Resources) });
+            }
+        });
+    }
+
+    return pages;
+}
+
+/**
+ * Character map from a ToUnicode CMap stream. Mapped codes count against
+ * the document's maxCMapEntries, checked before a range is expanded.
+ * @returns {Object} { codeLength, map: code -> text }
+ */
+function parseCMap(text, limits) {
+    const map = new Map();
+    const countEntries = (count) => {
+        limits.cmapEntries += count;
+        if (limits.cmapEntries > limits.maxCMapEntries) {
+            throw new PdfLimitError(`PDF fonts map more than ${limits.maxCMapEntries} character codes`);
+        }
+    };
+    const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+    let codeLength = codespace ? codespace[1].length / 2 : 0;
+
+    const unicode = (hex) => {
+        const bytes = Buffer.from(hex.length % 4 === 0 ? hex : hex.padStart(Math.ceil(hex.length / 4) * 4, '0'), 'hex');
+        return bytes.swap16().toString('utf16le');
+    };
+
+    const setLength = (hex) => {
+        if (!codeLength) {
+            codeLength = hex.length / 2;
+        }
+    };
+
+    for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            setLength(source);
+            countEntries(1);
+            map.set(parseInt(source, 16), unicode(target));
+        }
+    }
+
+    for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, low, high, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            setLength(low);
+            const first = parseInt(low, 16);
+            const last = Math.min(parseInt(high, 16), first + 0xffff);
+
+            if (target.startsWith('[')) {
+                const targets = [...target.matchAll(/<([0-9a-fA-F]*)>/g)];
+                countEntries(targets.length);
+                targets.forEach(([, hex], index) => {
+                    map.set(first + index, unicode(hex));
+                });
+                continue;
+            }
+
+            countEntries(Math.max(0, last - first + 1));
+            const base = Buffer.from(unicode(target.slice(1, -1)), 'utf16le');
+            for (let code = first; code <= last; code++) {
+                // Increment the last UTF-16 unit
+                const bytes = Buffer.from(base);
+                if (bytes.length >= 2) {
+                    bytes.writeUInt16LE((bytes.readUInt16LE(bytes.length - 2) + code - first) & 0xffff, bytes.length - 2);
+                }
+                map.set(code, bytes.toString('utf16le'));
+            }
+        }
+    }
+
+    return { codeLength: codeLength || 1, map };
+}
+
+/**
+ * Reads pages' content streams into text and collects their photos
+ */
+class PageReader {
+    constructor(objects, { maxImages, limits }) {
+        this.objects = objects;
+        this.maxImages = maxImages;
+        this.limits = limits;
+        this.fonts = new Map();
+        // Form number -> decoded content (null when it cannot be decoded)
+        this.forms = new Map();
+        this.seenImages = new Set();
+        this.images = [];
+        this.skippedImages = 0;
+    }
+
+    readPage(page, pageNumber) {
+        this.lines = [];
+        this.line = '';
+        this.lastY = null;
+        this.pageNumber = pageNumber;
+        // A form is read once per page, however often it is drawn
+        this.drawnForms = new Set();
+
+        const contents = [].concat(page.dictionary.Contents || []);
+        const data = contents
+            .map(reference => (reference && reference.ref !== undefined ? this.objects.get(reference.ref) : null))
+            .filter(entry => entry && entry.stream)
+            .map(entry => decodeStream(entry, this.objects, this.limits))
+            .filter(Boolean);
+
+        this.readContent(Buffer.concat(data.flatMap(buffer => [buffer, Buffer.from('\n')])), page.resources, 0);
+        this.newLine();
+
+        return this.lines.join('\n');
+    }
+
+    readContent(content, resources, depth) {
+        const lexer = new Lexer(content.toString('latin1'));
+        const operands = [];
+        let font = null;
+
+        for (;;) {
+            const token = lexer.readValue();
+            if (token === undefined) {
+                break;
+            }
+            if (token === null || typeof token !== 'object' || token.op === undefined) {
+                operands.push(token);
+                continue;
+            }
+
+            this.limits.operatorCount++;
+            if (this.limits.operatorCount > this.limits.maxOperators) {
+                throw new PdfLimitError(`PDF content has more than ${this.limits.maxOperators} operators`);
+            }
+
+            switch (token.op) {
+                case 'BI':
+                    lexer.skipInlineImage();
+                    break;
+                case 'Tf':
+                    font = this.getFont(resources, operands[0]);
+                    break;
+                case 'Tj':
+                    this.write(this.decodeText(font, operands[operands.length - 1]));
+                    break;
+                case '\'':
+                case '"':
+                    this.newLine();
+                    this.write(this.decodeText(font, operands[operands.length - 1]));
+                    break;
+                case 'TJ':
+                    [].concat(operands[0] || []).forEach(item => {
+                        if (typeof item === 'number') {
+                            if (item < -WORD_GAP) {
+                                this.write(' ');
+                            }
+                        } else {
+                            this.write(this.decodeText(font, item));
+                        }
+                    });
+                    break;
+                case 'T*':
+                    this.newLine();
+                    break;
+                case 'Td':
+                case 'TD':
+                    if (operands[1]) {
+                        this.newLine();
+                    } else {
+                        this.write(' ');
+                    }
+                    break;
+                case 'Tm':
+                    if (this.lastY !== null && Math.abs(operands[5] - this.lastY) > 1) {
+                        this.newLine();
+                    } else {
+                        this.write(' ');
+                    }
+                    this.lastY = operands[5];
+                    break;
+                case 'ET':
+                    this.newLine();
+                    break;
+                case 'Do':
+                    this.drawXObject(resources, operands[0], depth);
+                    break;
+                default:
+                    break;
+            }
+            operands.length = 0;
+        }
+    }
+
+    write(text) {
+        this.line += text;
+    }
+
+    newLine() {
+        const line = this.line.replace(/\s+/g, ' ').trim();
+        if (line) {
+            this.lines.push(line);
+        }
+        this.line = '';
+    }
+
+    getFont(resources, name) {
+        const fonts = resolve(this.objects, resources && resources.Font);
+        const reference = fonts && typeof name === 'string' ? fonts[name.slice(1)] : null;
+        const dictionary = resolve(this.objects, reference);
+        if (!dictionary) {
+            return null;
+        }
+        if (this.fonts.has(dictionary)) {
+            return this.fonts.get(dictionary);
+        }
+
+        const font = { twoByte: dictionary.Subtype === '/Type0', cmap: null };
+        const toUnicode = dictionary.ToUnicode && dictionary.ToUnicode.ref !== undefined
+            ? this.objects.get(dictionary.ToUnicode.ref)
+            : null;
+        const data = toUnicode && toUnicode.stream ? decodeStream(toUnicode, this.objects, this.limits) : null;
+        if (data) {
+            font.cmap = parseCMap(data.toString('latin1'), this.limits);
+        }
+
+        this.fonts.set(dictionary, font);
+        return font;
+    }
+
+    decodeText(font, bytes) {
+        if (!Buffer.isBuffer(bytes)) {
+            return '';
+        }
+
+        if (font && font.cmap) {
+            const { codeLength, map } = font.cmap;
+            let text = '';
+            for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+                const code = bytes.readUIntBE(i, codeLength);
+                text += map.has(code) ? map.get(code) : (codeLength === 1 ? this.winAnsi(code) : '');
+            }
+            return text;
+        }
+
+        // Composite font codes are glyph ids; without a ToUnicode map they cannot be read
+        if (font && font.twoByte) {
+            return '';
+        }
+
+        return Array.from(bytes, code => this.winAnsi(code)).join('');
+    }
+
+    winAnsi(code) {
+        if (code < 0x20) {
+            return ' ';
+        }
+        return WIN_ANSI[code] || String.fromCharCode(code);
+    }
+
+    drawXObject(resources, name, depth) {
+        const xObjects = resolve(this.objects, resources && resources.XObject);
+        const reference = xObjects && typeof name === 'string' ? xObjects[name.slice(1)] : null;
+        const entry = reference && reference.ref !== undefined ? this.objects.get(reference.ref) : null;
+        if (!entry || !entry.stream || !entry.value) {
+            return;
+        }
+
+        this.limits.drawCount++;
+        if (this.limits.drawCount > this.limits.maxXObjectDraws) {
+            throw new PdfLimitError(`PDF draws more than ${this.limits.maxXObjectDraws} images and forms`);
+        }
+
+        if (entry.value.Subtype === '/Image') {
+            this.addImage(reference.ref, entry);
+        } else if (entry.value.Subtype === '/Form' && depth < MAX_FORM_DEPTH && !this.drawnForms.has(reference.ref)) {
+            this.drawnForms.add(reference.ref);
+            if (!this.forms.has(reference.ref)) {
+                this.forms.set(reference.ref, decodeStream(entry, this.objects, this.limits));
+            }
+            const content = this.forms.get(reference.ref);
+            if (content) {
+                this.readContent(content, resolve(this.objects, entry.value.Resources) || resources, depth + 1);
+            }
+        }
+    }
+
+    addImage(number, entry) {
+        if (this.seenImages.has(number)) {
+            return;
+        }
+        this.seenImages.add(number);
+
+        const filters = [].concat(resolve(this.objects, entry.value.Filter) || []);
+        const isJpeg = filters.length === 1 && (filters[0] === '/DCTDecode' || filters[0] === '/DCT');
+        if (!isJpeg || this.images.length >= this.maxImages) {
+            this.skippedImages++;
+            return;
+        }
+
+        this.images.push({
+            buffer: entry.stream,
+            format: 'jpeg',
+            width: resolve(this.objects, entry.value.Width) || null,
+            height: resolve(this.objects, entry.value.Height) || null,
+            page: this.pageNumber
+        });
+    }
+}
+
+/**
+ * Text and photos from a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - { maxImages }, and any of LIMITS to override it
+ * @returns {Object} { text, pageCount, images: [{ buffer, format, width, height, page }], skippedImages }
+ * @throws {PdfLimitError} When the file goes over one of LIMITS
+ */
+function extractPdf(buffer, options = {}) {
+    if (!isPdf(buffer)) {
+        throw new Error('File is not a PDF');
+    }
+
+    const source = buffer.toString('latin1');
+    if (/\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(source)) {
+        throw new Error('Encrypted PDF files are not supported');
+    }
+
+    const { maxImages, ...limitOptions } = options;
+    const limits = createBudget(limitOptions);
+    const objects = readObjects(source, limits);
+    const pages = collectPages(objects);
+    const reader = new PageReader(objects, { maxImages: maxImages || 50, limits });
+    const text = pages
+        .map((page, index) => reader.readPage(page, index + 1))
+        .filter(Boolean)
+        .join('\n\n');
+
+    return {
+        text,
+        pageCount: pages.length,
+        images: reader.images,
+        skippedImages: reader.skippedImages
+    };
+}
+
+module.exports = {
+    LIMITS,
+    PdfLimitError,
+    isPdf,
+    extractPdf
+};
@@ -0,0 +1,166 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards for fetching URLs taken from scraped pages. A listing can point its
+ * photos at any host, so before the server connects anywhere on its behalf
+ * the host must resolve only to public internet addresses - not loopback,
+ * private networks, link-local (cloud metadata) or other reserved ranges.
+ */
+
+const NOT_PUBLIC_CODE = 'ADDRESS_NOT_PUBLIC';
+
+const blocked = new net.BlockList();
+[
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, including cloud metadata
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.0.2.0', 24],      // documentation
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['198.51.100.0', 24],   // documentation
+    ['203.0.113.0', 24],    // documentation
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved and broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],            // unspecified
+    ['::1', 128],           // loopback
+    ['64:ff9b::', 96],      // NAT64 of IPv4 addresses
+    ['64:ff9b:1::', 48],    // local-use NAT64
+    ['100::', 64],          // discard
+    ['2001::', 32],         // Teredo (embeds an obscured IPv4 address)
+    ['2001:db8::', 32],     // documentation
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * The eight 16-bit groups of an IPv6 address, with "::" expanded and a
+ * trailing dotted IPv4 part converted
+ */
+function ipv6Groups(address) {
+    let text = address;
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const fill = tail === undefined ? [] : new Array(8 - left.length - right.length).fill('0');
+
+    return [...left, ...fill, ...right].map(group => parseInt(group, 16));
+}
+
+/**
+ * IPv4 address carried inside an IPv6 one, or null: IPv4-compatible
+ * (::/96), IPv4-mapped (::ffff:0:0/96), IPv4-translated (::ffff:0:0:0/96)
+ * and 6to4 (2002::/16). Connecting to these reaches the IPv4 address.
+ */
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    const ipv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+    const zero = count => groups.slice(0, count).every(group => group === 0);
+
+    if (zero(5) && (groups[5] === 0 || groups[5] === 0xffff)) {
+        return ipv4(groups[6], groups[7]);
+    }
+    if (zero(4) && groups[4] === 0xffff && groups[5] === 0) {
+        return ipv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return ipv4(groups[1], groups[2]);
+    }
+    return null;
+}
+
+/**
+ * Whether an IP address is on the public internet. IPv6 addresses that
+ * carry an IPv4 address (::127.0.0.1, ::ffff:127.0.0.1, 2002:7f00:1::) are
+ * judged by that IPv4 address.
+ * @param {string} address - IPv4 or IPv6 address, IPv6 with or without a zone
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    const plain = String(address).split('%')[0];
+    const family = net.isIP(plain);
+    if (family === 0) {
+        return false;
+    }
+    if (family === 4) {
+        return !blocked.check(plain, 'ipv4');
+    }
+
+    const ipv4 = embeddedIPv4(plain);
+    if (ipv4) {
+        return !blocked.check(ipv4, 'ipv4');
+    }
+    return !blocked.check(plain, 'ipv6');
+}
+
+function notPublicError(hostname, address) {
+    const error = new Error(`${hostname} resolves to a non-public address (${address})`);
+    error.code = NOT_PUBLIC_CODE;
+    return error;
+}
+
+/**
+ * Resolve a host name and require every address it resolves to be public
+ * @param {string} hostname - Host name or IP literal (IPv6 with or without brackets)
+ * @returns {Array<string>} The resolved addresses
+ * @throws {Error} With code ADDRESS_NOT_PUBLIC when any address is not public
+ */
+async function assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+
+    const rejected = addresses.find(({ address }) => !isPublicAddress(address));
+    if (rejected) {
+        throw notPublicError(host, rejected.address);
+    }
+
+    return addresses.map(({ address }) => address);
+}
+
+/**
+ * dns.lookup replacement for http(s) agents: refuses to connect to a
+ * non-public address, so redirects and DNS answers that change after
+ * assertPublicHost are caught at connect time
+ */
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const rejected = addresses.find(entry => !isPublicAddress(entry.address));
+        if (rejected) {
+            callback(notPublicError(hostname, rejected.address));
+            return;
+        }
+
+        callback(null, address, family);
+    });
+}
+
+module.exports = {
+    NOT_PUBLIC_CODE,
+    isPublicAddress,
+    assertPublicHost,
+    publicLookup
+};